@@ -16,13 +16,158 @@ const config = {
   security: {
     jwtSecret: process.env.JWT_SECRET || 'neocard-demo-jwt-secret-key-2024',
     aeiSecretKey: process.env.AEI_SECRET_KEY || 'neocard-aei-hmac-secret-key-2024',
-    apiKeySecret: process.env.API_KEY_SECRET || 'neocard-api-key-secret-2024'
+    apiKeySecret: process.env.API_KEY_SECRET || 'neocard-api-key-secret-2024',
+    // Ed25519 private key for signed export bundles (PKCS#8 PEM or base64 DER).
+    // There is no default: without it signed bundles are refused.
+    exportSigningKey: process.env.EXPORT_SIGNING_KEY || null
   },
 
-  // Anti-fraud configuration
+  // API key permission model
+  // Keys store a role name and/or explicit permissions (comma separated)
+  // in api_keys.permissions. Keys without `campaigns:all` only see data for
+  // the campaigns linked to them in api_key_campaigns.
+  permissions: {
+    roles: {
+      admin: ['*'],
+      sponsor: ['logs:read', 'export:read', 'stats:read', 'webhooks:manage', 'rewards:read', 'rewards:redeem']
+    }
+  },
+
+  // API key lifecycle configuration
+  apiKeys: {
+    rotationOverlapHours: parseInt(process.env.API_KEY_ROTATION_OVERLAP_HOURS) || 24,
+    staleAfterDays: parseInt(process.env.API_KEY_STALE_AFTER_DAYS) || 30
+  },
+
+  // Card registry configuration
+  // unregisteredPolicy: what POST /v1/scan does with UIDs that are not in
+  // the cards table - 'allow', 'flag' (store the scan as flagged) or 'reject'
+  cards: {
+    unregisteredPolicy: process.env.UNREGISTERED_CARD_POLICY || 'allow'
+  },
+
+  // Secure Unique NFC (NTAG 424 DNA) configuration
+  // metaReadKey decrypts PICCData for every card (AES-128, hex); each card's
+  // SDMFileReadKey is stored in the cards table
+  sun: {
+    metaReadKey: process.env.SUN_META_READ_KEY || '00000000000000000000000000000000'
+  },
+
+  // Replay protection configuration
+  // Clients without tag read counters request a single-use nonce from
+  // POST /v1/scan/challenge and send it with the scan
+  replay: {
+    nonceTtlSeconds: parseInt(process.env.SCAN_NONCE_TTL_SECONDS) || 120,
+    requireNonce: process.env.REQUIRE_SCAN_NONCE === 'true'
+  },
+
+  // Reader devices (POST /v1/devices). Signed requests are accepted within
+  // signatureToleranceSeconds of the device timestamp; with requireSignature
+  // unsigned scans are refused
+  devices: {
+    signatureToleranceSeconds: parseInt(process.env.DEVICE_SIGNATURE_TOLERANCE_SECONDS) || 300,
+    requireSignature: process.env.REQUIRE_DEVICE_SIGNATURE === 'true'
+  },
+
+  // Idempotency-Key support for POST /v1/scan: a retried request with the
+  // same key and body gets the original response for ttlHours
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24
+  },
+
+  // Anti-fraud configuration. These are the defaults for campaigns that do
+  // not set their own policy (PUT /v1/campaigns/:id/policy). Lifetime and
+  // campaign caps are unlimited unless set.
   antifraud: {
     cooldownMinutes: parseInt(process.env.COOLDOWN_MINUTES) || 5,
-    dailyScanLimit: parseInt(process.env.DAILY_SCAN_LIMIT) || 100
+    dailyScanLimit: parseInt(process.env.DAILY_SCAN_LIMIT) || 100,
+    lifetimeScanLimit: parseInt(process.env.LIFETIME_SCAN_LIMIT) || null,
+    campaignScanCap: parseInt(process.env.CAMPAIGN_SCAN_CAP) || null,
+    // 'global': a tap anywhere starts the cooldown; 'campaign': per campaign
+    cooldownScope: process.env.COOLDOWN_SCOPE === 'campaign' ? 'campaign' : 'global',
+    // Scans located outside every venue of their campaign: 'off' (record
+    // only), 'flag' (outside_geofence fraud signal) or 'reject'
+    geofenceMode: ['off', 'reject'].includes(process.env.GEOFENCE_MODE) ? process.env.GEOFENCE_MODE : 'flag'
+  },
+
+  // Fraud scoring configuration
+  // Every scan that passes the hard limits is scored by the rules in
+  // fraud/index.js. Scores at or above flagThreshold are stored flagged
+  // (and unverified); at or above rejectThreshold the scan is refused.
+  fraud: {
+    flagThreshold: parseInt(process.env.FRAUD_FLAG_THRESHOLD) || 50,
+    rejectThreshold: parseInt(process.env.FRAUD_REJECT_THRESHOLD) || 100,
+    disabledRules: (process.env.FRAUD_DISABLED_RULES || '').split(',').map(rule => rule.trim()).filter(Boolean),
+    rules: {
+      // Same UID tapped in several campaigns in a short window
+      campaign_velocity: { windowMinutes: 10, maxCampaigns: 3, score: 40 },
+      // Same UID seen from several IPs / user agents in a short window
+      uid_ip_spread: { windowMinutes: 5, maxIps: 3, score: 40 },
+      uid_agent_spread: { windowMinutes: 5, maxUserAgents: 3, score: 30 },
+      // One IP cycling through many UIDs
+      ip_uid_burst: { windowMinutes: 1, maxUids: 10, score: 60 },
+      // Taps of the same UID closer together than a person can manage
+      impossible_interval: { minSeconds: 2, score: 60 },
+      // Unregistered UID under UNREGISTERED_CARD_POLICY=flag
+      unregistered_card: { score: 50 },
+      // Located scan outside its campaign's venues (geofence_mode flag)
+      outside_geofence: { score: 50 },
+      // UID located too far from its previous located scan to have travelled
+      impossible_travel: { maxSpeedKmh: 900, minDistanceKm: 50, score: 60 }
+    }
+  },
+
+  // Scan ledger configuration
+  // chainScope: 'campaign' keeps one hash chain per campaign, 'global' a
+  // single chain across all scans. Changing it only affects new scans.
+  ledger: {
+    chainScope: process.env.LEDGER_CHAIN_SCOPE === 'global' ? 'global' : 'campaign'
+  },
+
+  // Outbound webhook configuration
+  // Deliveries are retried retryBaseSeconds * 2^(attempt - 1) apart (capped
+  // at retryMaxSeconds) and marked failed after maxAttempts.
+  // allowPrivateTargets lets webhooks reach loopback and private networks;
+  // only for local development.
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+    batchSize: 20
+  },
+
+  // Live scan feed configuration (GET /v1/stream/scans)
+  // bufferSize events are kept for clients resuming with Last-Event-ID
+  stream: {
+    bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE) || 1000,
+    heartbeatSeconds: parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25
+  },
+
+  // Venue geofencing: location accuracy (meters) credited when matching a
+  // scan to a venue, and the radius of venues created without one
+  geo: {
+    maxAccuracyMeters: parseInt(process.env.GEO_MAX_ACCURACY_METERS) || 500,
+    defaultRadiusMeters: 200
+  },
+
+  // Tap redirects (GET /t/...): where phones go when a tap is refused.
+  // Blocked and cooled-down taps fall back to fallbackUrl when unset.
+  redirect: {
+    fallbackUrl: process.env.REDIRECT_FALLBACK_URL || 'https://example.com/',
+    blockedUrl: process.env.REDIRECT_BLOCKED_URL || null,
+    cooldownUrl: process.env.REDIRECT_COOLDOWN_URL || null
+  },
+
+  // Offline batch ingestion (POST /v1/scans/batch)
+  // Device clocks further off than clockSkewToleranceSeconds are corrected
+  ingest: {
+    maxBatchSize: parseInt(process.env.INGEST_MAX_BATCH_SIZE) || 500,
+    clockSkewToleranceSeconds: parseInt(process.env.INGEST_CLOCK_SKEW_TOLERANCE_SECONDS) || 30,
+    maxFutureSkewSeconds: parseInt(process.env.INGEST_MAX_FUTURE_SKEW_SECONDS) || 300,
+    maxAgeHours: parseInt(process.env.INGEST_MAX_AGE_HOURS) || 72
   },
 
   // CORS configuration
@@ -2,11 +2,167 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
 const config = require('../config');
+const {
+  generateApiKey,
+  getApiKeyPrefix,
+  hashApiKey,
+  verifyApiKeyHash,
+  generateAEIChecksum,
+  verifyAEIChecksum,
+  CAMPAIGN_POLICY_FIELDS
+} = require('../utils');
+const { INITIAL_KEY_ID, loadAeiKeys, getActiveAeiKey, getAeiSecret } = require('../utils/keyring');
+const {
+  GENESIS_HASH,
+  SEAL_FIELDS,
+  chainIdFor,
+  computeChainHash,
+  isLinkValid,
+  merkleRoot
+} = require('../utils/ledger');
+
+// API keys are stored as salted hashes; only key_prefix is kept in clear
+// so a presented key can be matched to its candidate rows.
+const API_KEYS_TABLE = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    key_salt TEXT NOT NULL,
+    permissions TEXT DEFAULT 'admin',
+    active BOOLEAN DEFAULT 1,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    rotated_from INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// Columns of api_keys that are safe to return from the API
+const API_KEY_PUBLIC_COLUMNS = `
+  id, key_name, key_prefix, permissions, active, expires_at,
+  last_used_at, revoked_at, rotated_from, created_at
+`;
+
+// Columns added after a table was first released. Applied in order by
+// runMigrations so older database files gain them on startup.
+const COLUMN_MIGRATIONS = [
+  { table: 'scans', column: 'flagged', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'scans', column: 'flag_reasons', definition: 'TEXT' },
+  { table: 'scans', column: 'auth_method', definition: "TEXT DEFAULT 'uid'" },
+  { table: 'scans', column: 'read_counter', definition: 'INTEGER' },
+  { table: 'cards', column: 'sdm_file_read_key', definition: 'TEXT' },
+  { table: 'cards', column: 'last_read_counter', definition: 'INTEGER' },
+  { table: 'campaigns', column: 'cooldown_minutes', definition: 'INTEGER' },
+  { table: 'campaigns', column: 'daily_limit', definition: 'INTEGER' },
+  { table: 'campaigns', column: 'lifetime_limit', definition: 'INTEGER' },
+  { table: 'campaigns', column: 'total_cap', definition: 'INTEGER' },
+  { table: 'campaigns', column: 'cooldown_scope', definition: 'TEXT' },
+  { table: 'campaigns', column: 'geofence_mode', definition: 'TEXT' },
+  { table: 'campaigns', column: 'destination_url', definition: 'TEXT' },
+  { table: 'scans', column: 'ip_address', definition: 'TEXT' },
+  { table: 'scans', column: 'user_agent', definition: 'TEXT' },
+  { table: 'scans', column: 'risk_score', definition: 'INTEGER DEFAULT 0' },
+  { table: 'scans', column: 'risk_reasons', definition: 'TEXT' },
+  { table: 'scans', column: 'review_status', definition: 'TEXT' },
+  { table: 'scans', column: 'reviewed_by', definition: 'TEXT' },
+  { table: 'scans', column: 'reviewed_at', definition: 'DATETIME' },
+  { table: 'scans', column: 'review_note', definition: 'TEXT' },
+  { table: 'scans', column: 'device_id', definition: 'TEXT' },
+  { table: 'scans', column: 'chain_id', definition: 'TEXT' },
+  { table: 'scans', column: 'chain_seq', definition: 'INTEGER' },
+  { table: 'scans', column: 'prev_hash', definition: 'TEXT' },
+  { table: 'scans', column: 'chain_hash', definition: 'TEXT' },
+  { table: 'scans', column: 'chained_at', definition: 'DATETIME' },
+  { table: 'scans', column: 'aei_key_id', definition: 'TEXT' },
+  { table: 'scans', column: 'chain_key_id', definition: 'TEXT' },
+  { table: 'scans', column: 'device_seq', definition: 'INTEGER' },
+  { table: 'scans', column: 'device_timestamp', definition: 'TEXT' },
+  { table: 'scans', column: 'latitude', definition: 'REAL' },
+  { table: 'scans', column: 'longitude', definition: 'REAL' },
+  { table: 'scans', column: 'location_accuracy', definition: 'REAL' },
+  { table: 'scans', column: 'venue_id', definition: 'TEXT' },
+  { table: 'scans', column: 'geofence_status', definition: 'TEXT' },
+  { table: 'scans', column: 'referrer', definition: 'TEXT' }
+];
+
+// Indexes on migrated columns, created once the columns exist
+const MIGRATED_INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_scans_ip ON scans(ip_address);
+  CREATE INDEX IF NOT EXISTS idx_scans_review ON scans(review_status);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_scans_chain ON scans(chain_id, chain_seq);
+  CREATE INDEX IF NOT EXISTS idx_scans_chained_at ON scans(chained_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_scans_device_seq ON scans(device_id, device_seq);
+  CREATE INDEX IF NOT EXISTS idx_scans_venue ON scans(venue_id);
+`;
+
+/**
+ * SQL condition for scans that may be shown to reviewed-only (sponsor) keys:
+ * unflagged scans and flagged scans an admin approved
+ * @param {string} alias - Optional table alias, e.g. `s`
+ */
+const passedReviewClause = (alias) => {
+  const prefix = alias ? `${alias}.` : '';
+  return `(${prefix}flagged = 0 OR ${prefix}review_status = 'approved')`;
+};
+
+// Scan columns the fraud rules may count distinct values of
+const SCAN_DISTINCT_COLUMNS = ['uid', 'campaign_id', 'ip_address', 'user_agent'];
+
+const DEMO_API_KEYS = [
+  { key_name: 'Admin Demo Key', api_key: 'neocard_admin_demo_key_2024', permissions: 'admin', campaigns: [] },
+  { key_name: 'Sponsor Demo Key', api_key: 'neocard_sponsor_demo_key_2024', permissions: 'sponsor', campaigns: ['DEMO01'] }
+];
+
+// How long a statement waits for another connection's write lock
+const BUSY_TIMEOUT_MS = 10000;
+
+/**
+ * Promise wrappers around the sqlite3 callback API of one connection
+ * @param {sqlite3.Database} connection
+ * @returns {{run: Function, get: Function, all: Function, exec: Function}}
+ */
+const query = (connection) => ({
+  run: (sql, params = []) => new Promise((resolve, reject) => {
+    connection.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ id: this.lastID, changes: this.changes });
+      }
+    });
+  }),
+
+  get: (sql, params = []) => new Promise((resolve, reject) => {
+    connection.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }),
+
+  all: (sql, params = []) => new Promise((resolve, reject) => {
+    connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }),
+
+  exec: (sql) => new Promise((resolve, reject) => {
+    connection.exec(sql, err => (err ? reject(err) : resolve()));
+  })
+});
 
 class Database {
   constructor() {
     this.db = null;
+    // Second connection that only runs transactions (see transaction())
+    this.txDb = null;
+    this.transactionLock = Promise.resolve();
+    // Serialises ledger appends so two scans never link to the same head
+    this.ledgerLock = Promise.resolve();
+    // Serialises re-signing runs, which take the ledger lock batch by batch
+    this.resignLock = Promise.resolve();
+    // Serialises points ledger writes so balances and stock are checked and
+    // spent in one step
+    this.pointsLock = Promise.resolve();
   }
 
   async connect() {
@@ -19,6 +175,7 @@ class Database {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
+          this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
           this.initializeTables().then(resolve).catch(reject);
         }
       });
@@ -50,12 +207,269 @@ class Database {
       );
 
       -- Admin API keys table
-      CREATE TABLE IF NOT EXISTS api_keys (
+      ${API_KEYS_TABLE}
+
+      -- Campaigns a (sponsor) API key may read
+      CREATE TABLE IF NOT EXISTS api_key_campaigns (
+        api_key_id INTEGER NOT NULL,
+        campaign_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (api_key_id, campaign_id)
+      );
+
+      -- Registry of issued Neo Cards
+      CREATE TABLE IF NOT EXISTS cards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uid TEXT UNIQUE NOT NULL,
+        batch_id TEXT,
+        owner TEXT,
+        status TEXT NOT NULL DEFAULT 'issued',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Card lifecycle changes
+      CREATE TABLE IF NOT EXISTS card_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uid TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        reason TEXT,
+        changed_by TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Single-use scan challenges for clients without tag counters
+      CREATE TABLE IF NOT EXISTS scan_nonces (
+        nonce TEXT PRIMARY KEY,
+        campaign_id TEXT NOT NULL,
+        uid TEXT,
+        ip_address TEXT,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Responses of requests sent with an Idempotency-Key header; rows
+      -- without response_status are still being processed. Keys are scoped
+      -- to the caller (scope: key:<api key id>, device:<device id> or '' for
+      -- anonymous requests), so callers never see each other's responses.
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL DEFAULT '',
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (scope, idempotency_key)
+      );
+
+      -- Review decisions on flagged scans
+      CREATE TABLE IF NOT EXISTS scan_review_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        reviewed_by TEXT,
+        reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Admin-managed block and allow lists (UIDs, UID prefixes, IP/CIDR
+      -- ranges and device IDs)
+      CREATE TABLE IF NOT EXISTS access_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list_type TEXT NOT NULL,
+        entry_type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        reason TEXT,
+        expires_at DATETIME,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (list_type, entry_type, value)
+      );
+
+      -- Versioned AEI secrets; retired keys still verify older scans. Stored
+      -- in plaintext: read access to this file allows forging checksums.
+      CREATE TABLE IF NOT EXISTS aei_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_id TEXT UNIQUE NOT NULL,
+        secret TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        retired_at DATETIME
+      );
+
+      -- Audit trail of scans re-signed under a new AEI key
+      CREATE TABLE IF NOT EXISTS aei_resign_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id TEXT NOT NULL,
+        old_key_id TEXT,
+        new_key_id TEXT NOT NULL,
+        old_checksum TEXT NOT NULL,
+        new_checksum TEXT NOT NULL,
+        resigned_by TEXT,
+        resigned_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Webhook subscriptions to the events of one campaign
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id TEXT UNIQUE NOT NULL,
+        campaign_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active BOOLEAN DEFAULT 1,
+        last_summary_day DATE,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      );
+
+      -- Webhook delivery queue and log; pending rows are sent by the worker
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id TEXT UNIQUE NOT NULL,
+        webhook_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_attempt_at DATETIME,
+        last_status_code INTEGER,
+        last_error TEXT,
+        redelivery_of TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME
+      );
+
+      -- Enrolled scan readers; they sign scan requests with their secret
+      CREATE TABLE IF NOT EXISTS devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        location TEXT,
+        secret TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        last_seen_at DATETIME,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME
+      );
+
+      -- Campaigns a device may submit scans for (none: any campaign)
+      CREATE TABLE IF NOT EXISTS device_campaigns (
+        device_id TEXT NOT NULL,
+        campaign_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (device_id, campaign_id)
+      );
+
+      -- Places campaigns run at: a circle around the venue's coordinates
+      CREATE TABLE IF NOT EXISTS venues (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        venue_id TEXT UNIQUE NOT NULL,
+        name TEXT NOT NULL,
+        address TEXT,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        radius_m INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Campaigns running at each venue
+      CREATE TABLE IF NOT EXISTS venue_campaigns (
+        venue_id TEXT NOT NULL,
+        campaign_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (venue_id, campaign_id)
+      );
+
+      -- Points each campaign awards per scan; campaigns without a row award none
+      CREATE TABLE IF NOT EXISTS reward_rules (
+        campaign_id TEXT PRIMARY KEY,
+        points_per_scan INTEGER NOT NULL DEFAULT 0,
+        first_scan_bonus INTEGER NOT NULL DEFAULT 0,
+        streak_days INTEGER,
+        streak_multiplier REAL,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Points earned, reversed and spent per UID and campaign; a balance is
+      -- the sum of its entries
+      CREATE TABLE IF NOT EXISTS points_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        uid TEXT NOT NULL,
+        campaign_id TEXT NOT NULL,
+        entry_type TEXT NOT NULL,
+        points INTEGER NOT NULL,
+        scan_id TEXT,
+        redemption_id TEXT,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Reward catalog; stock NULL means unlimited
+      CREATE TABLE IF NOT EXISTS reward_items (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        key_name TEXT NOT NULL,
-        api_key TEXT UNIQUE NOT NULL,
-        permissions TEXT DEFAULT 'admin',
+        item_id TEXT UNIQUE NOT NULL,
+        campaign_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        cost_points INTEGER NOT NULL,
+        stock INTEGER,
+        redeemed_count INTEGER NOT NULL DEFAULT 0,
         active BOOLEAN DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Reward items exchanged for points
+      CREATE TABLE IF NOT EXISTS redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        redemption_id TEXT UNIQUE NOT NULL,
+        uid TEXT NOT NULL,
+        campaign_id TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        cost_points INTEGER NOT NULL,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Merkle roots sealing each completed day of each scan ledger chain
+      CREATE TABLE IF NOT EXISTS ledger_roots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id TEXT NOT NULL,
+        day DATE NOT NULL,
+        scan_count INTEGER NOT NULL,
+        first_seq INTEGER NOT NULL,
+        last_seq INTEGER NOT NULL,
+        last_hash TEXT NOT NULL,
+        merkle_root TEXT NOT NULL,
+        sealed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (chain_id, day)
+      );
+
+      -- Rejected or suspicious scan attempts
+      CREATE TABLE IF NOT EXISTS fraud_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL,
+        code TEXT NOT NULL,
+        uid TEXT,
+        campaign_id TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        details TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -74,6 +488,20 @@ class Database {
       CREATE INDEX IF NOT EXISTS idx_scans_campaign ON scans(campaign_id);
       CREATE INDEX IF NOT EXISTS idx_scans_timestamp ON scans(timestamp);
       CREATE INDEX IF NOT EXISTS idx_fraud_uid ON fraud_tracking(uid);
+      CREATE INDEX IF NOT EXISTS idx_cards_batch ON cards(batch_id);
+      CREATE INDEX IF NOT EXISTS idx_card_history_uid ON card_status_history(uid);
+      CREATE INDEX IF NOT EXISTS idx_fraud_events_uid ON fraud_events(uid);
+      CREATE INDEX IF NOT EXISTS idx_fraud_events_created ON fraud_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_review_history_scan ON scan_review_history(scan_id);
+      CREATE INDEX IF NOT EXISTS idx_resign_history_scan ON aei_resign_history(scan_id);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_campaign ON webhooks(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
+      CREATE INDEX IF NOT EXISTS idx_venue_campaigns_campaign ON venue_campaigns(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_uid ON points_ledger(campaign_id, uid);
+      CREATE INDEX IF NOT EXISTS idx_points_ledger_scan ON points_ledger(scan_id);
+      CREATE INDEX IF NOT EXISTS idx_reward_items_campaign ON reward_items(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_redemptions_campaign ON redemptions(campaign_id, created_at);
     `;
 
     return new Promise((resolve, reject) => {
@@ -83,20 +511,92 @@ class Database {
           reject(err);
         } else {
           console.log('Database tables initialized');
-          this.seedInitialData().then(resolve).catch(reject);
+          this.runMigrations()
+            .then(() => this.seedInitialData())
+            .then(resolve)
+            .catch(reject);
         }
       });
     });
   }
 
-  async seedInitialData() {
-    // Insert default API keys
-    const insertApiKeys = `
-      INSERT OR IGNORE INTO api_keys (key_name, api_key, permissions) VALUES
-      ('Admin Demo Key', 'neocard_admin_demo_key_2024', 'admin'),
-      ('Sponsor Demo Key', 'neocard_sponsor_demo_key_2024', 'sponsor');
-    `;
+  /**
+   * Bring databases created by earlier versions up to the current schema
+   */
+  async runMigrations() {
+    await this.migrateApiKeysToHashedStorage();
+
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = await this.getTableColumns(table);
+      if (!columns.includes(column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    await this.exec(MIGRATED_INDEXES);
 
+    // Scans flagged before the review queue existed start out pending
+    await this.run("UPDATE scans SET review_status = 'pending' WHERE flagged = 1 AND review_status IS NULL");
+
+    // The ledger is keyed from the keyring, so load it first
+    await this.initAeiKeyring();
+
+    // Scans stored before the ledger existed join their chains in id order
+    await this.chainUnlinkedScans();
+
+    console.log('Database migrations applied');
+  }
+
+  async getTableColumns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Rebuild a legacy api_keys table (plaintext api_key column) into the
+   * hashed layout, keeping row IDs so api_key_campaigns links survive
+   */
+  async migrateApiKeysToHashedStorage() {
+    const columns = await this.getTableColumns('api_keys');
+
+    if (columns.includes('api_key')) {
+      const legacyKeys = await this.all('SELECT * FROM api_keys ORDER BY id');
+
+      await this.exec('BEGIN TRANSACTION');
+      try {
+        await this.run('ALTER TABLE api_keys RENAME TO api_keys_legacy');
+        await this.exec(API_KEYS_TABLE);
+
+        for (const key of legacyKeys) {
+          const salt = crypto.randomBytes(16).toString('hex');
+          await this.run(`
+            INSERT INTO api_keys (id, key_name, key_prefix, key_hash, key_salt, permissions, active, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            key.id,
+            key.key_name,
+            getApiKeyPrefix(key.api_key),
+            hashApiKey(key.api_key, salt, config.security.apiKeySecret),
+            salt,
+            key.permissions,
+            key.active,
+            key.created_at
+          ]);
+        }
+
+        await this.run('DROP TABLE api_keys_legacy');
+        await this.exec('COMMIT');
+        console.log(`Migrated ${legacyKeys.length} API keys to hashed storage`);
+      } catch (error) {
+        await this.exec('ROLLBACK');
+        throw error;
+      }
+    }
+
+    await this.run('CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix)');
+  }
+
+  async seedInitialData() {
     // Insert sample campaigns
     const insertCampaigns = `
       INSERT OR IGNORE INTO campaigns (campaign_id, name, description) VALUES
@@ -104,171 +604,2524 @@ class Database {
       ('DEMO02', 'Demo Campaign 2', 'Another sample campaign');
     `;
 
-    return new Promise((resolve, reject) => {
-      this.db.exec(insertApiKeys + insertCampaigns, (err) => {
-        if (err) {
-          console.error('Data seeding error:', err);
-          reject(err);
-        } else {
-          console.log('Initial data seeded');
-          resolve();
+    try {
+      await this.exec(insertCampaigns);
+
+      // Insert default API keys (hashed) unless they were created before,
+      // and link the sponsor demo key to the first demo campaign
+      for (const demoKey of DEMO_API_KEYS) {
+        const key = await this.findApiKey(demoKey.api_key) || await this.createApiKey(demoKey);
+
+        for (const campaignId of demoKey.campaigns) {
+          await this.run(
+            'INSERT OR IGNORE INTO api_key_campaigns (api_key_id, campaign_id) VALUES (?, ?)',
+            [key.id, campaignId]
+          );
         }
+      }
+
+      console.log('Initial data seeded');
+    } catch (err) {
+      console.error('Data seeding error:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Promise wrappers around the sqlite3 callback API
+   */
+  async run(sql, params = []) {
+    return query(this.db).run(sql, params);
+  }
+
+  async get(sql, params = []) {
+    return query(this.db).get(sql, params);
+  }
+
+  async exec(sql) {
+    return query(this.db).exec(sql);
+  }
+
+  async all(sql, params = []) {
+    return query(this.db).all(sql, params);
+  }
+
+  /**
+   * Open the transaction connection on first use
+   * @returns {Promise<sqlite3.Database>}
+   */
+  async openTransactionConnection() {
+    if (this.txDb) return this.txDb;
+
+    return new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(path.resolve(config.database.path), (err) => {
+        if (err) return reject(err);
+
+        connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        this.txDb = connection;
+        resolve(connection);
       });
     });
   }
 
+  /**
+   * Run a task in a transaction on a connection of its own. Statements other
+   * requests send through run/get/all meanwhile wait for the write lock
+   * instead of joining the transaction, so a ROLLBACK never discards them.
+   * Transactions run one at a time; a task that throws is rolled back.
+   * @param {function({run, get, all}): Promise} task - Gets query helpers
+   *   bound to the transaction
+   * @returns {Promise} - The task's result
+   */
+  transaction(task) {
+    const result = this.transactionLock.then(async () => {
+      const tx = query(await this.openTransactionConnection());
+
+      await tx.exec('BEGIN IMMEDIATE TRANSACTION');
+      try {
+        const value = await task(tx);
+        await tx.exec('COMMIT');
+        return value;
+      } catch (error) {
+        await tx.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    this.transactionLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Insert a scan, appending it to its ledger chain
+   * @param {object} scanData - scans columns
+   */
   async insertScan(scanData) {
-    const sql = `
-      INSERT INTO scans (scan_id, uid, campaign_id, timestamp, checksum, verified)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `;
+    return this.withLedgerLock(async () => {
+      const link = await this.nextChainLink(scanData, new Date().toISOString());
+      const row = { ...scanData, ...link };
+      const columns = Object.keys(row);
+      const sql = `
+        INSERT INTO scans (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `;
 
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, [
-        scanData.scan_id,
-        scanData.uid,
-        scanData.campaign_id,
-        scanData.timestamp,
-        scanData.checksum,
-        scanData.verified
-      ], function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
+      return this.run(sql, columns.map(column => row[column]));
     });
   }
 
-  async getScans(filters = {}) {
-    let sql = 'SELECT * FROM scans WHERE 1=1';
-    const params = [];
+  /**
+   * Run a task once every earlier ledger task has finished
+   * @param {function(): Promise} task
+   * @returns {Promise} - The task's result
+   */
+  withLedgerLock(task) {
+    const result = this.ledgerLock.then(task);
+    this.ledgerLock = result.catch(() => {});
+    return result;
+  }
 
-    if (filters.uid) {
-      sql += ' AND uid = ?';
-      params.push(filters.uid);
-    }
+  /**
+   * Run a task once every earlier points ledger task has finished
+   * @param {function(): Promise} task
+   * @returns {Promise} - The task's result
+   */
+  withPointsLock(task) {
+    const result = this.pointsLock.then(task);
+    this.pointsLock = result.catch(() => {});
+    return result;
+  }
 
-    if (filters.campaign_id) {
-      sql += ' AND campaign_id = ?';
-      params.push(filters.campaign_id);
-    }
+  /**
+   * Ledger columns linking a scan to the head of its chain. Call inside
+   * withLedgerLock.
+   * @param {object} scan - scan_id, uid, campaign_id, timestamp, checksum
+   * @param {string} chainedAt - ISO time the scan joins the ledger
+   * @returns {Promise<object>} - chain_id, chain_seq, prev_hash, chain_hash,
+   *   chain_key_id, chained_at
+   */
+  async nextChainLink(scan, chainedAt) {
+    const chainId = chainIdFor(config.ledger.chainScope, scan.campaign_id);
+    const head = await this.get(
+      'SELECT chain_seq, chain_hash FROM scans WHERE chain_id = ? ORDER BY chain_seq DESC LIMIT 1',
+      [chainId]
+    );
 
-    if (filters.start_date) {
-      sql += ' AND timestamp >= ?';
-      params.push(filters.start_date);
-    }
+    return this.linkScan(scan, {
+      chain_id: chainId,
+      chain_seq: head ? head.chain_seq + 1 : 1,
+      prev_hash: head ? head.chain_hash : GENESIS_HASH,
+      chained_at: chainedAt
+    });
+  }
 
-    if (filters.end_date) {
-      sql += ' AND timestamp <= ?';
-      params.push(filters.end_date);
-    }
+  /**
+   * Complete a chain link with its hash under the active AEI key
+   * @param {object} scan - scan_id, uid, campaign_id, timestamp, checksum
+   * @param {object} link - chain_id, chain_seq, prev_hash, chained_at
+   * @returns {object} - The link with chain_hash and chain_key_id
+   */
+  linkScan(scan, link) {
+    const { keyId, secret } = getActiveAeiKey();
+    const keyed = { ...link, chain_key_id: keyId };
+    return { ...keyed, chain_hash: computeChainHash({ ...scan, ...keyed }, secret) };
+  }
 
-    sql += ' ORDER BY timestamp DESC';
+  /**
+   * Link scans that are not in the ledger yet (rows from before it existed)
+   */
+  async chainUnlinkedScans() {
+    const scans = await this.all(`
+      SELECT id, scan_id, uid, campaign_id, timestamp, checksum,
+        strftime('%Y-%m-%dT%H:%M:%fZ', created_at) AS created_iso
+      FROM scans WHERE chain_hash IS NULL ORDER BY id
+    `);
 
-    if (filters.limit) {
-      sql += ' LIMIT ?';
-      params.push(filters.limit);
+    for (const scan of scans) {
+      await this.withLedgerLock(async () => {
+        const link = await this.nextChainLink(scan, scan.created_iso || new Date().toISOString());
+        await this.run(`
+          UPDATE scans SET chain_id = ?, chain_seq = ?, prev_hash = ?, chain_hash = ?, chain_key_id = ?, chained_at = ?
+          WHERE id = ?
+        `, [link.chain_id, link.chain_seq, link.prev_hash, link.chain_hash, link.chain_key_id, link.chained_at, scan.id]);
+      });
     }
+  }
 
-    if (filters.offset) {
-      sql += ' OFFSET ?';
-      params.push(filters.offset);
+  /**
+   * Create the AEI keyring on first start (AEI_SECRET_KEY becomes key v1,
+   * which signed every existing scan) and load it into memory
+   */
+  async initAeiKeyring() {
+    const existing = await this.get('SELECT COUNT(*) AS count FROM aei_keys');
+
+    if (existing.count === 0) {
+      await this.run(
+        "INSERT INTO aei_keys (key_id, secret, status, created_by) VALUES (?, ?, 'active', 'system')",
+        [INITIAL_KEY_ID, config.security.aeiSecretKey]
+      );
     }
 
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    const oldest = await this.get('SELECT key_id FROM aei_keys ORDER BY id LIMIT 1');
+    await this.run('UPDATE scans SET aei_key_id = ? WHERE aei_key_id IS NULL', [oldest.key_id]);
+
+    await this.loadAeiKeyring();
   }
 
-  async getLastScanTime(uid) {
-    const sql = 'SELECT timestamp FROM scans WHERE uid = ? ORDER BY timestamp DESC LIMIT 1';
-    
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [uid], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? row.timestamp : null);
-        }
-      });
-    });
+  /**
+   * Refresh the in-memory keyring from aei_keys
+   */
+  async loadAeiKeyring() {
+    loadAeiKeys(await this.all('SELECT key_id, secret, status FROM aei_keys ORDER BY id'));
   }
 
-  async getDailyScanCount(uid, date) {
-    const sql = 'SELECT COUNT(*) as count FROM scans WHERE uid = ? AND DATE(timestamp) = ?';
-    
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [uid, date], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? row.count : 0);
-        }
-      });
+  /**
+   * AEI keys without their secrets, newest first, with how many scans each signs
+   */
+  async getAeiKeys() {
+    return this.all(`
+      SELECT k.key_id, k.status, k.created_by, k.created_at, k.retired_at,
+        (SELECT COUNT(*) FROM scans s WHERE s.aei_key_id = k.key_id) AS scan_count
+      FROM aei_keys k
+      ORDER BY k.id DESC
+    `);
+  }
+
+  /**
+   * Retire the active AEI key and make a new one active, in one transaction
+   * so the ring is never left without an active key
+   * @param {string} secret - Secret of the new key
+   * @param {string} createdBy - Name of the API key rotating
+   * @returns {Promise<object>} - The new key, without its secret
+   */
+  async rotateAeiKey(secret, createdBy) {
+    const keyId = await this.transaction(async (tx) => {
+      const { next } = await tx.get("SELECT COALESCE(MAX(CAST(substr(key_id, 2) AS INTEGER)), 0) + 1 AS next FROM aei_keys");
+
+      await tx.run("UPDATE aei_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP WHERE status = 'active'");
+      await tx.run(
+        "INSERT INTO aei_keys (key_id, secret, status, created_by) VALUES (?, ?, 'active', ?)",
+        [`v${next}`, secret, createdBy]
+      );
+      return `v${next}`;
     });
+    await this.loadAeiKeyring();
+
+    return (await this.getAeiKeys()).find(key => key.key_id === keyId);
   }
 
-  async validateApiKey(apiKey) {
-    const sql = 'SELECT * FROM api_keys WHERE api_key = ? AND active = 1';
-    
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, [apiKey], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
+  /**
+   * Re-sign every scan not signed with the active key. Only scans whose
+   * current checksum verifies are re-signed, so a tampered scan cannot be
+   * laundered; each change is recorded in aei_resign_history.
+   *
+   * Chain hashes cover the checksum, so every chain is re-linked under the
+   * active key from its first re-signed scan on. Re-linking stops at the
+   * first broken link or bad checksum, which the audit keeps reporting;
+   * scans after it are skipped. Each batch of batchSize scans holds the
+   * ledger lock on its own, so new scans are accepted while a large ledger
+   * is re-signed. Runs are serialised.
+   * @param {string} resignedBy - Name of the API key re-signing
+   * @param {number} batchSize - Scans re-linked per ledger lock
+   * @returns {Promise<{key_id: string, resigned: number, skipped: Array<string>}>} - skipped: scan IDs left as they were
+   */
+  resignScans(resignedBy, batchSize = 500) {
+    const result = this.resignLock.then(async () => {
+      const { keyId } = getActiveAeiKey();
+      const chains = await this.all(`
+        SELECT chain_id, MIN(chain_seq) AS first_seq FROM scans
+        WHERE (aei_key_id IS NULL OR aei_key_id != ?) AND chain_id IS NOT NULL
+        GROUP BY chain_id ORDER BY chain_id
+      `, [keyId]);
+
+      const summary = { key_id: keyId, resigned: 0, skipped: [] };
+      for (const { chain_id, first_seq } of chains) {
+        const chain = await this.resignChain(chain_id, first_seq, resignedBy, batchSize);
+        summary.resigned += chain.resigned;
+        summary.skipped.push(...chain.skipped);
+      }
+
+      return summary;
     });
+    this.resignLock = result.catch(() => {});
+    return result;
   }
 
-  async getStats() {
-    const today = new Date().toISOString().split('T')[0];
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  /**
+   * Re-sign and re-link one chain from a position on, one batch per ledger
+   * lock. Scans appended between batches link to the head as it is then: an
+   * old head is re-linked later like any other scan, a re-linked one is
+   * already current.
+   * @param {string} chainId
+   * @param {number} fromSeq - First position to re-link
+   * @param {string} resignedBy - Name of the API key re-signing
+   * @param {number} batchSize - Scans re-linked per ledger lock
+   * @returns {Promise<{resigned: number, skipped: Array<string>}>}
+   */
+  async resignChain(chainId, fromSeq, resignedBy, batchSize) {
+    const { keyId, secret } = getActiveAeiKey();
 
-    const queries = {
-      totalScans: 'SELECT COUNT(*) as count FROM scans',
-      todayScans: 'SELECT COUNT(*) as count FROM scans WHERE DATE(timestamp) = ?',
-      yesterdayScans: 'SELECT COUNT(*) as count FROM scans WHERE DATE(timestamp) = ?',
-      uniqueUids: 'SELECT COUNT(DISTINCT uid) as count FROM scans',
-      lastScan: 'SELECT timestamp FROM scans ORDER BY timestamp DESC LIMIT 1'
-    };
+    const { previous, startDay, sealedDays, roots } = await this.withLedgerLock(async () => {
+      const first = await this.getChainScan(chainId, fromSeq);
+      const day = first.chained_at.slice(0, 10);
+      const sealed = await this.getLedgerRoots({ chain_id: chainId, start_day: day });
 
-    const results = {};
-    
-    for (const [key, sql] of Object.entries(queries)) {
-      try {
-        const result = await new Promise((resolve, reject) => {
-          const params = key.includes('today') ? [today] : key.includes('yesterday') ? [yesterday] : [];
-          this.db.get(sql, params, (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-          });
-        });
-        
-        if (key === 'lastScan') {
-          results[key] = result ? result.timestamp : null;
-        } else {
-          results[key] = result ? result.count : 0;
-        }
-      } catch (error) {
-        console.error(`Error getting ${key}:`, error);
-        results[key] = key === 'lastScan' ? null : 0;
+      // Sealed days that still match are re-sealed once re-linked
+      const matching = [];
+      for (const root of sealed) {
+        const actual = await this.computeLedgerDay(chainId, root.day);
+        if (SEAL_FIELDS.every(field => actual[field] === root[field])) matching.push(root.day);
       }
-    }
 
-    return results;
-  }
+      return {
+        previous: fromSeq > 1 ? await this.getChainScan(chainId, fromSeq - 1) : null,
+        startDay: day,
+        sealedDays: sealed.map(root => root.day),
+        roots: matching
+      };
+    });
+
+    const skipped = [];
+    let resigned = 0;
+    let intact = true;
+    let expectedSeq = fromSeq;
+    let oldPrev = previous ? previous.chain_hash : GENESIS_HASH;
+    let newPrev = oldPrev;
+    let afterSeq = fromSeq - 1;
+    let done = false;
+
+    while (!done) {
+      done = await this.withLedgerLock(async () => {
+        const scans = await this.all(
+          'SELECT * FROM scans WHERE chain_id = ? AND chain_seq > ? ORDER BY chain_seq LIMIT ?',
+          [chainId, afterSeq, batchSize]
+        );
+        if (scans.length === 0) return true;
+
+        for (const scan of scans) {
+          // Appended after its predecessor was re-linked
+          const current = newPrev !== oldPrev && scan.prev_hash === newPrev;
+
+          intact = intact &&
+            scan.chain_seq === expectedSeq &&
+            (scan.prev_hash === oldPrev || current) &&
+            isLinkValid(scan, getAeiSecret) &&
+            verifyAEIChecksum(scan.uid, scan.timestamp, scan.campaign_id, scan.checksum, scan.aei_key_id);
+          expectedSeq = scan.chain_seq + 1;
+          oldPrev = scan.chain_hash;
+
+          if (!intact) {
+            if (scan.aei_key_id !== keyId) skipped.push(scan.scan_id);
+            continue;
+          }
+
+          if (current) {
+            newPrev = scan.chain_hash;
+            continue;
+          }
+
+          const checksum = scan.aei_key_id === keyId
+            ? scan.checksum
+            : generateAEIChecksum(scan.uid, scan.timestamp, scan.campaign_id, secret);
+          const link = this.linkScan({ ...scan, checksum }, {
+            chain_id: chainId,
+            chain_seq: scan.chain_seq,
+            prev_hash: newPrev,
+            chained_at: scan.chained_at
+          });
+
+          await this.run(`
+            UPDATE scans SET checksum = ?, aei_key_id = ?, prev_hash = ?, chain_hash = ?, chain_key_id = ?
+            WHERE id = ?
+          `, [checksum, keyId, link.prev_hash, link.chain_hash, link.chain_key_id, scan.id]);
+          newPrev = link.chain_hash;
+
+          if (checksum !== scan.checksum) {
+            await this.run(`
+              INSERT INTO aei_resign_history (scan_id, old_key_id, new_key_id, old_checksum, new_checksum, resigned_by)
+              VALUES (?, ?, ?, ?, ?, ?)
+            `, [scan.scan_id, scan.aei_key_id, keyId, scan.checksum, checksum, resignedBy]);
+            resigned++;
+          }
+        }
+
+        afterSeq = scans[scans.length - 1].chain_seq;
+        return false;
+      });
+    }
+
+    // Days sealed while re-linking ran may hold a mix of old and new hashes
+    await this.withLedgerLock(async () => {
+      for (const root of await this.getLedgerRoots({ chain_id: chainId, start_day: startDay })) {
+        if (!roots.includes(root.day) && sealedDays.includes(root.day)) continue;
+
+        const seal = await this.computeLedgerDay(chainId, root.day);
+        await this.run(
+          'UPDATE ledger_roots SET scan_count = ?, first_seq = ?, last_seq = ?, last_hash = ?, merkle_root = ? WHERE chain_id = ? AND day = ?',
+          [seal.scan_count, seal.first_seq, seal.last_seq, seal.last_hash, seal.merkle_root, chainId, root.day]
+        );
+      }
+    });
+
+    return { resigned, skipped };
+  }
+
+  /**
+   * Re-signing audit trail, newest first
+   * @param {object} filters - scan_id, limit, offset
+   */
+  async getAeiResignHistory(filters = {}) {
+    const where = filters.scan_id ? ' WHERE scan_id = ?' : '';
+    const params = filters.scan_id ? [filters.scan_id] : [];
+
+    const { total } = await this.get(`SELECT COUNT(*) AS total FROM aei_resign_history${where}`, params);
+    const entries = await this.all(
+      `SELECT * FROM aei_resign_history${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+
+    return { entries, total };
+  }
+
+  /**
+   * Seal every day before `untilDay` that has ledger scans but no root yet
+   * @param {string} [untilDay] - YYYY-MM-DD (UTC), exclusive; default today
+   * @returns {Promise<number>} - Number of roots recorded
+   */
+  async sealLedgerDays(untilDay = new Date().toISOString().split('T')[0]) {
+    const days = await this.all(`
+      SELECT s.chain_id, substr(s.chained_at, 1, 10) AS day
+      FROM scans s
+      WHERE s.chain_hash IS NOT NULL AND s.chained_at < ?
+      GROUP BY s.chain_id, day
+      HAVING NOT EXISTS (
+        SELECT 1 FROM ledger_roots r WHERE r.chain_id = s.chain_id AND r.day = substr(s.chained_at, 1, 10)
+      )
+      ORDER BY day, s.chain_id
+    `, [untilDay]);
+
+    for (const { chain_id, day } of days) {
+      const seal = await this.computeLedgerDay(chain_id, day);
+      await this.run(`
+        INSERT OR IGNORE INTO ledger_roots (chain_id, day, scan_count, first_seq, last_seq, last_hash, merkle_root)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [chain_id, day, seal.scan_count, seal.first_seq, seal.last_seq, seal.last_hash, seal.merkle_root]);
+    }
+
+    return days.length;
+  }
+
+  /**
+   * Recompute the seal of one chain's day from the scans currently stored
+   * @param {string} chainId
+   * @param {string} day - YYYY-MM-DD (UTC)
+   * @returns {Promise<object>} - scan_count, first_seq, last_seq, last_hash, merkle_root
+   */
+  async computeLedgerDay(chainId, day) {
+    const scans = await this.all(`
+      SELECT chain_seq, chain_hash FROM scans
+      WHERE chain_id = ? AND substr(chained_at, 1, 10) = ?
+      ORDER BY chain_seq
+    `, [chainId, day]);
+
+    return {
+      scan_count: scans.length,
+      first_seq: scans.length ? scans[0].chain_seq : null,
+      last_seq: scans.length ? scans[scans.length - 1].chain_seq : null,
+      last_hash: scans.length ? scans[scans.length - 1].chain_hash : null,
+      merkle_root: merkleRoot(scans.map(scan => scan.chain_hash))
+    };
+  }
+
+  /**
+   * Sealed ledger days
+   * @param {object} filters - chain_id, start_day, end_day (YYYY-MM-DD, inclusive)
+   */
+  async getLedgerRoots(filters = {}) {
+    let sql = 'SELECT * FROM ledger_roots WHERE 1=1';
+    const params = [];
+
+    if (filters.chain_id) {
+      sql += ' AND chain_id = ?';
+      params.push(filters.chain_id);
+    }
+
+    if (filters.start_day) {
+      sql += ' AND day >= ?';
+      params.push(filters.start_day);
+    }
+
+    if (filters.end_day) {
+      sql += ' AND day <= ?';
+      params.push(filters.end_day);
+    }
+
+    return this.all(`${sql} ORDER BY day, chain_id`, params);
+  }
+
+  /**
+   * Chains with scans in a ledger time range
+   * @param {object} filters - chain_id, start, end (ISO, end exclusive)
+   * @returns {Promise<Array<string>>}
+   */
+  async getLedgerChains(filters = {}) {
+    const range = this.ledgerRangeClause(filters);
+    const rows = await this.all(
+      `SELECT DISTINCT chain_id FROM scans WHERE chain_id IS NOT NULL${range.sql} ORDER BY chain_id`,
+      range.params
+    );
+    return rows.map(row => row.chain_id);
+  }
+
+  /**
+   * Iterate over one chain's scans in a ledger time range, in chain order
+   * @param {string} chainId
+   * @param {object} filters - start, end (ISO, end exclusive)
+   * @param {number} batchSize - Rows fetched per query
+   * @yields {Array<object>} - Non-empty batches of scans rows
+   */
+  async *iterateChain(chainId, filters = {}, batchSize = 1000) {
+    const range = this.ledgerRangeClause(filters);
+    let afterSeq = 0;
+
+    while (true) {
+      const rows = await this.all(`
+        SELECT * FROM scans WHERE chain_id = ? AND chain_seq > ?${range.sql}
+        ORDER BY chain_seq LIMIT ?
+      `, [chainId, afterSeq, ...range.params, batchSize]);
+
+      if (rows.length === 0) return;
+      yield rows;
+
+      if (rows.length < batchSize) return;
+      afterSeq = rows[rows.length - 1].chain_seq;
+    }
+  }
+
+  /**
+   * The scan at a position of a chain
+   * @param {string} chainId
+   * @param {number} seq
+   */
+  async getChainScan(chainId, seq) {
+    return this.get('SELECT * FROM scans WHERE chain_id = ? AND chain_seq = ?', [chainId, seq]);
+  }
+
+  /**
+   * Extra WHERE conditions selecting ledger scans by chain and chained_at
+   * @param {object} filters - chain_id, start, end (ISO, end exclusive)
+   * @returns {{sql: string, params: Array}} - SQL starting with ` AND`, or empty
+   */
+  ledgerRangeClause({ chain_id, start, end } = {}) {
+    let sql = '';
+    const params = [];
+
+    if (chain_id) {
+      sql += ' AND chain_id = ?';
+      params.push(chain_id);
+    }
+
+    if (start) {
+      sql += ' AND chained_at >= ?';
+      params.push(start);
+    }
+
+    if (end) {
+      sql += ' AND chained_at < ?';
+      params.push(end);
+    }
+
+    return { sql, params };
+  }
+
+  /**
+   * WHERE clause for the scan filters shared by getScans and iterateScans
+   * @param {object} filters - uid, campaign_id, campaign_ids, device_id,
+   *   venue_id, verified, review_status, passed_review, start_date, end_date
+   *   (inclusive) and end_before (exclusive)
+   * @returns {{sql: string, params: Array}}
+   */
+  scanFilterClause(filters = {}) {
+    let sql = '1=1';
+    const params = [];
+
+    if (filters.uid) {
+      sql += ' AND uid = ?';
+      params.push(filters.uid);
+    }
+
+    if (filters.campaign_id) {
+      sql += ' AND campaign_id = ?';
+      params.push(filters.campaign_id);
+    }
+
+    if (filters.campaign_ids) {
+      const scope = this.campaignScopeClause(filters.campaign_ids);
+      sql += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    if (filters.device_id) {
+      sql += ' AND device_id = ?';
+      params.push(filters.device_id);
+    }
+
+    if (filters.venue_id) {
+      sql += ' AND venue_id = ?';
+      params.push(filters.venue_id);
+    }
+
+    if (filters.verified !== undefined) {
+      sql += ' AND verified = ?';
+      params.push(filters.verified ? 1 : 0);
+    }
+
+    if (filters.review_status) {
+      sql += ' AND review_status = ?';
+      params.push(filters.review_status);
+    }
+
+    if (filters.passed_review) {
+      sql += ` AND ${passedReviewClause()}`;
+    }
+
+    if (filters.start_date) {
+      sql += ' AND timestamp >= ?';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      sql += ' AND timestamp <= ?';
+      params.push(filters.end_date);
+    }
+
+    if (filters.end_before) {
+      sql += ' AND timestamp < ?';
+      params.push(filters.end_before);
+    }
+
+    return { sql, params };
+  }
+
+  async getScans(filters = {}) {
+    const where = this.scanFilterClause(filters);
+    let sql = `SELECT * FROM scans WHERE ${where.sql}`;
+    const params = [...where.params];
+
+    sql += ' ORDER BY timestamp DESC';
+
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+
+    if (filters.offset) {
+      sql += ' OFFSET ?';
+      params.push(filters.offset);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Iterate over matching scans in (timestamp, id) order, one batch at a time.
+   * Uses keyset pagination so memory stays flat however many scans match.
+   * @param {object} filters - As for scanFilterClause
+   * @param {number} batchSize - Rows fetched per query
+   * @yields {Array<object>} - Non-empty batches of scans rows
+   */
+  async *iterateScans(filters = {}, batchSize = 500) {
+    const where = this.scanFilterClause(filters);
+    let cursor = null;
+
+    while (true) {
+      const after = cursor ? ' AND (timestamp, id) > (?, ?)' : '';
+      const rows = await this.all(
+        `SELECT * FROM scans WHERE ${where.sql}${after} ORDER BY timestamp, id LIMIT ?`,
+        [...where.params, ...(cursor ? [cursor.timestamp, cursor.id] : []), batchSize]
+      );
+
+      if (rows.length === 0) return;
+      yield rows;
+
+      if (rows.length < batchSize) return;
+      cursor = rows[rows.length - 1];
+    }
+  }
+
+  async getCard(uid) {
+    return this.get('SELECT * FROM cards WHERE uid = ?', [uid]);
+  }
+
+  async getCards(filters = {}) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    for (const column of ['status', 'batch_id', 'owner']) {
+      if (filters[column]) {
+        where += ` AND ${column} = ?`;
+        params.push(filters[column]);
+      }
+    }
+
+    const total = await this.get(`SELECT COUNT(*) as count FROM cards${where}`, params);
+    const cards = await this.all(
+      `SELECT * FROM cards${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+
+    return { cards, total: total.count };
+  }
+
+  /**
+   * Register a card in the `issued` state
+   * @returns {object|null} - The new card, or null if the UID is registered
+   */
+  async createCard(card, changedBy) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO cards (uid, batch_id, owner, status, sdm_file_read_key)
+      VALUES (?, ?, ?, 'issued', ?)
+    `, [card.uid, card.batch_id || null, card.owner || null, card.sdm_file_read_key || null]);
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    await this.run(`
+      INSERT INTO card_status_history (uid, from_status, to_status, reason, changed_by)
+      VALUES (?, NULL, 'issued', ?, ?)
+    `, [card.uid, 'Registered', changedBy]);
+
+    return this.getCard(card.uid);
+  }
+
+  async updateCard(uid, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['batch_id', 'owner', 'sdm_file_read_key']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(uid);
+      await this.run(`UPDATE cards SET ${fields.join(', ')} WHERE uid = ?`, params);
+    }
+
+    return this.getCard(uid);
+  }
+
+  async setCardStatus(uid, fromStatus, toStatus, reason, changedBy) {
+    await this.run(
+      'UPDATE cards SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?',
+      [toStatus, uid]
+    );
+
+    await this.run(`
+      INSERT INTO card_status_history (uid, from_status, to_status, reason, changed_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [uid, fromStatus, toStatus, reason || null, changedBy]);
+
+    return this.getCard(uid);
+  }
+
+  async getCardStatusHistory(uid) {
+    return this.all(
+      'SELECT from_status, to_status, reason, changed_by, changed_at FROM card_status_history WHERE uid = ? ORDER BY id',
+      [uid]
+    );
+  }
+
+  async getCardScanSummary(uid) {
+    const totals = await this.get(`
+      SELECT
+        COUNT(*) as totalScans,
+        COALESCE(SUM(flagged), 0) as flaggedScans,
+        MIN(timestamp) as firstScan,
+        MAX(timestamp) as lastScan
+      FROM scans WHERE uid = ?
+    `, [uid]);
+
+    const campaigns = await this.all(`
+      SELECT campaign_id, COUNT(*) as scans, MAX(timestamp) as lastScan
+      FROM scans WHERE uid = ?
+      GROUP BY campaign_id
+      ORDER BY scans DESC
+    `, [uid]);
+
+    return { ...totals, campaigns };
+  }
+
+  /**
+   * Advance a card's last accepted tag read counter
+   * @returns {boolean} - false when the counter is not strictly greater
+   *   than the stored one (a replayed tap)
+   */
+  async advanceCardReadCounter(uid, readCounter) {
+    const result = await this.run(`
+      UPDATE cards SET last_read_counter = ?
+      WHERE uid = ? AND (last_read_counter IS NULL OR last_read_counter < ?)
+    `, [readCounter, uid, readCounter]);
+
+    return result.changes === 1;
+  }
+
+  async createScanNonce(nonceData) {
+    await this.run(`
+      INSERT INTO scan_nonces (nonce, campaign_id, uid, ip_address, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [nonceData.nonce, nonceData.campaign_id, nonceData.uid || null, nonceData.ip_address || null, nonceData.expires_at]);
+  }
+
+  async getScanNonce(nonce) {
+    return this.get('SELECT * FROM scan_nonces WHERE nonce = ?', [nonce]);
+  }
+
+  /**
+   * Mark a nonce as used if it is still unused and unexpired
+   * @returns {boolean} - Whether this call consumed the nonce
+   */
+  async consumeScanNonce(nonce, now) {
+    const result = await this.run(
+      'UPDATE scan_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL AND expires_at > ?',
+      [now, nonce, now]
+    );
+
+    return result.changes === 1;
+  }
+
+  async deleteExpiredScanNonces(now) {
+    return this.run('DELETE FROM scan_nonces WHERE expires_at <= ?', [now]);
+  }
+
+  /**
+   * Claim an idempotency key for a request
+   * @param {object} keyData - { scope, idempotency_key, request_hash, expires_at }
+   * @returns {boolean} - Whether the key was free (false: another request of
+   *   the same caller holds it; look it up with getIdempotencyKey)
+   */
+  async claimIdempotencyKey(keyData) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `, [keyData.scope, keyData.idempotency_key, keyData.request_hash, keyData.expires_at]);
+
+    return result.changes === 1;
+  }
+
+  async getIdempotencyKey(scope, key) {
+    return this.get('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  }
+
+  /**
+   * Store the response of the request that claimed a key
+   * @param {string} scope - Caller the key belongs to
+   * @param {string} key - Idempotency key
+   * @param {number} status - HTTP status code
+   * @param {object} body - JSON response body
+   */
+  async completeIdempotencyKey(scope, key, status, body) {
+    return this.run(
+      'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE scope = ? AND idempotency_key = ?',
+      [status, JSON.stringify(body), scope, key]
+    );
+  }
+
+  async releaseIdempotencyKey(scope, key) {
+    return this.run('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+  }
+
+  async deleteExpiredIdempotencyKeys(now) {
+    return this.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [now]);
+  }
+
+  async recordFraudEvent(event) {
+    return this.run(`
+      INSERT INTO fraud_events (event_type, code, uid, campaign_id, ip_address, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      event.event_type,
+      event.code,
+      event.uid || null,
+      event.campaign_id || null,
+      event.ip_address || null,
+      event.user_agent || null,
+      event.details ? JSON.stringify(event.details) : null
+    ]);
+  }
+
+  /**
+   * Distinct values of a scan column since a point in time
+   * @param {string} column - One of SCAN_DISTINCT_COLUMNS
+   * @param {object} match - Column/value pairs the scans must match
+   * @param {string} since - ISO timestamp
+   * @param {string} [until] - ISO timestamp (inclusive); buffered scans are
+   *   scored against the scans before them only
+   * @returns {Promise<Array>} - Distinct values
+   */
+  async getDistinctScanValues(column, match, since, until) {
+    const matchColumns = Object.keys(match);
+    if (![column, ...matchColumns].every(name => SCAN_DISTINCT_COLUMNS.includes(name))) {
+      throw new Error(`Unsupported scan column: ${column}`);
+    }
+
+    const rows = await this.all(`
+      SELECT DISTINCT ${column} AS value FROM scans
+      WHERE timestamp >= ? ${until ? 'AND timestamp <= ?' : ''} ${matchColumns.map(name => `AND ${name} = ?`).join(' ')}
+    `, [since, ...(until ? [until] : []), ...matchColumns.map(name => match[name])]);
+
+    return rows.map(row => row.value);
+  }
+
+  /**
+   * Scan a reader already sent with a device sequence number
+   * @param {string} deviceId
+   * @param {number} deviceSeq
+   */
+  async getScanByDeviceSeq(deviceId, deviceSeq) {
+    return this.get('SELECT scan_id, timestamp FROM scans WHERE device_id = ? AND device_seq = ?', [deviceId, deviceSeq]);
+  }
+
+  async getFraudTracking(uid) {
+    return this.get('SELECT * FROM fraud_tracking WHERE uid = ? ORDER BY id DESC LIMIT 1', [uid]);
+  }
+
+  /**
+   * Update a UID's fraud tracking row after a stored scan
+   * @param {string} uid - Card UID
+   * @param {string} timestamp - ISO scan timestamp
+   */
+  async trackScan(uid, timestamp) {
+    const today = timestamp.split('T')[0];
+    const tracking = await this.getFraudTracking(uid);
+
+    if (!tracking) {
+      return this.run(`
+        INSERT INTO fraud_tracking (uid, last_scan_time, daily_scan_count, last_reset_date)
+        VALUES (?, ?, 1, ?)
+      `, [uid, timestamp, today]);
+    }
+
+    // Buffered scans older than the last tracked one do not move it back
+    if (tracking.last_scan_time && tracking.last_scan_time > timestamp) return null;
+
+    const dailyCount = tracking.last_reset_date === today ? tracking.daily_scan_count + 1 : 1;
+    return this.run(`
+      UPDATE fraud_tracking SET last_scan_time = ?, daily_scan_count = ?, last_reset_date = ?
+      WHERE id = ?
+    `, [timestamp, dailyCount, today, tracking.id]);
+  }
+
+  /**
+   * List access list entries
+   * @param {object} filters - list_type, entry_type, include_expired
+   */
+  async getAccessListEntries(filters = {}) {
+    let sql = 'SELECT * FROM access_lists WHERE 1=1';
+    const params = [];
+
+    for (const column of ['list_type', 'entry_type']) {
+      if (filters[column]) {
+        sql += ` AND ${column} = ?`;
+        params.push(filters[column]);
+      }
+    }
+
+    if (!filters.include_expired) {
+      sql += ' AND (expires_at IS NULL OR expires_at > ?)';
+      params.push(new Date().toISOString());
+    }
+
+    sql += ' ORDER BY id DESC';
+
+    return this.all(sql, params);
+  }
+
+  async getAccessListEntry(id) {
+    return this.get('SELECT * FROM access_lists WHERE id = ?', [id]);
+  }
+
+  /**
+   * Add an access list entry, or refresh the reason and expiry of an
+   * identical one
+   */
+  async upsertAccessListEntry(entry) {
+    await this.run(`
+      INSERT INTO access_lists (list_type, entry_type, value, reason, expires_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (list_type, entry_type, value)
+      DO UPDATE SET reason = excluded.reason, expires_at = excluded.expires_at, created_by = excluded.created_by
+    `, [
+      entry.list_type,
+      entry.entry_type,
+      entry.value,
+      entry.reason || null,
+      entry.expires_at || null,
+      entry.created_by || null
+    ]);
+
+    return this.get(
+      'SELECT * FROM access_lists WHERE list_type = ? AND entry_type = ? AND value = ?',
+      [entry.list_type, entry.entry_type, entry.value]
+    );
+  }
+
+  async updateAccessListEntry(id, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['reason', 'expires_at']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      params.push(id);
+      await this.run(`UPDATE access_lists SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    return this.getAccessListEntry(id);
+  }
+
+  async deleteAccessListEntry(id) {
+    return this.run('DELETE FROM access_lists WHERE id = ?', [id]);
+  }
+
+  async getFraudEvents(filters = {}) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    for (const column of ['event_type', 'code', 'uid', 'campaign_id']) {
+      if (filters[column]) {
+        where += ` AND ${column} = ?`;
+        params.push(filters[column]);
+      }
+    }
+
+    if (filters.campaign_ids) {
+      const scope = this.campaignScopeClause(filters.campaign_ids);
+      where += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    const total = await this.get(`SELECT COUNT(*) as count FROM fraud_events${where}`, params);
+    const events = await this.all(
+      `SELECT * FROM fraud_events${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+
+    return {
+      events: events.map(event => ({ ...event, details: event.details ? JSON.parse(event.details) : null })),
+      total: total.count
+    };
+  }
+
+  async getScanById(scanId) {
+    return this.get('SELECT * FROM scans WHERE scan_id = ?', [scanId]);
+  }
+
+  /**
+   * Flagged scans for the review queue, oldest first
+   * @param {object} filters - status, campaign_ids, limit, offset
+   */
+  async getReviewQueue(filters = {}) {
+    let where = ' WHERE flagged = 1';
+    const params = [];
+
+    if (filters.status) {
+      where += ' AND review_status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.campaign_ids) {
+      const scope = this.campaignScopeClause(filters.campaign_ids);
+      where += ` AND ${scope.sql}`;
+      params.push(...scope.params);
+    }
+
+    const total = await this.get(`SELECT COUNT(*) as count FROM scans${where}`, params);
+    const scans = await this.all(
+      `SELECT * FROM scans${where} ORDER BY timestamp ASC, id ASC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+
+    return { scans, total: total.count };
+  }
+
+  /**
+   * Record a review decision on a flagged scan. Approved SUN scans become
+   * verified; rejected scans never are.
+   * @param {object} scan - Flagged scans row
+   * @param {string} status - approved or rejected
+   * @param {string|null} note - Reviewer's note
+   * @param {string} reviewedBy - Name of the reviewing API key
+   * @returns {Promise<object>} - Updated scan
+   */
+  async reviewScan(scan, status, note, reviewedBy) {
+    const reviewedAt = new Date().toISOString();
+    const verified = status === 'approved' && scan.auth_method === 'sun' ? 1 : 0;
+
+    await this.run(`
+      UPDATE scans
+      SET review_status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?, verified = ?
+      WHERE scan_id = ?
+    `, [status, reviewedBy, reviewedAt, note || null, verified, scan.scan_id]);
+
+    await this.run(`
+      INSERT INTO scan_review_history (scan_id, from_status, to_status, note, reviewed_by, reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [scan.scan_id, scan.review_status, status, note || null, reviewedBy, reviewedAt]);
+
+    return this.getScanById(scan.scan_id);
+  }
+
+  async getScanReviewHistory(scanId) {
+    return this.all(
+      'SELECT from_status, to_status, note, reviewed_by, reviewed_at FROM scan_review_history WHERE scan_id = ? ORDER BY id',
+      [scanId]
+    );
+  }
+
+  async findScan(fields) {
+    const sql = `
+      SELECT * FROM scans
+      WHERE uid = ? AND campaign_id = ? AND timestamp = ? AND checksum = ?
+      LIMIT 1
+    `;
+
+    return this.get(sql, [fields.uid, fields.campaign_id, fields.timestamp, fields.checksum.toLowerCase()]);
+  }
+
+  /**
+   * Time of a UID's most recent scan
+   * @param {string} uid - Card UID
+   * @param {string|null} campaignId - Only consider this campaign (null: any)
+   * @param {string} [before] - Only consider scans at or before this ISO time
+   */
+  async getLastScanTime(uid, campaignId = null, before = null) {
+    let sql = 'SELECT timestamp FROM scans WHERE uid = ?';
+    const params = [uid];
+
+    if (campaignId) {
+      sql += ' AND campaign_id = ?';
+      params.push(campaignId);
+    }
+
+    if (before) {
+      sql += ' AND timestamp <= ?';
+      params.push(before);
+    }
+
+    sql += ' ORDER BY timestamp DESC LIMIT 1';
+
+    const row = await this.get(sql, params);
+    return row ? row.timestamp : null;
+  }
+
+  /**
+   * A UID's most recent scan that carried a location
+   * @param {string} uid - Card UID
+   * @param {string} before - Only consider scans at or before this ISO time
+   */
+  async getLastLocatedScan(uid, before) {
+    return this.get(`
+      SELECT scan_id, timestamp, latitude, longitude, venue_id FROM scans
+      WHERE uid = ? AND latitude IS NOT NULL AND timestamp <= ?
+      ORDER BY timestamp DESC LIMIT 1
+    `, [uid, before]);
+  }
+
+  /**
+   * Number of scans for a UID on a given day
+   * @param {string} uid - Card UID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string|null} campaignId - Only count this campaign (null: any)
+   */
+  async getDailyScanCount(uid, date, campaignId = null) {
+    let sql = 'SELECT COUNT(*) as count FROM scans WHERE uid = ? AND DATE(timestamp) = ?';
+    const params = [uid, date];
+
+    if (campaignId) {
+      sql += ' AND campaign_id = ?';
+      params.push(campaignId);
+    }
+
+    const row = await this.get(sql, params);
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Number of stored scans for a campaign, optionally for one UID
+   * @param {string} campaignId - Campaign ID
+   * @param {string} [uid] - Card UID
+   */
+  async getCampaignScanCount(campaignId, uid) {
+    let sql = 'SELECT COUNT(*) as count FROM scans WHERE campaign_id = ?';
+    const params = [campaignId];
+
+    if (uid) {
+      sql += ' AND uid = ?';
+      params.push(uid);
+    }
+
+    const row = await this.get(sql, params);
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Find the stored key matching a plaintext API key, whatever its state
+   * @param {string} apiKey - Plaintext API key
+   * @returns {object|undefined} - Full api_keys row
+   */
+  async findApiKey(apiKey) {
+    const candidates = await this.all(
+      'SELECT * FROM api_keys WHERE key_prefix = ?',
+      [getApiKeyPrefix(apiKey)]
+    );
+
+    return candidates.find(candidate =>
+      verifyApiKeyHash(apiKey, candidate.key_salt, candidate.key_hash, config.security.apiKeySecret)
+    );
+  }
+
+  async touchApiKey(id) {
+    await this.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+
+  /**
+   * Store a new API key. A random key is generated unless one is given.
+   * @returns {object} - Public key metadata plus the plaintext `api_key`
+   */
+  async createApiKey(keyData) {
+    const apiKey = keyData.api_key || generateApiKey();
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    const result = await this.run(`
+      INSERT INTO api_keys (key_name, key_prefix, key_hash, key_salt, permissions, expires_at, rotated_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      keyData.key_name,
+      getApiKeyPrefix(apiKey),
+      hashApiKey(apiKey, salt, config.security.apiKeySecret),
+      salt,
+      keyData.permissions || 'sponsor',
+      keyData.expires_at || null,
+      keyData.rotated_from || null
+    ]);
+
+    const created = await this.getApiKeyById(result.id);
+    return { ...created, api_key: apiKey };
+  }
+
+  async revokeApiKey(id) {
+    await this.run(
+      'UPDATE api_keys SET active = 0, revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+
+    return this.getApiKeyById(id);
+  }
+
+  async setApiKeyExpiry(id, expiresAt) {
+    await this.run('UPDATE api_keys SET expires_at = ? WHERE id = ?', [expiresAt, id]);
+    return this.getApiKeyById(id);
+  }
+
+  async getApiKeys(filters = {}) {
+    let sql = `SELECT ${API_KEY_PUBLIC_COLUMNS} FROM api_keys WHERE 1=1`;
+    const params = [];
+
+    if (filters.unused_since) {
+      sql += ' AND datetime(COALESCE(last_used_at, created_at)) < datetime(?)';
+      params.push(filters.unused_since);
+    }
+
+    sql += ' ORDER BY id';
+
+    const keys = await this.all(sql, params);
+    for (const key of keys) {
+      key.campaigns = await this.getApiKeyCampaigns(key.id);
+    }
+
+    return keys;
+  }
+
+  async getApiKeyById(id) {
+    const key = await this.get(`SELECT ${API_KEY_PUBLIC_COLUMNS} FROM api_keys WHERE id = ?`, [id]);
+
+    if (key) {
+      key.campaigns = await this.getApiKeyCampaigns(key.id);
+    }
+
+    return key;
+  }
+
+  async getApiKeyCampaigns(apiKeyId) {
+    const rows = await this.all(
+      'SELECT campaign_id FROM api_key_campaigns WHERE api_key_id = ? ORDER BY campaign_id',
+      [apiKeyId]
+    );
+
+    return rows.map(row => row.campaign_id);
+  }
+
+  async setApiKeyCampaigns(apiKeyId, campaignIds) {
+    await this.run('DELETE FROM api_key_campaigns WHERE api_key_id = ?', [apiKeyId]);
+
+    for (const campaignId of campaignIds) {
+      await this.run(
+        'INSERT OR IGNORE INTO api_key_campaigns (api_key_id, campaign_id) VALUES (?, ?)',
+        [apiKeyId, campaignId]
+      );
+    }
+
+    return this.getApiKeyCampaigns(apiKeyId);
+  }
+
+  /**
+   * Build a SQL condition restricting rows to a list of campaigns
+   * @param {string[]|null} campaignIds - Allowed campaigns, or null for all
+   * @param {string} column - Campaign column to filter on
+   * @returns {{sql: string, params: string[]}}
+   */
+  campaignScopeClause(campaignIds, column = 'campaign_id') {
+    if (!campaignIds) {
+      return { sql: '1=1', params: [] };
+    }
+
+    if (campaignIds.length === 0) {
+      return { sql: '0', params: [] };
+    }
+
+    return {
+      sql: `${column} IN (${campaignIds.map(() => '?').join(', ')})`,
+      params: [...campaignIds]
+    };
+  }
+
+  async getStats(filters = {}) {
+    const today = new Date().toISOString().split('T')[0];
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const scope = this.campaignScopeClause(filters.campaign_ids);
+    let where = filters.passed_review ? `${scope.sql} AND ${passedReviewClause()}` : scope.sql;
+    const whereParams = [...scope.params];
+
+    if (filters.device_id) {
+      where += ' AND device_id = ?';
+      whereParams.push(filters.device_id);
+    }
+
+    if (filters.venue_id) {
+      where += ' AND venue_id = ?';
+      whereParams.push(filters.venue_id);
+    }
+
+    const queries = {
+      totalScans: `SELECT COUNT(*) as count FROM scans WHERE ${where}`,
+      todayScans: `SELECT COUNT(*) as count FROM scans WHERE ${where} AND DATE(timestamp) = ?`,
+      yesterdayScans: `SELECT COUNT(*) as count FROM scans WHERE ${where} AND DATE(timestamp) = ?`,
+      verifiedScans: `SELECT COUNT(*) as count FROM scans WHERE ${where} AND verified = 1`,
+      unverifiedScans: `SELECT COUNT(*) as count FROM scans WHERE ${where} AND verified = 0`,
+      uniqueUids: `SELECT COUNT(DISTINCT uid) as count FROM scans WHERE ${where}`,
+      lastScan: `SELECT timestamp FROM scans WHERE ${where} ORDER BY timestamp DESC LIMIT 1`
+    };
+
+    // Keys that see unreviewed scans also get the review queue's state
+    if (!filters.passed_review) {
+      queries.pendingReview = `SELECT COUNT(*) as count FROM scans WHERE ${where} AND review_status = 'pending'`;
+      queries.approvedReview = `SELECT COUNT(*) as count FROM scans WHERE ${where} AND review_status = 'approved'`;
+      queries.rejectedReview = `SELECT COUNT(*) as count FROM scans WHERE ${where} AND review_status = 'rejected'`;
+    }
+
+    const results = {};
+    
+    for (const [key, sql] of Object.entries(queries)) {
+      try {
+        const result = await new Promise((resolve, reject) => {
+          const params = key.includes('today') ? [today] : key.includes('yesterday') ? [yesterday] : [];
+          this.db.get(sql, [...whereParams, ...params], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          });
+        });
+        
+        if (key === 'lastScan') {
+          results[key] = result ? result.timestamp : null;
+        } else {
+          results[key] = result ? result.count : 0;
+        }
+      } catch (error) {
+        console.error(`Error getting ${key}:`, error);
+        results[key] = key === 'lastScan' ? null : 0;
+      }
+    }
+
+    try {
+      results.campaigns = await this.getCampaignStats(today, filters);
+    } catch (error) {
+      console.error('Error getting campaign stats:', error);
+      results.campaigns = [];
+    }
+
+    try {
+      results.devices = await this.getDeviceStats(today, filters);
+    } catch (error) {
+      console.error('Error getting device stats:', error);
+      results.devices = [];
+    }
+
+    try {
+      results.venues = await this.getVenueStats(today, filters);
+    } catch (error) {
+      console.error('Error getting venue stats:', error);
+      results.venues = [];
+    }
+
+    return results;
+  }
+
+  /**
+   * Scan counts, unique UIDs and new vs returning UIDs per time bucket.
+   * Buckets come from utils/timeseries and are joined in SQL, so empty
+   * buckets come back as zeros. A UID is new in the bucket holding its first
+   * scan within the same campaign/review scope.
+   * @param {object} filters - buckets, campaign_ids, passed_review
+   */
+  async getTimeseries(filters) {
+    const { buckets } = filters;
+    const scope = this.campaignScopeClause(filters.campaign_ids, 's.campaign_id');
+    const firstScope = this.campaignScopeClause(filters.campaign_ids);
+    const review = filters.passed_review ? ` AND ${passedReviewClause('s')}` : '';
+    const firstReview = filters.passed_review ? ` AND ${passedReviewClause()}` : '';
+
+    const sql = `
+      WITH buckets (bucket, start_ts, end_ts) AS (
+        VALUES ${buckets.map(() => '(?, ?, ?)').join(', ')}
+      ),
+      first_seen AS (
+        SELECT uid, MIN(timestamp) AS first_ts
+        FROM scans
+        WHERE ${firstScope.sql}${firstReview}
+        GROUP BY uid
+      )
+      SELECT
+        b.bucket,
+        b.start_ts AS start,
+        b.end_ts AS end,
+        COUNT(s.id) AS scans,
+        COUNT(DISTINCT s.uid) AS unique_uids,
+        COUNT(DISTINCT CASE WHEN f.first_ts >= b.start_ts THEN s.uid END) AS new_uids,
+        COUNT(DISTINCT s.uid) - COUNT(DISTINCT CASE WHEN f.first_ts >= b.start_ts THEN s.uid END) AS returning_uids
+      FROM buckets b
+      LEFT JOIN scans s
+        ON s.timestamp >= b.start_ts AND s.timestamp < b.end_ts AND ${scope.sql}${review}
+      LEFT JOIN first_seen f ON f.uid = s.uid
+      GROUP BY b.bucket, b.start_ts, b.end_ts
+      ORDER BY b.start_ts
+    `;
+
+    return this.all(sql, [
+      ...buckets.flatMap(bucket => [bucket.bucket, bucket.start, bucket.end]),
+      ...firstScope.params,
+      ...scope.params
+    ]);
+  }
+
+  /**
+   * Cohort retention for one campaign. UIDs are grouped into the bucket of
+   * their first scan in the campaign (the first `cohort_count` buckets are
+   * cohorts; the rest are follow-up periods). Returns raw rows:
+   *   activity - UIDs per cohort active in each period offset (0 = cohort size)
+   *   repeats  - UIDs per cohort by number of scans in the window (5 = 5+)
+   *   timing   - time-to-second-scan percentiles in seconds per cohort
+   * Rows with cohort_idx -1 cover every cohort together.
+   * @param {object} filters - campaign_id, buckets, cohort_count, passed_review
+   */
+  async getRetention(filters) {
+    const { buckets } = filters;
+    const review = filters.passed_review ? ` AND ${passedReviewClause()}` : '';
+
+    const cte = `
+      WITH buckets (idx, start_ts, end_ts) AS (
+        VALUES ${buckets.map(() => '(?, ?, ?)').join(', ')}
+      ),
+      campaign_scans AS (
+        SELECT uid, timestamp FROM scans
+        WHERE campaign_id = ? AND timestamp < ?${review}
+      ),
+      firsts AS (
+        SELECT uid, MIN(timestamp) AS first_ts FROM campaign_scans GROUP BY uid
+      ),
+      members AS (
+        SELECT f.uid, f.first_ts, b.idx AS cohort_idx
+        FROM firsts f
+        JOIN buckets b ON f.first_ts >= b.start_ts AND f.first_ts < b.end_ts
+        WHERE b.idx < ?
+      )
+    `;
+    const params = [
+      ...buckets.flatMap((bucket, idx) => [idx, bucket.start, bucket.end]),
+      filters.campaign_id,
+      buckets[buckets.length - 1].end,
+      filters.cohort_count
+    ];
+
+    const activity = await this.all(`${cte}
+      SELECT cohort_idx, period, COUNT(*) AS uids
+      FROM (
+        SELECT DISTINCT m.uid, m.cohort_idx, b.idx - m.cohort_idx AS period
+        FROM members m
+        JOIN campaign_scans s ON s.uid = m.uid
+        JOIN buckets b ON s.timestamp >= b.start_ts AND s.timestamp < b.end_ts
+      )
+      GROUP BY cohort_idx, period
+      ORDER BY cohort_idx, period
+    `, params);
+
+    const repeats = await this.all(`${cte},
+      per_uid AS (
+        SELECT m.cohort_idx, MIN(COUNT(*), 5) AS scans
+        FROM members m
+        JOIN campaign_scans s ON s.uid = m.uid
+        GROUP BY m.uid
+      )
+      SELECT cohort_idx, scans, COUNT(*) AS uids FROM per_uid GROUP BY cohort_idx, scans
+      UNION ALL
+      SELECT -1, scans, COUNT(*) FROM per_uid GROUP BY scans
+      ORDER BY 1, 2
+    `, params);
+
+    // Nearest-rank percentiles: the first delta whose rank reaches p * n
+    const timing = await this.all(`${cte},
+      seconds AS (
+        SELECT m.cohort_idx, (julianday(MIN(s.timestamp)) - julianday(m.first_ts)) * 86400 AS delta
+        FROM members m
+        JOIN campaign_scans s ON s.uid = m.uid AND s.timestamp > m.first_ts
+        GROUP BY m.uid
+      ),
+      grouped AS (
+        SELECT cohort_idx AS grp, delta FROM seconds
+        UNION ALL
+        SELECT -1, delta FROM seconds
+      ),
+      ranked AS (
+        SELECT grp, delta,
+          ROW_NUMBER() OVER (PARTITION BY grp ORDER BY delta) AS rn,
+          COUNT(*) OVER (PARTITION BY grp) AS n
+        FROM grouped
+      )
+      SELECT
+        grp AS cohort_idx,
+        MAX(n) AS uids,
+        MIN(CASE WHEN rn >= 0.5 * n THEN delta END) AS p50,
+        MIN(CASE WHEN rn >= 0.75 * n THEN delta END) AS p75,
+        MIN(CASE WHEN rn >= 0.9 * n THEN delta END) AS p90
+      FROM ranked
+      GROUP BY grp
+      ORDER BY grp
+    `, params);
+
+    return { activity, repeats, timing };
+  }
+
+  /**
+   * Scan counts per campaign. Filters narrow the joined scans, so campaigns
+   * without matching scans are still listed with zero counts.
+   * @param {string} today - YYYY-MM-DD
+   * @param {object} filters - campaign_ids, passed_review, device_id, venue_id
+   */
+  async getCampaignStats(today, filters = {}) {
+    const scope = this.campaignScopeClause(filters.campaign_ids, 'c.campaign_id');
+    let scanJoin = filters.passed_review ? ` AND ${passedReviewClause('s')}` : '';
+    const joinParams = [];
+
+    if (filters.device_id) {
+      scanJoin += ' AND s.device_id = ?';
+      joinParams.push(filters.device_id);
+    }
+
+    if (filters.venue_id) {
+      scanJoin += ' AND s.venue_id = ?';
+      joinParams.push(filters.venue_id);
+    }
+
+    const sql = `
+      SELECT
+        c.campaign_id,
+        c.name,
+        c.active,
+        COUNT(s.id) as totalScans,
+        COALESCE(SUM(CASE WHEN DATE(s.timestamp) = ? THEN 1 ELSE 0 END), 0) as todayScans,
+        COALESCE(SUM(s.verified), 0) as verifiedScans,
+        COUNT(DISTINCT s.uid) as uniqueUids,
+        MAX(s.timestamp) as lastScan
+      FROM campaigns c
+      LEFT JOIN scans s ON s.campaign_id = c.campaign_id${scanJoin}
+      WHERE ${scope.sql}
+      GROUP BY c.campaign_id
+      ORDER BY c.campaign_id
+    `;
+
+    return this.all(sql, [today, ...joinParams, ...scope.params]);
+  }
+
+  /**
+   * Scan counts per submitting device within a campaign/review scope, most
+   * active first. Scans without a device come back as device_id null.
+   * @param {string} today - YYYY-MM-DD
+   * @param {object} filters - campaign_ids, passed_review, device_id, venue_id
+   */
+  async getDeviceStats(today, filters = {}) {
+    const where = this.scanFilterClause({
+      campaign_ids: filters.campaign_ids,
+      passed_review: filters.passed_review,
+      device_id: filters.device_id,
+      venue_id: filters.venue_id
+    });
+
+    return this.all(`
+      SELECT
+        s.device_id,
+        d.name,
+        d.location,
+        d.status,
+        COUNT(*) as totalScans,
+        SUM(CASE WHEN DATE(s.timestamp) = ? THEN 1 ELSE 0 END) as todayScans,
+        SUM(s.verified) as verifiedScans,
+        COUNT(DISTINCT s.uid) as uniqueUids,
+        MAX(s.timestamp) as lastScan
+      FROM (SELECT * FROM scans WHERE ${where.sql}) s
+      LEFT JOIN devices d ON d.device_id = s.device_id
+      GROUP BY s.device_id
+      ORDER BY totalScans DESC, s.device_id
+    `, [today, ...where.params]);
+  }
+
+  /**
+   * Scan counts per venue within a campaign/review/device/venue scope, most
+   * active first. Scans not matched to a venue come back as venue_id null, with how
+   * many of them were located outside their campaign's geofence.
+   * @param {string} today - YYYY-MM-DD
+   * @param {object} filters - campaign_ids, passed_review, device_id, venue_id
+   */
+  async getVenueStats(today, filters = {}) {
+    const where = this.scanFilterClause({
+      campaign_ids: filters.campaign_ids,
+      passed_review: filters.passed_review,
+      device_id: filters.device_id,
+      venue_id: filters.venue_id
+    });
+
+    return this.all(`
+      SELECT
+        s.venue_id,
+        v.name,
+        COUNT(*) as totalScans,
+        SUM(CASE WHEN DATE(s.timestamp) = ? THEN 1 ELSE 0 END) as todayScans,
+        SUM(s.verified) as verifiedScans,
+        COUNT(DISTINCT s.uid) as uniqueUids,
+        SUM(CASE WHEN s.geofence_status = 'outside' THEN 1 ELSE 0 END) as outsideGeofence,
+        MAX(s.timestamp) as lastScan
+      FROM (SELECT * FROM scans WHERE ${where.sql}) s
+      LEFT JOIN venues v ON v.venue_id = s.venue_id
+      GROUP BY s.venue_id
+      ORDER BY totalScans DESC, s.venue_id
+    `, [today, ...where.params]);
+  }
+
+  async getCampaigns(filters = {}) {
+    let sql = 'SELECT * FROM campaigns WHERE 1=1';
+    const params = [];
+
+    if (filters.active !== undefined) {
+      sql += ' AND active = ?';
+      params.push(filters.active ? 1 : 0);
+    }
+
+    sql += ' ORDER BY created_at DESC, id DESC';
+
+    return this.all(sql, params);
+  }
+
+  async getCampaign(campaignId) {
+    return this.get('SELECT * FROM campaigns WHERE campaign_id = ?', [campaignId]);
+  }
+
+  async createCampaign(campaign) {
+    const sql = `
+      INSERT INTO campaigns (campaign_id, name, description, active, destination_url)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    await this.run(sql, [
+      campaign.campaign_id,
+      campaign.name,
+      campaign.description || null,
+      campaign.active === false ? 0 : 1,
+      campaign.destination_url || null
+    ]);
+
+    return this.getCampaign(campaign.campaign_id);
+  }
+
+  async updateCampaign(campaignId, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['name', 'description', 'active', 'destination_url']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(column === 'active' ? (updates[column] ? 1 : 0) : updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      params.push(campaignId);
+      await this.run(`UPDATE campaigns SET ${fields.join(', ')} WHERE campaign_id = ?`, params);
+    }
+
+    return this.getCampaign(campaignId);
+  }
+
+  /**
+   * Set a campaign's anti-fraud policy overrides. Only the given fields are
+   * changed; a null value clears the override so the server default applies.
+   * @param {string} campaignId - Campaign ID
+   * @param {object} policy - Subset of CAMPAIGN_POLICY_FIELDS columns
+   */
+  async setCampaignPolicy(campaignId, policy) {
+    const columns = Object.keys(CAMPAIGN_POLICY_FIELDS).filter(column => policy[column] !== undefined);
+
+    if (columns.length > 0) {
+      await this.run(
+        `UPDATE campaigns SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE campaign_id = ?`,
+        [...columns.map(column => policy[column]), campaignId]
+      );
+    }
+
+    return this.getCampaign(campaignId);
+  }
+
+  async getWebhooks(filters = {}) {
+    const scope = this.campaignScopeClause(filters.campaign_ids);
+    return this.all(`SELECT * FROM webhooks WHERE ${scope.sql} ORDER BY id DESC`, scope.params);
+  }
+
+  async getWebhook(webhookId) {
+    return this.get('SELECT * FROM webhooks WHERE webhook_id = ?', [webhookId]);
+  }
+
+  /**
+   * Store a webhook subscription
+   * @param {object} webhook - webhook_id, campaign_id, url, events (array),
+   *   secret, description, created_by
+   */
+  async createWebhook(webhook) {
+    // The first summary.daily covers the day the webhook was created
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    await this.run(`
+      INSERT INTO webhooks (webhook_id, campaign_id, url, events, secret, description, last_summary_day, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      webhook.webhook_id,
+      webhook.campaign_id,
+      webhook.url,
+      JSON.stringify(webhook.events),
+      webhook.secret,
+      webhook.description || null,
+      yesterday,
+      webhook.created_by || null
+    ]);
+
+    return this.getWebhook(webhook.webhook_id);
+  }
+
+  async updateWebhook(webhookId, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['url', 'events', 'description', 'active']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        if (column === 'events') params.push(JSON.stringify(updates.events));
+        else if (column === 'active') params.push(updates.active ? 1 : 0);
+        else params.push(updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(webhookId);
+      await this.run(`UPDATE webhooks SET ${fields.join(', ')} WHERE webhook_id = ?`, params);
+    }
+
+    return this.getWebhook(webhookId);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   */
+  async deleteWebhook(webhookId) {
+    await this.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+    return this.run('DELETE FROM webhooks WHERE webhook_id = ?', [webhookId]);
+  }
+
+  /**
+   * Active webhooks of a campaign subscribed to an event
+   */
+  async getWebhookSubscribers(campaignId, event) {
+    return this.all(`
+      SELECT * FROM webhooks
+      WHERE campaign_id = ? AND active = 1
+        AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)
+    `, [campaignId, event]);
+  }
+
+  /**
+   * Active summary.daily subscribers that have not been sent `day` yet
+   * @param {string} day - YYYY-MM-DD (UTC)
+   */
+  async getWebhooksDueSummary(day) {
+    return this.all(`
+      SELECT * FROM webhooks
+      WHERE active = 1 AND (last_summary_day IS NULL OR last_summary_day < ?)
+        AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = 'summary.daily')
+    `, [day]);
+  }
+
+  async setWebhookSummaryDay(webhookId, day) {
+    return this.run('UPDATE webhooks SET last_summary_day = ? WHERE webhook_id = ?', [day, webhookId]);
+  }
+
+  /**
+   * Scan totals of one campaign for one UTC day, counting scans that passed
+   * review
+   * @param {string} campaignId
+   * @param {string} day - YYYY-MM-DD
+   */
+  async getDailyScanSummary(campaignId, day) {
+    return this.get(`
+      SELECT COUNT(*) AS total_scans,
+        COUNT(DISTINCT uid) AS unique_uids,
+        COALESCE(SUM(CASE WHEN verified = 1 THEN 1 ELSE 0 END), 0) AS verified_scans
+      FROM scans
+      WHERE campaign_id = ? AND substr(timestamp, 1, 10) = ? AND ${passedReviewClause()}
+    `, [campaignId, day]);
+  }
+
+  /**
+   * Queue webhook deliveries, due immediately
+   * @param {Array<object>} deliveries - delivery_id, webhook_id, event_id, event, payload, redelivery_of
+   */
+  async createWebhookDeliveries(deliveries) {
+    const now = new Date().toISOString();
+
+    for (const delivery of deliveries) {
+      await this.run(`
+        INSERT INTO webhook_deliveries (delivery_id, webhook_id, event_id, event, payload, next_attempt_at, redelivery_of)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        delivery.delivery_id,
+        delivery.webhook_id,
+        delivery.event_id,
+        delivery.event,
+        delivery.payload,
+        now,
+        delivery.redelivery_of || null
+      ]);
+    }
+  }
+
+  /**
+   * Pending deliveries of active webhooks that are due, oldest first, with
+   * the URL and secret to send them with
+   * @param {string} now - ISO time
+   * @param {number} limit
+   */
+  async getDueWebhookDeliveries(now, limit) {
+    return this.all(`
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.webhook_id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `, [now, limit]);
+  }
+
+  /**
+   * Store the outcome of a delivery attempt
+   * @param {number} id - webhook_deliveries.id
+   * @param {object} attempt - status, attempts, next_attempt_at, last_status_code,
+   *   last_error, last_attempt_at, delivered_at
+   */
+  async recordWebhookAttempt(id, attempt) {
+    return this.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?, last_attempt_at = ?, delivered_at = ?
+      WHERE id = ?
+    `, [
+      attempt.status,
+      attempt.attempts,
+      attempt.next_attempt_at,
+      attempt.last_status_code,
+      attempt.last_error,
+      attempt.last_attempt_at,
+      attempt.delivered_at,
+      id
+    ]);
+  }
+
+  async getWebhookDeliveries(filters = {}) {
+    let where = 'webhook_id = ?';
+    const params = [filters.webhook_id];
+
+    if (filters.status) {
+      where += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.event) {
+      where += ' AND event = ?';
+      params.push(filters.event);
+    }
+
+    const { total } = await this.get(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${where}`, params);
+    const deliveries = await this.all(
+      `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit || 50, filters.offset || 0]
+    );
+
+    return { deliveries, total };
+  }
+
+  async getWebhookDelivery(deliveryId) {
+    return this.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+  }
+
+  async getDevices(filters = {}) {
+    let sql = 'SELECT * FROM devices WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.campaign_id) {
+      sql += ' AND device_id IN (SELECT device_id FROM device_campaigns WHERE campaign_id = ?)';
+      params.push(filters.campaign_id);
+    }
+
+    const devices = await this.all(`${sql} ORDER BY id DESC`, params);
+    for (const device of devices) {
+      device.campaigns = await this.getDeviceCampaigns(device.device_id);
+    }
+
+    return devices;
+  }
+
+  async getDevice(deviceId) {
+    const device = await this.get('SELECT * FROM devices WHERE device_id = ?', [deviceId]);
+
+    if (device) {
+      device.campaigns = await this.getDeviceCampaigns(deviceId);
+    }
+
+    return device;
+  }
+
+  async getDeviceCampaigns(deviceId) {
+    const rows = await this.all(
+      'SELECT campaign_id FROM device_campaigns WHERE device_id = ? ORDER BY campaign_id',
+      [deviceId]
+    );
+
+    return rows.map(row => row.campaign_id);
+  }
+
+  async setDeviceCampaigns(deviceId, campaignIds) {
+    await this.run('DELETE FROM device_campaigns WHERE device_id = ?', [deviceId]);
+
+    for (const campaignId of campaignIds) {
+      await this.run(
+        'INSERT OR IGNORE INTO device_campaigns (device_id, campaign_id) VALUES (?, ?)',
+        [deviceId, campaignId]
+      );
+    }
+
+    return this.getDeviceCampaigns(deviceId);
+  }
+
+  /**
+   * Enroll a device
+   * @param {object} device - device_id, name, location, secret, campaign_ids,
+   *   created_by
+   */
+  async createDevice(device) {
+    await this.run(`
+      INSERT INTO devices (device_id, name, location, secret, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [device.device_id, device.name, device.location || null, device.secret, device.created_by || null]);
+    await this.setDeviceCampaigns(device.device_id, device.campaign_ids || []);
+
+    return this.getDevice(device.device_id);
+  }
+
+  async updateDevice(deviceId, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['name', 'location']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(deviceId);
+      await this.run(`UPDATE devices SET ${fields.join(', ')} WHERE device_id = ?`, params);
+    }
+
+    if (updates.campaign_ids !== undefined) {
+      await this.setDeviceCampaigns(deviceId, updates.campaign_ids);
+    }
+
+    return this.getDevice(deviceId);
+  }
+
+  async revokeDevice(deviceId) {
+    await this.run(`
+      UPDATE devices SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE device_id = ?
+    `, [deviceId]);
+
+    return this.getDevice(deviceId);
+  }
+
+  async touchDevice(deviceId, now) {
+    return this.run('UPDATE devices SET last_seen_at = ? WHERE device_id = ?', [now, deviceId]);
+  }
+
+  async getVenues(filters = {}) {
+    let sql = 'SELECT * FROM venues WHERE 1=1';
+    const params = [];
+
+    if (filters.campaign_id) {
+      sql += ' AND venue_id IN (SELECT venue_id FROM venue_campaigns WHERE campaign_id = ?)';
+      params.push(filters.campaign_id);
+    }
+
+    const venues = await this.all(`${sql} ORDER BY name, venue_id`, params);
+    for (const venue of venues) {
+      venue.campaigns = await this.getVenueCampaigns(venue.venue_id);
+    }
+
+    return venues;
+  }
+
+  async getVenue(venueId) {
+    const venue = await this.get('SELECT * FROM venues WHERE venue_id = ?', [venueId]);
+
+    if (venue) {
+      venue.campaigns = await this.getVenueCampaigns(venueId);
+    }
+
+    return venue;
+  }
+
+  async getVenueCampaigns(venueId) {
+    const rows = await this.all(
+      'SELECT campaign_id FROM venue_campaigns WHERE venue_id = ? ORDER BY campaign_id',
+      [venueId]
+    );
+
+    return rows.map(row => row.campaign_id);
+  }
+
+  async setVenueCampaigns(venueId, campaignIds) {
+    await this.run('DELETE FROM venue_campaigns WHERE venue_id = ?', [venueId]);
+
+    for (const campaignId of campaignIds) {
+      await this.run(
+        'INSERT OR IGNORE INTO venue_campaigns (venue_id, campaign_id) VALUES (?, ?)',
+        [venueId, campaignId]
+      );
+    }
+
+    return this.getVenueCampaigns(venueId);
+  }
+
+  /**
+   * Venues a campaign runs at, i.e. its geofence
+   */
+  async getCampaignVenues(campaignId) {
+    return this.all(`
+      SELECT v.* FROM venues v
+      JOIN venue_campaigns vc ON vc.venue_id = v.venue_id
+      WHERE vc.campaign_id = ?
+      ORDER BY v.venue_id
+    `, [campaignId]);
+  }
+
+  /**
+   * Create a venue
+   * @param {object} venue - venue_id, name, address, latitude, longitude,
+   *   radius_m, campaign_ids
+   */
+  async createVenue(venue) {
+    await this.run(`
+      INSERT INTO venues (venue_id, name, address, latitude, longitude, radius_m)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [venue.venue_id, venue.name, venue.address || null, venue.latitude, venue.longitude, venue.radius_m]);
+    await this.setVenueCampaigns(venue.venue_id, venue.campaign_ids || []);
+
+    return this.getVenue(venue.venue_id);
+  }
+
+  async updateVenue(venueId, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['name', 'address', 'latitude', 'longitude', 'radius_m']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(venueId);
+      await this.run(`UPDATE venues SET ${fields.join(', ')} WHERE venue_id = ?`, params);
+    }
+
+    if (updates.campaign_ids !== undefined) {
+      await this.setVenueCampaigns(venueId, updates.campaign_ids);
+    }
+
+    return this.getVenue(venueId);
+  }
+
+  /**
+   * Delete a venue and its campaign links. Scans keep their venue_id.
+   */
+  async deleteVenue(venueId) {
+    await this.run('DELETE FROM venue_campaigns WHERE venue_id = ?', [venueId]);
+    return this.run('DELETE FROM venues WHERE venue_id = ?', [venueId]);
+  }
+
+  async getRewardRules(campaignId) {
+    return this.get('SELECT * FROM reward_rules WHERE campaign_id = ?', [campaignId]);
+  }
+
+  /**
+   * Replace a campaign's reward rules
+   * @param {string} campaignId - Campaign ID
+   * @param {object} rules - points_per_scan, first_scan_bonus, streak_days,
+   *   streak_multiplier
+   * @param {string} updatedBy - Name of the API key
+   */
+  async setRewardRules(campaignId, rules, updatedBy) {
+    await this.run(`
+      INSERT INTO reward_rules (campaign_id, points_per_scan, first_scan_bonus, streak_days, streak_multiplier, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (campaign_id) DO UPDATE SET
+        points_per_scan = excluded.points_per_scan,
+        first_scan_bonus = excluded.first_scan_bonus,
+        streak_days = excluded.streak_days,
+        streak_multiplier = excluded.streak_multiplier,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `, [
+      campaignId,
+      rules.points_per_scan,
+      rules.first_scan_bonus,
+      rules.streak_days,
+      rules.streak_multiplier,
+      updatedBy
+    ]);
+
+    return this.getRewardRules(campaignId);
+  }
+
+  /**
+   * Append a points_ledger entry
+   * @param {object} entry - uid, campaign_id, entry_type, points and
+   *   optional scan_id, redemption_id, details
+   * @param {object} [connection] - Query helpers of a transaction (default: this)
+   */
+  async addPointsEntry(entry, connection = this) {
+    return connection.run(`
+      INSERT INTO points_ledger (uid, campaign_id, entry_type, points, scan_id, redemption_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.uid,
+      entry.campaign_id,
+      entry.entry_type,
+      entry.points,
+      entry.scan_id || null,
+      entry.redemption_id || null,
+      entry.details ? JSON.stringify(entry.details) : null,
+      new Date().toISOString()
+    ]);
+  }
+
+  /**
+   * Points a scan holds: what it earned minus what was reversed
+   * @returns {Promise<{entries: number, points: number}>}
+   */
+  async getScanPoints(scanId) {
+    return this.get(
+      'SELECT COUNT(*) AS entries, COALESCE(SUM(points), 0) AS points FROM points_ledger WHERE scan_id = ?',
+      [scanId]
+    );
+  }
+
+  /**
+   * Days (YYYY-MM-DD, newest first) on which a UID has scans holding points
+   * in a campaign
+   * @param {string} uid - Card UID
+   * @param {string} campaignId - Campaign ID
+   * @param {string} fromDay - First day (inclusive)
+   * @param {string} toDay - Last day (inclusive)
+   * @param {string} excludeScanId - Scan being scored
+   * @returns {Promise<Array<string>>}
+   */
+  async getPointsEarningDays(uid, campaignId, fromDay, toDay, excludeScanId) {
+    const rows = await this.all(`
+      SELECT DISTINCT DATE(s.timestamp) AS day
+      FROM scans s
+      JOIN (
+        SELECT scan_id FROM points_ledger
+        WHERE uid = ? AND campaign_id = ? AND scan_id IS NOT NULL AND scan_id != ?
+        GROUP BY scan_id
+        HAVING SUM(points) > 0
+      ) earned ON earned.scan_id = s.scan_id
+      WHERE DATE(s.timestamp) BETWEEN ? AND ?
+      ORDER BY day DESC
+    `, [uid, campaignId, excludeScanId, fromDay, toDay]);
+
+    return rows.map(row => row.day);
+  }
+
+  async getPointsBalance(uid, campaignId, connection = this) {
+    const row = await connection.get(
+      'SELECT COALESCE(SUM(points), 0) AS balance FROM points_ledger WHERE uid = ? AND campaign_id = ?',
+      [uid, campaignId]
+    );
+    return row.balance;
+  }
+
+  /**
+   * A UID's points per campaign
+   * @param {string} uid - Card UID
+   * @param {Array<string>|null} campaignIds - Campaign scope (null: all)
+   * @returns {Promise<Array<object>>} - campaign_id, balance, earned, redeemed
+   */
+  async getPointsBalances(uid, campaignIds = null) {
+    const scope = this.campaignScopeClause(campaignIds);
+
+    return this.all(`
+      SELECT
+        campaign_id,
+        SUM(points) AS balance,
+        SUM(CASE WHEN entry_type != 'redeem' THEN points ELSE 0 END) AS earned,
+        -SUM(CASE WHEN entry_type = 'redeem' THEN points ELSE 0 END) AS redeemed
+      FROM points_ledger
+      WHERE uid = ? AND ${scope.sql}
+      GROUP BY campaign_id
+      ORDER BY campaign_id
+    `, [uid, ...scope.params]);
+  }
+
+  /**
+   * A UID's points ledger entries, newest first
+   * @param {string} uid - Card UID
+   * @param {object} filters - campaign_ids, limit, offset
+   */
+  async getPointsLedger(uid, filters = {}) {
+    const scope = this.campaignScopeClause(filters.campaign_ids);
+    const entries = await this.all(`
+      SELECT uid, campaign_id, entry_type, points, scan_id, redemption_id, details, created_at
+      FROM points_ledger
+      WHERE uid = ? AND ${scope.sql}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `, [uid, ...scope.params, filters.limit || 50, filters.offset || 0]);
+
+    return entries.map(entry => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null }));
+  }
+
+  /**
+   * UIDs of a campaign ranked by points earned (redemptions do not lower a
+   * rank; reversed scans do)
+   * @param {string} campaignId - Campaign ID
+   * @param {number} limit - Number of UIDs
+   */
+  async getPointsLeaderboard(campaignId, limit) {
+    return this.all(`
+      SELECT
+        uid,
+        SUM(CASE WHEN entry_type != 'redeem' THEN points ELSE 0 END) AS earned,
+        SUM(points) AS balance,
+        MAX(created_at) AS last_activity
+      FROM points_ledger
+      WHERE campaign_id = ?
+      GROUP BY uid
+      HAVING earned > 0
+      ORDER BY earned DESC, uid
+      LIMIT ?
+    `, [campaignId, limit]);
+  }
+
+  /**
+   * List reward items
+   * @param {object} filters - campaign_ids, active
+   */
+  async getRewardItems(filters = {}) {
+    const scope = this.campaignScopeClause(filters.campaign_ids);
+    let sql = `SELECT * FROM reward_items WHERE ${scope.sql}`;
+    const params = [...scope.params];
+
+    if (filters.active !== undefined) {
+      sql += ' AND active = ?';
+      params.push(filters.active ? 1 : 0);
+    }
+
+    return this.all(`${sql} ORDER BY campaign_id, cost_points, item_id`, params);
+  }
+
+  async getRewardItem(itemId) {
+    return this.get('SELECT * FROM reward_items WHERE item_id = ?', [itemId]);
+  }
+
+  async createRewardItem(item) {
+    await this.run(`
+      INSERT INTO reward_items (item_id, campaign_id, name, description, cost_points, stock, active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      item.item_id,
+      item.campaign_id,
+      item.name,
+      item.description || null,
+      item.cost_points,
+      item.stock === undefined ? null : item.stock,
+      item.active === false ? 0 : 1,
+      item.created_by
+    ]);
+
+    return this.getRewardItem(item.item_id);
+  }
+
+  async updateRewardItem(itemId, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const column of ['name', 'description', 'cost_points', 'stock', 'active']) {
+      if (updates[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(column === 'active' ? (updates[column] ? 1 : 0) : updates[column]);
+      }
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(itemId);
+      await this.run(`UPDATE reward_items SET ${fields.join(', ')} WHERE item_id = ?`, params);
+    }
+
+    return this.getRewardItem(itemId);
+  }
+
+  /**
+   * Spend a UID's points on a reward item. The balance check, stock
+   * decrement, redemption and ledger entry happen in one transaction under
+   * the points lock, so concurrent redemptions can neither overspend nor
+   * oversell.
+   * @param {object} redemption - redemption_id, uid, item (reward_items row), created_by
+   * @returns {Promise<{outcome: string, balance: number, redemption?: object}>} -
+   *   outcome is redeemed, insufficient_points or out_of_stock
+   */
+  async redeemRewardItem({ redemption_id, uid, item, created_by }) {
+    // On the transaction connection, so concurrent writes elsewhere are never
+    // rolled back with a failed redemption. Refusals return before writing.
+    return this.withPointsLock(() => this.transaction(async (tx) => {
+      const balance = await this.getPointsBalance(uid, item.campaign_id, tx);
+
+      if (balance < item.cost_points) {
+        return { outcome: 'insufficient_points', balance };
+      }
+
+      const claimed = await tx.run(`
+        UPDATE reward_items
+        SET redeemed_count = redeemed_count + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE item_id = ? AND active = 1 AND (stock IS NULL OR redeemed_count < stock)
+      `, [item.item_id]);
+
+      if (claimed.changes === 0) {
+        return { outcome: 'out_of_stock', balance };
+      }
+
+      await tx.run(`
+        INSERT INTO redemptions (redemption_id, uid, campaign_id, item_id, cost_points, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [redemption_id, uid, item.campaign_id, item.item_id, item.cost_points, created_by, new Date().toISOString()]);
+
+      await this.addPointsEntry({
+        uid,
+        campaign_id: item.campaign_id,
+        entry_type: 'redeem',
+        points: -item.cost_points,
+        redemption_id
+      }, tx);
+
+      return {
+        outcome: 'redeemed',
+        balance: balance - item.cost_points,
+        redemption: await tx.get('SELECT * FROM redemptions WHERE redemption_id = ?', [redemption_id])
+      };
+    }));
+  }
+
+  /**
+   * WHERE clause for the redemption report filters
+   * @param {object} filters - campaign_ids, item_id, uid, start_date
+   *   (inclusive) and end_before (exclusive) as ISO times
+   * @returns {{sql: string, params: Array}}
+   */
+  redemptionFilterClause(filters = {}) {
+    const scope = this.campaignScopeClause(filters.campaign_ids, 'r.campaign_id');
+    let sql = scope.sql;
+    const params = [...scope.params];
+
+    for (const column of ['item_id', 'uid']) {
+      if (filters[column]) {
+        sql += ` AND r.${column} = ?`;
+        params.push(filters[column]);
+      }
+    }
+
+    if (filters.start_date) {
+      sql += ' AND r.created_at >= ?';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_before) {
+      sql += ' AND r.created_at < ?';
+      params.push(filters.end_before);
+    }
+
+    return { sql, params };
+  }
+
+  /**
+   * Redemptions, newest first
+   * @param {object} filters - As for redemptionFilterClause, plus limit and offset
+   * @returns {Promise<{redemptions: Array<object>, total: number}>}
+   */
+  async getRedemptions(filters = {}) {
+    const where = this.redemptionFilterClause(filters);
+    const redemptions = await this.all(`
+      SELECT r.redemption_id, r.uid, r.campaign_id, r.item_id, i.name AS item_name, r.cost_points, r.created_by, r.created_at
+      FROM redemptions r
+      LEFT JOIN reward_items i ON i.item_id = r.item_id
+      WHERE ${where.sql}
+      ORDER BY r.id DESC
+      LIMIT ? OFFSET ?
+    `, [...where.params, filters.limit || 50, filters.offset || 0]);
+    const { total } = await this.get(`SELECT COUNT(*) AS total FROM redemptions r WHERE ${where.sql}`, where.params);
+
+    return { redemptions, total };
+  }
+
+  /**
+   * Redemptions per reward item, with the stock left
+   * @param {object} filters - As for redemptionFilterClause
+   */
+  async getRedemptionSummary(filters = {}) {
+    const where = this.redemptionFilterClause(filters);
+
+    return this.all(`
+      SELECT
+        r.item_id,
+        i.name,
+        r.campaign_id,
+        COUNT(*) AS redemptions,
+        COUNT(DISTINCT r.uid) AS uniqueUids,
+        SUM(r.cost_points) AS points,
+        CASE WHEN i.stock IS NULL THEN NULL ELSE i.stock - i.redeemed_count END AS stock_remaining
+      FROM redemptions r
+      LEFT JOIN reward_items i ON i.item_id = r.item_id
+      WHERE ${where.sql}
+      GROUP BY r.item_id
+      ORDER BY redemptions DESC, r.item_id
+    `, where.params);
+  }
 
   async close() {
+    if (this.txDb) {
+      const connection = this.txDb;
+      this.txDb = null;
+      await new Promise(resolve => connection.close(() => resolve()));
+    }
+
     return new Promise((resolve) => {
       if (this.db) {
         this.db.close((err) => {
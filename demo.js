@@ -74,7 +74,7 @@ async function demoScanRegistration() {
   
   const scanData = {
     uid: 'DEMO123456',
-    campaign_id: 'DEMO_CAMPAIGN'
+    campaign_id: 'DEMO01'
   };
   
   const result = await makeRequest('POST', '/v1/scan', scanData);
@@ -97,7 +97,7 @@ async function demoCooldownProtection() {
   
   const scanData = {
     uid: 'COOLDOWN_TEST',
-    campaign_id: 'DEMO_CAMPAIGN'
+    campaign_id: 'DEMO01'
   };
   
   // First scan should succeed
@@ -0,0 +1,232 @@
+// Fraud scoring engine for Neo Card™ Demo Backend
+//
+// Each rule inspects a scan that already passed the hard limits in
+// antiFraudCheck and may return a signal with a score. The scores are
+// summed (capped at 100) and compared with the thresholds in config.fraud
+// to accept, flag or reject the scan.
+//
+// A rule is { name, description, evaluate(context, options) } where
+// `options` is config.fraud.rules[name] and `evaluate` resolves to null or
+// { code, score?, details? } (score defaults to options.score). Add rules
+// with registerRule; the middleware picks them up automatically.
+
+const config = require('../config');
+const db = require('../database');
+const { distanceMeters } = require('../utils/geo');
+
+const MAX_SCORE = 100;
+
+const rules = new Map();
+
+/**
+ * ISO timestamp `minutes` before `now`
+ * @param {Date} now - Reference time
+ * @param {number} minutes - Window length
+ * @returns {string} - Window start
+ */
+const windowStart = (now, minutes) => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+/**
+ * Register a scoring rule, replacing any rule with the same name
+ * @param {object} rule - { name, description, evaluate }
+ */
+const registerRule = (rule) => {
+  if (!rule || typeof rule.name !== 'string' || typeof rule.evaluate !== 'function') {
+    throw new Error('A fraud rule needs a name and an evaluate function');
+  }
+  rules.set(rule.name, rule);
+};
+
+/**
+ * Remove a registered rule
+ * @param {string} name - Rule name
+ * @returns {boolean} - Whether a rule was removed
+ */
+const unregisterRule = (name) => rules.delete(name);
+
+/**
+ * List registered rules
+ * @returns {Array<{name: string, description: string, enabled: boolean}>}
+ */
+const getRules = () => {
+  return [...rules.values()].map(rule => ({
+    name: rule.name,
+    description: rule.description || null,
+    enabled: !config.fraud.disabledRules.includes(rule.name)
+  }));
+};
+
+/**
+ * Map a score to a decision using the configured thresholds
+ * @param {number} score - Risk score
+ * @returns {string} - accept, flag or reject
+ */
+const decide = (score) => {
+  if (score >= config.fraud.rejectThreshold) return 'reject';
+  if (score >= config.fraud.flagThreshold) return 'flag';
+  return 'accept';
+};
+
+/**
+ * Score a scan with every enabled rule
+ * @param {object} context - { uid, campaignId, ipAddress, userAgent, now, card, campaign, sun,
+ *   geo, location }
+ * @returns {Promise<{score: number, decision: string, reasons: Array<object>}>}
+ */
+const evaluateScan = async (context) => {
+  const reasons = [];
+
+  for (const rule of rules.values()) {
+    if (config.fraud.disabledRules.includes(rule.name)) continue;
+
+    const options = config.fraud.rules[rule.name] || {};
+    let signal;
+    try {
+      signal = await rule.evaluate(context, options);
+    } catch (error) {
+      console.error(`Fraud rule ${rule.name} failed:`, error);
+      continue;
+    }
+
+    if (signal) {
+      reasons.push({
+        rule: rule.name,
+        code: signal.code,
+        score: signal.score !== undefined ? signal.score : (options.score || 0),
+        details: signal.details || null
+      });
+    }
+  }
+
+  const score = Math.min(MAX_SCORE, reasons.reduce((sum, reason) => sum + reason.score, 0));
+
+  return { score, decision: decide(score), reasons };
+};
+
+// Built-in rules
+
+registerRule({
+  name: 'campaign_velocity',
+  description: 'UID scanned in many campaigns within a short window',
+  evaluate: async ({ uid, campaignId, now }, { windowMinutes, maxCampaigns }) => {
+    const campaigns = await db.getDistinctScanValues('campaign_id', { uid }, windowStart(now, windowMinutes), now.toISOString());
+    const count = new Set([...campaigns, campaignId]).size;
+
+    return count >= maxCampaigns
+      ? { code: 'CAMPAIGN_VELOCITY', details: { campaigns: count, window_minutes: windowMinutes } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'uid_ip_spread',
+  description: 'UID scanned from many IP addresses within a short window',
+  evaluate: async ({ uid, ipAddress, now }, { windowMinutes, maxIps }) => {
+    const ips = await db.getDistinctScanValues('ip_address', { uid }, windowStart(now, windowMinutes), now.toISOString());
+    const count = new Set([...ips, ipAddress]).size;
+
+    return count >= maxIps
+      ? { code: 'UID_IP_SPREAD', details: { ip_addresses: count, window_minutes: windowMinutes } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'uid_agent_spread',
+  description: 'UID scanned from many user agents within a short window',
+  evaluate: async ({ uid, userAgent, now }, { windowMinutes, maxUserAgents }) => {
+    const agents = await db.getDistinctScanValues('user_agent', { uid }, windowStart(now, windowMinutes), now.toISOString());
+    const count = new Set([...agents, userAgent || null]).size;
+
+    return count >= maxUserAgents
+      ? { code: 'UID_AGENT_SPREAD', details: { user_agents: count, window_minutes: windowMinutes } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'ip_uid_burst',
+  description: 'One IP address cycling through many UIDs',
+  evaluate: async ({ uid, ipAddress, now }, { windowMinutes, maxUids }) => {
+    if (!ipAddress) return null;
+
+    const uids = await db.getDistinctScanValues('uid', { ip_address: ipAddress }, windowStart(now, windowMinutes), now.toISOString());
+    const count = new Set([...uids, uid]).size;
+
+    return count >= maxUids
+      ? { code: 'IP_UID_BURST', details: { uids: count, window_minutes: windowMinutes } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'impossible_interval',
+  description: 'UID scanned again faster than a person can tap',
+  evaluate: async ({ uid, now }, { minSeconds }) => {
+    const lastScanTime = await db.getLastScanTime(uid, null, now.toISOString());
+    if (!lastScanTime) return null;
+
+    const seconds = (now.getTime() - new Date(lastScanTime).getTime()) / 1000;
+
+    return seconds >= 0 && seconds < minSeconds
+      ? { code: 'IMPOSSIBLE_INTERVAL', details: { seconds_since_last_scan: seconds } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'unregistered_card',
+  description: 'UID is not in the card registry (UNREGISTERED_CARD_POLICY=flag)',
+  evaluate: async ({ card }) => {
+    return card === null && config.cards.unregisteredPolicy === 'flag'
+      ? { code: 'UNREGISTERED_CARD' }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'outside_geofence',
+  description: 'Located scan outside every venue of its campaign (geofence_mode flag)',
+  evaluate: async ({ geo }) => {
+    return geo && geo.status === 'outside' && geo.mode === 'flag'
+      ? { code: 'OUTSIDE_GEOFENCE', details: { nearest_venue_id: geo.venue.venue_id, distance_m: geo.distance_m } }
+      : null;
+  }
+});
+
+registerRule({
+  name: 'impossible_travel',
+  description: 'UID located too far from its previous located scan to have travelled there',
+  evaluate: async ({ uid, now, location }, { maxSpeedKmh, minDistanceKm }) => {
+    if (!location) return null;
+
+    const previous = await db.getLastLocatedScan(uid, now.toISOString());
+    if (!previous) return null;
+
+    const distanceKm = distanceMeters(previous, location) / 1000;
+    const hours = Math.max(0, now.getTime() - new Date(previous.timestamp).getTime()) / (60 * 60 * 1000);
+    if (distanceKm < minDistanceKm) return null;
+
+    const speedKmh = hours > 0 ? distanceKm / hours : Infinity;
+
+    return speedKmh > maxSpeedKmh
+      ? {
+        code: 'IMPOSSIBLE_TRAVEL',
+        details: {
+          previous_scan_id: previous.scan_id,
+          previous_venue_id: previous.venue_id,
+          distance_km: Math.round(distanceKm),
+          minutes_since_previous: Math.round(hours * 60),
+          speed_kmh: Number.isFinite(speedKmh) ? Math.round(speedKmh) : null
+        }
+      }
+      : null;
+  }
+});
+
+module.exports = {
+  registerRule,
+  unregisterRule,
+  getRules,
+  evaluateScan
+};
@@ -0,0 +1,288 @@
+// Scan ingestion for Neo Card™ Demo Backend
+//
+// POST /v1/scan and POST /v1/scans/batch share one pipeline: the scan
+// middlewares in SCAN_PIPELINE decide whether a scan is accepted, and
+// storeScan writes it. Batches come from readers that buffer taps while
+// offline; each buffered scan runs through the same middlewares as a live
+// one, evaluated as of the (clock-corrected) time it was tapped, in tap
+// order. Readers number their scans with a per-device sequence, so
+// re-sending a batch after a lost response never stores a scan twice.
+
+const config = require('../config');
+const db = require('../database');
+const {
+  validateScanRequest,
+  verifySunMessage,
+  checkAccessLists,
+  validateCampaign,
+  replayProtection,
+  checkCardStatus,
+  checkGeofence,
+  antiFraudCheck,
+  consumeReplayToken
+} = require('../middleware');
+const { generateAEIChecksum, generateScanId } = require('../utils');
+const { getActiveAeiKey } = require('../utils/keyring');
+const { publishFeedEvent } = require('../utils/feed');
+const { enqueueScanEvent } = require('../webhooks');
+const { syncScanPoints } = require('../rewards');
+
+const SCAN_PIPELINE = [
+  validateScanRequest,
+  verifySunMessage,
+  checkAccessLists,
+  validateCampaign,
+  replayProtection,
+  checkCardStatus,
+  checkGeofence,
+  antiFraudCheck,
+  consumeReplayToken
+];
+
+/**
+ * Run one Express middleware outside a response cycle
+ * @param {function} middleware - (req, res, next)
+ * @param {object} req - Request
+ * @returns {Promise<{status: number, body: object}|null>} - The response the
+ *   middleware sent, or null when it called next()
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  Promise.resolve(middleware(req, res, error => (error ? reject(error) : resolve(null)))).catch(reject);
+});
+
+/**
+ * Run a request through SCAN_PIPELINE
+ * @param {object} req - Request with the scan as req.body
+ * @returns {Promise<{status: number, body: object}|null>} - The first
+ *   rejection, or null when the scan may be stored
+ */
+const runScanPipeline = async (req) => {
+  for (const middleware of SCAN_PIPELINE) {
+    const rejection = await runMiddleware(middleware, req);
+    if (rejection) return rejection;
+  }
+  return null;
+};
+
+/**
+ * Store a scan that passed SCAN_PIPELINE, award its loyalty points, then
+ * publish it to the live feed and queue its webhook deliveries
+ * @param {object} req - Request the pipeline ran on
+ * @param {object} [fields] - Extra scans columns (device_seq, device_timestamp)
+ * @returns {Promise<{scan: object, risk: object, flagReasons: Array<string>, points: number}>}
+ */
+const storeScan = async (req, fields = {}) => {
+  const { uid, campaign_id } = req.body;
+  const timestamp = (req.scanTime || new Date()).toISOString();
+
+  // Generate AEI checksum with the active keyring key
+  const aeiKey = getActiveAeiKey();
+  const checksum = generateAEIChecksum(uid, timestamp, campaign_id, aeiKey.secret);
+
+  const risk = req.risk || { score: 0, decision: 'accept', reasons: [] };
+  const flagged = risk.decision === 'flag';
+  const flagReasons = flagged ? risk.reasons.map(reason => reason.code) : [];
+  const authenticated = !!req.sun;
+  // Only authenticated scans the fraud engine accepted count as verified
+  const verified = authenticated && risk.decision === 'accept';
+  const scan = {
+    scan_id: generateScanId(),
+    uid,
+    campaign_id,
+    timestamp,
+    checksum,
+    aei_key_id: aeiKey.keyId,
+    verified: verified ? 1 : 0,
+    auth_method: authenticated ? 'sun' : 'uid',
+    read_counter: authenticated ? req.sun.readCounter : null,
+    flagged: flagged ? 1 : 0,
+    flag_reasons: flagged ? JSON.stringify(flagReasons) : null,
+    review_status: flagged ? 'pending' : null,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent') || null,
+    referrer: req.get('referer') || null,
+    device_id: req.body.device_id || null,
+    latitude: req.body.latitude ?? null,
+    longitude: req.body.longitude ?? null,
+    location_accuracy: req.body.accuracy ?? null,
+    venue_id: req.geo && req.geo.status === 'inside' ? req.geo.venue.venue_id : null,
+    geofence_status: req.geo ? req.geo.status : null,
+    risk_score: risk.score,
+    risk_reasons: risk.reasons.length > 0 ? JSON.stringify(risk.reasons) : null,
+    ...fields
+  };
+
+  await db.insertScan(scan);
+  await db.trackScan(uid, timestamp);
+
+  // Flagged scans earn nothing until approved; a points failure must not
+  // fail the scan
+  const points = await syncScanPoints(scan).catch(error => {
+    console.error('Points award error:', error);
+    return 0;
+  });
+
+  // Push to live feed clients and queue webhook deliveries; the webhook
+  // worker sends them
+  publishFeedEvent('scan', scan);
+  await enqueueScanEvent(scan).catch(error => console.error('Webhook queue error:', error));
+
+  return { scan, risk, flagReasons, points };
+};
+
+/**
+ * Work out when a buffered scan happened
+ * @param {object} item - Batch entry
+ * @param {number} offsetMs - Device clock correction
+ * @param {Date} receivedAt - When the batch arrived
+ * @returns {{scanTime: Date, deviceTimestamp: string}|{code: string, message: string}}
+ */
+const resolveScanTime = (item, offsetMs, receivedAt) => {
+  const deviceTime = typeof item.timestamp === 'string' ? new Date(item.timestamp) : null;
+  if (!deviceTime || isNaN(deviceTime.getTime())) {
+    return { code: 'INVALID_TIMESTAMP', message: 'timestamp must be an ISO 8601 date' };
+  }
+
+  const scanTime = new Date(deviceTime.getTime() + offsetMs);
+  const futureMs = scanTime.getTime() - receivedAt.getTime();
+
+  if (futureMs > config.ingest.maxFutureSkewSeconds * 1000) {
+    return { code: 'TIMESTAMP_IN_FUTURE', message: 'Scan timestamp is in the future' };
+  }
+
+  if (receivedAt.getTime() - scanTime.getTime() > config.ingest.maxAgeHours * 60 * 60 * 1000) {
+    return { code: 'TIMESTAMP_TOO_OLD', message: `Scan is older than ${config.ingest.maxAgeHours} hours` };
+  }
+
+  // Small remaining skew: the scan happened just now
+  return {
+    scanTime: futureMs > 0 ? receivedAt : scanTime,
+    deviceTimestamp: deviceTime.toISOString()
+  };
+};
+
+/**
+ * Ingest a reader's buffered scans. Entries are stored in tap order
+ * (timestamp, then seq); results are returned in request order.
+ * @param {object} req - Batch request (for IP, user agent and headers)
+ * @param {object} batch - { deviceId, deviceTime, campaignId, scans }
+ * @param {Date} [receivedAt] - When the batch arrived (default: now)
+ * @returns {Promise<{results: Array<object>, summary: object, clock_offset_ms: number}>}
+ */
+const ingestScanBatch = async (req, { deviceId, deviceTime, campaignId, scans }, receivedAt = new Date()) => {
+  // Correct the timestamps of readers whose clock is off
+  const drift = deviceTime ? receivedAt.getTime() - new Date(deviceTime).getTime() : 0;
+  const offsetMs = Math.abs(drift) > config.ingest.clockSkewToleranceSeconds * 1000 ? drift : 0;
+
+  const results = [];
+  const pending = [];
+  const firstBySeq = new Map();
+
+  scans.forEach((item, index) => {
+    const seq = item && item.seq;
+    const result = { index, seq: seq === undefined ? null : seq, status: null, scan_id: null };
+    results.push(result);
+
+    if (!item || typeof item !== 'object' || !Number.isInteger(seq) || seq < 0) {
+      Object.assign(result, { status: 'invalid', code: 'INVALID_SEQUENCE', message: 'seq must be a non-negative integer' });
+      return;
+    }
+
+    const time = resolveScanTime(item, offsetMs, receivedAt);
+    if (time.code) {
+      Object.assign(result, { status: 'invalid', code: time.code, message: time.message });
+      return;
+    }
+
+    result.timestamp = time.scanTime.toISOString();
+    result.device_timestamp = time.deviceTimestamp;
+    result.adjusted_ms = time.scanTime.getTime() - new Date(time.deviceTimestamp).getTime();
+
+    if (firstBySeq.has(seq)) {
+      Object.assign(result, { status: 'duplicate', duplicate_of: firstBySeq.get(seq).index });
+      return;
+    }
+
+    firstBySeq.set(seq, result);
+    pending.push({ item, result, scanTime: time.scanTime });
+  });
+
+  pending.sort((a, b) => (a.scanTime - b.scanTime) || (a.result.seq - b.result.seq));
+
+  for (const { item, result, scanTime } of pending) {
+    const existing = await db.getScanByDeviceSeq(deviceId, result.seq);
+    if (existing) {
+      Object.assign(result, { status: 'duplicate', scan_id: existing.scan_id });
+      continue;
+    }
+
+    const itemReq = Object.create(req);
+    itemReq.scanTime = scanTime;
+    itemReq.body = {
+      uid: item.uid,
+      campaign_id: item.campaign_id || campaignId,
+      picc_data: item.picc_data,
+      cmac: item.cmac,
+      nonce: item.nonce,
+      latitude: item.latitude,
+      longitude: item.longitude,
+      accuracy: item.accuracy,
+      device_id: deviceId
+    };
+
+    const rejection = await runScanPipeline(itemReq);
+    if (rejection) {
+      const { status, message, code, ...details } = rejection.body;
+      Object.assign(result, {
+        // Malformed scans are invalid; well-formed ones the checks refused are rejected
+        status: rejection.status === 400 || rejection.status === 404 ? 'invalid' : 'rejected',
+        code,
+        message,
+        ...(Object.keys(details).length > 0 && { details })
+      });
+      continue;
+    }
+
+    const { scan } = await storeScan(itemReq, {
+      device_seq: result.seq,
+      device_timestamp: result.device_timestamp
+    });
+    Object.assign(result, {
+      status: 'accepted',
+      scan_id: scan.scan_id,
+      uid: scan.uid,
+      campaign_id: scan.campaign_id,
+      flagged: !!scan.flagged,
+      risk_score: scan.risk_score
+    });
+  }
+
+  // In-batch duplicates point at the scan their first copy stored
+  results.filter(result => result.duplicate_of !== undefined).forEach(result => {
+    result.scan_id = results[result.duplicate_of].scan_id;
+  });
+
+  const summary = { received: scans.length, accepted: 0, duplicate: 0, rejected: 0, invalid: 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+
+  return { results, summary, clock_offset_ms: offsetMs };
+};
+
+module.exports = {
+  SCAN_PIPELINE,
+  runScanPipeline,
+  storeScan,
+  ingestScanBatch
+};
@@ -3,6 +3,41 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const db = require('../database');
+const { publishFeedEvent } = require('../utils/feed');
+
+/**
+ * Look up and validate an API key
+ * @param {string} apiKey - Key presented by the client
+ * @returns {Promise<{keyData: object}|{error: {status: number, message: string, code: string}}>}
+ *   keyData carries permissionList and campaignScope (null: every campaign)
+ */
+const resolveApiKey = async (apiKey) => {
+  if (!apiKey) {
+    return { error: { status: 401, message: 'API key required', code: 'MISSING_API_KEY' } };
+  }
+  
+  const keyData = await db.findApiKey(apiKey);
+  
+  if (!keyData || !keyData.active) {
+    return { error: { status: 401, message: 'Invalid API key', code: 'INVALID_API_KEY' } };
+  }
+  
+  if (keyData.expires_at && new Date(keyData.expires_at) <= new Date()) {
+    return { error: { status: 401, message: 'API key has expired', code: 'API_KEY_EXPIRED' } };
+  }
+  
+  await db.touchApiKey(keyData.id);
+  delete keyData.key_hash;
+  delete keyData.key_salt;
+  
+  const { resolvePermissions, hasPermission } = require('../utils');
+  keyData.permissionList = resolvePermissions(keyData.permissions, config.permissions.roles);
+  keyData.campaignScope = hasPermission(keyData.permissionList, 'campaigns:all')
+    ? null
+    : await db.getApiKeyCampaigns(keyData.id);
+  
+  return { keyData };
+};
 
 /**
  * API Key authentication middleware
@@ -11,22 +46,14 @@ const db = require('../database');
 const authenticateApiKey = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
   
-  if (!apiKey) {
-    return res.status(401).json({
-      status: 'error',
-      message: 'API key required',
-      code: 'MISSING_API_KEY'
-    });
-  }
-  
   try {
-    const keyData = await db.validateApiKey(apiKey);
+    const { keyData, error } = await resolveApiKey(apiKey);
     
-    if (!keyData) {
-      return res.status(401).json({
+    if (error) {
+      return res.status(error.status).json({
         status: 'error',
-        message: 'Invalid API key',
-        code: 'INVALID_API_KEY'
+        message: error.message,
+        code: error.code
       });
     }
     
@@ -43,14 +70,163 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Permission middleware factory
+ * Must run after authenticateApiKey
+ * @param {string} permission - Permission the route requires, e.g. `logs:read`
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const { hasPermission } = require('../utils');
+  
+  if (!req.apiKeyData || !hasPermission(req.apiKeyData.permissionList, permission)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API key lacks the required permission',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required: permission
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Campaign scope middleware
+ * Restricts campaign-scoped (sponsor) keys to their linked campaigns.
+ * Sets req.campaignScope to null (no restriction) or a list of campaign IDs.
+ */
+const resolveCampaignScope = (req, res, next) => {
+  const { campaign_id } = req.query;
+  const linked = req.apiKeyData.campaignScope;
+  
+  if (linked === null) {
+    req.campaignScope = campaign_id ? [campaign_id] : null;
+    return next();
+  }
+  
+  if (campaign_id && !linked.includes(campaign_id)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API key is not linked to this campaign',
+      code: 'CAMPAIGN_ACCESS_DENIED'
+    });
+  }
+  
+  req.campaignScope = campaign_id ? [campaign_id] : linked;
+  next();
+};
+
+/**
+ * Review visibility middleware
+ * Keys without `fraud:read` (sponsors) only see scans that passed review:
+ * unflagged scans and flagged scans an admin approved. Sets req.reviewedOnly.
+ */
+const resolveReviewScope = (req, res, next) => {
+  const { hasPermission } = require('../utils');
+  
+  req.reviewedOnly = !hasPermission(req.apiKeyData.permissionList, 'fraud:read');
+  next();
+};
+
+/**
+ * Device authentication middleware
+ * Requests signed by an enrolled device (X-Device-Id, X-Device-Timestamp,
+ * X-Device-Signature; see utils/devices.js) are attributed to it: the device
+ * is left in req.device and its ID becomes the body's device_id. Revoked
+ * devices are refused. Unsigned requests stay anonymous unless
+ * REQUIRE_DEVICE_SIGNATURE is set, and may not claim an enrolled device's ID.
+ */
+const authenticateDevice = async (req, res, next) => {
+  const deviceId = req.get('x-device-id');
+  const body = req.body || {};
+  
+  try {
+    if (!deviceId) {
+      const claimed = typeof body.device_id === 'string' ? await db.getDevice(body.device_id) : null;
+      
+      if (config.devices.requireSignature || claimed) {
+        return res.status(401).json({
+          status: 'error',
+          message: claimed ? 'Scans from enrolled devices must be signed' : 'Device signature is required',
+          code: 'DEVICE_SIGNATURE_REQUIRED'
+        });
+      }
+      
+      return next();
+    }
+    
+    const device = await db.getDevice(deviceId);
+    
+    if (!device) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Unknown device',
+        code: 'UNKNOWN_DEVICE'
+      });
+    }
+    
+    if (device.status !== 'active') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Device has been revoked',
+        code: 'DEVICE_REVOKED'
+      });
+    }
+    
+    const timestamp = req.get('x-device-timestamp');
+    const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+    
+    if (!/^\d+$/.test(timestamp || '') || skew > config.devices.signatureToleranceSeconds) {
+      return res.status(401).json({
+        status: 'error',
+        message: `X-Device-Timestamp must be within ${config.devices.signatureToleranceSeconds} seconds of server time`,
+        code: 'STALE_DEVICE_SIGNATURE'
+      });
+    }
+    
+    const { verifyDeviceSignature } = require('../utils/devices');
+    const signed = {
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      body: req.rawBody || ''
+    };
+    
+    if (!verifyDeviceSignature(device.secret, signed, req.get('x-device-signature'))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid device signature',
+        code: 'INVALID_DEVICE_SIGNATURE'
+      });
+    }
+    
+    if (body.device_id !== undefined && body.device_id !== device.device_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'device_id does not match the signing device',
+        code: 'DEVICE_MISMATCH'
+      });
+    }
+    
+    await db.touchDevice(device.device_id, new Date().toISOString());
+    req.device = device;
+    req.body = { ...body, device_id: device.device_id };
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    next(error);
+  }
+};
+
 /**
  * Request validation middleware
  * Validates request body for required fields
  */
 const validateScanRequest = (req, res, next) => {
-  const { uid, campaign_id } = req.body;
+  const { uid, campaign_id, picc_data } = req.body;
   
-  if (!uid) {
+  // SUN scans carry the UID encrypted in picc_data
+  if (!uid && !picc_data) {
     return res.status(400).json({
       status: 'error',
       message: 'UID is required',
@@ -67,8 +243,8 @@ const validateScanRequest = (req, res, next) => {
   }
   
   // Validate UID format
-  const { isValidUID } = require('../utils');
-  if (!isValidUID(uid)) {
+  const { isValidUID, isValidDeviceId } = require('../utils');
+  if (uid && !isValidUID(uid)) {
     return res.status(400).json({
       status: 'error',
       message: 'Invalid UID format',
@@ -76,50 +252,620 @@ const validateScanRequest = (req, res, next) => {
     });
   }
   
+  const { device_id } = req.body;
+  if (device_id !== undefined && !isValidDeviceId(device_id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid device ID format',
+      code: 'INVALID_DEVICE_ID'
+    });
+  }
+  
+  // Optional location: both coordinates, and accuracy in meters
+  const { latitude, longitude, accuracy } = req.body;
+  if (latitude !== undefined || longitude !== undefined || accuracy !== undefined) {
+    const { isValidCoordinates } = require('../utils/geo');
+    const validAccuracy = accuracy === undefined || (typeof accuracy === 'number' && Number.isFinite(accuracy) && accuracy >= 0);
+    
+    if (!isValidCoordinates(latitude, longitude) || !validAccuracy) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'latitude (-90 to 90) and longitude (-180 to 180) must be numbers given together; accuracy a non-negative number of meters',
+        code: 'INVALID_LOCATION'
+      });
+    }
+  }
+  
   next();
 };
 
 /**
- * Anti-fraud middleware
- * Checks cooldown and daily limits
+ * SUN message verification middleware
+ * For scans carrying NTAG 424 DNA SUN data (picc_data + cmac), decrypts the
+ * UID and read counter, verifies the SDMMAC with the card's key and marks
+ * the request as cryptographically authenticated (req.sun).
  */
-const antiFraudCheck = async (req, res, next) => {
+const verifySunMessage = async (req, res, next) => {
+  const { picc_data, cmac, uid } = req.body;
+  
+  if (!picc_data) {
+    return next();
+  }
+  
+  try {
+    const { decryptPiccData, verifySdmMac } = require('../utils/sun');
+    const picc = decryptPiccData(picc_data, config.sun.metaReadKey);
+    
+    if (!picc) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid SUN PICC data',
+        code: 'INVALID_SUN_DATA'
+      });
+    }
+    
+    if (uid && uid.toUpperCase() !== picc.uid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'UID does not match SUN PICC data',
+        code: 'UID_MISMATCH'
+      });
+    }
+    
+    const card = await db.getCard(picc.uid);
+    
+    if (!card || !card.sdm_file_read_key) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'No SUN key registered for this card',
+        code: 'SUN_KEY_UNAVAILABLE'
+      });
+    }
+    
+    if (!verifySdmMac(picc, cmac, card.sdm_file_read_key)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'SUN message authentication failed',
+        code: 'SUN_VERIFICATION_FAILED'
+      });
+    }
+    
+    req.body.uid = picc.uid;
+    req.sun = { uid: picc.uid, readCounter: picc.readCounter };
+    next();
+  } catch (error) {
+    console.error('SUN verification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Campaign validation middleware
+ * Rejects scans for unknown or inactive campaigns, and scans from a device
+ * for campaigns it is not assigned to
+ */
+const validateCampaign = async (req, res, next) => {
+  const { campaign_id } = req.body;
+  
+  try {
+    const campaign = await db.getCampaign(campaign_id);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+    
+    if (!campaign.active) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Campaign is not active',
+        code: 'CAMPAIGN_INACTIVE'
+      });
+    }
+    
+    // Enrolled devices only submit scans for their assigned campaigns
+    if (req.device && req.device.campaigns.length > 0 && !req.device.campaigns.includes(campaign.campaign_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Device is not assigned to this campaign',
+        code: 'DEVICE_CAMPAIGN_DENIED'
+      });
+    }
+    
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    console.error('Campaign validation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Block/allow list middleware
+ * Refuses scans whose UID, IP or device matches an active block entry and
+ * records the matching entry as a fraud event. A matching allow entry is
+ * left in req.accessAllowed so antiFraudCheck skips the cooldown.
+ */
+const checkAccessLists = async (req, res, next) => {
+  const { uid, device_id } = req.body;
+  
+  try {
+    const { findAccessMatches } = require('../utils/access');
+    const entries = await db.getAccessListEntries();
+    const matches = findAccessMatches(entries, { uid, ip: req.ip, deviceId: device_id });
+    
+    if (matches.block) {
+      const { id, entry_type, value, reason } = matches.block;
+      await recordFraudEvent(req, 'blocklist', 'SCAN_BLOCKED', { entry_id: id, entry_type, value, reason });
+      
+      return res.status(403).json({
+        status: 'error',
+        message: 'Scan blocked',
+        code: 'SCAN_BLOCKED',
+        rule: { id, entry_type, value, reason }
+      });
+    }
+    
+    req.accessAllowed = matches.allow;
+    next();
+  } catch (error) {
+    console.error('Access list check error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Card registry middleware
+ * Rejects scans from suspended, lost or retired cards and unregistered UIDs
+ * under UNREGISTERED_CARD_POLICY=reject. Under `flag` the unregistered_card
+ * fraud rule scores the scan instead.
+ */
+const checkCardStatus = async (req, res, next) => {
   const { uid } = req.body;
   
   try {
-    const { antifraud } = config;
+    const card = await db.getCard(uid);
+    req.card = card || null;
     
-    // Get last scan time for this UID
-    const lastScanTime = await db.getLastScanTime(uid);
+    if (!card) {
+      if (config.cards.unregisteredPolicy === 'reject') {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Card is not registered',
+          code: 'CARD_NOT_REGISTERED'
+        });
+      }
+      
+      return next();
+    }
     
-    // Check cooldown
-    if (lastScanTime) {
-      const { isWithinCooldown } = require('../utils');
-      if (isWithinCooldown(lastScanTime, antifraud.cooldownMinutes)) {
-        return res.status(429).json({
+    if (['suspended', 'lost', 'retired'].includes(card.status)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Card is ${card.status}`,
+        code: `CARD_${card.status.toUpperCase()}`
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Card status check error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record a rejected scan attempt as a fraud event. Failures are logged but
+ * never change the response the client gets.
+ * @param {object} req - Express request for the scan
+ * @param {string} eventType - Event category, e.g. `replay`
+ * @param {string} code - Error code returned to the client
+ * @param {object} details - Extra context stored with the event
+ */
+const recordFraudEvent = async (req, eventType, code, details = null) => {
+  try {
+    const event = {
+      event_type: eventType,
+      code,
+      uid: req.body.uid,
+      campaign_id: req.body.campaign_id,
+      ip_address: req.ip,
+      user_agent: req.get('user-agent'),
+      details
+    };
+    const { id } = await db.recordFraudEvent(event);
+    
+    publishFeedEvent('fraud', { ...event, id, created_at: new Date().toISOString() });
+  } catch (error) {
+    console.error('Fraud event logging error:', error);
+  }
+};
+
+/**
+ * Replay protection middleware
+ * SUN scans must carry a tag read counter strictly greater than the last
+ * accepted one for the card. Other scans may (or, with REQUIRE_SCAN_NONCE,
+ * must) carry a single-use nonce from POST /v1/scan/challenge. The counter
+ * or nonce is only checked here and left in req.replayToken; it is recorded
+ * by consumeReplayToken once the rest of the pipeline accepted the scan.
+ */
+const replayProtection = async (req, res, next) => {
+  const { uid, campaign_id, nonce } = req.body;
+  
+  try {
+    if (req.sun) {
+      const card = await db.getCard(uid);
+      
+      if (card && card.last_read_counter !== null && req.sun.readCounter <= card.last_read_counter) {
+        await recordFraudEvent(req, 'replay', 'REPLAY_DETECTED', { read_counter: req.sun.readCounter });
+        return res.status(409).json({
+          status: 'error',
+          message: 'Scan rejected: tag read counter was already used',
+          code: 'REPLAY_DETECTED'
+        });
+      }
+      
+      req.replayToken = { readCounter: req.sun.readCounter };
+      return next();
+    }
+    
+    if (!nonce) {
+      if (config.replay.requireNonce) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Scan nonce is required',
+          code: 'NONCE_REQUIRED'
+        });
+      }
+      
+      return next();
+    }
+    
+    const stored = typeof nonce === 'string' ? await db.getScanNonce(nonce) : null;
+    
+    if (!stored || stored.campaign_id !== campaign_id || (stored.uid && stored.uid !== uid)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid scan nonce',
+        code: 'INVALID_NONCE'
+      });
+    }
+    
+    if (stored.used_at) {
+      await recordFraudEvent(req, 'replay', 'REPLAY_DETECTED', { nonce, first_used_at: stored.used_at });
+      return res.status(409).json({
+        status: 'error',
+        message: 'Scan rejected: nonce was already used',
+        code: 'REPLAY_DETECTED'
+      });
+    }
+    
+    if (new Date(stored.expires_at) <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Scan nonce has expired',
+        code: 'NONCE_EXPIRED'
+      });
+    }
+    
+    req.replayToken = { nonce };
+    next();
+  } catch (error) {
+    console.error('Replay protection error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replay token middleware
+ * Last in the scan pipeline: records the read counter or nonce that
+ * replayProtection checked. A scan refused by a later check (cooldown,
+ * limits, risk) leaves it unused, so the tap can be retried. A concurrent
+ * scan that recorded it first makes this one a replay.
+ */
+const consumeReplayToken = async (req, res, next) => {
+  const token = req.replayToken;
+  if (!token) return next();
+  
+  try {
+    if (token.readCounter !== undefined) {
+      if (!await db.advanceCardReadCounter(req.body.uid, token.readCounter)) {
+        await recordFraudEvent(req, 'replay', 'REPLAY_DETECTED', { read_counter: token.readCounter });
+        return res.status(409).json({
+          status: 'error',
+          message: 'Scan rejected: tag read counter was already used',
+          code: 'REPLAY_DETECTED'
+        });
+      }
+      
+      return next();
+    }
+    
+    if (!await db.consumeScanNonce(token.nonce, new Date().toISOString())) {
+      // Expired, or consumed by a concurrent request since it was checked
+      const current = await db.getScanNonce(token.nonce);
+      
+      if (current && current.used_at) {
+        await recordFraudEvent(req, 'replay', 'REPLAY_DETECTED', { nonce: token.nonce, first_used_at: current.used_at });
+        return res.status(409).json({
+          status: 'error',
+          message: 'Scan rejected: nonce was already used',
+          code: 'REPLAY_DETECTED'
+        });
+      }
+      
+      return res.status(400).json({
+        status: 'error',
+        message: 'Scan nonce has expired',
+        code: 'NONCE_EXPIRED'
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Replay token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Caller an idempotency key belongs to: the API key, else the signing
+ * device, else '' for anonymous requests
+ * @param {object} req - Request after authentication
+ * @returns {string}
+ */
+const idempotencyScope = (req) => {
+  if (req.apiKeyData) return `key:${req.apiKeyData.id}`;
+  if (req.device) return `device:${req.device.device_id}`;
+  return '';
+};
+
+/**
+ * Idempotency middleware
+ * A request with an Idempotency-Key header claims the key. A retry with the
+ * same key and body gets the stored response (marked Idempotent-Replayed)
+ * instead of being processed again; the same key with another body is a
+ * conflict. Keys are scoped to the caller (see idempotencyScope), so another
+ * API key or device reusing a key is processed on its own. Only successful
+ * responses are stored, so a request that failed can be retried with the
+ * same key. Keys expire after config.idempotency.ttlHours.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+  
+  if (!/^[\x21-\x7E]{1,255}$/.test(key)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Idempotency-Key must be 1 to 255 printable ASCII characters',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+  
+  try {
+    const { hashRequest } = require('../utils');
+    const now = new Date();
+    const scope = idempotencyScope(req);
+    const requestHash = hashRequest(req.method, req.baseUrl + req.path, req.body);
+    
+    await db.deleteExpiredIdempotencyKeys(now.toISOString());
+    const claimed = await db.claimIdempotencyKey({
+      scope,
+      idempotency_key: key,
+      request_hash: requestHash,
+      expires_at: new Date(now.getTime() + config.idempotency.ttlHours * 60 * 60 * 1000).toISOString()
+    });
+    
+    if (!claimed) {
+      const stored = await db.getIdempotencyKey(scope, key);
+      
+      if (stored && stored.request_hash !== requestHash) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+      
+      if (!stored || stored.response_status === null) {
+        return res.status(409).json({
           status: 'error',
-          message: 'Scan blocked: within cooldown period',
-          code: 'COOLDOWN_ACTIVE',
-          cooldownMinutes: antifraud.cooldownMinutes,
-          lastScanTime
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_USE'
         });
       }
+      
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(JSON.parse(stored.response_body));
+    }
+    
+    // Store the response before sending it, so a retry never sees the key
+    // as still in use once the client has an answer
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const success = res.statusCode >= 200 && res.statusCode < 300;
+      const settle = success
+        ? db.completeIdempotencyKey(scope, key, res.statusCode, body)
+        : db.releaseIdempotencyKey(scope, key);
+      
+      settle
+        .catch(error => console.error('Idempotency key error:', error))
+        .then(() => send(body));
+      return res;
+    };
+    
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Geofence middleware
+ * Matches a located scan to the venues of its campaign and leaves the
+ * result in req.geo ({ status, mode, venue, distance_m }) for the fraud
+ * engine and the scan record. Campaigns without venues have no geofence;
+ * scans without a location get status `unknown`. Under the campaign's
+ * geofence_mode `reject`, scans outside every venue are refused
+ * (allowlisted UIDs, IPs and devices are not).
+ */
+const checkGeofence = async (req, res, next) => {
+  const { latitude, longitude, accuracy } = req.body;
+  
+  try {
+    const venues = await db.getCampaignVenues(req.campaign.campaign_id);
+    if (venues.length === 0) return next();
+    
+    const { resolveCampaignPolicy } = require('../utils');
+    const mode = resolveCampaignPolicy(req.campaign, config.antifraud).geofence_mode;
+    
+    if (latitude === undefined) {
+      req.geo = { status: 'unknown', mode, venue: null, distance_m: null };
+      return next();
+    }
+    
+    const { matchVenue } = require('../utils/geo');
+    const match = matchVenue(venues, { latitude, longitude, accuracy }, config.geo.maxAccuracyMeters);
+    req.geo = {
+      status: match.inside ? 'inside' : 'outside',
+      mode,
+      venue: match.venue,
+      distance_m: match.distance_m
+    };
+    
+    if (!match.inside && mode === 'reject' && !req.accessAllowed) {
+      const details = { nearest_venue_id: match.venue.venue_id, distance_m: match.distance_m, accuracy: accuracy ?? null };
+      await recordFraudEvent(req, 'geofence', 'OUTSIDE_GEOFENCE', details);
+      return res.status(403).json({
+        status: 'error',
+        message: 'Scan rejected: outside the campaign venues',
+        code: 'OUTSIDE_GEOFENCE',
+        ...details
+      });
+    }
+    
+    next();
+  } catch (error) {
+    console.error('Geofence check error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Anti-fraud middleware
+ * Applies the scanned campaign's policy (see resolveCampaignPolicy): cooldown
+ * (unless allowlisted), daily and lifetime limits per UID, and the campaign's total scan cap. Scans
+ * within the limits are then scored by the fraud engine; the result is left
+ * in req.risk for the scan handler. Everything is evaluated as of
+ * req.scanTime when set (buffered batch scans), otherwise now.
+ */
+const antiFraudCheck = async (req, res, next) => {
+  const { uid } = req.body;
+  // Buffered (batch) scans are checked as of when the card was tapped
+  const scanTime = req.scanTime || new Date();
+  
+  try {
+    const { isWithinCooldown, resolveCampaignPolicy } = require('../utils');
+    const policy = resolveCampaignPolicy(req.campaign, config.antifraud);
+    const campaignId = req.campaign.campaign_id;
+    req.campaignPolicy = policy;
+    
+    // Get last scan time for this UID, in this campaign or anywhere
+    const lastScanTime = await db.getLastScanTime(uid, policy.cooldown_scope === 'campaign' ? campaignId : null, scanTime.toISOString());
+    
+    // Check cooldown (allowlisted UIDs, IPs and devices skip it)
+    if (!req.accessAllowed && lastScanTime && isWithinCooldown(lastScanTime, policy.cooldown_minutes, scanTime)) {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Scan blocked: within cooldown period',
+        code: 'COOLDOWN_ACTIVE',
+        cooldownMinutes: policy.cooldown_minutes,
+        cooldownScope: policy.cooldown_scope,
+        lastScanTime
+      });
     }
     
     // Check daily limit
-    const today = new Date().toISOString().split('T')[0];
-    const dailyScanCount = await db.getDailyScanCount(uid, today);
+    const today = scanTime.toISOString().split('T')[0];
+    const dailyScanCount = await db.getDailyScanCount(uid, today, campaignId);
     
-    if (dailyScanCount >= antifraud.dailyScanLimit) {
+    if (dailyScanCount >= policy.daily_limit) {
       return res.status(429).json({
         status: 'error',
         message: 'Daily scan limit exceeded',
         code: 'DAILY_LIMIT_EXCEEDED',
-        dailyLimit: antifraud.dailyScanLimit,
+        dailyLimit: policy.daily_limit,
         currentCount: dailyScanCount
       });
     }
     
+    // Check lifetime limit
+    if (policy.lifetime_limit !== null) {
+      const lifetimeScanCount = await db.getCampaignScanCount(campaignId, uid);
+      
+      if (lifetimeScanCount >= policy.lifetime_limit) {
+        return res.status(429).json({
+          status: 'error',
+          message: 'Lifetime scan limit for this campaign exceeded',
+          code: 'LIFETIME_LIMIT_EXCEEDED',
+          lifetimeLimit: policy.lifetime_limit,
+          currentCount: lifetimeScanCount
+        });
+      }
+    }
+    
+    // Check campaign cap
+    if (policy.total_cap !== null) {
+      const campaignScanCount = await db.getCampaignScanCount(campaignId);
+      
+      if (campaignScanCount >= policy.total_cap) {
+        return res.status(429).json({
+          status: 'error',
+          message: 'Campaign scan cap reached',
+          code: 'CAMPAIGN_CAP_REACHED',
+          totalCap: policy.total_cap,
+          currentCount: campaignScanCount
+        });
+      }
+    }
+    
+    // Score the scan
+    const { evaluateScan } = require('../fraud');
+    const risk = await evaluateScan({
+      uid,
+      campaignId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      now: scanTime,
+      card: req.card,
+      campaign: req.campaign,
+      sun: req.sun || null,
+      geo: req.geo || null,
+      location: req.body.latitude !== undefined ? { latitude: req.body.latitude, longitude: req.body.longitude } : null
+    });
+    req.risk = risk;
+    
+    if (risk.decision !== 'accept') {
+      await recordFraudEvent(req, 'risk', risk.decision === 'reject' ? 'HIGH_RISK_SCAN' : 'SCAN_FLAGGED', {
+        risk_score: risk.score,
+        reasons: risk.reasons
+      });
+    }
+    
+    if (risk.decision === 'reject') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Scan rejected: risk score too high',
+        code: 'HIGH_RISK_SCAN',
+        riskScore: risk.score,
+        reasons: risk.reasons.map(reason => reason.code)
+      });
+    }
+    
     next();
   } catch (error) {
     console.error('Anti-fraud check error:', error);
@@ -151,9 +897,23 @@ const requestLogger = (req, res, next) => {
 };
 
 module.exports = {
+  resolveApiKey,
   authenticateApiKey,
+  requirePermission,
+  resolveCampaignScope,
+  resolveReviewScope,
+  authenticateDevice,
   validateScanRequest,
+  verifySunMessage,
+  validateCampaign,
+  checkAccessLists,
+  replayProtection,
+  consumeReplayToken,
+  idempotency,
+  checkCardStatus,
+  checkGeofence,
   antiFraudCheck,
+  recordFraudEvent,
   errorLogger,
   requestLogger
 };
@@ -0,0 +1,98 @@
+// Loyalty points for Neo Card™ Demo Backend
+//
+// Campaigns award points per scan according to their reward_rules:
+// points_per_scan, plus first_scan_bonus for a UID's first scan of the (UTC)
+// day, all multiplied by streak_multiplier once the UID has scanned on
+// streak_days consecutive days. Points are kept in points_ledger per UID and
+// campaign and spent on reward items (see db.redeemRewardItem).
+//
+// Only scans that passed review hold points: unflagged scans earn when they
+// are stored, flagged scans when an admin approves them, and a scan rejected
+// later has its points reversed.
+
+const db = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shift a day by a number of days
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (day, days) => new Date(Date.parse(`${day}T00:00:00.000Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Work out the points a scan earns
+ * @param {object} scan - scans row
+ * @param {object} rules - reward_rules row of the scan's campaign
+ * @returns {Promise<{points: number, details: object}>} - details holds the
+ *   base points, the first-scan bonus applied, the streak (counted up to
+ *   streak_days) and the multiplier applied
+ */
+const calculateScanPoints = async (scan, rules) => {
+  const day = new Date(scan.timestamp).toISOString().split('T')[0];
+  const lookback = Math.max(rules.streak_days || 1, 1) - 1;
+  const earningDays = await db.getPointsEarningDays(scan.uid, scan.campaign_id, addDays(day, -lookback), day, scan.scan_id);
+
+  // Today plus the consecutive days before it on which the UID earned points
+  let streak = 1;
+  while (earningDays.includes(addDays(day, -streak))) streak += 1;
+
+  const bonus = earningDays.includes(day) ? 0 : rules.first_scan_bonus;
+  const multiplier = rules.streak_days && streak >= rules.streak_days ? rules.streak_multiplier : 1;
+
+  return {
+    points: Math.round((rules.points_per_scan + bonus) * multiplier),
+    details: { base: rules.points_per_scan, first_scan_bonus: bonus, streak, multiplier }
+  };
+};
+
+/**
+ * Bring a scan's points in line with its review state: award them to a scan
+ * that passed review and holds none, reverse them on one that no longer
+ * passes. Safe to call any number of times.
+ * @param {object} scan - scans row
+ * @returns {Promise<number>} - Points added (negative when reversed)
+ */
+const syncScanPoints = (scan) => db.withPointsLock(async () => {
+  const passedReview = !scan.flagged || scan.review_status === 'approved';
+  const held = await db.getScanPoints(scan.scan_id);
+
+  if (passedReview && held.points === 0) {
+    const rules = await db.getRewardRules(scan.campaign_id);
+    if (!rules) return 0;
+
+    const { points, details } = await calculateScanPoints(scan, rules);
+    if (points <= 0) return 0;
+
+    await db.addPointsEntry({
+      uid: scan.uid,
+      campaign_id: scan.campaign_id,
+      entry_type: 'earn',
+      points,
+      scan_id: scan.scan_id,
+      details
+    });
+    return points;
+  }
+
+  if (!passedReview && held.points > 0) {
+    await db.addPointsEntry({
+      uid: scan.uid,
+      campaign_id: scan.campaign_id,
+      entry_type: 'reversal',
+      points: -held.points,
+      scan_id: scan.scan_id,
+      details: { review_status: scan.review_status }
+    });
+    return -held.points;
+  }
+
+  return 0;
+});
+
+module.exports = {
+  calculateScanPoints,
+  syncScanPoints
+};
@@ -0,0 +1,259 @@
+// Block and allow list routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse } = require('../utils');
+const { LIST_TYPES, ENTRY_TYPES, normalizeEntryValue, findAccessMatches } = require('../utils/access');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('access:manage'));
+
+/**
+ * Validate an optional expiry date from a request body
+ * @param {*} expiresAt - Value of `expires_at`
+ * @returns {boolean} - Whether it is absent, null or a future date
+ */
+const isValidExpiry = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null) return true;
+  const date = new Date(expiresAt);
+  return !isNaN(date.getTime()) && date > new Date();
+};
+
+/**
+ * Add whether an entry has expired
+ * @param {object} entry - access_lists row
+ * @returns {object} - Entry with an `expired` flag
+ */
+const withExpiry = (entry) => ({
+  ...entry,
+  expired: !!entry.expires_at && new Date(entry.expires_at) <= new Date()
+});
+
+/**
+ * Load the entry named in the URL or respond with 404
+ */
+const loadEntry = async (req, res, next) => {
+  try {
+    const entry = await db.getAccessListEntry(parseInt(req.params.entryId));
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Access list entry not found',
+        code: 'ACCESS_ENTRY_NOT_FOUND'
+      });
+    }
+
+    req.entry = entry;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/access-lists
+ * List active entries, filterable by list_type and entry_type.
+ * `?include_expired=true` also lists expired entries.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { list_type, entry_type, include_expired } = req.query;
+
+    const entries = await db.getAccessListEntries({
+      list_type,
+      entry_type,
+      include_expired: include_expired === 'true'
+    });
+
+    res.json(formatResponse(
+      true,
+      'Access list entries retrieved successfully',
+      { entries: entries.map(withExpiry) },
+      { total: entries.length }
+    ));
+
+  } catch (error) {
+    console.error('Access list retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve access list entries',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/access-lists/check
+ * Show which entries would apply to a scan ({ uid, ip, device_id } query)
+ */
+router.get('/check', async (req, res) => {
+  try {
+    const { uid, ip, device_id } = req.query;
+
+    const entries = await db.getAccessListEntries();
+    const { block, allow } = findAccessMatches(entries, { uid, ip, deviceId: device_id });
+
+    res.json(formatResponse(
+      true,
+      'Access lists checked successfully',
+      {
+        decision: block ? 'block' : allow ? 'allow' : 'none',
+        block,
+        allow
+      }
+    ));
+
+  } catch (error) {
+    console.error('Access list check error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to check access lists',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/access-lists
+ * Add a block or allow entry ({ list_type, entry_type, value, reason, expires_at }).
+ * Adding an existing entry again updates its reason and expiry.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { list_type, entry_type, value, reason, expires_at } = req.body;
+
+    if (!LIST_TYPES.includes(list_type) || !ENTRY_TYPES.includes(entry_type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `list_type must be one of: ${LIST_TYPES.join(', ')}; entry_type one of: ${ENTRY_TYPES.join(', ')}`,
+        code: 'INVALID_ACCESS_ENTRY'
+      });
+    }
+
+    const normalized = normalizeEntryValue(entry_type, value);
+    if (!normalized) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid ${entry_type} value`,
+        code: 'INVALID_ACCESS_ENTRY'
+      });
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'reason must be a string',
+        code: 'INVALID_ACCESS_ENTRY'
+      });
+    }
+
+    if (!isValidExpiry(expires_at)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'expires_at must be a future ISO date',
+        code: 'INVALID_EXPIRY'
+      });
+    }
+
+    const entry = await db.upsertAccessListEntry({
+      list_type,
+      entry_type,
+      value: normalized,
+      reason,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+      created_by: req.apiKeyData.key_name
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Access list entry saved successfully',
+      withExpiry(entry)
+    ));
+
+  } catch (error) {
+    console.error('Access list entry creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to save access list entry',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PATCH /v1/access-lists/:entryId
+ * Change an entry's reason or expiry (null removes the expiry)
+ */
+router.patch('/:entryId', loadEntry, async (req, res) => {
+  try {
+    const { reason, expires_at } = req.body;
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'reason must be a string',
+        code: 'INVALID_ACCESS_ENTRY'
+      });
+    }
+
+    if (!isValidExpiry(expires_at)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'expires_at must be a future ISO date',
+        code: 'INVALID_EXPIRY'
+      });
+    }
+
+    const entry = await db.updateAccessListEntry(req.entry.id, {
+      reason,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : expires_at
+    });
+
+    res.json(formatResponse(
+      true,
+      'Access list entry updated successfully',
+      withExpiry(entry)
+    ));
+
+  } catch (error) {
+    console.error('Access list entry update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update access list entry',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * DELETE /v1/access-lists/:entryId
+ * Remove an entry
+ */
+router.delete('/:entryId', loadEntry, async (req, res) => {
+  try {
+    await db.deleteAccessListEntry(req.entry.id);
+
+    res.json(formatResponse(
+      true,
+      'Access list entry deleted successfully',
+      withExpiry(req.entry)
+    ));
+
+  } catch (error) {
+    console.error('Access list entry deletion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to delete access list entry',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
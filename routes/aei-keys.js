@@ -0,0 +1,130 @@
+// AEI keyring routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse } = require('../utils');
+const db = require('../database');
+
+// Shortest secret accepted for a supplied AEI key
+const MIN_SECRET_LENGTH = 32;
+
+router.use(authenticateApiKey, requirePermission('aei:manage'));
+
+/**
+ * GET /v1/aei-keys
+ * List the keyring (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await db.getAeiKeys();
+
+    res.json(formatResponse(
+      true,
+      'AEI keys retrieved successfully',
+      { keys },
+      { total: keys.length, active: keys.find(key => key.status === 'active').key_id }
+    ));
+
+  } catch (error) {
+    console.error('AEI key retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve AEI keys',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/aei-keys/history
+ * Re-signing audit trail, filterable by scan_id
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, scan_id } = req.query;
+
+    const { entries, total } = await db.getAeiResignHistory({
+      scan_id,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Re-signing history retrieved successfully',
+      {
+        entries,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Re-signing history error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve re-signing history',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/aei-keys/rotate
+ * Retire the active key and activate a new one ({ secret, resign }). The
+ * secret is generated unless supplied. Retired keys keep verifying the scans
+ * they signed; `resign: true` also re-signs those scans with the new key.
+ */
+router.post('/rotate', async (req, res) => {
+  try {
+    const { secret, resign = false } = req.body;
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`,
+        code: 'INVALID_AEI_SECRET'
+      });
+    }
+
+    if (typeof resign !== 'boolean') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'resign must be a boolean',
+        code: 'INVALID_RESIGN_OPTION'
+      });
+    }
+
+    const key = await db.rotateAeiKey(secret || crypto.randomBytes(32).toString('hex'), req.apiKeyData.key_name);
+    const result = resign ? await db.resignScans(req.apiKeyData.key_name) : null;
+
+    res.status(201).json(formatResponse(
+      true,
+      'AEI key rotated successfully',
+      {
+        key: result ? { ...key, scan_count: key.scan_count + result.resigned } : key,
+        resigned: result ? result.resigned : 0,
+        skipped: result ? result.skipped : []
+      }
+    ));
+
+  } catch (error) {
+    console.error('AEI key rotation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to rotate AEI key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
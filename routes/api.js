@@ -2,36 +2,46 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateApiKey, validateScanRequest, antiFraudCheck } = require('../middleware');
-const { formatResponse, generateAEIChecksum, generateScanId } = require('../utils');
+const {
+  authenticateApiKey,
+  requirePermission,
+  resolveCampaignScope,
+  resolveReviewScope,
+  authenticateDevice,
+  idempotency
+} = require('../middleware');
+const {
+  formatResponse,
+  verifyAEIChecksum,
+  isValidChecksum,
+  findAEIKeyId,
+  isValidUID,
+  isValidDeviceId,
+  isValidCampaignId,
+  generateNonce
+} = require('../utils');
+const { buildTimeBuckets } = require('../utils/timeseries');
+const { SCAN_PIPELINE, storeScan, ingestScanBatch } = require('../ingest');
+const {
+  COHORT_GRANULARITIES,
+  RETENTION_PERIODS,
+  buildRetentionReport,
+  retentionToCsv
+} = require('../utils/retention');
 const config = require('../config');
 const db = require('../database');
 
 /**
  * POST /v1/scan
- * Register UID, timestamp, and campaign ID
+ * Register UID, timestamp, and campaign ID.
+ * Scans with valid NTAG 424 DNA SUN data (picc_data + cmac) are stored as
+ * verified unless the fraud engine flags them; plain UID scans are stored as
+ * unverified. Every scan keeps its risk score and the reasons behind it.
+ * Requests signed by an enrolled device are attributed to that device.
  */
-router.post('/scan', validateScanRequest, antiFraudCheck, async (req, res) => {
+router.post('/scan', authenticateDevice, idempotency, ...SCAN_PIPELINE, async (req, res) => {
   try {
-    const { uid, campaign_id } = req.body;
-    const timestamp = new Date().toISOString();
-    
-    // Generate AEI checksum
-    const checksum = generateAEIChecksum(uid, timestamp, campaign_id, config.security.aeiSecretKey);
-    
-    // Create scan record
-    const scanId = generateScanId();
-    const scanRecord = {
-      scan_id: scanId,
-      uid,
-      campaign_id,
-      timestamp,
-      checksum,
-      verified: true
-    };
-    
-    // Store scan in database
-    await db.insertScan(scanRecord);
+    const { scan, risk, flagReasons, points } = await storeScan(req);
     
     // Get updated counts
     const totalScans = await db.getScans({ limit: 1000 });
@@ -45,12 +55,20 @@ router.post('/scan', validateScanRequest, antiFraudCheck, async (req, res) => {
       true,
       'Scan registered successfully',
       {
-        scan_id: scanId,
-        uid,
-        campaign_id,
-        timestamp,
-        checksum,
-        verified: true
+        scan_id: scan.scan_id,
+        uid: scan.uid,
+        campaign_id: scan.campaign_id,
+        timestamp: scan.timestamp,
+        checksum: scan.checksum,
+        aei_key_id: scan.aei_key_id,
+        verified: !!scan.verified,
+        auth_method: scan.auth_method,
+        read_counter: scan.read_counter,
+        flagged: !!scan.flagged,
+        flag_reasons: flagReasons,
+        risk_score: risk.score,
+        risk_reasons: risk.reasons,
+        points_earned: points
       },
       {
         total_scans: totalScans.length,
@@ -69,17 +87,269 @@ router.post('/scan', validateScanRequest, antiFraudCheck, async (req, res) => {
   }
 });
 
+/**
+ * POST /v1/scan/challenge
+ * Issue a single-use nonce for a scan from a client without a tag read
+ * counter. The nonce is bound to the campaign (and UID, if given).
+ */
+router.post('/scan/challenge', async (req, res) => {
+  try {
+    const { campaign_id, uid } = req.body || {};
+    
+    if (!campaign_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign ID is required',
+        code: 'MISSING_CAMPAIGN_ID'
+      });
+    }
+    
+    if (uid !== undefined && !isValidUID(uid)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid UID format',
+        code: 'INVALID_UID_FORMAT'
+      });
+    }
+    
+    const campaign = await db.getCampaign(campaign_id);
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+    
+    if (!campaign.active) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Campaign is not active',
+        code: 'CAMPAIGN_INACTIVE'
+      });
+    }
+    
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.replay.nonceTtlSeconds * 1000).toISOString();
+    const nonce = generateNonce();
+    
+    await db.deleteExpiredScanNonces(now.toISOString());
+    await db.createScanNonce({ nonce, campaign_id, uid, ip_address: req.ip, expires_at: expiresAt });
+    
+    res.status(201).json(formatResponse(
+      true,
+      'Scan challenge issued',
+      { nonce, campaign_id, uid: uid || null, expires_at: expiresAt }
+    ));
+    
+  } catch (error) {
+    console.error('Scan challenge error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to issue scan challenge',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/scans/batch
+ * Upload scans a reader buffered while offline: { device_id, device_time,
+ * campaign_id, scans: [{ uid | picc_data + cmac, campaign_id, timestamp, seq }] }.
+ * Each scan goes through the same checks as POST /v1/scan as of its
+ * timestamp; scans already received (same device_id and seq) are reported
+ * as duplicates, so a batch can safely be re-sent. Enrolled devices sign
+ * the batch like a single scan.
+ */
+router.post('/scans/batch', authenticateDevice, async (req, res) => {
+  try {
+    const receivedAt = new Date();
+    const { device_id, device_time, campaign_id, scans } = req.body || {};
+
+    if (!device_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Device ID is required',
+        code: 'MISSING_DEVICE_ID'
+      });
+    }
+
+    if (!isValidDeviceId(device_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid device ID format',
+        code: 'INVALID_DEVICE_ID'
+      });
+    }
+
+    if (device_time !== undefined && (typeof device_time !== 'string' || isNaN(new Date(device_time).getTime()))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'device_time must be an ISO 8601 date',
+        code: 'INVALID_DEVICE_TIME'
+      });
+    }
+
+    if (!Array.isArray(scans) || scans.length === 0 || scans.length > config.ingest.maxBatchSize) {
+      return res.status(400).json({
+        status: 'error',
+        message: `scans must be a list of 1 to ${config.ingest.maxBatchSize} scans`,
+        code: 'INVALID_BATCH'
+      });
+    }
+
+    const { results, summary, clock_offset_ms } = await ingestScanBatch(req, {
+      deviceId: device_id,
+      deviceTime: device_time,
+      campaignId: campaign_id,
+      scans
+    }, receivedAt);
+
+    res.json(formatResponse(
+      true,
+      'Scan batch processed',
+      { device_id, clock_offset_ms, results },
+      summary
+    ));
+
+  } catch (error) {
+    console.error('Scan batch error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to process scan batch',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/verify
+ * Public check that an AEI checksum is authentic and matches a stored scan.
+ * Accepts either { scan_id } or { uid, timestamp, campaign_id, checksum }.
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { scan_id, uid, timestamp, campaign_id, checksum } = req.body || {};
+    
+    if (scan_id !== undefined) {
+      if (typeof scan_id !== 'string' || !scan_id) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'scan_id must be a non-empty string',
+          code: 'INVALID_SCAN_ID'
+        });
+      }
+      
+      const scan = await db.getScanById(scan_id);
+      
+      if (!scan) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Scan not found',
+          code: 'SCAN_NOT_FOUND'
+        });
+      }
+      
+      const authentic = verifyAEIChecksum(scan.uid, scan.timestamp, scan.campaign_id, scan.checksum, scan.aei_key_id);
+      
+      return res.json(formatResponse(
+        true,
+        authentic ? 'Checksum is authentic' : 'Checksum is not authentic',
+        {
+          scan_id: scan.scan_id,
+          authentic,
+          matches_stored_scan: true,
+          aei_key_id: scan.aei_key_id
+        }
+      ));
+    }
+    
+    if (!uid || !timestamp || !campaign_id || !checksum) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Provide scan_id or uid, timestamp, campaign_id and checksum',
+        code: 'MISSING_VERIFY_FIELDS'
+      });
+    }
+    
+    if (typeof uid !== 'string' || !isValidUID(uid)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid UID format',
+        code: 'INVALID_UID_FORMAT'
+      });
+    }
+    
+    if (!isValidCampaignId(campaign_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid campaign ID format',
+        code: 'INVALID_CAMPAIGN_ID'
+      });
+    }
+    
+    if (typeof timestamp !== 'string' || isNaN(Date.parse(timestamp))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid timestamp',
+        code: 'INVALID_TIMESTAMP'
+      });
+    }
+    
+    if (!isValidChecksum(checksum)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Checksum must be 64 hexadecimal characters',
+        code: 'INVALID_CHECKSUM_FORMAT'
+      });
+    }
+    
+    // Any key in the ring may have signed it, including retired ones
+    const keyId = findAEIKeyId(uid, timestamp, campaign_id, checksum);
+    const authentic = keyId !== null;
+    const scan = authentic ? await db.findScan({ uid, timestamp, campaign_id, checksum }) : null;
+    
+    res.json(formatResponse(
+      true,
+      authentic ? 'Checksum is authentic' : 'Checksum is not authentic',
+      {
+        scan_id: scan ? scan.scan_id : null,
+        authentic,
+        matches_stored_scan: !!scan,
+        aei_key_id: keyId
+      }
+    ));
+    
+  } catch (error) {
+    console.error('Checksum verification error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to verify checksum',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
 /**
  * GET /v1/logs
- * Display recent scans (admin only)
+ * Display recent scans (requires logs:read, scoped to the key's campaigns;
+ * keys without fraud:read only see scans that passed review)
  */
-router.get('/logs', authenticateApiKey, async (req, res) => {
+router.get('/logs', authenticateApiKey, requirePermission('logs:read'), resolveCampaignScope, resolveReviewScope, async (req, res) => {
   try {
-    const { limit = 50, offset = 0, uid, campaign_id, start_date, end_date } = req.query;
+    const { limit = 50, offset = 0, uid, campaign_id, device_id, venue_id, start_date, end_date, verified, review_status } = req.query;
     
     const filters = {};
     if (uid) filters.uid = uid;
-    if (campaign_id) filters.campaign_id = campaign_id;
+    if (device_id) filters.device_id = device_id;
+    if (venue_id) filters.venue_id = venue_id;
+    if (verified !== undefined) filters.verified = verified === 'true';
+    if (review_status) filters.review_status = review_status;
+    if (req.campaignScope) filters.campaign_ids = req.campaignScope;
+    if (req.reviewedOnly) filters.passed_review = true;
     if (start_date) filters.start_date = start_date;
     if (end_date) filters.end_date = end_date;
     
@@ -110,8 +380,13 @@ router.get('/logs', authenticateApiKey, async (req, res) => {
         filters_applied: {
           uid: !!uid,
           campaign_id: !!campaign_id,
+          device_id: !!device_id,
+          venue_id: !!venue_id,
           start_date: !!start_date,
-          end_date: !!end_date
+          end_date: !!end_date,
+          verified: verified !== undefined,
+          review_status: !!review_status,
+          reviewed_only: req.reviewedOnly
         }
       }
     ));
@@ -128,43 +403,76 @@ router.get('/logs', authenticateApiKey, async (req, res) => {
 });
 
 /**
- * GET /v1/export/csv
- * Export daily scan data for sponsors
+ * GET /v1/stats
+ * Get scan statistics (requires stats:read, scoped to the key's campaigns;
+ * keys without fraud:read only count scans that passed review), with a
+ * per-device and per-venue breakdown. Filterable by device_id and venue_id.
  */
-router.get('/export/csv', authenticateApiKey, async (req, res) => {
+router.get('/stats', authenticateApiKey, requirePermission('stats:read'), resolveCampaignScope, resolveReviewScope, async (req, res) => {
   try {
-    const { date, campaign_id } = req.query;
-    
-    const filters = {};
-    const targetDate = date || new Date().toISOString().split('T')[0];
-    filters.start_date = targetDate + 'T00:00:00.000Z';
-    filters.end_date = targetDate + 'T23:59:59.999Z';
-    
-    if (campaign_id) {
-      filters.campaign_id = campaign_id;
-    }
+    const stats = await db.getStats({
+      campaign_ids: req.campaignScope,
+      passed_review: req.reviewedOnly,
+      device_id: req.query.device_id,
+      venue_id: req.query.venue_id
+    });
     
-    const scans = await db.getScans(filters);
+    res.json(formatResponse(
+      true,
+      'Statistics retrieved successfully',
+      stats
+    ));
     
-    // Generate CSV content
-    const csvHeader = 'Scan ID,UID,Campaign ID,Timestamp,Checksum,Verified\n';
-    const csvRows = scans.map(scan => 
-      `${scan.scan_id},${scan.uid},${scan.campaign_id},${scan.timestamp},${scan.checksum},${scan.verified}`
-    ).join('\n');
+  } catch (error) {
+    console.error('Stats retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve statistics',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/stats/timeseries
+ * Scan counts, unique UIDs and new vs returning UIDs per hour, day, week or
+ * month (requires stats:read, scoped like /v1/stats). Buckets are aligned in
+ * `timezone` and empty buckets are returned as zeros.
+ */
+router.get('/stats/timeseries', authenticateApiKey, requirePermission('stats:read'), resolveCampaignScope, resolveReviewScope, async (req, res) => {
+  try {
+    const { granularity = 'day', start_date, end_date, timezone = 'UTC' } = req.query;
     
-    const csvContent = csvHeader + csvRows;
+    const range = buildTimeBuckets({ granularity, start_date, end_date, timezone });
+    if (range.error) {
+      return res.status(400).json({ status: 'error', ...range.error });
+    }
     
-    // Set headers for CSV download
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="neocard_scans_${targetDate}.csv"`);
+    const buckets = await db.getTimeseries({
+      buckets: range.buckets,
+      campaign_ids: req.campaignScope,
+      passed_review: req.reviewedOnly
+    });
     
-    res.send(csvContent);
+    res.json(formatResponse(
+      true,
+      'Time series retrieved successfully',
+      {
+        granularity,
+        timezone,
+        start: range.start,
+        end: range.end,
+        buckets
+      },
+      { bucket_count: buckets.length }
+    ));
     
   } catch (error) {
-    console.error('CSV export error:', error);
+    console.error('Time series retrieval error:', error);
     res.status(500).json(formatResponse(
       false,
-      'Failed to export CSV',
+      'Failed to retrieve time series',
       null,
       { error: error.message }
     ));
@@ -172,28 +480,156 @@ router.get('/export/csv', authenticateApiKey, async (req, res) => {
 });
 
 /**
- * GET /v1/stats
- * Get scan statistics (admin only)
+ * GET /v1/stats/retention
+ * Cohort retention for one campaign (requires stats:read, scoped like
+ * /v1/stats). UIDs are grouped by the day or week of their first scan in the
+ * campaign; each cohort reports the share that scanned again in each later
+ * period, its repeat-scan distribution and time-to-second-scan percentiles.
+ * `?format=csv` downloads the report as CSV.
  */
-router.get('/stats', authenticateApiKey, async (req, res) => {
+router.get('/stats/retention', authenticateApiKey, requirePermission('stats:read'), resolveCampaignScope, resolveReviewScope, async (req, res) => {
   try {
-    const stats = await db.getStats();
+    const { campaign_id, cohort = 'week', start_date, end_date, timezone = 'UTC', format = 'json' } = req.query;
+    
+    if (!campaign_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'campaign_id is required',
+        code: 'MISSING_CAMPAIGN_ID'
+      });
+    }
+    
+    if (!COHORT_GRANULARITIES.includes(cohort)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `cohort must be one of: ${COHORT_GRANULARITIES.join(', ')}`,
+        code: 'INVALID_GRANULARITY'
+      });
+    }
+    
+    const { defaultPeriods, maxPeriods } = RETENTION_PERIODS[cohort];
+    const periods = req.query.periods === undefined ? defaultPeriods : Number(req.query.periods);
+    
+    if (!Number.isInteger(periods) || periods < 1 || periods > maxPeriods) {
+      return res.status(400).json({
+        status: 'error',
+        message: `periods must be an integer between 1 and ${maxPeriods}`,
+        code: 'INVALID_PERIODS'
+      });
+    }
+    
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be json or csv',
+        code: 'INVALID_FORMAT'
+      });
+    }
+    
+    const campaign = await db.getCampaign(campaign_id);
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+    
+    // Cohorts cover the requested range; follow-up periods run past its end
+    const cohorts = buildTimeBuckets({ granularity: cohort, start_date, end_date, timezone });
+    const range = cohorts.error ? cohorts : buildTimeBuckets({ granularity: cohort, start_date, end_date, timezone, extend: periods });
+    if (range.error) {
+      return res.status(400).json({ status: 'error', ...range.error });
+    }
+    
+    const rows = await db.getRetention({
+      campaign_id,
+      buckets: range.buckets,
+      cohort_count: cohorts.buckets.length,
+      passed_review: req.reviewedOnly
+    });
+    
+    const report = buildRetentionReport({
+      buckets: range.buckets,
+      cohortCount: cohorts.buckets.length,
+      periods,
+      rows
+    });
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="neocard_retention_${campaign_id}_${cohort}.csv"`);
+      return res.send(retentionToCsv(report, periods));
+    }
     
     res.json(formatResponse(
       true,
-      'Statistics retrieved successfully',
-      stats
+      'Retention retrieved successfully',
+      {
+        campaign_id,
+        cohort,
+        timezone,
+        periods,
+        start: cohorts.start,
+        end: cohorts.end,
+        ...report
+      },
+      { cohort_count: report.cohorts.length }
     ));
     
   } catch (error) {
-    console.error('Stats retrieval error:', error);
+    console.error('Retention retrieval error:', error);
     res.status(500).json(formatResponse(
       false,
-      'Failed to retrieve statistics',
+      'Failed to retrieve retention',
       null,
       { error: error.message }
     ));
   }
 });
 
+// Scan exports (requires export:read)
+router.use('/export', require('./export'));
+
+// Campaign management (requires campaigns:manage)
+router.use('/campaigns', require('./campaigns'));
+
+// Block and allow lists (requires access:manage)
+router.use('/access-lists', require('./access-lists'));
+
+// Fraud review queue (requires reviews:manage)
+router.use('/reviews', require('./reviews'));
+
+// API key management (requires keys:manage)
+router.use('/keys', require('./keys'));
+
+// AEI keyring rotation (requires aei:manage)
+router.use('/aei-keys', require('./aei-keys'));
+
+// Card registry (requires cards:manage)
+router.use('/cards', require('./cards'));
+
+// Reader device registry (requires devices:manage)
+router.use('/devices', require('./devices'));
+
+// Venues and their geofences (requires venues:manage)
+router.use('/venues', require('./venues'));
+
+// Loyalty points, reward catalog and redemptions (rewards:read,
+// rewards:redeem, rewards:manage)
+router.use('/rewards', require('./rewards'));
+
+// Live scan feed over SSE (requires logs:read); WebSocket upgrades are
+// handled by attachScanSocket
+router.use('/stream', require('./stream'));
+
+// Webhook subscriptions (requires webhooks:manage)
+router.use('/webhooks', require('./webhooks'));
+
+// Scan ledger audit (requires audit:read)
+router.use('/audit', require('./audit'));
+
+// Fraud event log (requires fraud:read)
+router.use('/fraud', require('./fraud'));
+
 module.exports = router;
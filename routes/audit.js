@@ -0,0 +1,125 @@
+// Scan ledger audit routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse } = require('../utils');
+const { parseDateRange } = require('../utils/timeseries');
+const { SEAL_FIELDS, findChainBreak } = require('../utils/ledger');
+const { getAeiSecret } = require('../utils/keyring');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('audit:read'));
+
+/**
+ * Walk one chain over the range and return its first break
+ * @param {string} chainId
+ * @param {object} range - { start, end } ISO bounds (optional)
+ * @returns {Promise<{scans: number, brk: object|null}>}
+ */
+const verifyChain = async (chainId, range) => {
+  let previous;
+  let scans = 0;
+
+  for await (const batch of db.iterateChain(chainId, range)) {
+    if (previous === undefined) {
+      // The range may start mid-chain; link to the scan just before it
+      const firstSeq = batch[0].chain_seq;
+      previous = firstSeq > 1 ? await db.getChainScan(chainId, firstSeq - 1) : null;
+    }
+
+    const brk = findChainBreak(batch, previous, getAeiSecret);
+    if (brk) {
+      return { scans: scans + batch.findIndex(scan => scan.scan_id === brk.scan_id) + 1, brk };
+    }
+
+    scans += batch.length;
+    previous = batch[batch.length - 1];
+  }
+
+  return { scans, brk: null };
+};
+
+/**
+ * GET /v1/audit/verify
+ * Walk the scan ledger over a date range (default: all of it) and report the
+ * first break: a missing, reordered or edited scan, or a sealed day whose
+ * Merkle root no longer matches. Filter to one chain with `chain_id`.
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const { start_date, end_date, timezone = 'UTC', chain_id } = req.query;
+    let range = {};
+
+    if (start_date !== undefined || end_date !== undefined) {
+      range = parseDateRange({ start_date, end_date, timezone });
+      if (range.error) {
+        return res.status(400).json({ status: 'error', ...range.error });
+      }
+    }
+
+    // Seal finished days first so they are covered by root checks
+    await db.sealLedgerDays();
+
+    const breaks = [];
+    let scansChecked = 0;
+
+    const chains = await db.getLedgerChains({ chain_id, ...range });
+    for (const chainId of chains) {
+      const { scans, brk } = await verifyChain(chainId, range);
+      scansChecked += scans;
+      if (brk) breaks.push(brk);
+    }
+
+    const roots = await db.getLedgerRoots({
+      chain_id,
+      start_day: range.start && range.start.split('T')[0],
+      end_day: range.end && new Date(new Date(range.end).getTime() - 1).toISOString().split('T')[0]
+    });
+
+    for (const root of roots) {
+      const actual = await db.computeLedgerDay(root.chain_id, root.day);
+      const changed = SEAL_FIELDS.filter(field => actual[field] !== root[field]);
+
+      if (changed.length > 0) {
+        breaks.push({
+          type: 'ROOT_MISMATCH',
+          chain_id: root.chain_id,
+          day: root.day,
+          chained_at: `${root.day}T00:00:00.000Z`,
+          changed,
+          expected: Object.fromEntries(SEAL_FIELDS.map(field => [field, root[field]])),
+          actual
+        });
+      }
+    }
+
+    // Report the earliest break in ledger order
+    breaks.sort((a, b) => (a.chained_at || '').localeCompare(b.chained_at || ''));
+
+    res.json(formatResponse(
+      true,
+      breaks.length ? 'Ledger verification found a break' : 'Ledger verified successfully',
+      {
+        valid: breaks.length === 0,
+        range: { start: range.start || null, end: range.end || null },
+        chains_checked: chains.length,
+        scans_checked: scansChecked,
+        days_checked: roots.length,
+        first_break: breaks[0] || null
+      },
+      { breaks: breaks.length }
+    ));
+
+  } catch (error) {
+    console.error('Ledger verification error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to verify ledger',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
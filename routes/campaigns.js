@@ -0,0 +1,329 @@
+// Campaign management routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const {
+  formatResponse,
+  isValidCampaignId,
+  isValidHttpUrl,
+  CAMPAIGN_POLICY_FIELDS,
+  COOLDOWN_SCOPES,
+  resolveCampaignPolicy
+} = require('../utils');
+const { GEOFENCE_MODES } = require('../utils/geo');
+const config = require('../config');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('campaigns:manage'));
+
+/**
+ * Validate the editable campaign fields of a request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {object|null} - Error payload, or null when valid
+ */
+const validateCampaignBody = (body, partial) => {
+  const { name, description, active, destination_url } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { message: 'Campaign name is required', code: 'MISSING_CAMPAIGN_NAME' };
+    }
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { message: 'Campaign description must be a string', code: 'INVALID_CAMPAIGN_DESCRIPTION' };
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return { message: 'Campaign active flag must be a boolean', code: 'INVALID_CAMPAIGN_ACTIVE' };
+  }
+
+  if (destination_url !== undefined && destination_url !== null && !isValidHttpUrl(destination_url)) {
+    return { message: 'destination_url must be an absolute http(s) URL', code: 'INVALID_DESTINATION_URL' };
+  }
+
+  return null;
+};
+
+/**
+ * Validate an anti-fraud policy request body. Every field is optional and
+ * null clears the campaign's override.
+ * @param {object} body - Request body
+ * @returns {object|null} - Error payload, or null when valid
+ */
+const validatePolicyBody = (body) => {
+  const fields = Object.keys(CAMPAIGN_POLICY_FIELDS).filter(field => body[field] !== undefined);
+
+  if (fields.length === 0) {
+    return {
+      message: `Provide at least one of: ${Object.keys(CAMPAIGN_POLICY_FIELDS).join(', ')}`,
+      code: 'EMPTY_POLICY'
+    };
+  }
+
+  for (const field of fields) {
+    const value = body[field];
+    if (value === null) continue;
+
+    if (field === 'cooldown_scope') {
+      if (!COOLDOWN_SCOPES.includes(value)) {
+        return { message: `cooldown_scope must be one of: ${COOLDOWN_SCOPES.join(', ')}`, code: 'INVALID_POLICY' };
+      }
+    } else if (field === 'geofence_mode') {
+      if (!GEOFENCE_MODES.includes(value)) {
+        return { message: `geofence_mode must be one of: ${GEOFENCE_MODES.join(', ')}`, code: 'INVALID_POLICY' };
+      }
+    } else if (!Number.isInteger(value) || value < 0) {
+      return { message: `${field} must be a non-negative integer or null`, code: 'INVALID_POLICY' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe a campaign's policy: the stored overrides and what applies
+ * @param {object} campaign - campaigns row
+ * @returns {object} - { campaign_id, overrides, effective }
+ */
+const describePolicy = (campaign) => {
+  const overrides = {};
+  for (const column of Object.keys(CAMPAIGN_POLICY_FIELDS)) {
+    overrides[column] = campaign[column];
+  }
+
+  return {
+    campaign_id: campaign.campaign_id,
+    overrides,
+    effective: resolveCampaignPolicy(campaign, config.antifraud)
+  };
+};
+
+/**
+ * Load the campaign named in the URL or respond with 404
+ */
+const loadCampaign = async (req, res, next) => {
+  try {
+    const campaign = await db.getCampaign(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/campaigns
+ * List campaigns, optionally filtered by active state
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const filters = {};
+    if (active !== undefined) filters.active = active === 'true';
+
+    const campaigns = await db.getCampaigns(filters);
+
+    res.json(formatResponse(
+      true,
+      'Campaigns retrieved successfully',
+      { campaigns },
+      { total: campaigns.length }
+    ));
+
+  } catch (error) {
+    console.error('Campaign listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve campaigns',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/campaigns/:campaignId
+ * Get a single campaign
+ */
+router.get('/:campaignId', loadCampaign, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Campaign retrieved successfully',
+    req.campaign
+  ));
+});
+
+/**
+ * POST /v1/campaigns
+ * Create a campaign
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { campaign_id, name, description, active, destination_url } = req.body;
+
+    if (!isValidCampaignId(campaign_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid campaign ID format',
+        code: 'INVALID_CAMPAIGN_ID'
+      });
+    }
+
+    const invalid = validateCampaignBody(req.body, false);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', ...invalid });
+    }
+
+    if (await db.getCampaign(campaign_id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Campaign already exists',
+        code: 'CAMPAIGN_EXISTS'
+      });
+    }
+
+    const campaign = await db.createCampaign({
+      campaign_id,
+      name: name.trim(),
+      description,
+      active,
+      destination_url
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Campaign created successfully',
+      campaign
+    ));
+
+  } catch (error) {
+    console.error('Campaign creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to create campaign',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PATCH /v1/campaigns/:campaignId
+ * Update a campaign's name, description, active flag or destination URL
+ */
+router.patch('/:campaignId', loadCampaign, async (req, res) => {
+  try {
+    const invalid = validateCampaignBody(req.body, true);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', ...invalid });
+    }
+
+    const { name, description, active, destination_url } = req.body;
+    const campaign = await db.updateCampaign(req.campaign.campaign_id, {
+      name: name !== undefined ? name.trim() : undefined,
+      description,
+      active,
+      destination_url
+    });
+
+    res.json(formatResponse(
+      true,
+      'Campaign updated successfully',
+      campaign
+    ));
+
+  } catch (error) {
+    console.error('Campaign update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update campaign',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/campaigns/:campaignId/policy
+ * Get the campaign's anti-fraud policy overrides and effective values
+ */
+router.get('/:campaignId/policy', loadCampaign, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Campaign policy retrieved successfully',
+    describePolicy(req.campaign)
+  ));
+});
+
+/**
+ * PUT /v1/campaigns/:campaignId/policy
+ * Change the campaign's anti-fraud policy. Takes effect on the next scan.
+ */
+router.put('/:campaignId/policy', loadCampaign, async (req, res) => {
+  try {
+    const invalid = validatePolicyBody(req.body);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', ...invalid });
+    }
+
+    const campaign = await db.setCampaignPolicy(req.campaign.campaign_id, req.body);
+
+    res.json(formatResponse(
+      true,
+      'Campaign policy updated successfully',
+      describePolicy(campaign)
+    ));
+
+  } catch (error) {
+    console.error('Campaign policy update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update campaign policy',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/campaigns/:campaignId/activate
+ * POST /v1/campaigns/:campaignId/deactivate
+ * Toggle whether a campaign accepts scans
+ */
+for (const [action, active] of [['activate', true], ['deactivate', false]]) {
+  router.post(`/:campaignId/${action}`, loadCampaign, async (req, res) => {
+    try {
+      const campaign = await db.updateCampaign(req.campaign.campaign_id, { active });
+
+      res.json(formatResponse(
+        true,
+        `Campaign ${action}d successfully`,
+        campaign
+      ));
+
+    } catch (error) {
+      console.error(`Campaign ${action} error:`, error);
+      res.status(500).json(formatResponse(
+        false,
+        `Failed to ${action} campaign`,
+        null,
+        { error: error.message }
+      ));
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,336 @@
+// Card registry routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse, isValidUID, CARD_STATUS_TRANSITIONS, canTransitionCard } = require('../utils');
+const db = require('../database');
+
+// Maximum number of cards accepted by one bulk registration
+const MAX_BULK_CARDS = 1000;
+
+router.use(authenticateApiKey, requirePermission('cards:manage'));
+
+/**
+ * Load the card named in the URL or respond with 404
+ */
+const loadCard = async (req, res, next) => {
+  try {
+    const card = await db.getCard(req.params.uid);
+
+    if (!card) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Card not found',
+        code: 'CARD_NOT_FOUND'
+      });
+    }
+
+    req.card = card;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Strip the SUN key from a card before returning it
+ * @param {object} card - cards row
+ * @returns {object} - Card with `has_sun_key` instead of the key
+ */
+const publicCard = (card) => {
+  const { sdm_file_read_key, ...rest } = card;
+  return { ...rest, has_sun_key: !!sdm_file_read_key };
+};
+
+/**
+ * Validate an optional NTAG 424 DNA SDMFileReadKey
+ * @param {*} key - Value of `sdm_file_read_key`
+ * @returns {boolean} - Whether it is absent or 32 hex characters
+ */
+const isValidSunKey = (key) => {
+  return key === undefined || key === null || (typeof key === 'string' && /^[0-9a-fA-F]{32}$/.test(key));
+};
+
+/**
+ * Validate optional batch/owner labels
+ * @param {object} card - Card fields from the request body
+ * @returns {boolean} - Whether batch_id and owner are absent or strings
+ */
+const hasValidLabels = (card) => {
+  return ['batch_id', 'owner'].every(field =>
+    card[field] === undefined || card[field] === null || typeof card[field] === 'string'
+  );
+};
+
+/**
+ * GET /v1/cards
+ * List registered cards, filterable by status, batch_id and owner
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status, batch_id, owner } = req.query;
+
+    const { cards, total } = await db.getCards({
+      status,
+      batch_id,
+      owner,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Cards retrieved successfully',
+      {
+        cards: cards.map(publicCard),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Card listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve cards',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/cards/:uid
+ * Get a card with its status history and scan summary
+ */
+router.get('/:uid', loadCard, async (req, res) => {
+  try {
+    const history = await db.getCardStatusHistory(req.card.uid);
+    const scanSummary = await db.getCardScanSummary(req.card.uid);
+
+    res.json(formatResponse(
+      true,
+      'Card retrieved successfully',
+      {
+        ...publicCard(req.card),
+        allowed_transitions: CARD_STATUS_TRANSITIONS[req.card.status] || [],
+        status_history: history,
+        scan_summary: scanSummary
+      }
+    ));
+
+  } catch (error) {
+    console.error('Card retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve card',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/cards
+ * Register one card ({ uid, batch_id, owner }) or many ({ cards: [...] }).
+ * Cards start in the `issued` state; already registered UIDs are skipped.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const bulk = Array.isArray(req.body.cards);
+    const cards = bulk ? req.body.cards : [req.body];
+
+    if (cards.length === 0 || cards.length > MAX_BULK_CARDS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Provide between 1 and ${MAX_BULK_CARDS} cards`,
+        code: 'INVALID_CARD_COUNT'
+      });
+    }
+
+    const invalid = cards.find(card =>
+      !card || !isValidUID(card.uid) || !hasValidLabels(card) || !isValidSunKey(card.sdm_file_read_key)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Every card needs a valid UID, string batch_id/owner and an optional 32 hex character sdm_file_read_key',
+        code: 'INVALID_CARD',
+        uid: invalid && invalid.uid
+      });
+    }
+
+    const changedBy = req.apiKeyData.key_name;
+    const created = [];
+    const skipped = [];
+
+    for (const card of cards) {
+      const row = await db.createCard({
+        uid: card.uid,
+        batch_id: card.batch_id !== undefined ? card.batch_id : req.body.batch_id,
+        owner: card.owner !== undefined ? card.owner : req.body.owner,
+        sdm_file_read_key: card.sdm_file_read_key ? card.sdm_file_read_key.toUpperCase() : null
+      }, changedBy);
+
+      if (row) {
+        created.push(publicCard(row));
+      } else {
+        skipped.push(card.uid);
+      }
+    }
+
+    if (!bulk && created.length === 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Card is already registered',
+        code: 'CARD_EXISTS'
+      });
+    }
+
+    res.status(201).json(formatResponse(
+      true,
+      'Cards registered successfully',
+      bulk ? { cards: created, skipped } : created[0],
+      { created: created.length, skipped: skipped.length }
+    ));
+
+  } catch (error) {
+    console.error('Card registration error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to register cards',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PATCH /v1/cards/:uid
+ * Assign a card to a batch or owner
+ */
+router.patch('/:uid', loadCard, async (req, res) => {
+  try {
+    if (!hasValidLabels(req.body)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'batch_id and owner must be strings',
+        code: 'INVALID_CARD'
+      });
+    }
+
+    const card = await db.updateCard(req.card.uid, {
+      batch_id: req.body.batch_id,
+      owner: req.body.owner
+    });
+
+    res.json(formatResponse(
+      true,
+      'Card updated successfully',
+      publicCard(card)
+    ));
+
+  } catch (error) {
+    console.error('Card update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update card',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PUT /v1/cards/:uid/sun-key
+ * Set the card's NTAG 424 DNA SDMFileReadKey used to verify SUN messages
+ */
+router.put('/:uid/sun-key', loadCard, async (req, res) => {
+  try {
+    const { sdm_file_read_key } = req.body;
+
+    if (!sdm_file_read_key || !isValidSunKey(sdm_file_read_key)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'sdm_file_read_key must be 32 hexadecimal characters',
+        code: 'INVALID_SUN_KEY'
+      });
+    }
+
+    const card = await db.updateCard(req.card.uid, {
+      sdm_file_read_key: sdm_file_read_key.toUpperCase()
+    });
+
+    res.json(formatResponse(
+      true,
+      'Card SUN key updated successfully',
+      publicCard(card)
+    ));
+
+  } catch (error) {
+    console.error('Card SUN key update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update card SUN key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/cards/:uid/status
+ * Move a card through its lifecycle ({ status, reason })
+ */
+router.post('/:uid/status', loadCard, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(CARD_STATUS_TRANSITIONS, status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of: ${Object.keys(CARD_STATUS_TRANSITIONS).join(', ')}`,
+        code: 'INVALID_CARD_STATUS'
+      });
+    }
+
+    if (!canTransitionCard(req.card.status, status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot move card from ${req.card.status} to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed_transitions: CARD_STATUS_TRANSITIONS[req.card.status]
+      });
+    }
+
+    const card = await db.setCardStatus(
+      req.card.uid,
+      req.card.status,
+      status,
+      typeof reason === 'string' ? reason : null,
+      req.apiKeyData.key_name
+    );
+
+    res.json(formatResponse(
+      true,
+      'Card status updated successfully',
+      publicCard(card)
+    ));
+
+  } catch (error) {
+    console.error('Card status update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update card status',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+// Reader device registry routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse, isValidDeviceId, isValidCampaignId } = require('../utils');
+const { DEVICE_STATUSES } = require('../utils/devices');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('devices:manage'));
+
+/**
+ * Strip the secret from a device
+ * @param {object} device - devices row with campaigns
+ * @returns {object}
+ */
+const publicDevice = (device) => {
+  const { id, secret, ...rest } = device;
+  return rest;
+};
+
+/**
+ * Check an optional text field
+ * @param {*} value
+ * @returns {boolean} - Whether it is missing, null or a string
+ */
+const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Check assigned campaigns
+ * @param {*} campaignIds - Value of `campaign_ids`
+ * @returns {Promise<{status: number, body: object}|null>} - Error response, or null when valid
+ */
+const checkCampaignIds = async (campaignIds) => {
+  if (!Array.isArray(campaignIds) || !campaignIds.every(isValidCampaignId)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'campaign_ids must be an array of campaign IDs',
+        code: 'INVALID_CAMPAIGN_IDS'
+      }
+    };
+  }
+
+  for (const campaignId of campaignIds) {
+    if (!await db.getCampaign(campaignId)) {
+      return {
+        status: 404,
+        body: {
+          status: 'error',
+          message: `Campaign not found: ${campaignId}`,
+          code: 'CAMPAIGN_NOT_FOUND'
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load the device named in the URL or respond with 404
+ */
+const loadDevice = async (req, res, next) => {
+  try {
+    const device = await db.getDevice(req.params.deviceId);
+
+    if (!device) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found',
+        code: 'DEVICE_NOT_FOUND'
+      });
+    }
+
+    req.targetDevice = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/devices
+ * List enrolled devices, filterable by status and campaign_id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, campaign_id } = req.query;
+
+    if (status !== undefined && !DEVICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of: ${DEVICE_STATUSES.join(', ')}`,
+        code: 'INVALID_DEVICE_STATUS'
+      });
+    }
+
+    const devices = await db.getDevices({ status, campaign_id });
+
+    res.json(formatResponse(
+      true,
+      'Devices retrieved successfully',
+      { devices: devices.map(publicDevice) },
+      { total: devices.length }
+    ));
+
+  } catch (error) {
+    console.error('Device listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve devices',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/devices
+ * Enroll a reader ({ device_id, name, location, campaign_ids }). The signing
+ * secret is only returned here.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { device_id, name, location, campaign_ids = [] } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Device name is required',
+        code: 'MISSING_DEVICE_NAME'
+      });
+    }
+
+    if (device_id !== undefined && !isValidDeviceId(device_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid device ID format',
+        code: 'INVALID_DEVICE_ID'
+      });
+    }
+
+    if (!isOptionalText(location)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'location must be a string',
+        code: 'INVALID_DEVICE'
+      });
+    }
+
+    const invalidCampaigns = await checkCampaignIds(campaign_ids);
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const deviceId = device_id || `dev_${crypto.randomBytes(8).toString('hex')}`;
+    if (await db.getDevice(deviceId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Device already exists',
+        code: 'DEVICE_EXISTS'
+      });
+    }
+
+    const device = await db.createDevice({
+      device_id: deviceId,
+      name: name.trim(),
+      location,
+      secret: crypto.randomBytes(32).toString('hex'),
+      campaign_ids,
+      created_by: req.apiKeyData.key_name
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Device enrolled successfully. Store the secret now; it is not shown again.',
+      { ...publicDevice(device), secret: device.secret }
+    ));
+
+  } catch (error) {
+    console.error('Device enrollment error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to enroll device',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/devices/:deviceId
+ * Get a device
+ */
+router.get('/:deviceId', loadDevice, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Device retrieved successfully',
+    publicDevice(req.targetDevice)
+  ));
+});
+
+/**
+ * PATCH /v1/devices/:deviceId
+ * Change the name, location label or assigned campaigns
+ */
+router.patch('/:deviceId', loadDevice, async (req, res) => {
+  try {
+    const { name, location, campaign_ids } = req.body;
+
+    if ((name !== undefined && (typeof name !== 'string' || !name.trim())) || !isOptionalText(location)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name must be a non-empty string and location a string',
+        code: 'INVALID_DEVICE'
+      });
+    }
+
+    const invalidCampaigns = campaign_ids !== undefined ? await checkCampaignIds(campaign_ids) : null;
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const device = await db.updateDevice(req.targetDevice.device_id, {
+      name: name && name.trim(),
+      location,
+      campaign_ids
+    });
+
+    res.json(formatResponse(
+      true,
+      'Device updated successfully',
+      publicDevice(device)
+    ));
+
+  } catch (error) {
+    console.error('Device update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update device',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/devices/:deviceId/revoke
+ * Revoke a device; its next request is refused. Its scans keep their
+ * attribution.
+ */
+router.post('/:deviceId/revoke', loadDevice, async (req, res) => {
+  try {
+    const device = await db.revokeDevice(req.targetDevice.device_id);
+
+    res.json(formatResponse(
+      true,
+      'Device revoked successfully',
+      publicDevice(device)
+    ));
+
+  } catch (error) {
+    console.error('Device revoke error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to revoke device',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+// Scan export routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const moment = require('moment-timezone');
+const router = express.Router();
+const { authenticateApiKey, requirePermission, resolveCampaignScope, resolveReviewScope } = require('../middleware');
+const { formatResponse } = require('../utils');
+const { getSigningPublicKey, isSigningConfigured } = require('../utils/signing');
+const { parseDateRange } = require('../utils/timeseries');
+const {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportColumns,
+  createExportWriter,
+  createBundleWriter
+} = require('../utils/export');
+const db = require('../database');
+
+// Scans fetched per database query while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+// Bundles always carry these so the verifier can recompute aei_digest
+const BUNDLE_COLUMNS = ['scan_id', 'checksum'];
+
+const SIGNING_UNAVAILABLE = {
+  status: 'error',
+  message: 'Signed exports are disabled: EXPORT_SIGNING_KEY is not configured',
+  code: 'EXPORT_SIGNING_UNAVAILABLE'
+};
+
+/**
+ * GET /v1/export/public-key
+ * Public Ed25519 key that signs export bundles (no API key required)
+ */
+router.get('/public-key', (req, res) => {
+  if (!isSigningConfigured()) {
+    return res.status(503).json(SIGNING_UNAVAILABLE);
+  }
+
+  try {
+    res.json(formatResponse(
+      true,
+      'Export signing key retrieved successfully',
+      getSigningPublicKey()
+    ));
+
+  } catch (error) {
+    console.error('Signing key error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to load export signing key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+// Keys without fraud:read (sponsors) only receive scans that passed review
+router.use(authenticateApiKey, requirePermission('export:read'), resolveCampaignScope, resolveReviewScope);
+
+/**
+ * Stream matching scans to the response in the requested format
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} options - { format, columns, filters, filename, bundle }
+ *   `bundle` ({ range, filters } for the manifest) wraps the data in a signed ZIP
+ */
+const streamScans = async (req, res, { format, columns, filters, filename, bundle }) => {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  try {
+    res.setHeader('Content-Type', bundle ? 'application/zip' : EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const writer = bundle
+      ? createBundleWriter(format, res, columns, bundle)
+      : createExportWriter(format, res, columns);
+
+    for await (const batch of db.iterateScans(filters, EXPORT_BATCH_SIZE)) {
+      if (closed) return;
+      await writer.write(batch);
+    }
+
+    if (!closed) await writer.end();
+
+  } catch (error) {
+    console.error('Scan export error:', error);
+
+    // Once streaming has started the only way to signal failure is to abort
+    if (res.headersSent) return res.destroy(error);
+
+    res.removeHeader('Content-Disposition');
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to export scans',
+      null,
+      { error: error.message }
+    ));
+  }
+};
+
+/**
+ * GET /v1/export
+ * Stream scans between start_date and end_date as CSV, NDJSON, JSON or XLSX,
+ * with an optional `columns` selection. `?bundle=true` returns a ZIP with the
+ * data file (always including scan_id and checksum) and a signed manifest.
+ * Filterable by uid and venue_id.
+ */
+router.get('/', async (req, res) => {
+  const { format = 'csv', columns, start_date, end_date, timezone = 'UTC', uid, venue_id, bundle } = req.query;
+
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      code: 'INVALID_FORMAT'
+    });
+  }
+
+  const selection = parseExportColumns(columns);
+  if (selection.error) {
+    return res.status(400).json({ status: 'error', ...selection.error });
+  }
+
+  if (req.reviewedOnly && selection.columns.some(column => EXPORT_COLUMNS[column].fraud)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API key lacks the required permission',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required: 'fraud:read'
+    });
+  }
+
+  const range = parseDateRange({ start_date, end_date, timezone });
+  if (range.error) {
+    return res.status(400).json({ status: 'error', ...range.error });
+  }
+
+  const signed = bundle === 'true';
+  if (signed && !isSigningConfigured()) {
+    return res.status(503).json(SIGNING_UNAVAILABLE);
+  }
+
+  const firstDay = moment.tz(range.start, timezone).format('YYYY-MM-DD');
+  const lastDay = moment.tz(range.end, timezone).subtract(1, 'ms').format('YYYY-MM-DD');
+  const basename = `neocard_scans_${firstDay === lastDay ? firstDay : `${firstDay}_${lastDay}`}`;
+
+  await streamScans(req, res, {
+    format,
+    columns: signed
+      ? [...BUNDLE_COLUMNS.filter(column => !selection.columns.includes(column)), ...selection.columns]
+      : selection.columns,
+    filters: {
+      uid,
+      venue_id,
+      campaign_ids: req.campaignScope,
+      passed_review: req.reviewedOnly,
+      start_date: range.start,
+      end_before: range.end
+    },
+    filename: signed ? `${basename}_bundle.zip` : `${basename}.${EXPORT_FORMATS[format].extension}`,
+    bundle: signed && {
+      range: { start: range.start, end: range.end, timezone },
+      filters: {
+        campaign_ids: req.campaignScope,
+        uid: uid || null,
+        venue_id: venue_id || null,
+        passed_review_only: req.reviewedOnly
+      }
+    }
+  });
+});
+
+/**
+ * GET /v1/export/csv
+ * Export daily scan data for sponsors (one UTC `date`, default today).
+ * Kept for existing integrations; GET /v1/export supersedes it.
+ */
+router.get('/csv', async (req, res) => {
+  const targetDate = req.query.date || new Date().toISOString().split('T')[0];
+
+  await streamScans(req, res, {
+    format: 'csv',
+    columns: DEFAULT_EXPORT_COLUMNS,
+    filters: {
+      campaign_ids: req.campaignScope,
+      passed_review: req.reviewedOnly,
+      start_date: targetDate + 'T00:00:00.000Z',
+      end_date: targetDate + 'T23:59:59.999Z'
+    },
+    filename: `neocard_scans_${targetDate}.csv`
+  });
+});
+
+module.exports = router;
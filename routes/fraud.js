@@ -0,0 +1,73 @@
+// Fraud monitoring routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission, resolveCampaignScope } = require('../middleware');
+const { formatResponse } = require('../utils');
+const { getRules } = require('../fraud');
+const config = require('../config');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('fraud:read'));
+
+/**
+ * GET /v1/fraud/events
+ * List rejected or flagged scan attempts (replays, risk scores), newest first
+ */
+router.get('/events', resolveCampaignScope, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, event_type, code, uid } = req.query;
+
+    const { events, total } = await db.getFraudEvents({
+      event_type,
+      code,
+      uid,
+      campaign_ids: req.campaignScope,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Fraud events retrieved successfully',
+      {
+        events,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Fraud event retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve fraud events',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/fraud/rules
+ * List the scoring rules and the thresholds that turn scores into decisions
+ */
+router.get('/rules', (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Fraud rules retrieved successfully',
+    {
+      rules: getRules().map(rule => ({ ...rule, options: config.fraud.rules[rule.name] || {} })),
+      thresholds: {
+        flag: config.fraud.flagThreshold,
+        reject: config.fraud.rejectThreshold
+      }
+    }
+  ));
+});
+
+module.exports = router;
@@ -0,0 +1,343 @@
+// API key management routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse, isValidCampaignId } = require('../utils');
+const config = require('../config');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('keys:manage'));
+
+/**
+ * Derive a key's lifecycle status from its stored fields
+ * @param {object} key - Public api_keys row
+ * @returns {object} - Key with a `status` of active, expired or revoked
+ */
+const withStatus = (key) => {
+  let status = 'active';
+  if (key.revoked_at || !key.active) {
+    status = 'revoked';
+  } else if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+    status = 'expired';
+  }
+
+  return { ...key, status };
+};
+
+/**
+ * Validate an optional expiry date from a request body
+ * @param {*} expiresAt - Value of `expires_at`
+ * @returns {boolean} - Whether it is absent or a future date
+ */
+const isValidExpiry = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null) return true;
+  const date = new Date(expiresAt);
+  return !isNaN(date.getTime()) && date > new Date();
+};
+
+/**
+ * Check the campaigns a key is linked to
+ * @param {*} campaignIds - Value of `campaign_ids`
+ * @returns {Promise<{status: number, body: object}|null>} - Error response, or null when valid
+ */
+const checkCampaignIds = async (campaignIds) => {
+  if (!Array.isArray(campaignIds) || !campaignIds.every(isValidCampaignId)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'campaign_ids must be an array of campaign IDs',
+        code: 'INVALID_CAMPAIGN_IDS'
+      }
+    };
+  }
+
+  for (const campaignId of campaignIds) {
+    if (!await db.getCampaign(campaignId)) {
+      return {
+        status: 404,
+        body: {
+          status: 'error',
+          message: `Campaign not found: ${campaignId}`,
+          code: 'CAMPAIGN_NOT_FOUND'
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate an api_keys.permissions value: role names or `resource:action`
+ * @param {*} permissions - Value of `permissions`
+ * @returns {boolean} - Whether every entry is recognised
+ */
+const isValidPermissions = (permissions) => {
+  if (typeof permissions !== 'string' || !permissions.trim()) return false;
+
+  return permissions.split(',').map(token => token.trim()).every(token =>
+    config.permissions.roles[token] || /^[a-z]+:[a-z]+$/.test(token) || token === '*'
+  );
+};
+
+/**
+ * Load the API key named in the URL or respond with 404
+ */
+const loadApiKey = async (req, res, next) => {
+  try {
+    const key = await db.getApiKeyById(parseInt(req.params.keyId));
+
+    if (!key) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    req.targetKey = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/keys
+ * List API keys with their permissions, linked campaigns and usage metadata.
+ * `?stale=true` (optionally with `stale_days`) lists keys unused for that long.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { stale, stale_days } = req.query;
+
+    const filters = {};
+    if (stale === 'true') {
+      const days = parseInt(stale_days) || config.apiKeys.staleAfterDays;
+      filters.unused_since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const keys = (await db.getApiKeys(filters)).map(withStatus);
+
+    res.json(formatResponse(
+      true,
+      'API keys retrieved successfully',
+      { keys },
+      { total: keys.length, stale_filter: filters.unused_since || null }
+    ));
+
+  } catch (error) {
+    console.error('API key listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve API keys',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/keys/:keyId
+ * Get a single API key's metadata
+ */
+router.get('/:keyId', loadApiKey, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'API key retrieved successfully',
+    withStatus(req.targetKey)
+  ));
+});
+
+/**
+ * POST /v1/keys
+ * Issue a new API key. The plaintext key is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { key_name, permissions = 'sponsor', expires_at, campaign_ids = [] } = req.body;
+
+    if (typeof key_name !== 'string' || !key_name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Key name is required',
+        code: 'MISSING_KEY_NAME'
+      });
+    }
+
+    if (!isValidPermissions(permissions)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'permissions must be role names or resource:action entries',
+        code: 'INVALID_PERMISSIONS'
+      });
+    }
+
+    if (!isValidExpiry(expires_at)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'expires_at must be a future ISO date',
+        code: 'INVALID_EXPIRY'
+      });
+    }
+
+    const invalidCampaigns = await checkCampaignIds(campaign_ids);
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const created = await db.createApiKey({
+      key_name: key_name.trim(),
+      permissions,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null
+    });
+    const campaigns = await db.setApiKeyCampaigns(created.id, campaign_ids);
+
+    res.status(201).json(formatResponse(
+      true,
+      'API key issued successfully. Store it now: it will not be shown again.',
+      withStatus({ ...created, campaigns })
+    ));
+
+  } catch (error) {
+    console.error('API key issue error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to issue API key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/keys/:keyId/revoke
+ * Revoke a key immediately
+ */
+router.post('/:keyId/revoke', loadApiKey, async (req, res) => {
+  try {
+    if (req.targetKey.id === req.apiKeyData.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An API key cannot revoke itself',
+        code: 'CANNOT_REVOKE_OWN_KEY'
+      });
+    }
+
+    const key = await db.revokeApiKey(req.targetKey.id);
+
+    res.json(formatResponse(
+      true,
+      'API key revoked successfully',
+      withStatus(key)
+    ));
+
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to revoke API key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/keys/:keyId/rotate
+ * Issue a replacement key with the same permissions and campaigns. The old
+ * key keeps working for `overlap_hours` so clients can switch over.
+ */
+router.post('/:keyId/rotate', loadApiKey, async (req, res) => {
+  try {
+    const { overlap_hours = config.apiKeys.rotationOverlapHours } = req.body;
+    const overlapHours = Number(overlap_hours);
+    const oldKey = withStatus(req.targetKey);
+
+    if (oldKey.status !== 'active') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot rotate a ${oldKey.status} API key`,
+        code: 'API_KEY_NOT_ACTIVE'
+      });
+    }
+
+    if (!Number.isFinite(overlapHours) || overlapHours < 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'overlap_hours must be a non-negative number',
+        code: 'INVALID_OVERLAP'
+      });
+    }
+
+    const created = await db.createApiKey({
+      key_name: oldKey.key_name,
+      permissions: oldKey.permissions,
+      expires_at: oldKey.expires_at,
+      rotated_from: oldKey.id
+    });
+    const campaigns = await db.setApiKeyCampaigns(created.id, oldKey.campaigns);
+
+    // The old key expires at the end of the overlap window (or earlier, if
+    // it was already due to expire)
+    let oldExpiry = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    if (oldKey.expires_at && new Date(oldKey.expires_at) < oldExpiry) {
+      oldExpiry = new Date(oldKey.expires_at);
+    }
+    const previous = await db.setApiKeyExpiry(oldKey.id, oldExpiry.toISOString());
+
+    res.status(201).json(formatResponse(
+      true,
+      'API key rotated successfully. Store the new key now: it will not be shown again.',
+      {
+        key: withStatus({ ...created, campaigns }),
+        previous_key: withStatus(previous)
+      }
+    ));
+
+  } catch (error) {
+    console.error('API key rotation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to rotate API key',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PUT /v1/keys/:keyId/campaigns
+ * Replace the campaigns a campaign-scoped key may read
+ */
+router.put('/:keyId/campaigns', loadApiKey, async (req, res) => {
+  try {
+    const { campaign_ids } = req.body;
+
+    const invalidCampaigns = await checkCampaignIds(campaign_ids);
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const campaigns = await db.setApiKeyCampaigns(req.targetKey.id, campaign_ids);
+
+    res.json(formatResponse(
+      true,
+      'API key campaigns updated successfully',
+      { ...req.targetKey, campaigns }
+    ));
+
+  } catch (error) {
+    console.error('API key campaign update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update API key campaigns',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+// Fraud review queue routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission, resolveCampaignScope } = require('../middleware');
+const { formatResponse } = require('../utils');
+const { syncScanPoints } = require('../rewards');
+const { enqueueScanEvent } = require('../webhooks');
+const db = require('../database');
+
+// Maximum number of scans accepted by one bulk decision
+const MAX_BULK_REVIEWS = 500;
+
+// Review decisions and the review_status they set
+const DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+router.use(authenticateApiKey, requirePermission('reviews:manage'));
+
+/**
+ * Decode the JSON columns of a flagged scan
+ * @param {object} scan - scans row
+ * @returns {object} - Scan with flag_reasons and risk_reasons as arrays
+ */
+const reviewView = (scan) => ({
+  ...scan,
+  flag_reasons: scan.flag_reasons ? JSON.parse(scan.flag_reasons) : [],
+  risk_reasons: scan.risk_reasons ? JSON.parse(scan.risk_reasons) : []
+});
+
+/**
+ * Whether the key may see a scan's campaign
+ * @param {object} req - Express request (after authenticateApiKey)
+ * @param {object} scan - scans row
+ * @returns {boolean}
+ */
+const inScope = (req, scan) => {
+  const linked = req.apiKeyData.campaignScope;
+  return linked === null || linked.includes(scan.campaign_id);
+};
+
+/**
+ * GET /v1/reviews
+ * List flagged scans with their fraud reasons. `status` is pending (default),
+ * approved, rejected or all.
+ */
+router.get('/', resolveCampaignScope, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status = 'pending' } = req.query;
+
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of: ${[...REVIEW_STATUSES, 'all'].join(', ')}`,
+        code: 'INVALID_REVIEW_STATUS'
+      });
+    }
+
+    const { scans, total } = await db.getReviewQueue({
+      status: status === 'all' ? null : status,
+      campaign_ids: req.campaignScope,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Review queue retrieved successfully',
+      {
+        scans: scans.map(reviewView),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve review queue',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/reviews/:scanId
+ * Get a flagged scan with its review history
+ */
+router.get('/:scanId', async (req, res) => {
+  try {
+    const scan = await db.getScanById(req.params.scanId);
+
+    if (!scan || !scan.flagged || !inScope(req, scan)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Flagged scan not found',
+        code: 'SCAN_NOT_FOUND'
+      });
+    }
+
+    const history = await db.getScanReviewHistory(scan.scan_id);
+
+    res.json(formatResponse(
+      true,
+      'Flagged scan retrieved successfully',
+      { ...reviewView(scan), review_history: history }
+    ));
+
+  } catch (error) {
+    console.error('Review retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve flagged scan',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/reviews
+ * Approve or reject one flagged scan ({ scan_id, decision, note }) or many
+ * ({ scan_ids: [...], decision, note }). Decisions can be changed later;
+ * every decision is kept in the scan's review history. Approving a scan
+ * awards its loyalty points and rejecting it reverses them.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { scan_id, scan_ids, decision, note } = req.body;
+    const bulk = Array.isArray(scan_ids);
+    const ids = bulk ? scan_ids : [scan_id];
+
+    if (!Object.prototype.hasOwnProperty.call(DECISIONS, decision)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `decision must be one of: ${Object.keys(DECISIONS).join(', ')}`,
+        code: 'INVALID_DECISION'
+      });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'note must be a string',
+        code: 'INVALID_REVIEW_NOTE'
+      });
+    }
+
+    if (ids.length === 0 || ids.length > MAX_BULK_REVIEWS || !ids.every(id => typeof id === 'string' && id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Provide a scan_id or between 1 and ${MAX_BULK_REVIEWS} scan_ids`,
+        code: 'INVALID_SCAN_IDS'
+      });
+    }
+
+    const reviewed = [];
+    const notFound = [];
+    const notFlagged = [];
+
+    for (const id of ids) {
+      const scan = await db.getScanById(id);
+
+      if (!scan || !inScope(req, scan)) {
+        notFound.push(id);
+      } else if (!scan.flagged) {
+        notFlagged.push(id);
+      } else {
+        const updated = await db.reviewScan(scan, DECISIONS[decision], note, req.apiKeyData.key_name);
+        // Approved scans earn their points; rejected ones lose them
+        await syncScanPoints(updated);
+        // Subscribers only saw scan.flagged; tell them once the scan counts
+        if (scan.review_status !== 'approved' && updated.review_status === 'approved') {
+          await enqueueScanEvent(updated).catch(error => console.error('Webhook queue error:', error));
+        }
+        reviewed.push(reviewView(updated));
+      }
+    }
+
+    if (!bulk && notFound.length > 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Scan not found',
+        code: 'SCAN_NOT_FOUND'
+      });
+    }
+
+    if (!bulk && notFlagged.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only flagged scans can be reviewed',
+        code: 'SCAN_NOT_FLAGGED'
+      });
+    }
+
+    res.json(formatResponse(
+      true,
+      'Review decision recorded successfully',
+      bulk ? { scans: reviewed, not_found: notFound, not_flagged: notFlagged } : reviewed[0],
+      { reviewed: reviewed.length, skipped: notFound.length + notFlagged.length }
+    ));
+
+  } catch (error) {
+    console.error('Review decision error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to record review decision',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,624 @@
+// Loyalty points and rewards routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const {
+  authenticateApiKey,
+  requirePermission,
+  resolveCampaignScope,
+  idempotency
+} = require('../middleware');
+const { formatResponse, isValidUID, isValidItemId } = require('../utils');
+const { parseDateRange } = require('../utils/timeseries');
+const db = require('../database');
+
+// Largest leaderboard returned
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Upper bounds for reward rule values
+const MAX_POINTS = 1000000;
+const MAX_STREAK_MULTIPLIER = 10;
+
+router.use(authenticateApiKey);
+
+/**
+ * Whether the key may see a campaign
+ * @param {object} req - Express request (after authenticateApiKey)
+ * @param {string} campaignId
+ * @returns {boolean}
+ */
+const inScope = (req, campaignId) => {
+  const linked = req.apiKeyData.campaignScope;
+  return linked === null || linked.includes(campaignId);
+};
+
+/**
+ * Check a whole number of points
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValidPoints = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_POINTS;
+
+/**
+ * Validate a reward rules body. Missing fields default to no points, no
+ * bonus and no streak.
+ * @param {object} body - Request body
+ * @returns {{rules: object}|{error: {message: string, code: string}}}
+ */
+const validateRulesBody = (body) => {
+  const {
+    points_per_scan = 0,
+    first_scan_bonus = 0,
+    streak_days = null,
+    streak_multiplier = null
+  } = body;
+
+  if (!isValidPoints(points_per_scan) || !isValidPoints(first_scan_bonus)) {
+    return {
+      error: {
+        message: `points_per_scan and first_scan_bonus must be integers from 0 to ${MAX_POINTS}`,
+        code: 'INVALID_REWARD_RULES'
+      }
+    };
+  }
+
+  if ((streak_days === null) !== (streak_multiplier === null)) {
+    return { error: { message: 'streak_days and streak_multiplier must be set together', code: 'INVALID_REWARD_RULES' } };
+  }
+
+  if (streak_days !== null && (!Number.isInteger(streak_days) || streak_days < 2 || streak_days > 365 ||
+    typeof streak_multiplier !== 'number' || !(streak_multiplier >= 1 && streak_multiplier <= MAX_STREAK_MULTIPLIER))) {
+    return {
+      error: {
+        message: `streak_days must be an integer from 2 to 365 and streak_multiplier a number from 1 to ${MAX_STREAK_MULTIPLIER}`,
+        code: 'INVALID_REWARD_RULES'
+      }
+    };
+  }
+
+  return { rules: { points_per_scan, first_scan_bonus, streak_days, streak_multiplier } };
+};
+
+/**
+ * Validate the editable reward item fields of a request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {object|null} - Error payload, or null when valid
+ */
+const validateItemBody = (body, partial) => {
+  const { name, description, cost_points, stock, active } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { message: 'Reward item name is required', code: 'MISSING_ITEM_NAME' };
+    }
+  }
+
+  if (cost_points !== undefined || !partial) {
+    if (!Number.isInteger(cost_points) || cost_points < 1 || cost_points > MAX_POINTS) {
+      return { message: `cost_points must be an integer from 1 to ${MAX_POINTS}`, code: 'INVALID_ITEM' };
+    }
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { message: 'description must be a string', code: 'INVALID_ITEM' };
+  }
+
+  if (stock !== undefined && stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+    return { message: 'stock must be a non-negative integer or null (unlimited)', code: 'INVALID_ITEM' };
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return { message: 'active must be a boolean', code: 'INVALID_ITEM' };
+  }
+
+  return null;
+};
+
+/**
+ * Reward item as returned by the API
+ * @param {object} item - reward_items row
+ * @returns {object}
+ */
+const itemView = (item) => {
+  const { id, ...rest } = item;
+  return {
+    ...rest,
+    active: !!item.active,
+    stock_remaining: item.stock === null ? null : item.stock - item.redeemed_count
+  };
+};
+
+/**
+ * Load the campaign named in the URL for keys linked to it, or respond
+ * with 404
+ */
+const loadCampaign = async (req, res, next) => {
+  try {
+    const campaign = inScope(req, req.params.campaignId) ? await db.getCampaign(req.params.campaignId) : null;
+
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the reward item named in the URL or respond with 404
+ */
+const loadItem = async (req, res, next) => {
+  try {
+    const item = await db.getRewardItem(req.params.itemId);
+
+    if (!item || !inScope(req, item.campaign_id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reward item not found',
+        code: 'ITEM_NOT_FOUND'
+      });
+    }
+
+    req.item = item;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refuse requests without an Idempotency-Key header
+ */
+const requireIdempotencyKey = (req, res, next) => {
+  if (req.get('idempotency-key') === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Redemptions require an Idempotency-Key header',
+      code: 'IDEMPOTENCY_KEY_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * GET /v1/rewards/rules/:campaignId
+ * Get a campaign's reward rules; campaigns without rules award no points
+ */
+router.get('/rules/:campaignId', requirePermission('rewards:read'), loadCampaign, async (req, res) => {
+  try {
+    const rules = await db.getRewardRules(req.campaign.campaign_id);
+
+    res.json(formatResponse(
+      true,
+      'Reward rules retrieved successfully',
+      rules || {
+        campaign_id: req.campaign.campaign_id,
+        points_per_scan: 0,
+        first_scan_bonus: 0,
+        streak_days: null,
+        streak_multiplier: null,
+        updated_by: null,
+        updated_at: null
+      }
+    ));
+
+  } catch (error) {
+    console.error('Reward rules retrieval error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve reward rules',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PUT /v1/rewards/rules/:campaignId
+ * Replace a campaign's reward rules. Applies to scans stored from now on.
+ */
+router.put('/rules/:campaignId', requirePermission('rewards:manage'), loadCampaign, async (req, res) => {
+  try {
+    const { rules, error } = validateRulesBody(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', ...error });
+    }
+
+    const saved = await db.setRewardRules(req.campaign.campaign_id, rules, req.apiKeyData.key_name);
+
+    res.json(formatResponse(
+      true,
+      'Reward rules updated successfully',
+      saved
+    ));
+
+  } catch (error) {
+    console.error('Reward rules update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update reward rules',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/rewards/items
+ * List the reward catalog, filterable by campaign_id and active
+ */
+router.get('/items', requirePermission('rewards:read'), resolveCampaignScope, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const items = await db.getRewardItems({
+      campaign_ids: req.campaignScope,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.json(formatResponse(
+      true,
+      'Reward items retrieved successfully',
+      { items: items.map(itemView) },
+      { total: items.length }
+    ));
+
+  } catch (error) {
+    console.error('Reward item listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve reward items',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/rewards/items
+ * Add a reward item ({ item_id, campaign_id, name, description, cost_points,
+ * stock, active }). stock null or missing means unlimited.
+ */
+router.post('/items', requirePermission('rewards:manage'), async (req, res) => {
+  try {
+    const { item_id, campaign_id, name, description, cost_points, stock, active } = req.body;
+
+    if (item_id !== undefined && !isValidItemId(item_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'item_id must be 1 to 64 letters, digits, underscores or dashes',
+        code: 'INVALID_ITEM_ID'
+      });
+    }
+
+    const invalid = validateItemBody(req.body, false);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', ...invalid });
+    }
+
+    if (typeof campaign_id !== 'string' || !inScope(req, campaign_id) || !await db.getCampaign(campaign_id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+
+    const itemId = item_id || `rwd_${crypto.randomBytes(8).toString('hex')}`;
+    if (await db.getRewardItem(itemId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Reward item already exists',
+        code: 'ITEM_EXISTS'
+      });
+    }
+
+    const item = await db.createRewardItem({
+      item_id: itemId,
+      campaign_id,
+      name: name.trim(),
+      description,
+      cost_points,
+      stock,
+      active,
+      created_by: req.apiKeyData.key_name
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Reward item created successfully',
+      itemView(item)
+    ));
+
+  } catch (error) {
+    console.error('Reward item creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to create reward item',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * PATCH /v1/rewards/items/:itemId
+ * Change a reward item's name, description, cost, stock or active flag.
+ * stock is the total ever available, so it cannot drop below the number
+ * already redeemed.
+ */
+router.patch('/items/:itemId', requirePermission('rewards:manage'), loadItem, async (req, res) => {
+  try {
+    const invalid = validateItemBody(req.body, true);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', ...invalid });
+    }
+
+    const { name, description, cost_points, stock, active } = req.body;
+
+    if (Number.isInteger(stock) && stock < req.item.redeemed_count) {
+      return res.status(409).json({
+        status: 'error',
+        message: `stock cannot be lower than the ${req.item.redeemed_count} already redeemed`,
+        code: 'STOCK_BELOW_REDEEMED'
+      });
+    }
+
+    const item = await db.updateRewardItem(req.item.item_id, {
+      name: name !== undefined ? name.trim() : undefined,
+      description,
+      cost_points,
+      stock,
+      active
+    });
+
+    res.json(formatResponse(
+      true,
+      'Reward item updated successfully',
+      itemView(item)
+    ));
+
+  } catch (error) {
+    console.error('Reward item update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update reward item',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/rewards/balances/:uid
+ * A UID's points per campaign and its latest ledger entries
+ */
+router.get('/balances/:uid', requirePermission('rewards:read'), resolveCampaignScope, async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    if (!isValidUID(uid)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid UID format',
+        code: 'INVALID_UID_FORMAT'
+      });
+    }
+
+    const balances = await db.getPointsBalances(uid, req.campaignScope);
+    const entries = await db.getPointsLedger(uid, {
+      campaign_ids: req.campaignScope,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Points balance retrieved successfully',
+      { uid, balances, entries }
+    ));
+
+  } catch (error) {
+    console.error('Points balance error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve points balance',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/rewards/leaderboard
+ * UIDs of one campaign ranked by points earned
+ */
+router.get('/leaderboard', requirePermission('rewards:read'), resolveCampaignScope, async (req, res) => {
+  try {
+    const { campaign_id, limit = 10 } = req.query;
+    const size = parseInt(limit);
+
+    if (!campaign_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Campaign ID is required',
+        code: 'MISSING_CAMPAIGN_ID'
+      });
+    }
+
+    if (!(size >= 1 && size <= MAX_LEADERBOARD_SIZE)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `limit must be from 1 to ${MAX_LEADERBOARD_SIZE}`,
+        code: 'INVALID_LIMIT'
+      });
+    }
+
+    const rows = await db.getPointsLeaderboard(campaign_id, size);
+
+    res.json(formatResponse(
+      true,
+      'Leaderboard retrieved successfully',
+      {
+        campaign_id,
+        leaderboard: rows.map((row, index) => ({ rank: index + 1, ...row }))
+      }
+    ));
+
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve leaderboard',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/rewards/redemptions
+ * Spend a UID's points on a reward item ({ uid, item_id }). Requires an
+ * Idempotency-Key header: a retry returns the original redemption instead of
+ * spending the points twice.
+ */
+router.post('/redemptions', requirePermission('rewards:redeem'), requireIdempotencyKey, idempotency, async (req, res) => {
+  try {
+    const { uid, item_id } = req.body;
+
+    if (!isValidUID(uid)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid UID format',
+        code: 'INVALID_UID_FORMAT'
+      });
+    }
+
+    const item = typeof item_id === 'string' ? await db.getRewardItem(item_id) : null;
+    if (!item || !inScope(req, item.campaign_id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reward item not found',
+        code: 'ITEM_NOT_FOUND'
+      });
+    }
+
+    if (!item.active) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Reward item is not available',
+        code: 'ITEM_INACTIVE'
+      });
+    }
+
+    const result = await db.redeemRewardItem({
+      redemption_id: `rdm_${crypto.randomBytes(8).toString('hex')}`,
+      uid,
+      item,
+      created_by: req.apiKeyData.key_name
+    });
+
+    if (result.outcome === 'insufficient_points') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Not enough points for this reward',
+        code: 'INSUFFICIENT_POINTS',
+        balance: result.balance,
+        cost_points: item.cost_points
+      });
+    }
+
+    if (result.outcome === 'out_of_stock') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Reward item is out of stock',
+        code: 'OUT_OF_STOCK'
+      });
+    }
+
+    res.status(201).json(formatResponse(
+      true,
+      'Reward redeemed successfully',
+      { ...result.redemption, balance: result.balance }
+    ));
+
+  } catch (error) {
+    console.error('Redemption error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to redeem reward',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/rewards/redemptions
+ * Redemption report: redemptions newest first and totals per reward item.
+ * Filterable by campaign_id, item_id, uid and a start_date/end_date range.
+ */
+router.get('/redemptions', requirePermission('rewards:read'), resolveCampaignScope, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, item_id, uid, start_date, end_date, timezone = 'UTC' } = req.query;
+    let range = {};
+
+    if (start_date !== undefined || end_date !== undefined) {
+      range = parseDateRange({ start_date, end_date, timezone });
+      if (range.error) {
+        return res.status(400).json({ status: 'error', ...range.error });
+      }
+    }
+
+    const filters = {
+      campaign_ids: req.campaignScope,
+      item_id,
+      uid,
+      start_date: range.start,
+      end_before: range.end
+    };
+
+    const { redemptions, total } = await db.getRedemptions({
+      ...filters,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    const items = await db.getRedemptionSummary(filters);
+
+    res.json(formatResponse(
+      true,
+      'Redemption report retrieved successfully',
+      {
+        items,
+        redemptions,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Redemption report error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve redemption report',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// Live scan feed routes for Neo Card™ Demo Backend
+//
+// The same feed (see utils/feed.js) is served as Server-Sent Events by
+// GET /v1/stream/scans and as a WebSocket on the same path; attachScanSocket
+// hooks the WebSocket upgrade into the HTTP server. Browsers cannot set
+// headers on EventSource or WebSocket requests, so both also accept the API
+// key as `?api_key=`.
+
+const http = require('http');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const router = express.Router();
+const { resolveApiKey } = require('../middleware');
+const { hasPermission } = require('../utils');
+const { openFeed } = require('../utils/feed');
+const config = require('../config');
+
+const STREAM_PATH = '/v1/stream/scans';
+
+// Milliseconds an SSE client waits before reconnecting
+const SSE_RETRY_MS = 3000;
+
+/**
+ * Authenticate a feed client and work out what it may see
+ * @param {object} req - HTTP request (Express or raw upgrade request)
+ * @param {URLSearchParams} query - Query string parameters
+ * @returns {Promise<{viewer: object}|{error: {status: number, message: string, code: string}}>}
+ */
+const resolveViewer = async (req, query) => {
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '') || query.get('api_key');
+  const { keyData, error } = await resolveApiKey(apiKey);
+  if (error) return { error };
+
+  if (!hasPermission(keyData.permissionList, 'logs:read')) {
+    return { error: { status: 403, message: 'API key lacks the required permission', code: 'INSUFFICIENT_PERMISSIONS', required: 'logs:read' } };
+  }
+
+  const campaignId = query.get('campaign_id');
+  const linked = keyData.campaignScope;
+
+  if (campaignId && linked !== null && !linked.includes(campaignId)) {
+    return { error: { status: 403, message: 'API key is not linked to this campaign', code: 'CAMPAIGN_ACCESS_DENIED' } };
+  }
+
+  return {
+    viewer: {
+      campaigns: campaignId ? [campaignId] : linked,
+      fraudAccess: hasPermission(keyData.permissionList, 'fraud:read')
+    }
+  };
+};
+
+/**
+ * Query parameters of a request URL
+ * @param {string} url - Request URL (path and query)
+ * @returns {URL}
+ */
+const parseUrl = (url) => new URL(url, 'http://localhost');
+
+/**
+ * GET /v1/stream/scans
+ * Server-Sent Events feed of new scans (`scan`) and fraud blocks (`fraud`),
+ * filterable by campaign_id. Reconnecting clients resume after the
+ * Last-Event-ID header (or `last_event_id`); a `resync` event means events
+ * may have been missed.
+ */
+router.get('/scans', async (req, res) => {
+  try {
+    const query = parseUrl(req.originalUrl).searchParams;
+    const { viewer, error } = await resolveViewer(req, query);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json({ status: 'error', ...body });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    const unsubscribe = openFeed(viewer, req.get('last-event-id') || query.get('last_event_id'), {
+      send: (event, data) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`),
+      resync: (data) => res.write(`event: resync\ndata: ${JSON.stringify(data)}\n\n`)
+    });
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.stream.heartbeatSeconds * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Scan stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to open scan stream',
+        code: 'STREAM_ERROR'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Refuse a WebSocket upgrade with a JSON error response
+ * @param {net.Socket} socket
+ * @param {object} error - { status, message, code, ... }
+ */
+const rejectUpgrade = (socket, error) => {
+  const { status, ...rest } = error;
+  const body = JSON.stringify({ status: 'error', ...rest });
+
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+};
+
+/**
+ * Serve the WebSocket feed on STREAM_PATH. Messages are JSON objects
+ * `{ id, event, data }`; `{ event: 'resync', data }` has no id. Resume with
+ * `?last_event_id=`.
+ * @param {http.Server} server - Server the app listens on
+ * @returns {WebSocketServer}
+ */
+const attachScanSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = parseUrl(req.url);
+
+    if (url.pathname !== STREAM_PATH) {
+      return rejectUpgrade(socket, { status: 404, message: 'Endpoint not found', code: 'NOT_FOUND' });
+    }
+
+    try {
+      const { viewer, error } = await resolveViewer(req, url.searchParams);
+      if (error) return rejectUpgrade(socket, error);
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        const unsubscribe = openFeed(viewer, url.searchParams.get('last_event_id'), {
+          send: (event, data) => ws.send(JSON.stringify({ id: event.id, event: event.type, data })),
+          resync: (data) => ws.send(JSON.stringify({ event: 'resync', data }))
+        });
+
+        // Drop clients that stop answering pings
+        let alive = true;
+        ws.on('pong', () => { alive = true; });
+        const heartbeat = setInterval(() => {
+          if (!alive) return ws.terminate();
+          alive = false;
+          ws.ping();
+        }, config.stream.heartbeatSeconds * 1000);
+
+        ws.on('close', () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+      });
+    } catch (error) {
+      console.error('Scan socket error:', error);
+      rejectUpgrade(socket, { status: 500, message: 'Failed to open scan stream', code: 'STREAM_ERROR' });
+    }
+  });
+
+  return wss;
+};
+
+module.exports = router;
+module.exports.attachScanSocket = attachScanSocket;
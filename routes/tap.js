@@ -0,0 +1,79 @@
+// Tap redirect routes for Neo Card™ Demo Backend
+//
+// Neo Cards encode an NDEF URL pointing here, so a phone tapping a card
+// records the scan by opening it. Plain tags use /t/:campaignId/:uid; NTAG 424
+// DNA tags mirror their SUN data as ?picc_data=...&cmac=..., with or without
+// the UID in the path. Taps go through the same pipeline as POST /v1/scan and
+// the phone is redirected to the campaign's destination_url, or to a fallback
+// page when the tap is refused.
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { runScanPipeline, storeScan } = require('../ingest');
+
+/**
+ * Add the refusal reason to a fallback page URL
+ * @param {string} url - Fallback page
+ * @param {string} reason - Error code
+ * @returns {string}
+ */
+const withReason = (url, reason) => {
+  const target = new URL(url);
+  target.searchParams.set('reason', reason);
+  return target.toString();
+};
+
+/**
+ * Pick the fallback page for a refused tap
+ * @param {number} status - Status the pipeline refused the scan with
+ * @returns {string}
+ */
+const refusalUrl = (status) => {
+  const { fallbackUrl, blockedUrl, cooldownUrl } = config.redirect;
+
+  if (status === 429) return cooldownUrl || fallbackUrl;
+  if (status === 401 || status === 403 || status === 409) return blockedUrl || fallbackUrl;
+  return fallbackUrl;
+};
+
+/**
+ * Read a single query parameter
+ * @param {*} value - req.query value
+ * @returns {string|undefined}
+ */
+const queryValue = (value) => (typeof value === 'string' ? value : undefined);
+
+/**
+ * GET /t/:campaignId/:uid
+ * GET /t/:campaignId?picc_data=...&cmac=...
+ * Record a tap and redirect to the campaign's destination
+ */
+router.get(['/:campaignId', '/:campaignId/:uid'], async (req, res) => {
+  // Every tap must reach the server; never let a redirect be cached
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    req.body = {
+      uid: req.params.uid,
+      campaign_id: req.params.campaignId,
+      picc_data: queryValue(req.query.picc_data),
+      cmac: queryValue(req.query.cmac)
+    };
+
+    const rejection = await runScanPipeline(req);
+    if (rejection) {
+      return res.redirect(302, withReason(refusalUrl(rejection.status), rejection.body.code || 'SCAN_REJECTED'));
+    }
+
+    await storeScan(req);
+
+    res.redirect(302, req.campaign.destination_url || config.redirect.fallbackUrl);
+
+  } catch (error) {
+    console.error('Tap redirect error:', error);
+    res.redirect(302, withReason(config.redirect.fallbackUrl, 'SCAN_FAILED'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+// Venue routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const config = require('../config');
+const { authenticateApiKey, requirePermission } = require('../middleware');
+const { formatResponse, isValidDeviceId, isValidCampaignId } = require('../utils');
+const { isValidCoordinates } = require('../utils/geo');
+const db = require('../database');
+
+router.use(authenticateApiKey, requirePermission('venues:manage'));
+
+/**
+ * Check an optional text field
+ * @param {*} value
+ * @returns {boolean} - Whether it is missing, null or a string
+ */
+const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Check a geofence radius
+ * @param {*} radius - Value of `radius_m`
+ * @returns {boolean}
+ */
+const isValidRadius = (radius) => typeof radius === 'number' && Number.isFinite(radius) && radius > 0 && radius <= 50000;
+
+/**
+ * Check linked campaigns
+ * @param {*} campaignIds - Value of `campaign_ids`
+ * @returns {Promise<{status: number, body: object}|null>} - Error response, or null when valid
+ */
+const checkCampaignIds = async (campaignIds) => {
+  if (!Array.isArray(campaignIds) || !campaignIds.every(isValidCampaignId)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'campaign_ids must be an array of campaign IDs',
+        code: 'INVALID_CAMPAIGN_IDS'
+      }
+    };
+  }
+
+  for (const campaignId of campaignIds) {
+    if (!await db.getCampaign(campaignId)) {
+      return {
+        status: 404,
+        body: {
+          status: 'error',
+          message: `Campaign not found: ${campaignId}`,
+          code: 'CAMPAIGN_NOT_FOUND'
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the location fields of a venue body
+ * @param {object} body - Request body
+ * @param {object} [current] - Venue being updated
+ * @returns {{status: number, body: object}|null} - Error response, or null when valid
+ */
+const checkLocation = (body, current = {}) => {
+  const latitude = body.latitude !== undefined ? body.latitude : current.latitude;
+  const longitude = body.longitude !== undefined ? body.longitude : current.longitude;
+
+  if (!isValidCoordinates(latitude, longitude)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'latitude must be a number in [-90, 90] and longitude in [-180, 180]',
+        code: 'INVALID_LOCATION'
+      }
+    };
+  }
+
+  if (body.radius_m !== undefined && !isValidRadius(body.radius_m)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'radius_m must be a number of meters between 0 and 50000',
+        code: 'INVALID_RADIUS'
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Load the venue named in the URL or respond with 404
+ */
+const loadVenue = async (req, res, next) => {
+  try {
+    const venue = await db.getVenue(req.params.venueId);
+
+    if (!venue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Venue not found',
+        code: 'VENUE_NOT_FOUND'
+      });
+    }
+
+    req.venue = venue;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/venues
+ * List venues, filterable by campaign_id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const venues = await db.getVenues({ campaign_id: req.query.campaign_id });
+
+    res.json(formatResponse(
+      true,
+      'Venues retrieved successfully',
+      { venues },
+      { total: venues.length }
+    ));
+
+  } catch (error) {
+    console.error('Venue listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve venues',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/venues
+ * Create a venue ({ venue_id, name, address, latitude, longitude, radius_m,
+ * campaign_ids })
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { venue_id, name, address, latitude, longitude, campaign_ids = [] } = req.body;
+    const radius_m = req.body.radius_m !== undefined ? req.body.radius_m : config.geo.defaultRadiusMeters;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Venue name is required',
+        code: 'MISSING_VENUE_NAME'
+      });
+    }
+
+    if (venue_id !== undefined && !isValidDeviceId(venue_id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid venue ID format',
+        code: 'INVALID_VENUE_ID'
+      });
+    }
+
+    if (!isOptionalText(address)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'address must be a string',
+        code: 'INVALID_VENUE'
+      });
+    }
+
+    const invalidLocation = checkLocation({ latitude, longitude, radius_m });
+    if (invalidLocation) {
+      return res.status(invalidLocation.status).json(invalidLocation.body);
+    }
+
+    const invalidCampaigns = await checkCampaignIds(campaign_ids);
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const venueId = venue_id || `ven_${crypto.randomBytes(8).toString('hex')}`;
+    if (await db.getVenue(venueId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Venue already exists',
+        code: 'VENUE_EXISTS'
+      });
+    }
+
+    const venue = await db.createVenue({
+      venue_id: venueId,
+      name: name.trim(),
+      address,
+      latitude,
+      longitude,
+      radius_m,
+      campaign_ids
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Venue created successfully',
+      venue
+    ));
+
+  } catch (error) {
+    console.error('Venue creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to create venue',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/venues/:venueId
+ * Get a venue
+ */
+router.get('/:venueId', loadVenue, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Venue retrieved successfully',
+    req.venue
+  ));
+});
+
+/**
+ * PATCH /v1/venues/:venueId
+ * Change the name, address, location, radius or linked campaigns
+ */
+router.patch('/:venueId', loadVenue, async (req, res) => {
+  try {
+    const { name, address, latitude, longitude, radius_m, campaign_ids } = req.body;
+
+    if ((name !== undefined && (typeof name !== 'string' || !name.trim())) || !isOptionalText(address)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name must be a non-empty string and address a string',
+        code: 'INVALID_VENUE'
+      });
+    }
+
+    const invalidLocation = checkLocation({ latitude, longitude, radius_m }, req.venue);
+    if (invalidLocation) {
+      return res.status(invalidLocation.status).json(invalidLocation.body);
+    }
+
+    const invalidCampaigns = campaign_ids !== undefined ? await checkCampaignIds(campaign_ids) : null;
+    if (invalidCampaigns) {
+      return res.status(invalidCampaigns.status).json(invalidCampaigns.body);
+    }
+
+    const venue = await db.updateVenue(req.venue.venue_id, {
+      name: name && name.trim(),
+      address,
+      latitude,
+      longitude,
+      radius_m,
+      campaign_ids
+    });
+
+    res.json(formatResponse(
+      true,
+      'Venue updated successfully',
+      venue
+    ));
+
+  } catch (error) {
+    console.error('Venue update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update venue',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * DELETE /v1/venues/:venueId
+ * Delete a venue. Scans matched to it keep their venue_id.
+ */
+router.delete('/:venueId', loadVenue, async (req, res) => {
+  try {
+    await db.deleteVenue(req.venue.venue_id);
+
+    res.json(formatResponse(
+      true,
+      'Venue deleted successfully',
+      { venue_id: req.venue.venue_id }
+    ));
+
+  } catch (error) {
+    console.error('Venue deletion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to delete venue',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
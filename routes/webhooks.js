@@ -0,0 +1,416 @@
+// Webhook subscription routes for Neo Card™ Demo Backend
+
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey, requirePermission, resolveCampaignScope } = require('../middleware');
+const { formatResponse, hasPermission, isValidHttpUrl } = require('../utils');
+const { WEBHOOK_EVENTS, generateWebhookId, resolveWebhookHost } = require('../webhooks');
+const db = require('../database');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+router.use(authenticateApiKey, requirePermission('webhooks:manage'));
+
+/**
+ * Whether the key may manage webhooks of a campaign
+ * @param {object} req - Authenticated request
+ * @param {string} campaignId
+ * @returns {boolean}
+ */
+const canAccessCampaign = (req, campaignId) => {
+  const linked = req.apiKeyData.campaignScope;
+  return linked === null || linked.includes(campaignId);
+};
+
+/**
+ * Check requested events. scan.flagged exposes unreviewed flagged scans, so
+ * it needs fraud:read like the fraud columns of exports.
+ * @param {object} req - Authenticated request
+ * @param {*} events - Value of `events`
+ * @returns {{status: number, body: object}|null} - Error response, or null when valid
+ */
+const checkEvents = (req, events) => {
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`,
+        code: 'INVALID_WEBHOOK_EVENTS'
+      }
+    };
+  }
+
+  if (events.includes('scan.flagged') && !hasPermission(req.apiKeyData.permissionList, 'fraud:read')) {
+    return {
+      status: 403,
+      body: {
+        status: 'error',
+        message: 'scan.flagged events require the fraud:read permission',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: 'fraud:read'
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a webhook URL: absolute http(s), and a host that resolves to public
+ * addresses only (deliveries repeat the address check)
+ * @param {*} url - Value of `url`
+ * @returns {Promise<{status: number, body: object}|null>} - Error response, or null when valid
+ */
+const checkUrl = async (url) => {
+  if (!isValidHttpUrl(url)) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: 'url must be an absolute http or https URL',
+        code: 'INVALID_WEBHOOK_URL'
+      }
+    };
+  }
+
+  try {
+    await resolveWebhookHost(new URL(url).hostname);
+  } catch (error) {
+    return {
+      status: 400,
+      body: {
+        status: 'error',
+        message: error.code === 'WEBHOOK_URL_NOT_ALLOWED'
+          ? 'url must not point to a loopback, private or link-local address'
+          : 'url host could not be resolved',
+        code: error.code === 'WEBHOOK_URL_NOT_ALLOWED' ? error.code : 'INVALID_WEBHOOK_URL'
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Strip the secret from a webhook and decode its events
+ * @param {object} webhook - webhooks row
+ * @returns {object}
+ */
+const publicWebhook = (webhook) => {
+  const { id, secret, last_summary_day, ...rest } = webhook;
+  return { ...rest, events: JSON.parse(webhook.events), active: !!webhook.active };
+};
+
+/**
+ * Decode the payload of a delivery
+ * @param {object} delivery - webhook_deliveries row
+ * @returns {object}
+ */
+const publicDelivery = (delivery) => {
+  const { id, ...rest } = delivery;
+  return { ...rest, payload: JSON.parse(delivery.payload) };
+};
+
+/**
+ * Load the webhook named in the URL or respond with 404. Webhooks of
+ * campaigns the key is not linked to are reported as missing.
+ */
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await db.getWebhook(req.params.webhookId);
+
+    if (!webhook || !canAccessCampaign(req, webhook.campaign_id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /v1/webhooks
+ * List the webhooks of the key's campaigns, filterable by campaign_id
+ */
+router.get('/', resolveCampaignScope, async (req, res) => {
+  try {
+    const webhooks = await db.getWebhooks({ campaign_ids: req.campaignScope });
+
+    res.json(formatResponse(
+      true,
+      'Webhooks retrieved successfully',
+      { webhooks: webhooks.map(publicWebhook) },
+      { total: webhooks.length }
+    ));
+
+  } catch (error) {
+    console.error('Webhook listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve webhooks',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/webhooks
+ * Subscribe a URL to events of a campaign ({ campaign_id, url, events,
+ * description }). The signing secret is only returned here.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { campaign_id, url, events, description } = req.body;
+
+    const invalidUrl = await checkUrl(url);
+    if (invalidUrl) {
+      return res.status(invalidUrl.status).json(invalidUrl.body);
+    }
+
+    const invalidEvents = checkEvents(req, events);
+    if (invalidEvents) {
+      return res.status(invalidEvents.status).json(invalidEvents.body);
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'description must be a string',
+        code: 'INVALID_WEBHOOK'
+      });
+    }
+
+    if (!campaign_id || !canAccessCampaign(req, campaign_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'API key is not linked to this campaign',
+        code: 'CAMPAIGN_ACCESS_DENIED'
+      });
+    }
+
+    const campaign = await db.getCampaign(campaign_id);
+    if (!campaign) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Campaign not found',
+        code: 'CAMPAIGN_NOT_FOUND'
+      });
+    }
+
+    const webhook = await db.createWebhook({
+      webhook_id: generateWebhookId('wh', 8),
+      campaign_id,
+      url,
+      events: [...new Set(events)],
+      secret: generateWebhookId('whsec', 24),
+      description,
+      created_by: req.apiKeyData.key_name
+    });
+
+    res.status(201).json(formatResponse(
+      true,
+      'Webhook created successfully. Store the secret now; it is not shown again.',
+      { ...publicWebhook(webhook), secret: webhook.secret }
+    ));
+
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to create webhook',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/webhooks/:webhookId
+ * Get a webhook
+ */
+router.get('/:webhookId', loadWebhook, (req, res) => {
+  res.json(formatResponse(
+    true,
+    'Webhook retrieved successfully',
+    publicWebhook(req.webhook)
+  ));
+});
+
+/**
+ * PATCH /v1/webhooks/:webhookId
+ * Change the URL, events, description or active flag. Deliveries of an
+ * inactive webhook stay queued until it is reactivated.
+ */
+router.patch('/:webhookId', loadWebhook, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const invalidUrl = url !== undefined ? await checkUrl(url) : null;
+    if (invalidUrl) {
+      return res.status(invalidUrl.status).json(invalidUrl.body);
+    }
+
+    const invalidEvents = events !== undefined ? checkEvents(req, events) : null;
+    if (invalidEvents) {
+      return res.status(invalidEvents.status).json(invalidEvents.body);
+    }
+
+    if ((description !== undefined && description !== null && typeof description !== 'string') ||
+        (active !== undefined && typeof active !== 'boolean')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'description must be a string and active a boolean',
+        code: 'INVALID_WEBHOOK'
+      });
+    }
+
+    const webhook = await db.updateWebhook(req.webhook.webhook_id, {
+      url,
+      events: events && [...new Set(events)],
+      description,
+      active
+    });
+
+    res.json(formatResponse(
+      true,
+      'Webhook updated successfully',
+      publicWebhook(webhook)
+    ));
+
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to update webhook',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * DELETE /v1/webhooks/:webhookId
+ * Remove a webhook, its queued deliveries and its delivery log
+ */
+router.delete('/:webhookId', loadWebhook, async (req, res) => {
+  try {
+    await db.deleteWebhook(req.webhook.webhook_id);
+
+    res.json(formatResponse(
+      true,
+      'Webhook deleted successfully',
+      publicWebhook(req.webhook)
+    ));
+
+  } catch (error) {
+    console.error('Webhook deletion error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to delete webhook',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * GET /v1/webhooks/:webhookId/deliveries
+ * Delivery log, newest first, filterable by status and event
+ */
+router.get('/:webhookId/deliveries', loadWebhook, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status, event } = req.query;
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        code: 'INVALID_DELIVERY_STATUS'
+      });
+    }
+
+    const { deliveries, total } = await db.getWebhookDeliveries({
+      webhook_id: req.webhook.webhook_id,
+      status,
+      event,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(formatResponse(
+      true,
+      'Webhook deliveries retrieved successfully',
+      {
+        deliveries: deliveries.map(publicDelivery),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          has_more: total > parseInt(offset) + parseInt(limit)
+        }
+      }
+    ));
+
+  } catch (error) {
+    console.error('Webhook delivery listing error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to retrieve webhook deliveries',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+/**
+ * POST /v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Queue a new delivery of the same event (same payload and event ID)
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', loadWebhook, async (req, res) => {
+  try {
+    const original = await db.getWebhookDelivery(req.params.deliveryId);
+
+    if (!original || original.webhook_id !== req.webhook.webhook_id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    const deliveryId = generateWebhookId('whd');
+    await db.createWebhookDeliveries([{
+      delivery_id: deliveryId,
+      webhook_id: original.webhook_id,
+      event_id: original.event_id,
+      event: original.event,
+      payload: original.payload,
+      redelivery_of: original.delivery_id
+    }]);
+
+    res.status(202).json(formatResponse(
+      true,
+      'Webhook delivery queued',
+      publicDelivery(await db.getWebhookDelivery(deliveryId))
+    ));
+
+  } catch (error) {
+    console.error('Webhook redelivery error:', error);
+    res.status(500).json(formatResponse(
+      false,
+      'Failed to queue webhook redelivery',
+      null,
+      { error: error.message }
+    ));
+  }
+});
+
+module.exports = router;
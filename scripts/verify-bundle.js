@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Offline verification of Neo Card™ signed export bundles
+//
+// Usage: node scripts/verify-bundle.js <bundle.zip> <public-key.pem>
+//
+// Get the public key once from GET /v1/export/public-key (data.public_key)
+// and keep it; the script needs no network access or API key. It checks the
+// Ed25519 signature over manifest.json, then the size and SHA-256 of the data
+// file the manifest names, and finally reads the file back to check its row
+// count and the AEI checksum digest. Exits 0 when the bundle is intact, 1
+// otherwise.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const JSZip = require('jszip');
+
+/**
+ * Split RFC 4180 CSV into records
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+/**
+ * Read the rows of a bundle's data file back as objects keyed by column
+ * @param {Buffer} data - Data file contents
+ * @param {object} manifest - data.format and data.columns name the layout
+ * @returns {Promise<Array<object>>}
+ */
+const readRows = async (data, { format, columns }) => {
+  // CSV and XLSX hold one header row, then the columns in manifest order
+  const byPosition = values => Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+
+  switch (format) {
+    case 'csv':
+      return parseCsv(data.toString('utf8')).slice(1).map(byPosition);
+
+    case 'ndjson':
+      return data.toString('utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    case 'json':
+      return JSON.parse(data.toString('utf8'));
+
+    case 'xlsx': {
+      const ExcelJS = require('exceljs');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(data);
+      return workbook.getWorksheet('Scans').getSheetValues().slice(2).map(values => byPosition(values.slice(1)));
+    }
+
+    default:
+      throw new Error(`Unknown data format ${format}`);
+  }
+};
+
+/**
+ * Check the manifest's row count and aei_digest against the data file
+ * @param {Buffer} data - Data file contents
+ * @param {object} manifest
+ * @returns {Promise<Array<string>>} - Errors
+ */
+const checkRows = async (data, manifest) => {
+  let rows;
+  try {
+    rows = await readRows(data, manifest.data);
+  } catch (error) {
+    return [`Data file could not be read as ${manifest.data.format}: ${error.message}`];
+  }
+
+  const errors = [];
+  if (rows.length !== manifest.data.rows) {
+    errors.push(`Data file holds ${rows.length} rows, manifest says ${manifest.data.rows}`);
+  }
+
+  if (!manifest.data.columns.includes('scan_id') || !manifest.data.columns.includes('checksum')) {
+    errors.push('Data file lacks the scan_id and checksum columns needed to check aei_digest');
+    return errors;
+  }
+
+  const aeiHash = crypto.createHash('sha256');
+  rows.forEach(row => aeiHash.update(`${row.scan_id}:${row.checksum}\n`));
+  if (aeiHash.digest('hex') !== manifest.scans.aei_digest) {
+    errors.push('AEI checksums in the data file do not match the manifest aei_digest');
+  }
+
+  return errors;
+};
+
+/**
+ * Verify a signed export bundle
+ * @param {Buffer} bundle - ZIP file contents
+ * @param {string} publicKeyPem - Ed25519 public key (SPKI PEM)
+ * @returns {Promise<{valid: boolean, errors: Array<string>, manifest: object|null}>}
+ */
+const verifyBundle = async (bundle, publicKeyPem) => {
+  const errors = [];
+  const zip = await JSZip.loadAsync(bundle);
+
+  const manifestFile = zip.file('manifest.json');
+  const signatureFile = zip.file('manifest.sig');
+  if (!manifestFile || !signatureFile) {
+    return { valid: false, errors: ['Bundle must contain manifest.json and manifest.sig'], manifest: null };
+  }
+
+  const manifestBytes = await manifestFile.async('nodebuffer');
+  const signature = Buffer.from((await signatureFile.async('string')).trim(), 'base64');
+  const publicKey = crypto.createPublicKey(publicKeyPem);
+
+  if (!crypto.verify(null, manifestBytes, publicKey, signature)) {
+    return { valid: false, errors: ['Manifest signature does not verify with this public key'], manifest: null };
+  }
+
+  const manifest = JSON.parse(manifestBytes.toString('utf8'));
+  const keyId = crypto.createHash('sha256')
+    .update(publicKey.export({ format: 'der', type: 'spki' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  if (manifest.key_id !== keyId) {
+    errors.push(`Manifest names key ${manifest.key_id}, public key is ${keyId}`);
+  }
+
+  const dataFile = zip.file(manifest.data.file);
+  if (!dataFile) {
+    errors.push(`Data file ${manifest.data.file} is missing`);
+  } else {
+    const data = await dataFile.async('nodebuffer');
+
+    if (data.length !== manifest.data.bytes) {
+      errors.push(`Data file is ${data.length} bytes, manifest says ${manifest.data.bytes}`);
+    }
+
+    if (crypto.createHash('sha256').update(data).digest('hex') !== manifest.data.sha256) {
+      errors.push('Data file SHA-256 does not match the manifest');
+    }
+
+    errors.push(...await checkRows(data, manifest));
+  }
+
+  return { valid: errors.length === 0, errors, manifest };
+};
+
+if (require.main === module) {
+  const [bundlePath, keyPath] = process.argv.slice(2);
+
+  if (!bundlePath || !keyPath) {
+    console.error('Usage: node scripts/verify-bundle.js <bundle.zip> <public-key.pem>');
+    process.exit(2);
+  }
+
+  verifyBundle(fs.readFileSync(bundlePath), fs.readFileSync(keyPath, 'utf8'))
+    .then(({ valid, errors, manifest }) => {
+      if (!valid) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        process.exit(1);
+      }
+
+      console.log('✅ Bundle verified');
+      console.log(`   Rows: ${manifest.data.rows} (${manifest.data.file}, ${manifest.data.bytes} bytes)`);
+      console.log(`   Range: ${manifest.range.start} – ${manifest.range.end}`);
+      console.log(`   Scans: ${manifest.scans.first_timestamp || '-'} – ${manifest.scans.last_timestamp || '-'}`);
+      console.log(`   Signed by key ${manifest.key_id} at ${manifest.generated_at}`);
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { verifyBundle };
@@ -4,6 +4,8 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const db = require('./database');
+const { startWebhookWorker } = require('./webhooks');
+const { attachScanSocket } = require('./routes/stream');
 require('dotenv').config();
 
 const app = express();
@@ -28,7 +30,13 @@ app.use(limiter);
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// rawBody is kept for verifying device request signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -45,6 +53,9 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/v1', require('./routes/api'));
 
+// Tap redirects for NFC URL tags
+app.use('/t', require('./routes/tap'));
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -70,12 +81,23 @@ const startServer = async () => {
     // Initialize database
     await db.connect();
     
+    // Seal finished days of the scan ledger now and then hourly
+    const sealLedger = () => db.sealLedgerDays().catch(error => console.error('Ledger sealing error:', error));
+    await sealLedger();
+    setInterval(sealLedger, 60 * 60 * 1000).unref();
+    
+    // Send queued webhook deliveries in the background
+    startWebhookWorker();
+    
     const server = app.listen(PORT, () => {
       console.log(`🚀 Neo Card™ Demo Backend running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
       console.log(`🗄️  Database: SQLite connected`);
     });
+    
+    // WebSocket variant of GET /v1/stream/scans
+    attachScanSocket(server);
 
     // Handle server errors
     server.on('error', (error) => {
@@ -0,0 +1,39 @@
+// Access list matching tests for Neo Card™ Demo Backend
+
+const { normalizeIp, parseIpRange, normalizeEntryValue, findAccessMatches } = require('../utils/access');
+
+describe('Access list matching', () => {
+  test('normalizeIp should unwrap IPv4-mapped IPv6 addresses', () => {
+    expect(normalizeIp('::ffff:203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIp('2001:db8::1')).toBe('2001:db8::1');
+  });
+
+  test('parseIpRange should accept addresses and CIDR ranges only', () => {
+    expect(parseIpRange('203.0.113.0/24')).toEqual({ address: '203.0.113.0', prefix: 24, family: 'ipv4' });
+    expect(parseIpRange('2001:db8::/32')).toEqual({ address: '2001:db8::', prefix: 32, family: 'ipv6' });
+    expect(parseIpRange('203.0.113.7').prefix).toBe(32);
+    expect(parseIpRange('203.0.113.0/')).toBeNull();
+    expect(parseIpRange('203.0.113.0/33')).toBeNull();
+    expect(parseIpRange('not-an-ip')).toBeNull();
+  });
+
+  test('normalizeEntryValue should uppercase UIDs and canonicalise IPs', () => {
+    expect(normalizeEntryValue('uid', 'abcd1234')).toBe('ABCD1234');
+    expect(normalizeEntryValue('uid', 'short')).toBeNull();
+    expect(normalizeEntryValue('ip', '198.51.100.1')).toBe('198.51.100.1/32');
+    expect(normalizeEntryValue('device', 'kiosk 7')).toBeNull();
+  });
+
+  test('findAccessMatches should return the first block and allow match', () => {
+    const entries = [
+      { id: 1, list_type: 'allow', entry_type: 'uid_prefix', value: 'DEMO' },
+      { id: 2, list_type: 'block', entry_type: 'ip', value: '2001:db8::/32' },
+      { id: 3, list_type: 'block', entry_type: 'ip', value: '198.51.100.0/24' }
+    ];
+
+    expect(findAccessMatches(entries, { uid: 'demo0001', ip: '::ffff:198.51.100.9' }))
+      .toEqual({ block: entries[2], allow: entries[0] });
+    expect(findAccessMatches(entries, { uid: 'TEST0001', ip: '2001:db8::5' }).block).toBe(entries[1]);
+    expect(findAccessMatches(entries, { uid: 'TEST0001', ip: '192.0.2.1' })).toEqual({ block: null, allow: null });
+  });
+});
@@ -20,9 +20,9 @@ describe('Neo Card™ Demo Backend API Tests', () => {
   });
 
   beforeEach(async () => {
-    // Clear scans table before each test
+    // Clear scans (and the fraud tracking derived from them) before each test
     await new Promise((resolve, reject) => {
-      db.db.run('DELETE FROM scans', (err) => {
+      db.db.exec('DELETE FROM scans; DELETE FROM fraud_tracking;', (err) => {
         if (err) reject(err);
         else resolve();
       });
@@ -58,7 +58,9 @@ describe('Neo Card™ Demo Backend API Tests', () => {
       expect(response.body.data.uid).toBe(scanData.uid);
       expect(response.body.data.campaign_id).toBe(scanData.campaign_id);
       expect(response.body.data.checksum).toBeDefined();
-      expect(response.body.data.verified).toBe(true);
+      // Plain UID scans are not cryptographically authenticated
+      expect(response.body.data.verified).toBe(false);
+      expect(response.body.data.auth_method).toBe('uid');
     });
 
     test('POST /v1/scan should reject scan without UID', async () => {
@@ -186,6 +188,257 @@ describe('Neo Card™ Demo Backend API Tests', () => {
     });
   });
 
+  describe('Streaming Export Endpoint', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const crypto = require('crypto');
+    const config = require('../config');
+    const { privateKey: signingKey } = crypto.generateKeyPairSync('ed25519');
+
+    beforeAll(() => {
+      config.security.exportSigningKey = signingKey.export({ format: 'pem', type: 'pkcs8' });
+    });
+
+    afterAll(() => {
+      config.security.exportSigningKey = null;
+    });
+
+    const insertScan = (scanId, campaignId, timestamp, extra = {}) => db.insertScan({
+      scan_id: scanId,
+      uid: 'EXPORT000001',
+      campaign_id: campaignId,
+      timestamp,
+      checksum: '0'.repeat(64),
+      ...extra
+    });
+
+    beforeEach(async () => {
+      await insertScan('scan_export_1', 'DEMO01', '2024-03-01T08:00:00.000Z');
+      await insertScan('scan_export_2', 'QUOTE,"01', '2024-03-02T09:00:00.000Z', { user_agent: 'Agent "X", v1' });
+      await insertScan('scan_export_3', 'DEMO01', '2024-03-03T10:00:00.000Z');
+    });
+
+    const exportScans = (query, key = ADMIN_KEY) => request(app)
+      .get(`/v1/export?${query}`)
+      .set('x-api-key', key);
+
+    // Collect binary (ZIP/XLSX) responses into a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    test('GET /v1/export should stream RFC 4180 CSV for a date range', async () => {
+      const response = await exportScans('start_date=2024-03-01&end_date=2024-03-02&columns=scan_id,campaign_id,user_agent')
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('neocard_scans_2024-03-01_2024-03-02.csv');
+      expect(response.text).toBe([
+        'Scan ID,Campaign ID,User Agent',
+        'scan_export_1,DEMO01,',
+        'scan_export_2,"QUOTE,""01","Agent ""X"", v1"',
+        ''
+      ].join('\r\n'));
+    });
+
+    test('GET /v1/export should support NDJSON and JSON', async () => {
+      const ndjson = await exportScans('format=ndjson&start_date=2024-03-01&end_date=2024-03-03&columns=scan_id,timestamp')
+        .expect(200);
+
+      expect(ndjson.headers['content-type']).toContain('application/x-ndjson');
+      expect(ndjson.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+        { scan_id: 'scan_export_1', timestamp: '2024-03-01T08:00:00.000Z' },
+        { scan_id: 'scan_export_2', timestamp: '2024-03-02T09:00:00.000Z' },
+        { scan_id: 'scan_export_3', timestamp: '2024-03-03T10:00:00.000Z' }
+      ]);
+
+      const json = await exportScans('format=json&start_date=2024-03-03T00:00:00Z&end_date=2024-03-04T00:00:00Z')
+        .expect(200);
+
+      expect(json.body).toEqual([expect.objectContaining({ scan_id: 'scan_export_3', campaign_id: 'DEMO01' })]);
+
+      const empty = await exportScans('format=json&start_date=2023-01-01&end_date=2023-01-02').expect(200);
+      expect(empty.body).toEqual([]);
+    });
+
+    test('GET /v1/export should produce XLSX workbooks', async () => {
+      const ExcelJS = require('exceljs');
+      const response = await exportScans('format=xlsx&start_date=2024-03-01&end_date=2024-03-03&columns=scan_id,campaign_id')
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(response.body);
+      const rows = workbook.getWorksheet('Scans').getSheetValues().slice(1).map(row => row.slice(1));
+
+      expect(rows).toEqual([
+        ['Scan ID', 'Campaign ID'],
+        ['scan_export_1', 'DEMO01'],
+        ['scan_export_2', 'QUOTE,"01'],
+        ['scan_export_3', 'DEMO01']
+      ]);
+    });
+
+    test('XLSX exports should stop adding rows while the destination is not reading', async () => {
+      const { PassThrough } = require('stream');
+      const { createExportWriter } = require('../utils/export');
+      const sink = new PassThrough();
+      const writer = createExportWriter('xlsx', sink, ['scan_id', 'checksum']);
+      // Random values so the compressed sheet outgrows the stream buffers
+      const batch = () => Array.from({ length: 200 }, () => ({
+        scan_id: crypto.randomBytes(16).toString('hex'),
+        checksum: crypto.randomBytes(32).toString('hex')
+      }));
+
+      let written = 0;
+      let pending;
+      while (written < 100) {
+        // Give the stream a turn between batches, as reading the next one from the database does
+        await new Promise(resolve => setImmediate(resolve));
+        pending = writer.write(batch());
+        const stalled = await Promise.race([
+          pending.then(() => false),
+          new Promise(resolve => setTimeout(resolve, 200, true))
+        ]);
+        if (stalled) break;
+        written++;
+      }
+
+      expect(written).toBeLessThan(100);
+
+      sink.resume();
+      await pending;
+      await writer.end();
+    });
+
+    test('GET /v1/export should validate format, columns and fraud columns', async () => {
+      const format = await exportScans('format=pdf').expect(400);
+      expect(format.body.code).toBe('INVALID_FORMAT');
+
+      const columns = await exportScans('columns=scan_id,password').expect(400);
+      expect(columns.body.code).toBe('INVALID_COLUMNS');
+
+      const range = await exportScans('start_date=2024-03-02&end_date=2024-03-01').expect(400);
+      expect(range.body.code).toBe('INVALID_DATE_RANGE');
+
+      const sponsor = await exportScans('columns=scan_id,ip_address', 'neocard_sponsor_demo_key_2024').expect(403);
+      expect(sponsor.body.required).toBe('fraud:read');
+    });
+
+    test('GET /v1/export/public-key should be public', async () => {
+      const response = await request(app).get('/v1/export/public-key').expect(200);
+
+      expect(response.body.data.algorithm).toBe('Ed25519');
+      expect(response.body.data.key_id).toMatch(/^[0-9a-f]{16}$/);
+      expect(response.body.data.public_key).toContain('BEGIN PUBLIC KEY');
+    });
+
+    test('GET /v1/export?bundle=true should return a bundle that verifies offline', async () => {
+      const JSZip = require('jszip');
+      const { verifyBundle } = require('../scripts/verify-bundle');
+      const { body: { data: key } } = await request(app).get('/v1/export/public-key');
+
+      const response = await exportScans('bundle=true&format=ndjson&start_date=2024-03-01&end_date=2024-03-03&columns=scan_id')
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toContain('neocard_scans_2024-03-01_2024-03-03_bundle.zip');
+
+      const result = await verifyBundle(response.body, key.public_key);
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.manifest).toEqual(expect.objectContaining({
+        key_id: key.key_id,
+        range: { start: '2024-03-01T00:00:00.000Z', end: '2024-03-04T00:00:00.000Z', timezone: 'UTC' },
+        scans: expect.objectContaining({
+          first_timestamp: '2024-03-01T08:00:00.000Z',
+          last_timestamp: '2024-03-03T10:00:00.000Z'
+        })
+      }));
+      expect(result.manifest.data).toEqual(expect.objectContaining({ file: 'scans.ndjson', rows: 3, columns: ['checksum', 'scan_id'] }));
+
+      // Altering the data file breaks verification
+      const zip = await JSZip.loadAsync(response.body);
+      zip.file('scans.ndjson', '{"scan_id":"scan_forged"}\n');
+      const tampered = await verifyBundle(await zip.generateAsync({ type: 'nodebuffer' }), key.public_key);
+      expect(tampered.valid).toBe(false);
+      expect(tampered.errors).toContain('Data file SHA-256 does not match the manifest');
+
+      // So does any other signing key
+      const { publicKey } = crypto.generateKeyPairSync('ed25519');
+      const foreign = await verifyBundle(response.body, publicKey.export({ format: 'pem', type: 'spki' }));
+      expect(foreign.valid).toBe(false);
+    });
+
+    test('verify-bundle should check the row count and aei_digest against the data file', async () => {
+      const JSZip = require('jszip');
+      const { verifyBundle } = require('../scripts/verify-bundle');
+      const { body: { data: key } } = await request(app).get('/v1/export/public-key');
+
+      const response = await exportScans('bundle=true&format=csv&start_date=2024-03-01&end_date=2024-03-03&columns=campaign_id')
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect((await verifyBundle(response.body, key.public_key)).errors).toEqual([]);
+
+      // Drop a row and re-sign a manifest matching the new file's size and hash
+      const zip = await JSZip.loadAsync(response.body);
+      const lines = (await zip.file('scans.csv').async('string')).split('\r\n');
+      const data = Buffer.from([lines[0], lines[1], ''].join('\r\n'));
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+      manifest.data.bytes = data.length;
+      manifest.data.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+      const manifestBytes = Buffer.from(JSON.stringify(manifest));
+
+      zip.file('scans.csv', data);
+      zip.file('manifest.json', manifestBytes);
+      zip.file('manifest.sig', crypto.sign(null, manifestBytes, signingKey).toString('base64'));
+
+      const truncated = await verifyBundle(await zip.generateAsync({ type: 'nodebuffer' }), key.public_key);
+      expect(truncated.valid).toBe(false);
+      expect(truncated.errors).toEqual([
+        'Data file holds 1 rows, manifest says 3',
+        'AEI checksums in the data file do not match the manifest aei_digest'
+      ]);
+    });
+
+    test('signed exports should be refused without EXPORT_SIGNING_KEY', async () => {
+      config.security.exportSigningKey = null;
+      try {
+        const bundle = await exportScans('bundle=true&start_date=2024-03-01&end_date=2024-03-03').expect(503);
+        expect(bundle.body.code).toBe('EXPORT_SIGNING_UNAVAILABLE');
+
+        const publicKey = await request(app).get('/v1/export/public-key').expect(503);
+        expect(publicKey.body.code).toBe('EXPORT_SIGNING_UNAVAILABLE');
+
+        await exportScans('start_date=2024-03-01&end_date=2024-03-03').expect(200);
+      } finally {
+        config.security.exportSigningKey = signingKey.export({ format: 'pem', type: 'pkcs8' });
+      }
+    });
+
+    test('db.iterateScans should page through scans sharing a timestamp', async () => {
+      await insertScan('scan_export_4', 'DEMO01', '2024-03-03T10:00:00.000Z');
+      await insertScan('scan_export_5', 'DEMO01', '2024-03-03T10:00:00.000Z');
+
+      const batches = [];
+      for await (const batch of db.iterateScans({ uid: 'EXPORT000001' }, 2)) {
+        batches.push(batch.map(scan => scan.scan_id));
+      }
+
+      expect(batches).toEqual([
+        ['scan_export_1', 'scan_export_2'],
+        ['scan_export_3', 'scan_export_4'],
+        ['scan_export_5']
+      ]);
+    });
+  });
+
   describe('Stats Endpoint', () => {
     test('GET /v1/stats should require API key', async () => {
       const response = await request(app)
@@ -211,34 +464,3062 @@ describe('Neo Card™ Demo Backend API Tests', () => {
     });
   });
 
-  describe('AEI Security', () => {
-    test('AEI checksum should be consistent for same input', async () => {
-      const { generateAEIChecksum } = require('../utils');
-      const config = require('../config');
+  describe('Time Series Endpoint', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
 
-      const uid = 'TEST123456';
-      const timestamp = '2025-10-19T10:00:00.000Z';
-      const campaignId = 'DEMO01';
+    const insertScan = (uid, campaignId, timestamp) => db.insertScan({
+      scan_id: `scan_ts_${uid}_${timestamp}`,
+      uid,
+      campaign_id: campaignId,
+      timestamp,
+      checksum: '0'.repeat(64)
+    });
 
-      const checksum1 = generateAEIChecksum(uid, timestamp, campaignId, config.security.aeiSecretKey);
-      const checksum2 = generateAEIChecksum(uid, timestamp, campaignId, config.security.aeiSecretKey);
+    beforeEach(async () => {
+      await insertScan('TSERIES00001', 'DEMO01', '2024-01-01T10:00:00.000Z');
+      await insertScan('TSERIES00001', 'DEMO01', '2024-01-02T10:00:00.000Z');
+      await insertScan('TSERIES00002', 'DEMO01', '2024-01-02T23:30:00.000Z');
+      await insertScan('TSERIES00003', 'DEMO02', '2024-01-02T12:00:00.000Z');
+    });
 
-      expect(checksum1).toBe(checksum2);
+    const timeseries = (query, key = ADMIN_KEY) => request(app)
+      .get(`/v1/stats/timeseries?${query}`)
+      .set('x-api-key', key);
+
+    test('GET /v1/stats/timeseries should bucket scans per day with zero-filled gaps', async () => {
+      const response = await timeseries('granularity=day&start_date=2024-01-01&end_date=2024-01-04&campaign_id=DEMO01')
+        .expect(200);
+
+      const counts = response.body.data.buckets.map(({ bucket, scans, unique_uids, new_uids, returning_uids }) =>
+        [bucket, scans, unique_uids, new_uids, returning_uids]);
+
+      expect(counts).toEqual([
+        ['2024-01-01T00:00:00Z', 1, 1, 1, 0],
+        ['2024-01-02T00:00:00Z', 2, 2, 1, 1],
+        ['2024-01-03T00:00:00Z', 0, 0, 0, 0],
+        ['2024-01-04T00:00:00Z', 0, 0, 0, 0]
+      ]);
+      expect(response.body.meta.bucket_count).toBe(4);
     });
 
-    test('AEI checksum should be different for different inputs', async () => {
-      const { generateAEIChecksum } = require('../utils');
-      const config = require('../config');
+    test('GET /v1/stats/timeseries should align buckets to the timezone', async () => {
+      const response = await timeseries('granularity=day&start_date=2024-01-02&end_date=2024-01-03&timezone=Europe/Berlin&campaign_id=DEMO01')
+        .expect(200);
 
-      const uid1 = 'TEST123456';
-      const uid2 = 'TEST123457';
-      const timestamp = '2025-10-19T10:00:00.000Z';
-      const campaignId = 'DEMO01';
+      expect(response.body.data.start).toBe('2024-01-01T23:00:00.000Z');
+      expect(response.body.data.buckets.map(b => [b.bucket, b.scans])).toEqual([
+        ['2024-01-02T00:00:00+01:00', 1],
+        ['2024-01-03T00:00:00+01:00', 1]
+      ]);
+    });
 
-      const checksum1 = generateAEIChecksum(uid1, timestamp, campaignId, config.security.aeiSecretKey);
-      const checksum2 = generateAEIChecksum(uid2, timestamp, campaignId, config.security.aeiSecretKey);
+    test('GET /v1/stats/timeseries should support weeks and months across campaigns', async () => {
+      const weeks = await timeseries('granularity=week&start_date=2024-01-01&end_date=2024-01-14').expect(200);
+      expect(weeks.body.data.buckets.map(b => b.scans)).toEqual([4, 0]);
 
-      expect(checksum1).not.toBe(checksum2);
+      const months = await timeseries('granularity=month&start_date=2024-01-01&end_date=2024-02-29').expect(200);
+      expect(months.body.data.buckets.map(b => b.unique_uids)).toEqual([3, 0]);
+    });
+
+    test('GET /v1/stats/timeseries should scope sponsor keys to their campaigns', async () => {
+      const response = await timeseries('granularity=month&start_date=2024-01-01&end_date=2024-01-31', 'neocard_sponsor_demo_key_2024')
+        .expect(200);
+
+      expect(response.body.data.buckets[0].unique_uids).toBe(2);
+    });
+
+    test('GET /v1/stats/timeseries should validate its parameters', async () => {
+      const granularity = await timeseries('granularity=minute').expect(400);
+      expect(granularity.body.code).toBe('INVALID_GRANULARITY');
+
+      const timezone = await timeseries('timezone=Mars/Olympus').expect(400);
+      expect(timezone.body.code).toBe('INVALID_TIMEZONE');
+
+      const range = await timeseries('start_date=2024-02-01&end_date=2024-01-01').expect(400);
+      expect(range.body.code).toBe('INVALID_DATE_RANGE');
+
+      const tooMany = await timeseries('granularity=hour&start_date=2020-01-01&end_date=2024-01-01').expect(400);
+      expect(tooMany.body.code).toBe('TOO_MANY_BUCKETS');
+    });
+  });
+
+  describe('Retention Endpoint', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+
+    const insertScan = (uid, campaignId, timestamp) => db.insertScan({
+      scan_id: `scan_rt_${uid}_${timestamp}`,
+      uid,
+      campaign_id: campaignId,
+      timestamp,
+      checksum: '0'.repeat(64)
+    });
+
+    beforeEach(async () => {
+      // Week of 2024-01-01: RETAIN000001 (3 scans) and RETAIN000002 (2 scans)
+      await insertScan('RETAIN000001', 'DEMO01', '2024-01-01T10:00:00.000Z');
+      await insertScan('RETAIN000001', 'DEMO01', '2024-01-02T10:00:00.000Z');
+      await insertScan('RETAIN000001', 'DEMO01', '2024-01-09T10:00:00.000Z');
+      await insertScan('RETAIN000002', 'DEMO01', '2024-01-03T00:00:00.000Z');
+      await insertScan('RETAIN000002', 'DEMO01', '2024-01-17T00:00:00.000Z');
+      // Week of 2024-01-08: RETAIN000003 never returns
+      await insertScan('RETAIN000003', 'DEMO01', '2024-01-08T12:00:00.000Z');
+      // First seen before the range, and another campaign: both ignored
+      await insertScan('RETAIN000004', 'DEMO01', '2023-12-30T12:00:00.000Z');
+      await insertScan('RETAIN000004', 'DEMO01', '2024-01-02T12:00:00.000Z');
+      await insertScan('RETAIN000005', 'DEMO02', '2024-01-01T12:00:00.000Z');
+    });
+
+    const retention = (query, key = ADMIN_KEY) => request(app)
+      .get(`/v1/stats/retention?${query}`)
+      .set('x-api-key', key);
+
+    test('GET /v1/stats/retention should report weekly cohorts', async () => {
+      const response = await retention('campaign_id=DEMO01&start_date=2024-01-01&end_date=2024-01-14&periods=2')
+        .expect(200);
+
+      const { cohorts, overall } = response.body.data;
+      expect(cohorts.map(c => [c.cohort, c.size, c.retention.map(p => p.share)])).toEqual([
+        ['2024-01-01T00:00:00Z', 2, [1, 0.5, 0.5]],
+        ['2024-01-08T00:00:00Z', 1, [1, 0, 0]]
+      ]);
+      expect(cohorts[0].repeat_scans).toEqual({ '1': 0, '2': 1, '3': 1, '4': 0, '5+': 0 });
+      expect(cohorts[0].time_to_second_scan).toEqual({ uids: 2, p50_hours: 24, p75_hours: 336, p90_hours: 336 });
+      expect(cohorts[1].time_to_second_scan.uids).toBe(0);
+
+      expect(overall.size).toBe(3);
+      expect(overall.retention.map(p => p.share)).toEqual([1, 0.3333, 0.3333]);
+      expect(overall.repeat_scans).toEqual({ '1': 1, '2': 1, '3': 1, '4': 0, '5+': 0 });
+      expect(response.body.meta.cohort_count).toBe(2);
+    });
+
+    test('GET /v1/stats/retention should leave future periods empty', async () => {
+      const today = new Date().toISOString().split('T')[0];
+      const response = await retention(`campaign_id=DEMO01&cohort=day&start_date=${today}&end_date=${today}&periods=3`)
+        .expect(200);
+
+      expect(response.body.data.cohorts[0].retention.slice(1).map(p => p.share)).toEqual([null, null, null]);
+    });
+
+    test('GET /v1/stats/retention should export CSV', async () => {
+      const response = await retention('campaign_id=DEMO01&start_date=2024-01-01&end_date=2024-01-14&periods=2&format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toContain('neocard_retention_DEMO01_week.csv');
+
+      const lines = response.text.split('\n');
+      expect(lines[0]).toBe('Cohort,Size,Period 0,Period 1,Period 2,Scans 1,Scans 2,Scans 3,Scans 4,Scans 5+,Second Scan UIDs,P50 Hours,P75 Hours,P90 Hours');
+      expect(lines[1]).toBe('2024-01-01T00:00:00Z,2,1,0.5,0.5,0,1,1,0,0,2,24,336,336');
+      expect(lines[3]).toMatch(/^overall,3,/);
+    });
+
+    test('GET /v1/stats/retention should validate its parameters', async () => {
+      const missing = await retention('cohort=week').expect(400);
+      expect(missing.body.code).toBe('MISSING_CAMPAIGN_ID');
+
+      const cohort = await retention('campaign_id=DEMO01&cohort=month').expect(400);
+      expect(cohort.body.code).toBe('INVALID_GRANULARITY');
+
+      const periods = await retention('campaign_id=DEMO01&periods=0').expect(400);
+      expect(periods.body.code).toBe('INVALID_PERIODS');
+
+      const format = await retention('campaign_id=DEMO01&format=xml').expect(400);
+      expect(format.body.code).toBe('INVALID_FORMAT');
+
+      const unknown = await retention('campaign_id=NOPE99').expect(404);
+      expect(unknown.body.code).toBe('CAMPAIGN_NOT_FOUND');
+
+      const denied = await retention('campaign_id=DEMO02', 'neocard_sponsor_demo_key_2024').expect(403);
+      expect(denied.body.code).toBe('CAMPAIGN_ACCESS_DENIED');
+    });
+  });
+
+  describe('Campaign Management', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+
+    beforeAll(async () => {
+      await new Promise((resolve, reject) => {
+        db.db.run("DELETE FROM campaigns WHERE campaign_id LIKE 'TEST_%'", (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+
+    test('GET /v1/campaigns should require API key', async () => {
+      const response = await request(app)
+        .get('/v1/campaigns')
+        .expect(401);
+
+      expect(response.body.code).toBe('MISSING_API_KEY');
+    });
+
+    test('POST /v1/campaigns should create a campaign', async () => {
+      const response = await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_CAMPAIGN', name: 'Test Campaign', description: 'Created by tests' })
+        .expect(201);
+
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.campaign_id).toBe('TEST_CAMPAIGN');
+      expect(response.body.data.active).toBe(1);
+    });
+
+    test('POST /v1/campaigns should reject duplicates and invalid IDs', async () => {
+      const duplicate = await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_CAMPAIGN', name: 'Again' })
+        .expect(409);
+
+      expect(duplicate.body.code).toBe('CAMPAIGN_EXISTS');
+
+      const invalid = await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'bad id,with comma', name: 'Bad' })
+        .expect(400);
+
+      expect(invalid.body.code).toBe('INVALID_CAMPAIGN_ID');
+    });
+
+    test('PATCH /v1/campaigns/:id should update a campaign', async () => {
+      const response = await request(app)
+        .patch('/v1/campaigns/TEST_CAMPAIGN')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Renamed Campaign' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Renamed Campaign');
+    });
+
+    test('GET /v1/campaigns should list campaigns', async () => {
+      const response = await request(app)
+        .get('/v1/campaigns?active=true')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const ids = response.body.data.campaigns.map(c => c.campaign_id);
+      expect(ids).toContain('DEMO01');
+      expect(ids).toContain('TEST_CAMPAIGN');
+    });
+
+    test('POST /v1/scan should reject unknown campaigns', async () => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'TEST123456', campaign_id: 'TEST_UNKNOWN' })
+        .expect(404);
+
+      expect(response.body.code).toBe('CAMPAIGN_NOT_FOUND');
+    });
+
+    test('POST /v1/scan should reject inactive campaigns', async () => {
+      await request(app)
+        .post('/v1/campaigns/TEST_CAMPAIGN/deactivate')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const rejected = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'TEST123456', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(403);
+
+      expect(rejected.body.code).toBe('CAMPAIGN_INACTIVE');
+
+      await request(app)
+        .post('/v1/campaigns/TEST_CAMPAIGN/activate')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'TEST123456', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(201);
+    });
+
+    test('GET /v1/stats should break counts down per campaign', async () => {
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'TEST654321', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/v1/stats')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const campaign = response.body.data.campaigns.find(c => c.campaign_id === 'TEST_CAMPAIGN');
+      expect(campaign.totalScans).toBe(1);
+      expect(campaign.uniqueUids).toBe(1);
+    });
+
+    test('GET /v1/campaigns/:id/policy should fall back to server defaults', async () => {
+      const response = await request(app)
+        .get('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(response.body.data.overrides.cooldown_minutes).toBeNull();
+      expect(response.body.data.effective.cooldown_minutes).toBe(5);
+      expect(response.body.data.effective.daily_limit).toBe(100);
+      expect(response.body.data.effective.cooldown_scope).toBe('global');
+    });
+
+    test('PUT /v1/campaigns/:id/policy should validate the policy', async () => {
+      const negative = await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ daily_limit: -1 })
+        .expect(400);
+
+      expect(negative.body.code).toBe('INVALID_POLICY');
+
+      const scope = await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_scope: 'everywhere' })
+        .expect(400);
+
+      expect(scope.body.code).toBe('INVALID_POLICY');
+
+      const empty = await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({})
+        .expect(400);
+
+      expect(empty.body.code).toBe('EMPTY_POLICY');
+    });
+
+    test('Campaign policy should control cooldown scope and lifetime limit', async () => {
+      await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_scope: 'campaign', lifetime_limit: 2 })
+        .expect(200);
+
+      // Registered, so back-to-back taps are only flagged by the fraud engine
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'POLICY123456' });
+
+      // A DEMO01 tap does not start TEST_CAMPAIGN's cooldown
+      await request(app).post('/v1/scan').send({ uid: 'POLICY123456', campaign_id: 'DEMO01' }).expect(201);
+      await request(app).post('/v1/scan').send({ uid: 'POLICY123456', campaign_id: 'TEST_CAMPAIGN' }).expect(201);
+
+      const cooldown = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'POLICY123456', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(429);
+
+      expect(cooldown.body.code).toBe('COOLDOWN_ACTIVE');
+      expect(cooldown.body.cooldownScope).toBe('campaign');
+
+      await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_minutes: 0 })
+        .expect(200);
+
+      await request(app).post('/v1/scan').send({ uid: 'POLICY123456', campaign_id: 'TEST_CAMPAIGN' }).expect(201);
+
+      const lifetime = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'POLICY123456', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(429);
+
+      expect(lifetime.body.code).toBe('LIFETIME_LIMIT_EXCEEDED');
+      expect(lifetime.body.lifetimeLimit).toBe(2);
+    });
+
+    test('Campaign policy should enforce a total campaign cap', async () => {
+      const response = await request(app)
+        .put('/v1/campaigns/TEST_CAMPAIGN/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_minutes: 0, lifetime_limit: null, total_cap: 1 })
+        .expect(200);
+
+      expect(response.body.data.effective.lifetime_limit).toBeNull();
+      expect(response.body.data.effective.total_cap).toBe(1);
+
+      await request(app).post('/v1/scan').send({ uid: 'CAPTEST00001', campaign_id: 'TEST_CAMPAIGN' }).expect(201);
+
+      const capped = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'CAPTEST00002', campaign_id: 'TEST_CAMPAIGN' })
+        .expect(429);
+
+      expect(capped.body.code).toBe('CAMPAIGN_CAP_REACHED');
+    });
+  });
+
+  describe('API Key Permissions', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const SPONSOR_KEY = 'neocard_sponsor_demo_key_2024';
+
+    beforeAll(async () => {
+      // Registered cards, so the scans are not held back for review
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cards: [{ uid: 'SPONSOR0001' }, { uid: 'SPONSOR0002' }] })
+        .expect(201);
+    });
+
+    beforeEach(async () => {
+      await request(app).post('/v1/scan').send({ uid: 'SPONSOR0001', campaign_id: 'DEMO01' }).expect(201);
+      await request(app).post('/v1/scan').send({ uid: 'SPONSOR0002', campaign_id: 'DEMO02' }).expect(201);
+    });
+
+    test('sponsor key should only see logs for its linked campaigns', async () => {
+      const response = await request(app)
+        .get('/v1/logs')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(200);
+
+      const campaigns = new Set(response.body.data.scans.map(scan => scan.campaign_id));
+      expect([...campaigns]).toEqual(['DEMO01']);
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+
+    test('sponsor key should get 403 for campaigns it is not linked to', async () => {
+      for (const path of ['/v1/logs', '/v1/export/csv', '/v1/stats']) {
+        const response = await request(app)
+          .get(`${path}?campaign_id=DEMO02`)
+          .set('x-api-key', SPONSOR_KEY)
+          .expect(403);
+
+        expect(response.body.code).toBe('CAMPAIGN_ACCESS_DENIED');
+      }
+    });
+
+    test('sponsor stats and exports should be scoped to linked campaigns', async () => {
+      const stats = await request(app)
+        .get('/v1/stats')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(200);
+
+      expect(stats.body.data.totalScans).toBe(1);
+      expect(stats.body.data.campaigns.map(c => c.campaign_id)).toEqual(['DEMO01']);
+
+      const csv = await request(app)
+        .get('/v1/export/csv')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(200);
+
+      expect(csv.text).toContain('SPONSOR0001');
+      expect(csv.text).not.toContain('SPONSOR0002');
+    });
+
+    test('admin key should see every campaign', async () => {
+      const response = await request(app)
+        .get('/v1/logs')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    test('sponsor key should not manage campaigns or keys', async () => {
+      const campaigns = await request(app)
+        .get('/v1/campaigns')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(403);
+
+      expect(campaigns.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(campaigns.body.required).toBe('campaigns:manage');
+
+      await request(app)
+        .get('/v1/keys')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(403);
+    });
+
+    test('PUT /v1/keys/:id/campaigns should link campaigns to a key', async () => {
+      const keys = await request(app)
+        .get('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const sponsor = keys.body.data.keys.find(key => key.permissions === 'sponsor');
+      expect(sponsor.api_key).toBeUndefined();
+      expect(sponsor.campaigns).toEqual(['DEMO01']);
+
+      const linked = await request(app)
+        .put(`/v1/keys/${sponsor.id}/campaigns`)
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_ids: ['DEMO01', 'DEMO02'] })
+        .expect(200);
+
+      expect(linked.body.data.campaigns).toEqual(['DEMO01', 'DEMO02']);
+
+      await request(app)
+        .get('/v1/logs?campaign_id=DEMO02')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(200);
+
+      await request(app)
+        .put(`/v1/keys/${sponsor.id}/campaigns`)
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_ids: ['DEMO01'] })
+        .expect(200);
+    });
+  });
+
+  describe('API Key Lifecycle', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+
+    const issueKey = async (body) => {
+      const response = await request(app)
+        .post('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .send(body)
+        .expect(201);
+
+      return response.body.data;
+    };
+
+    test('POST /v1/keys should issue a key that is shown only once', async () => {
+      const issued = await issueKey({ key_name: 'Test Sponsor', permissions: 'sponsor', campaign_ids: ['DEMO02'] });
+
+      expect(issued.api_key).toMatch(/^neocard_[0-9a-f]{32}$/);
+      expect(issued.key_prefix).toBe(issued.api_key.slice(0, 16));
+      expect(issued.campaigns).toEqual(['DEMO02']);
+      expect(issued.status).toBe('active');
+
+      await request(app)
+        .get('/v1/stats')
+        .set('x-api-key', issued.api_key)
+        .expect(200);
+
+      const listed = await request(app)
+        .get(`/v1/keys/${issued.id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(listed.body.data.api_key).toBeUndefined();
+      expect(listed.body.data.key_hash).toBeUndefined();
+      expect(listed.body.data.last_used_at).toBeTruthy();
+    });
+
+    test('API keys should be stored as salted hashes', async () => {
+      const issued = await issueKey({ key_name: 'Hash Check' });
+
+      const row = await new Promise((resolve, reject) => {
+        db.db.get('SELECT * FROM api_keys WHERE id = ?', [issued.id], (err, result) => {
+          if (err) reject(err);
+          else resolve(result);
+        });
+      });
+
+      expect(row.api_key).toBeUndefined();
+      expect(row.key_hash).not.toContain(issued.api_key);
+      expect(row.key_salt).toHaveLength(32);
+    });
+
+    test('POST /v1/keys/:id/rotate should keep the old key valid during the overlap', async () => {
+      const issued = await issueKey({ key_name: 'Rotating Sponsor', campaign_ids: ['DEMO01'] });
+
+      const rotated = await request(app)
+        .post(`/v1/keys/${issued.id}/rotate`)
+        .set('x-api-key', ADMIN_KEY)
+        .send({ overlap_hours: 1 })
+        .expect(201);
+
+      const { key, previous_key } = rotated.body.data;
+      expect(key.api_key).not.toBe(issued.api_key);
+      expect(key.rotated_from).toBe(issued.id);
+      expect(key.campaigns).toEqual(['DEMO01']);
+      expect(previous_key.expires_at).toBeTruthy();
+
+      await request(app).get('/v1/logs').set('x-api-key', issued.api_key).expect(200);
+      await request(app).get('/v1/logs').set('x-api-key', key.api_key).expect(200);
+    });
+
+    test('rotated keys should stop working once the overlap ends', async () => {
+      const issued = await issueKey({ key_name: 'Immediate Rotation' });
+
+      await request(app)
+        .post(`/v1/keys/${issued.id}/rotate`)
+        .set('x-api-key', ADMIN_KEY)
+        .send({ overlap_hours: 0 })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/v1/logs')
+        .set('x-api-key', issued.api_key)
+        .expect(401);
+
+      expect(response.body.code).toBe('API_KEY_EXPIRED');
+    });
+
+    test('POST /v1/keys/:id/revoke should disable a key', async () => {
+      const issued = await issueKey({ key_name: 'Revoked Sponsor' });
+
+      const revoked = await request(app)
+        .post(`/v1/keys/${issued.id}/revoke`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(revoked.body.data.status).toBe('revoked');
+
+      const response = await request(app)
+        .get('/v1/logs')
+        .set('x-api-key', issued.api_key)
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_API_KEY');
+    });
+
+    test('POST /v1/keys should validate input', async () => {
+      const missingName = await request(app)
+        .post('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ permissions: 'sponsor' })
+        .expect(400);
+
+      expect(missingName.body.code).toBe('MISSING_KEY_NAME');
+
+      const pastExpiry = await request(app)
+        .post('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ key_name: 'Expired', expires_at: '2000-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(pastExpiry.body.code).toBe('INVALID_EXPIRY');
+
+      const unknownCampaign = await request(app)
+        .post('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ key_name: 'Ghost Sponsor', campaign_ids: ['DEMO01', 'NO_SUCH_CAMPAIGN'] })
+        .expect(404);
+
+      expect(unknownCampaign.body.code).toBe('CAMPAIGN_NOT_FOUND');
+      expect(await db.get("SELECT id FROM api_keys WHERE key_name = 'Ghost Sponsor'")).toBeUndefined();
+    });
+
+    test('GET /v1/keys?stale=true should list keys unused for the given period', async () => {
+      const response = await request(app)
+        .get('/v1/keys?stale=true&stale_days=1')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const names = response.body.data.keys.map(key => key.key_name);
+      expect(names).not.toContain('Admin Demo Key');
+    });
+  });
+
+  describe('Card Registry', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const config = require('../config');
+
+    beforeAll(async () => {
+      for (const table of ['cards', 'card_status_history']) {
+        await new Promise((resolve, reject) => {
+          db.db.run(`DELETE FROM ${table} WHERE uid LIKE 'CARD%'`, (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+    });
+
+    const setStatus = (uid, status, reason) => request(app)
+      .post(`/v1/cards/${uid}/status`)
+      .set('x-api-key', ADMIN_KEY)
+      .send({ status, reason });
+
+    test('POST /v1/cards should register single and bulk cards', async () => {
+      const single = await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'CARD000001', batch_id: 'BATCH-A', owner: 'Acme' })
+        .expect(201);
+
+      expect(single.body.data.status).toBe('issued');
+
+      const bulk = await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ batch_id: 'BATCH-B', cards: [{ uid: 'CARD000001' }, { uid: 'CARD000002' }, { uid: 'CARD000003' }] })
+        .expect(201);
+
+      expect(bulk.body.data.skipped).toEqual(['CARD000001']);
+      expect(bulk.body.data.cards.map(card => card.batch_id)).toEqual(['BATCH-B', 'BATCH-B']);
+
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'CARD000001' })
+        .expect(409);
+    });
+
+    test('card registry should require cards:manage', async () => {
+      await request(app)
+        .get('/v1/cards')
+        .set('x-api-key', 'neocard_sponsor_demo_key_2024')
+        .expect(403);
+    });
+
+    test('POST /v1/cards/:uid/status should enforce lifecycle transitions', async () => {
+      await setStatus('CARD000001', 'active', 'Handed out').expect(200);
+
+      const invalid = await setStatus('CARD000001', 'stolen').expect(400);
+      expect(invalid.body.code).toBe('INVALID_CARD_STATUS');
+
+      await setStatus('CARD000002', 'retired').expect(200);
+      const blocked = await setStatus('CARD000002', 'active').expect(409);
+      expect(blocked.body.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    test('POST /v1/scan should reject suspended, lost and retired cards', async () => {
+      await setStatus('CARD000003', 'lost', 'Reported lost').expect(200);
+
+      const lost = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'CARD000003', campaign_id: 'DEMO01' })
+        .expect(403);
+      expect(lost.body.code).toBe('CARD_LOST');
+
+      const retired = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'CARD000002', campaign_id: 'DEMO01' })
+        .expect(403);
+      expect(retired.body.code).toBe('CARD_RETIRED');
+    });
+
+    test('POST /v1/scan should flag unregistered cards and accept registered ones', async () => {
+      config.cards.unregisteredPolicy = 'flag';
+      let unregistered;
+      try {
+        unregistered = await request(app)
+          .post('/v1/scan')
+          .send({ uid: 'CARD999999', campaign_id: 'DEMO01' })
+          .expect(201);
+      } finally {
+        config.cards.unregisteredPolicy = 'allow';
+      }
+
+      expect(unregistered.body.data.flagged).toBe(true);
+      expect(unregistered.body.data.flag_reasons).toEqual(['UNREGISTERED_CARD']);
+
+      const registered = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'CARD000001', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      expect(registered.body.data.flagged).toBe(false);
+    });
+
+    test('GET /v1/cards/:uid should show status history and scan summary', async () => {
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'CARD000001', campaign_id: 'DEMO02' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/v1/cards/CARD000001')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const { status_history, scan_summary } = response.body.data;
+      expect(status_history.map(entry => entry.to_status)).toEqual(['issued', 'active']);
+      expect(status_history[1].changed_by).toBe('Admin Demo Key');
+      expect(scan_summary.totalScans).toBe(1);
+      expect(scan_summary.campaigns[0].campaign_id).toBe('DEMO02');
+    });
+  });
+
+  describe('SUN Scans', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const ZERO_KEY = '00000000000000000000000000000000';
+    const NXP_UID = '04DE5F1EACC040';
+
+    beforeAll(async () => {
+      await new Promise((resolve, reject) => {
+        db.db.run('DELETE FROM cards WHERE uid = ?', [NXP_UID], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+
+    test('POST /v1/scan should reject SUN data for cards without a key', async () => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' })
+        .expect(403);
+
+      expect(response.body.code).toBe('SUN_KEY_UNAVAILABLE');
+    });
+
+    test('POST /v1/scan should store authenticated SUN scans as verified', async () => {
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: NXP_UID, sdm_file_read_key: ZERO_KEY })
+        .expect(201);
+
+      // A tap refused by the cooldown leaves its read counter unused
+      const plain = await request(app)
+        .post('/v1/scan')
+        .send({ uid: NXP_UID, campaign_id: 'DEMO01' })
+        .expect(201);
+
+      const cooldown = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' })
+        .expect(429);
+      expect(cooldown.body.code).toBe('COOLDOWN_ACTIVE');
+      expect((await db.getCard(NXP_UID)).last_read_counter).toBeNull();
+
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      await db.run('UPDATE scans SET timestamp = ? WHERE scan_id = ?', [anHourAgo, plain.body.data.scan_id]);
+
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' })
+        .expect(201);
+
+      expect(response.body.data.uid).toBe(NXP_UID);
+      expect(response.body.data.verified).toBe(true);
+      expect(response.body.data.auth_method).toBe('sun');
+      expect(response.body.data.read_counter).toBe(61);
+
+      const logs = await request(app)
+        .get('/v1/logs?verified=true')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(logs.body.data.scans.map(scan => scan.uid)).toEqual([NXP_UID]);
+    });
+
+    test('POST /v1/scan should reject a replayed SUN message', async () => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' })
+        .expect(409);
+
+      expect(response.body.code).toBe('REPLAY_DETECTED');
+
+      const events = await request(app)
+        .get(`/v1/fraud/events?uid=${NXP_UID}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(events.body.data.events[0].code).toBe('REPLAY_DETECTED');
+      expect(events.body.data.events[0].details.read_counter).toBe(61);
+    });
+
+    test('POST /v1/scan should reject a forged SDMMAC', async () => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '0000000000000000' })
+        .expect(401);
+
+      expect(response.body.code).toBe('SUN_VERIFICATION_FAILED');
+    });
+
+    test('POST /v1/scan should reject malformed SUN data and mismatched UIDs', async () => {
+      const malformed = await request(app)
+        .post('/v1/scan')
+        .send({ campaign_id: 'DEMO01', picc_data: 'XYZ', cmac: '94EED9EE65337086' })
+        .expect(400);
+
+      expect(malformed.body.code).toBe('INVALID_SUN_DATA');
+
+      const mismatch = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'TEST123456', campaign_id: 'DEMO01', picc_data: 'EF963FF7828658A599F3041510671E88', cmac: '94EED9EE65337086' })
+        .expect(400);
+
+      expect(mismatch.body.code).toBe('UID_MISMATCH');
+    });
+
+    test('GET /v1/stats should count verified and unverified scans separately', async () => {
+      await request(app).post('/v1/scan').send({ uid: 'PLAINUID01', campaign_id: 'DEMO01' }).expect(201);
+
+      const response = await request(app)
+        .get('/v1/stats')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(response.body.data.verifiedScans).toBe(0);
+      expect(response.body.data.unverifiedScans).toBe(1);
+    });
+  });
+
+  describe('Replay Protection', () => {
+    const challenge = (body) => request(app)
+      .post('/v1/scan/challenge')
+      .send(body);
+
+    test('POST /v1/scan/challenge should issue a single-use nonce', async () => {
+      const response = await challenge({ campaign_id: 'DEMO01', uid: 'NONCE12345' }).expect(201);
+
+      expect(response.body.data.nonce).toMatch(/^[0-9a-f]{32}$/);
+      expect(new Date(response.body.data.expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('POST /v1/scan should accept a nonce once and flag the replay', async () => {
+      const { nonce } = (await challenge({ campaign_id: 'DEMO01' }).expect(201)).body.data;
+
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO01', nonce })
+        .expect(201);
+
+      const replay = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO01', nonce })
+        .expect(409);
+
+      expect(replay.body.code).toBe('REPLAY_DETECTED');
+
+      const events = await request(app)
+        .get('/v1/fraud/events?uid=NONCE12345&code=REPLAY_DETECTED')
+        .set('x-api-key', 'neocard_admin_demo_key_2024')
+        .expect(200);
+
+      expect(events.body.data.events[0].details.nonce).toBe(nonce);
+    });
+
+    test('POST /v1/scan should leave the nonce unused when a later check refuses the scan', async () => {
+      const first = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      const { nonce } = (await challenge({ campaign_id: 'DEMO01' }).expect(201)).body.data;
+
+      const cooldown = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO01', nonce })
+        .expect(429);
+      expect(cooldown.body.code).toBe('COOLDOWN_ACTIVE');
+      expect((await db.getScanNonce(nonce)).used_at).toBeNull();
+
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      await db.run('UPDATE scans SET timestamp = ? WHERE scan_id = ?', [anHourAgo, first.body.data.scan_id]);
+
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO01', nonce })
+        .expect(201);
+
+      expect((await db.getScanNonce(nonce)).used_at).not.toBeNull();
+    });
+
+    test('POST /v1/scan should reject nonces bound to another UID or campaign', async () => {
+      const { nonce } = (await challenge({ campaign_id: 'DEMO01', uid: 'NONCE12345' }).expect(201)).body.data;
+
+      const wrongUid = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE99999', campaign_id: 'DEMO01', nonce })
+        .expect(400);
+      expect(wrongUid.body.code).toBe('INVALID_NONCE');
+
+      const wrongCampaign = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'NONCE12345', campaign_id: 'DEMO02', nonce })
+        .expect(400);
+      expect(wrongCampaign.body.code).toBe('INVALID_NONCE');
+    });
+
+    test('fraud events should require fraud:read', async () => {
+      await request(app)
+        .get('/v1/fraud/events')
+        .set('x-api-key', 'neocard_sponsor_demo_key_2024')
+        .expect(403);
+    });
+  });
+
+  describe('Tap Redirect', () => {
+    const config = require('../config');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const ZERO_KEY = '00000000000000000000000000000000';
+    const NXP_UID = '04DE5F1EACC040';
+    const DESTINATION = 'https://example.com/tap-campaign';
+    let redirectConfig;
+
+    beforeAll(async () => {
+      redirectConfig = { ...config.redirect };
+      Object.assign(config.redirect, {
+        fallbackUrl: 'https://example.com/fallback',
+        blockedUrl: 'https://example.com/blocked',
+        cooldownUrl: 'https://example.com/cooldown?lang=en'
+      });
+
+      await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_TAP', name: 'Tap Redirects' });
+
+      await request(app)
+        .patch('/v1/campaigns/TEST_TAP')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ destination_url: DESTINATION, active: true })
+        .expect(200);
+    });
+
+    afterAll(() => {
+      Object.assign(config.redirect, redirectConfig);
+    });
+
+    test('PATCH /v1/campaigns/:id should validate destination_url', async () => {
+      const response = await request(app)
+        .patch('/v1/campaigns/TEST_TAP')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ destination_url: 'javascript:alert(1)' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_DESTINATION_URL');
+    });
+
+    test('GET /t/:campaign/:uid should record the scan and redirect to the destination', async () => {
+      const response = await request(app)
+        .get('/t/TEST_TAP/TAP0000001')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone)')
+        .set('Referer', 'https://example.com/poster')
+        .expect(302);
+
+      expect(response.headers.location).toBe(DESTINATION);
+      expect(response.headers['cache-control']).toBe('no-store');
+
+      const [scan] = await db.getScans({ uid: 'TAP0000001' });
+      expect(scan).toMatchObject({
+        campaign_id: 'TEST_TAP',
+        auth_method: 'uid',
+        user_agent: 'Mozilla/5.0 (iPhone)',
+        referrer: 'https://example.com/poster'
+      });
+    });
+
+    test('GET /t/:campaign should verify SUN parameters', async () => {
+      await db.run('DELETE FROM cards WHERE uid = ?', [NXP_UID]);
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: NXP_UID, sdm_file_read_key: ZERO_KEY })
+        .expect(201);
+
+      const sunQuery = 'picc_data=EF963FF7828658A599F3041510671E88&cmac=94EED9EE65337086';
+      const response = await request(app)
+        .get(`/t/TEST_TAP?${sunQuery}`)
+        .expect(302);
+
+      expect(response.headers.location).toBe(DESTINATION);
+      const [scan] = await db.getScans({ uid: NXP_UID });
+      expect(scan).toMatchObject({ auth_method: 'sun', verified: 1, read_counter: 61 });
+
+      // The same URL again is a replay
+      const replay = await request(app)
+        .get(`/t/TEST_TAP/${NXP_UID}?${sunQuery}`)
+        .expect(302);
+      expect(replay.headers.location).toBe('https://example.com/blocked?reason=REPLAY_DETECTED');
+    });
+
+    test('refused taps should redirect to the fallback pages', async () => {
+      await request(app).get('/t/TEST_TAP/TAP0000002').expect(302);
+
+      const cooldown = await request(app)
+        .get('/t/TEST_TAP/TAP0000002')
+        .expect(302);
+      expect(cooldown.headers.location).toBe('https://example.com/cooldown?lang=en&reason=COOLDOWN_ACTIVE');
+
+      const unknown = await request(app)
+        .get('/t/NO_SUCH_CAMPAIGN/TAP0000003')
+        .expect(302);
+      expect(unknown.headers.location).toBe('https://example.com/fallback?reason=CAMPAIGN_NOT_FOUND');
+
+      await request(app)
+        .patch('/v1/campaigns/TEST_TAP')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ active: false })
+        .expect(200);
+
+      try {
+        const inactive = await request(app)
+          .get('/t/TEST_TAP/TAP0000004')
+          .expect(302);
+        expect(inactive.headers.location).toBe('https://example.com/blocked?reason=CAMPAIGN_INACTIVE');
+      } finally {
+        await request(app)
+          .patch('/v1/campaigns/TEST_TAP')
+          .set('x-api-key', ADMIN_KEY)
+          .send({ active: true })
+          .expect(200);
+      }
+
+      expect(await db.getScans({ uid: 'TAP0000004' })).toEqual([]);
+    });
+  });
+
+  describe('Reader Devices', () => {
+    const { signDeviceRequest } = require('../utils/devices');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    let device;
+
+    const signedScan = (signer, body, overrides = {}) => {
+      const raw = JSON.stringify(body);
+      const timestamp = overrides.timestamp || String(Math.floor(Date.now() / 1000));
+      const signature = overrides.signature ||
+        signDeviceRequest(signer.secret, { method: 'POST', path: '/v1/scan', timestamp, body: raw });
+
+      return request(app)
+        .post('/v1/scan')
+        .set('Content-Type', 'application/json')
+        .set('X-Device-Id', signer.device_id)
+        .set('X-Device-Timestamp', timestamp)
+        .set('X-Device-Signature', signature)
+        .send(raw);
+    };
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/v1/devices')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Gate 3 reader', location: 'North entrance', campaign_ids: ['DEMO01'] })
+        .expect(201);
+
+      device = response.body.data;
+    });
+
+    test('POST /v1/devices should enroll a device and return its secret once', async () => {
+      expect(device.device_id).toMatch(/^dev_[0-9a-f]{16}$/);
+      expect(device.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(device).toMatchObject({ name: 'Gate 3 reader', location: 'North entrance', status: 'active', campaigns: ['DEMO01'] });
+
+      const fetched = await request(app)
+        .get(`/v1/devices/${device.device_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(fetched.body.data.secret).toBeUndefined();
+
+      await request(app)
+        .get('/v1/devices')
+        .set('x-api-key', 'neocard_sponsor_demo_key_2024')
+        .expect(403);
+    });
+
+    test('signed scans should be attributed to the device in logs and stats', async () => {
+      const scan = await signedScan(device, { uid: 'DEVICE0001', campaign_id: 'DEMO01' }).expect(201);
+
+      const logs = await request(app)
+        .get(`/v1/logs?device_id=${device.device_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(logs.body.data.scans.map(row => row.scan_id)).toEqual([scan.body.data.scan_id]);
+
+      const stats = await request(app)
+        .get(`/v1/stats?device_id=${device.device_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(stats.body.data.totalScans).toBe(1);
+      expect(stats.body.data.devices).toEqual([expect.objectContaining({
+        device_id: device.device_id,
+        name: 'Gate 3 reader',
+        totalScans: 1
+      })]);
+
+      const listed = await request(app)
+        .get(`/v1/devices/${device.device_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(listed.body.data.last_seen_at).not.toBeNull();
+    });
+
+    test('POST /v1/scan should refuse bad, stale and missing device signatures', async () => {
+      const body = { uid: 'DEVICE0002', campaign_id: 'DEMO01' };
+
+      const forged = await signedScan(device, body, { signature: 'a'.repeat(64) }).expect(401);
+      expect(forged.body.code).toBe('INVALID_DEVICE_SIGNATURE');
+
+      const stale = await signedScan(device, body, { timestamp: String(Math.floor(Date.now() / 1000) - 3600) }).expect(401);
+      expect(stale.body.code).toBe('STALE_DEVICE_SIGNATURE');
+
+      const unsigned = await request(app)
+        .post('/v1/scan')
+        .send({ ...body, device_id: device.device_id })
+        .expect(401);
+      expect(unsigned.body.code).toBe('DEVICE_SIGNATURE_REQUIRED');
+    });
+
+    test('POST /v1/scan should only accept scans for the device campaigns', async () => {
+      const response = await signedScan(device, { uid: 'DEVICE0003', campaign_id: 'DEMO02' }).expect(403);
+      expect(response.body.code).toBe('DEVICE_CAMPAIGN_DENIED');
+    });
+
+    test('revoked devices should be refused immediately', async () => {
+      const enrolled = await request(app)
+        .post('/v1/devices')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Lost phone' })
+        .expect(201);
+      const lost = enrolled.body.data;
+
+      await signedScan(lost, { uid: 'DEVICE0004', campaign_id: 'DEMO02' }).expect(201);
+
+      const revoked = await request(app)
+        .post(`/v1/devices/${lost.device_id}/revoke`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(revoked.body.data.status).toBe('revoked');
+
+      const response = await signedScan(lost, { uid: 'DEVICE0005', campaign_id: 'DEMO02' }).expect(403);
+      expect(response.body.code).toBe('DEVICE_REVOKED');
+    });
+  });
+
+  describe('Venues and Geofencing', () => {
+    const config = require('../config');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const AMSTERDAM = { latitude: 52.3676, longitude: 4.9041 };
+    const PARIS = { latitude: 48.8566, longitude: 2.3522 };
+    let unregisteredPolicy;
+    let arena;
+    let paris;
+
+    const scan = (uid, location) => request(app)
+      .post('/v1/scan')
+      .send({ uid, campaign_id: 'TEST_GEO', ...location });
+
+    beforeAll(async () => {
+      unregisteredPolicy = config.cards.unregisteredPolicy;
+      config.cards.unregisteredPolicy = 'allow';
+
+      await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_GEO', name: 'Geofenced Campaign' });
+
+      await request(app)
+        .put('/v1/campaigns/TEST_GEO/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_minutes: 0, geofence_mode: null })
+        .expect(200);
+
+      const created = await request(app)
+        .post('/v1/venues')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Arena North Gate', ...AMSTERDAM, radius_m: 150, campaign_ids: ['TEST_GEO'] })
+        .expect(201);
+      arena = created.body.data;
+
+      const second = await request(app)
+        .post('/v1/venues')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Paris Expo', ...PARIS, campaign_ids: ['TEST_GEO'] })
+        .expect(201);
+      paris = second.body.data;
+    });
+
+    afterAll(async () => {
+      config.cards.unregisteredPolicy = unregisteredPolicy;
+      await db.deleteVenue(arena.venue_id);
+      await db.deleteVenue(paris.venue_id);
+    });
+
+    test('POST /v1/venues should validate venues and link campaigns', async () => {
+      expect(arena.venue_id).toMatch(/^ven_[0-9a-f]{16}$/);
+      expect(arena).toMatchObject({ name: 'Arena North Gate', radius_m: 150, campaigns: ['TEST_GEO'] });
+      expect(paris.radius_m).toBe(config.geo.defaultRadiusMeters);
+
+      const invalid = await request(app)
+        .post('/v1/venues')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Nowhere', latitude: 91, longitude: 0 })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_LOCATION');
+
+      const badRadius = await request(app)
+        .post('/v1/venues')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ name: 'Nowhere', ...AMSTERDAM, radius_m: 0 })
+        .expect(400);
+      expect(badRadius.body.code).toBe('INVALID_RADIUS');
+
+      const listed = await request(app)
+        .get('/v1/venues?campaign_id=TEST_GEO')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(listed.body.data.venues.map(venue => venue.venue_id).sort()).toEqual([arena.venue_id, paris.venue_id].sort());
+
+      await request(app)
+        .get('/v1/venues')
+        .set('x-api-key', 'neocard_sponsor_demo_key_2024')
+        .expect(403);
+    });
+
+    test('POST /v1/scan should reject half a location', async () => {
+      const response = await scan('GEOHALF001', { latitude: AMSTERDAM.latitude }).expect(400);
+      expect(response.body.code).toBe('INVALID_LOCATION');
+    });
+
+    test('scans inside a venue should be matched to it', async () => {
+      const response = await scan('GEOIN00001', { latitude: 52.3680, longitude: 4.9045, accuracy: 20 }).expect(201);
+      expect(response.body.data.flagged).toBe(false);
+
+      const stored = await db.getScanById(response.body.data.scan_id);
+      expect(stored).toMatchObject({ venue_id: arena.venue_id, geofence_status: 'inside', location_accuracy: 20 });
+    });
+
+    test('scans outside every venue should be flagged, or rejected under geofence_mode reject', async () => {
+      const outside = { latitude: 52.3800, longitude: 4.9041 };
+
+      const flagged = await scan('GEOOUT0001', outside).expect(201);
+      expect(flagged.body.data.flag_reasons).toEqual(['OUTSIDE_GEOFENCE']);
+      expect(flagged.body.data.risk_reasons[0].details.nearest_venue_id).toBe(arena.venue_id);
+      expect((await db.getScanById(flagged.body.data.scan_id)).venue_id).toBeNull();
+
+      await request(app)
+        .put('/v1/campaigns/TEST_GEO/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ geofence_mode: 'nowhere' })
+        .expect(400);
+
+      await request(app)
+        .put('/v1/campaigns/TEST_GEO/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ geofence_mode: 'reject' })
+        .expect(200);
+
+      try {
+        const rejected = await scan('GEOOUT0002', outside).expect(403);
+        expect(rejected.body.code).toBe('OUTSIDE_GEOFENCE');
+        expect(rejected.body.nearest_venue_id).toBe(arena.venue_id);
+
+        // A generous accuracy puts the scan inside the fence
+        await scan('GEOOUT0003', { latitude: 52.3720, longitude: 4.9041, accuracy: 400 }).expect(201);
+      } finally {
+        await request(app)
+          .put('/v1/campaigns/TEST_GEO/policy')
+          .set('x-api-key', ADMIN_KEY)
+          .send({ geofence_mode: null })
+          .expect(200);
+      }
+    });
+
+    test('one UID at two distant venues within minutes should count as impossible travel', async () => {
+      const first = await scan('GEOTRAVEL1', AMSTERDAM).expect(201);
+      const twentyMinutesAgo = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+      await db.run('UPDATE scans SET timestamp = ? WHERE scan_id = ?', [twentyMinutesAgo, first.body.data.scan_id]);
+
+      const response = await scan('GEOTRAVEL1', PARIS).expect(201);
+      expect(response.body.data.flag_reasons).toEqual(['IMPOSSIBLE_TRAVEL']);
+      expect(response.body.data.risk_reasons[0].details).toMatchObject({
+        previous_venue_id: arena.venue_id,
+        distance_km: 430,
+        minutes_since_previous: 20
+      });
+    });
+
+    test('GET /v1/stats should break scans down by venue', async () => {
+      await scan('GEOSTATS01', AMSTERDAM).expect(201);
+      await scan('GEOSTATS02', { latitude: 52.3800, longitude: 4.9041 }).expect(201);
+      await scan('GEOSTATS03').expect(201);
+
+      const stats = await request(app)
+        .get('/v1/stats')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(stats.body.data.venues).toEqual(expect.arrayContaining([
+        expect.objectContaining({ venue_id: arena.venue_id, name: 'Arena North Gate', totalScans: 1, outsideGeofence: 0 }),
+        expect.objectContaining({ venue_id: null, totalScans: 2, outsideGeofence: 1 })
+      ]));
+
+      const logs = await request(app)
+        .get(`/v1/logs?venue_id=${arena.venue_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(logs.body.data.scans.map(row => row.uid)).toEqual(['GEOSTATS01']);
+    });
+
+    test('GET /v1/stats?venue_id should filter the per-campaign counts too', async () => {
+      await scan('GEOVENUE01', AMSTERDAM).expect(201);
+      await scan('GEOVENUE02', AMSTERDAM).expect(201);
+      await scan('GEOVENUE03', PARIS).expect(201);
+
+      for (const [venue, count] of [[arena, 2], [paris, 1]]) {
+        const stats = await request(app)
+          .get(`/v1/stats?venue_id=${venue.venue_id}`)
+          .set('x-api-key', ADMIN_KEY)
+          .expect(200);
+
+        expect(stats.body.data.totalScans).toBe(count);
+        expect(stats.body.data.campaigns.find(campaign => campaign.campaign_id === 'TEST_GEO'))
+          .toMatchObject({ totalScans: count, uniqueUids: count });
+      }
+    });
+  });
+
+  describe('Loyalty Points and Rewards', () => {
+    const config = require('../config');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const SPONSOR_KEY = 'neocard_sponsor_demo_key_2024';
+    let unregisteredPolicy;
+    let disabledRules;
+
+    const scan = (uid) => request(app)
+      .post('/v1/scan')
+      .send({ uid, campaign_id: 'TEST_REWARDS' });
+
+    const balanceOf = async (uid) => {
+      const response = await request(app)
+        .get(`/v1/rewards/balances/${uid}?campaign_id=TEST_REWARDS`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      const [balance] = response.body.data.balances;
+      return balance ? balance.balance : 0;
+    };
+
+    const backdate = (scanId, days) => db.run(
+      'UPDATE scans SET timestamp = ? WHERE scan_id = ?',
+      [new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(), scanId]
+    );
+
+    const redeem = (body, key) => {
+      const req = request(app)
+        .post('/v1/rewards/redemptions')
+        .set('x-api-key', ADMIN_KEY);
+      if (key) req.set('Idempotency-Key', key);
+      return req.send(body);
+    };
+
+    beforeAll(async () => {
+      unregisteredPolicy = config.cards.unregisteredPolicy;
+      config.cards.unregisteredPolicy = 'allow';
+      // Back-to-back test scans of one UID would otherwise be flagged
+      disabledRules = config.fraud.disabledRules;
+      config.fraud.disabledRules = [...disabledRules, 'impossible_interval'];
+
+      await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_REWARDS', name: 'Loyalty' });
+
+      await request(app)
+        .put('/v1/campaigns/TEST_REWARDS/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_minutes: 0 })
+        .expect(200);
+
+      await request(app)
+        .put('/v1/rewards/rules/TEST_REWARDS')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ points_per_scan: 10, first_scan_bonus: 5, streak_days: 3, streak_multiplier: 2 })
+        .expect(200);
+    });
+
+    beforeEach(async () => {
+      await db.exec("DELETE FROM points_ledger; DELETE FROM redemptions; DELETE FROM idempotency_keys; DELETE FROM reward_items WHERE campaign_id = 'TEST_REWARDS';");
+    });
+
+    afterAll(() => {
+      config.cards.unregisteredPolicy = unregisteredPolicy;
+      config.fraud.disabledRules = disabledRules;
+    });
+
+    test('PUT /v1/rewards/rules/:id should validate the rules', async () => {
+      const invalid = await request(app)
+        .put('/v1/rewards/rules/TEST_REWARDS')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ points_per_scan: 10, streak_days: 3 })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_REWARD_RULES');
+
+      await request(app)
+        .put('/v1/rewards/rules/DEMO01')
+        .set('x-api-key', SPONSOR_KEY)
+        .send({ points_per_scan: 10 })
+        .expect(403);
+
+      const rules = await request(app)
+        .get('/v1/rewards/rules/TEST_REWARDS')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(rules.body.data).toMatchObject({ points_per_scan: 10, first_scan_bonus: 5, streak_days: 3, streak_multiplier: 2 });
+    });
+
+    test('scans should earn points with a first-scan bonus and streak multiplier', async () => {
+      const first = await scan('POINTS0001').expect(201);
+      expect(first.body.data.points_earned).toBe(15);
+      const second = await scan('POINTS0001').expect(201);
+      expect(second.body.data.points_earned).toBe(10);
+
+      // Earning days two days ago and yesterday make today's scan a 3-day streak
+      await backdate(first.body.data.scan_id, 2);
+      await backdate(second.body.data.scan_id, 1);
+
+      const third = await scan('POINTS0001').expect(201);
+      expect(third.body.data.points_earned).toBe(30);
+      expect(await balanceOf('POINTS0001')).toBe(55);
+
+      const ledger = await request(app)
+        .get('/v1/rewards/balances/POINTS0001')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(ledger.body.data.entries[0]).toMatchObject({
+        entry_type: 'earn',
+        points: 30,
+        scan_id: third.body.data.scan_id,
+        details: { base: 10, first_scan_bonus: 5, streak: 3, multiplier: 2 }
+      });
+    });
+
+    test('flagged scans should earn on approval and lose points when rejected', async () => {
+      config.cards.unregisteredPolicy = 'flag';
+      let flagged;
+      try {
+        flagged = await scan('POINTS0002').expect(201);
+      } finally {
+        config.cards.unregisteredPolicy = 'allow';
+      }
+      expect(flagged.body.data.flagged).toBe(true);
+      expect(flagged.body.data.points_earned).toBe(0);
+      expect(await balanceOf('POINTS0002')).toBe(0);
+
+      const review = (decision) => request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: flagged.body.data.scan_id, decision })
+        .expect(200);
+
+      await review('approve');
+      expect(await balanceOf('POINTS0002')).toBe(15);
+
+      await review('reject');
+      expect(await balanceOf('POINTS0002')).toBe(0);
+
+      const ledger = await request(app)
+        .get('/v1/rewards/balances/POINTS0002')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(ledger.body.data.entries.map(entry => [entry.entry_type, entry.points])).toEqual([['reversal', -15], ['earn', 15]]);
+    });
+
+    test('POST /v1/rewards/redemptions should spend points once per Idempotency-Key and respect stock', async () => {
+      const created = await request(app)
+        .post('/v1/rewards/items')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_REWARDS', name: 'Tote bag', cost_points: 20, stock: 1 })
+        .expect(201);
+      const item = created.body.data;
+      expect(item).toMatchObject({ item_id: expect.stringMatching(/^rwd_[0-9a-f]{16}$/), stock_remaining: 1, active: true });
+
+      const badId = await request(app)
+        .post('/v1/rewards/items')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ item_id: 'tote:bag.v2', campaign_id: 'TEST_REWARDS', name: 'Tote bag', cost_points: 20 })
+        .expect(400);
+      expect(badId.body.code).toBe('INVALID_ITEM_ID');
+
+      await scan('POINTS0003').expect(201);
+      await scan('POINTS0003').expect(201);
+      await scan('POINTS0004').expect(201);
+
+      const missingKey = await redeem({ uid: 'POINTS0003', item_id: item.item_id }).expect(400);
+      expect(missingKey.body.code).toBe('IDEMPOTENCY_KEY_REQUIRED');
+
+      const poor = await redeem({ uid: 'POINTS0004', item_id: item.item_id }, 'redeem-poor').expect(409);
+      expect(poor.body).toMatchObject({ code: 'INSUFFICIENT_POINTS', balance: 15, cost_points: 20 });
+
+      const redeemed = await redeem({ uid: 'POINTS0003', item_id: item.item_id }, 'redeem-tote-1').expect(201);
+      expect(redeemed.body.data).toMatchObject({ uid: 'POINTS0003', item_id: item.item_id, cost_points: 20, balance: 5 });
+
+      const retried = await redeem({ uid: 'POINTS0003', item_id: item.item_id }, 'redeem-tote-1').expect(201);
+      expect(retried.headers['idempotent-replayed']).toBe('true');
+      expect(retried.body.data.redemption_id).toBe(redeemed.body.data.redemption_id);
+      expect(await balanceOf('POINTS0003')).toBe(5);
+
+      await scan('POINTS0004').expect(201);
+      const soldOut = await redeem({ uid: 'POINTS0004', item_id: item.item_id }, 'redeem-tote-2').expect(409);
+      expect(soldOut.body.code).toBe('OUT_OF_STOCK');
+      expect(await balanceOf('POINTS0004')).toBe(25);
+    });
+
+    test('Idempotency-Keys should be scoped to the API key', async () => {
+      const created = await request(app)
+        .post('/v1/rewards/items')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_REWARDS', name: 'Pin', cost_points: 10 })
+        .expect(201);
+      const issued = await request(app)
+        .post('/v1/keys')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ key_name: 'Rewards Desk', permissions: 'sponsor', campaign_ids: ['TEST_REWARDS'] })
+        .expect(201);
+
+      await scan('POINTS0010').expect(201);
+      await scan('POINTS0010').expect(201);
+
+      const key = `redeem-shared-${Date.now()}`;
+      const body = { uid: 'POINTS0010', item_id: created.body.data.item_id };
+      const first = await redeem(body, key).expect(201);
+
+      // Same key and body from another API key is a new request, not a replay
+      const other = await request(app)
+        .post('/v1/rewards/redemptions')
+        .set('x-api-key', issued.body.data.api_key)
+        .set('Idempotency-Key', key)
+        .send(body)
+        .expect(201);
+
+      expect(other.headers['idempotent-replayed']).toBeUndefined();
+      expect(other.body.data.redemption_id).not.toBe(first.body.data.redemption_id);
+      expect(await balanceOf('POINTS0010')).toBe(5);
+    });
+
+    test('concurrent redemptions should never overspend a balance', async () => {
+      const created = await request(app)
+        .post('/v1/rewards/items')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_REWARDS', name: 'Sticker', cost_points: 10 })
+        .expect(201);
+
+      await scan('POINTS0005').expect(201);
+
+      const responses = await Promise.all(['a', 'b', 'c'].map(key =>
+        redeem({ uid: 'POINTS0005', item_id: created.body.data.item_id }, `redeem-sticker-${key}`)
+      ));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409, 409]);
+      expect(await balanceOf('POINTS0005')).toBe(5);
+    });
+
+    test('GET /v1/rewards/leaderboard and /redemptions should report per campaign', async () => {
+      const created = await request(app)
+        .post('/v1/rewards/items')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_REWARDS', name: 'Cap', cost_points: 15, stock: 10 })
+        .expect(201);
+
+      await scan('POINTS0006').expect(201);
+      await scan('POINTS0006').expect(201);
+      await scan('POINTS0007').expect(201);
+      await redeem({ uid: 'POINTS0006', item_id: created.body.data.item_id }, 'redeem-cap-1').expect(201);
+
+      const leaderboard = await request(app)
+        .get('/v1/rewards/leaderboard?campaign_id=TEST_REWARDS')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(leaderboard.body.data.leaderboard).toEqual([
+        expect.objectContaining({ rank: 1, uid: 'POINTS0006', earned: 25, balance: 10 }),
+        expect.objectContaining({ rank: 2, uid: 'POINTS0007', earned: 15, balance: 15 })
+      ]);
+
+      const report = await request(app)
+        .get('/v1/rewards/redemptions?campaign_id=TEST_REWARDS')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(report.body.data.items).toEqual([
+        expect.objectContaining({ item_id: created.body.data.item_id, name: 'Cap', redemptions: 1, points: 15, stock_remaining: 9 })
+      ]);
+      expect(report.body.data.redemptions.map(row => row.uid)).toEqual(['POINTS0006']);
+
+      const denied = await request(app)
+        .get('/v1/rewards/leaderboard?campaign_id=TEST_REWARDS')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(403);
+      expect(denied.body.code).toBe('CAMPAIGN_ACCESS_DENIED');
+    });
+  });
+
+  describe('Idempotency Keys', () => {
+    const scan = (key, body) => request(app)
+      .post('/v1/scan')
+      .set('Idempotency-Key', key)
+      .send(body);
+
+    test('POST /v1/scan should replay the response of a retried request', async () => {
+      const key = `retry-${Date.now()}`;
+      const first = await scan(key, { uid: 'IDEMP00001', campaign_id: 'DEMO01' }).expect(201);
+      const retry = await scan(key, { campaign_id: 'DEMO01', uid: 'IDEMP00001' }).expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(await db.getCampaignScanCount('DEMO01', 'IDEMP00001')).toBe(1);
+    });
+
+    test('POST /v1/scan should refuse a reused key with another body', async () => {
+      const key = `reuse-${Date.now()}`;
+      await scan(key, { uid: 'IDEMP00002', campaign_id: 'DEMO01' }).expect(201);
+
+      const response = await scan(key, { uid: 'IDEMP00003', campaign_id: 'DEMO01' }).expect(409);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+
+    test('POST /v1/scan should release the key of a failed request', async () => {
+      const key = `failed-${Date.now()}`;
+      await scan(key, { uid: 'IDEMP00004' }).expect(400);
+
+      const response = await scan(key, { uid: 'IDEMP00004', campaign_id: 'DEMO01' }).expect(201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('POST /v1/scan should process a request again once its key expired', async () => {
+      const key = `expired-${Date.now()}`;
+      await scan(key, { uid: 'IDEMP00005', campaign_id: 'DEMO01' }).expect(201);
+      await db.run('UPDATE idempotency_keys SET expires_at = ? WHERE idempotency_key = ?', [new Date(Date.now() - 1000).toISOString(), key]);
+
+      const response = await scan(key, { uid: 'IDEMP00005', campaign_id: 'DEMO01' }).expect(429);
+      expect(response.body.code).toBe('COOLDOWN_ACTIVE');
+    });
+
+    test('POST /v1/scan should validate the Idempotency-Key header', async () => {
+      const response = await scan('x'.repeat(256), { uid: 'IDEMP00006', campaign_id: 'DEMO01' }).expect(400);
+      expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    });
+  });
+
+  describe('Batch Scan Ingestion', () => {
+    const config = require('../config');
+    let unregisteredPolicy;
+
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    const upload = (body) => request(app)
+      .post('/v1/scans/batch')
+      .send({ device_id: 'reader-batch-01', campaign_id: 'DEMO01', ...body });
+
+    beforeAll(() => {
+      unregisteredPolicy = config.cards.unregisteredPolicy;
+      config.cards.unregisteredPolicy = 'allow';
+    });
+
+    afterAll(() => {
+      config.cards.unregisteredPolicy = unregisteredPolicy;
+    });
+
+    test('POST /v1/scans/batch should check scans in tap order and answer in request order', async () => {
+      const response = await upload({
+        scans: [
+          { uid: 'BATCH00001', timestamp: minutesAgo(58), seq: 2 },
+          { uid: 'BATCH00001', timestamp: minutesAgo(60), seq: 1 },
+          { uid: 'BATCH00001', timestamp: minutesAgo(30), seq: 3 }
+        ]
+      }).expect(200);
+
+      const { results } = response.body.data;
+      expect(results.map(result => [result.seq, result.status])).toEqual([[2, 'rejected'], [1, 'accepted'], [3, 'accepted']]);
+      expect(results[0].code).toBe('COOLDOWN_ACTIVE');
+      expect(response.body.meta).toEqual({ received: 3, accepted: 2, duplicate: 0, rejected: 1, invalid: 0 });
+
+      const stored = await db.getScanByDeviceSeq('reader-batch-01', 1);
+      expect(stored).toEqual({ scan_id: results[1].scan_id, timestamp: results[1].timestamp });
+    });
+
+    test('POST /v1/scans/batch should not store a sequence number twice', async () => {
+      const scans = [
+        { uid: 'BATCH00002', timestamp: minutesAgo(20), seq: 7 },
+        { uid: 'BATCH00002', timestamp: minutesAgo(20), seq: 7 }
+      ];
+
+      const first = await upload({ scans }).expect(200);
+      expect(first.body.data.results.map(result => result.status)).toEqual(['accepted', 'duplicate']);
+      expect(first.body.data.results[1].scan_id).toBe(first.body.data.results[0].scan_id);
+
+      const resent = await upload({ scans: scans.slice(0, 1) }).expect(200);
+      expect(resent.body.data.results[0]).toMatchObject({ status: 'duplicate', scan_id: first.body.data.results[0].scan_id });
+      expect(await db.getCampaignScanCount('DEMO01', 'BATCH00002')).toBe(1);
+    });
+
+    test('POST /v1/scans/batch should correct a skewed device clock', async () => {
+      const deviceNow = Date.now() - 2 * 60 * 60 * 1000;
+      const tappedAt = new Date(deviceNow - 10 * 60 * 1000).toISOString();
+
+      const response = await upload({
+        device_time: new Date(deviceNow).toISOString(),
+        scans: [{ uid: 'BATCH00003', timestamp: tappedAt, seq: 1 }]
+      }).expect(200);
+
+      const [result] = response.body.data.results;
+      expect(result.status).toBe('accepted');
+      expect(result.device_timestamp).toBe(tappedAt);
+      expect(Math.abs(result.adjusted_ms - 2 * 60 * 60 * 1000)).toBeLessThan(5000);
+
+      const scan = await db.get('SELECT timestamp, device_timestamp, device_seq FROM scans WHERE scan_id = ?', [result.scan_id]);
+      expect(scan).toEqual({ timestamp: result.timestamp, device_timestamp: tappedAt, device_seq: 1 });
+    });
+
+    test('POST /v1/scans/batch should report malformed entries as invalid', async () => {
+      const response = await upload({
+        scans: [
+          { uid: 'BATCH00004', timestamp: minutesAgo(5), seq: -1 },
+          { uid: 'BATCH00004', timestamp: 'yesterday', seq: 1 },
+          { uid: 'BATCH00004', timestamp: minutesAgo(-60), seq: 2 },
+          { uid: 'BATCH00004', timestamp: minutesAgo(100 * 60), seq: 3 },
+          { uid: 'BAD', timestamp: minutesAgo(5), seq: 4 }
+        ]
+      }).expect(200);
+
+      expect(response.body.data.results.map(result => result.code)).toEqual([
+        'INVALID_SEQUENCE', 'INVALID_TIMESTAMP', 'TIMESTAMP_IN_FUTURE', 'TIMESTAMP_TOO_OLD', 'INVALID_UID_FORMAT'
+      ]);
+      expect(response.body.meta.invalid).toBe(5);
+    });
+
+    test('POST /v1/scans/batch should validate the batch', async () => {
+      const missingDevice = await request(app)
+        .post('/v1/scans/batch')
+        .send({ scans: [{ uid: 'BATCH00005', timestamp: minutesAgo(5), seq: 1 }] })
+        .expect(400);
+      expect(missingDevice.body.code).toBe('MISSING_DEVICE_ID');
+
+      const empty = await upload({ scans: [] }).expect(400);
+      expect(empty.body.code).toBe('INVALID_BATCH');
+    });
+  });
+
+  describe('Fraud Scoring', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const config = require('../config');
+    const fraud = require('../fraud');
+
+    beforeAll(async () => {
+      config.cards.unregisteredPolicy = 'flag';
+
+      await request(app)
+        .post('/v1/campaigns')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ campaign_id: 'TEST_FRAUD', name: 'Fraud Scoring' });
+
+      await request(app)
+        .put('/v1/campaigns/TEST_FRAUD/policy')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ cooldown_minutes: 0 })
+        .expect(200);
+    });
+
+    afterAll(() => {
+      config.cards.unregisteredPolicy = 'allow';
+    });
+
+    test('POST /v1/scan should store the risk score and reasons', async () => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'RISK00000001', campaign_id: 'TEST_FRAUD' })
+        .expect(201);
+
+      expect(response.body.data.risk_score).toBe(50);
+      expect(response.body.data.risk_reasons.map(r => r.code)).toEqual(['UNREGISTERED_CARD']);
+      expect(response.body.data.flagged).toBe(true);
+
+      const stored = await db.getScanById(response.body.data.scan_id);
+      expect(stored.risk_score).toBe(50);
+      expect(JSON.parse(stored.risk_reasons)[0].rule).toBe('unregistered_card');
+
+      const tracking = await db.getFraudTracking('RISK00000001');
+      expect(tracking.daily_scan_count).toBe(1);
+    });
+
+    test('POST /v1/scan should reject scans whose signals add up past the threshold', async () => {
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'RISK00000002', campaign_id: 'TEST_FRAUD' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'RISK00000002', campaign_id: 'TEST_FRAUD' })
+        .expect(403);
+
+      expect(response.body.code).toBe('HIGH_RISK_SCAN');
+      expect(response.body.riskScore).toBe(100);
+      expect(response.body.reasons).toEqual(expect.arrayContaining(['IMPOSSIBLE_INTERVAL', 'UNREGISTERED_CARD']));
+
+      const events = await request(app)
+        .get('/v1/fraud/events?uid=RISK00000002&code=HIGH_RISK_SCAN')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(events.body.data.events[0].details.risk_score).toBe(100);
+    });
+
+    test('POST /v1/scan should flag a UID seen from several user agents', async () => {
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'RISK00000003' });
+
+      const scan = (agent) => request(app)
+        .post('/v1/scan')
+        .set('user-agent', agent)
+        .send({ uid: 'RISK00000003', campaign_id: 'TEST_FRAUD' })
+        .expect(201);
+
+      const first = await scan('agent-a');
+      expect(first.body.data.risk_score).toBe(0);
+      expect(first.body.data.flagged).toBe(false);
+
+      await scan('agent-b');
+      const third = await scan('agent-c');
+
+      expect(third.body.data.flagged).toBe(true);
+      expect(third.body.data.flag_reasons).toEqual(expect.arrayContaining(['UID_AGENT_SPREAD']));
+    });
+
+    test('registered rules should be applied without changing the middleware', async () => {
+      fraud.registerRule({
+        name: 'test_blocklist',
+        description: 'Rejects one test UID',
+        evaluate: async ({ uid }) => (uid === 'RISK00000004' ? { code: 'TEST_BLOCKLIST', score: 100 } : null)
+      });
+
+      try {
+        const response = await request(app)
+          .post('/v1/scan')
+          .send({ uid: 'RISK00000004', campaign_id: 'TEST_FRAUD' })
+          .expect(403);
+
+        expect(response.body.reasons).toContain('TEST_BLOCKLIST');
+      } finally {
+        fraud.unregisterRule('test_blocklist');
+      }
+    });
+
+    test('GET /v1/fraud/rules should list rules and thresholds', async () => {
+      const response = await request(app)
+        .get('/v1/fraud/rules')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const names = response.body.data.rules.map(rule => rule.name);
+      expect(names).toEqual(expect.arrayContaining(['campaign_velocity', 'uid_ip_spread', 'ip_uid_burst', 'impossible_interval']));
+      expect(response.body.data.thresholds).toEqual({ flag: 50, reject: 100 });
+    });
+  });
+
+  describe('Fraud Review Queue', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const SPONSOR_KEY = 'neocard_sponsor_demo_key_2024';
+    const config = require('../config');
+
+    const flaggedScan = async (uid) => {
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ uid, campaign_id: 'DEMO01' })
+        .expect(201);
+
+      expect(response.body.data.flagged).toBe(true);
+      return response.body.data.scan_id;
+    };
+
+    beforeAll(() => {
+      config.cards.unregisteredPolicy = 'flag';
+    });
+
+    afterAll(() => {
+      config.cards.unregisteredPolicy = 'allow';
+    });
+
+    test('flagged scans should be queued and hidden from sponsors until approved', async () => {
+      const scanId = await flaggedScan('REVIEW000001');
+
+      const queue = await request(app)
+        .get('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      const queued = queue.body.data.scans.find(scan => scan.scan_id === scanId);
+      expect(queued.review_status).toBe('pending');
+      expect(queued.flag_reasons).toEqual(['UNREGISTERED_CARD']);
+      expect(queued.risk_reasons[0].rule).toBe('unregistered_card');
+
+      const adminStats = await request(app).get('/v1/stats').set('x-api-key', ADMIN_KEY).expect(200);
+      expect(adminStats.body.data.pendingReview).toBe(1);
+
+      const hidden = await request(app).get('/v1/logs').set('x-api-key', SPONSOR_KEY).expect(200);
+      expect(hidden.body.data.scans).toHaveLength(0);
+
+      const sponsorStats = await request(app).get('/v1/stats').set('x-api-key', SPONSOR_KEY).expect(200);
+      expect(sponsorStats.body.data.totalScans).toBe(0);
+      expect(sponsorStats.body.data.pendingReview).toBeUndefined();
+
+      const approved = await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: scanId, decision: 'approve', note: 'Walk-up guest card' })
+        .expect(200);
+
+      expect(approved.body.data.review_status).toBe('approved');
+      expect(approved.body.data.reviewed_by).toBe('Admin Demo Key');
+      expect(approved.body.data.reviewed_at).toBeDefined();
+      expect(approved.body.data.review_note).toBe('Walk-up guest card');
+
+      const visible = await request(app).get('/v1/logs').set('x-api-key', SPONSOR_KEY).expect(200);
+      expect(visible.body.data.scans.map(scan => scan.scan_id)).toEqual([scanId]);
+
+      const csv = await request(app).get('/v1/export/csv').set('x-api-key', SPONSOR_KEY).expect(200);
+      expect(csv.text).toContain(scanId);
+
+      const detail = await request(app)
+        .get(`/v1/reviews/${scanId}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(detail.body.data.review_history).toEqual([
+        expect.objectContaining({ from_status: 'pending', to_status: 'approved', reviewed_by: 'Admin Demo Key' })
+      ]);
+    });
+
+    test('POST /v1/reviews should reject scans in bulk', async () => {
+      const first = await flaggedScan('REVIEW000002');
+      const second = await flaggedScan('REVIEW000003');
+
+      const response = await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_ids: [first, second, 'scan_missing'], decision: 'reject', note: 'Cloned tag' })
+        .expect(200);
+
+      expect(response.body.data.scans.map(scan => scan.review_status)).toEqual(['rejected', 'rejected']);
+      expect(response.body.data.not_found).toEqual(['scan_missing']);
+      expect(response.body.meta).toEqual({ reviewed: 2, skipped: 1 });
+
+      const rejected = await request(app)
+        .get('/v1/reviews?status=rejected')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(rejected.body.data.pagination.total).toBe(2);
+
+      const csv = await request(app).get('/v1/export/csv').set('x-api-key', SPONSOR_KEY).expect(200);
+      expect(csv.text).not.toContain(first);
+    });
+
+    test('POST /v1/reviews should validate decisions and targets', async () => {
+      const invalid = await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: 'scan_missing', decision: 'maybe' })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_DECISION');
+
+      const missing = await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: 'scan_missing', decision: 'approve' })
+        .expect(404);
+      expect(missing.body.code).toBe('SCAN_NOT_FOUND');
+
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'REVIEW000004' });
+
+      const clean = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'REVIEW000004', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      const notFlagged = await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: clean.body.data.scan_id, decision: 'approve' })
+        .expect(409);
+      expect(notFlagged.body.code).toBe('SCAN_NOT_FLAGGED');
+    });
+
+    test('review endpoints should require reviews:manage', async () => {
+      const response = await request(app)
+        .get('/v1/reviews')
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(403);
+
+      expect(response.body.required).toBe('reviews:manage');
+    });
+  });
+
+  describe('Access Lists', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+
+    const addEntry = (entry) => request(app)
+      .post('/v1/access-lists')
+      .set('x-api-key', ADMIN_KEY)
+      .send(entry);
+
+    const removeEntry = (id) => request(app)
+      .delete(`/v1/access-lists/${id}`)
+      .set('x-api-key', ADMIN_KEY)
+      .expect(200);
+
+    beforeAll(async () => {
+      await db.run('DELETE FROM access_lists');
+    });
+
+    test('POST /v1/scan should refuse blocklisted UIDs and log the matching rule', async () => {
+      const entry = (await addEntry({
+        list_type: 'block', entry_type: 'uid', value: 'block0000001', reason: 'Cloned card'
+      }).expect(201)).body.data;
+
+      expect(entry.value).toBe('BLOCK0000001');
+
+      const response = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'BLOCK0000001', campaign_id: 'DEMO01' })
+        .expect(403);
+
+      expect(response.body.code).toBe('SCAN_BLOCKED');
+      expect(response.body.rule).toEqual({ id: entry.id, entry_type: 'uid', value: 'BLOCK0000001', reason: 'Cloned card' });
+
+      const events = await request(app)
+        .get('/v1/fraud/events?uid=BLOCK0000001&code=SCAN_BLOCKED')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(events.body.data.events[0].event_type).toBe('blocklist');
+      expect(events.body.data.events[0].details.entry_id).toBe(entry.id);
+    });
+
+    test('POST /v1/scan should match UID prefixes, IP ranges and devices', async () => {
+      const prefix = (await addEntry({ list_type: 'block', entry_type: 'uid_prefix', value: 'CLONE' }).expect(201)).body.data;
+      const device = (await addEntry({ list_type: 'block', entry_type: 'device', value: 'kiosk-7' }).expect(201)).body.data;
+
+      try {
+        await request(app).post('/v1/scan').send({ uid: 'CLONE0000001', campaign_id: 'DEMO01' }).expect(403);
+        await request(app).post('/v1/scan').send({ uid: 'DEVICE000001', campaign_id: 'DEMO01', device_id: 'kiosk-7' }).expect(403);
+      } finally {
+        await removeEntry(prefix.id);
+        await removeEntry(device.id);
+      }
+
+      const range = (await addEntry({ list_type: 'block', entry_type: 'ip', value: '127.0.0.0/8' }).expect(201)).body.data;
+      expect(range.value).toBe('127.0.0.0/8');
+
+      try {
+        const blocked = await request(app).post('/v1/scan').send({ uid: 'IPBLOCK00001', campaign_id: 'DEMO01' }).expect(403);
+        expect(blocked.body.rule.entry_type).toBe('ip');
+      } finally {
+        await removeEntry(range.id);
+      }
+
+      await request(app).post('/v1/scan').send({ uid: 'IPBLOCK00001', campaign_id: 'DEMO01' }).expect(201);
+    });
+
+    test('allowlisted UIDs should bypass the cooldown', async () => {
+      await request(app)
+        .post('/v1/cards')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ uid: 'ALLOW0000001' });
+
+      const entry = (await addEntry({
+        list_type: 'allow', entry_type: 'uid', value: 'ALLOW0000001', reason: 'Demo card'
+      }).expect(201)).body.data;
+
+      try {
+        await request(app).post('/v1/scan').send({ uid: 'ALLOW0000001', campaign_id: 'DEMO01' }).expect(201);
+        await request(app).post('/v1/scan').send({ uid: 'ALLOW0000001', campaign_id: 'DEMO01' }).expect(201);
+
+        const check = await request(app)
+          .get('/v1/access-lists/check?uid=ALLOW0000001')
+          .set('x-api-key', ADMIN_KEY)
+          .expect(200);
+
+        expect(check.body.data.decision).toBe('allow');
+        expect(check.body.data.allow.id).toBe(entry.id);
+      } finally {
+        await removeEntry(entry.id);
+      }
+    });
+
+    test('expired entries should be ignored', async () => {
+      const entry = await db.upsertAccessListEntry({
+        list_type: 'block',
+        entry_type: 'uid',
+        value: 'EXPIRED00001',
+        expires_at: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+
+      await request(app).post('/v1/scan').send({ uid: 'EXPIRED00001', campaign_id: 'DEMO01' }).expect(201);
+
+      const active = await request(app).get('/v1/access-lists').set('x-api-key', ADMIN_KEY).expect(200);
+      expect(active.body.data.entries.map(e => e.id)).not.toContain(entry.id);
+
+      const all = await request(app).get('/v1/access-lists?include_expired=true').set('x-api-key', ADMIN_KEY).expect(200);
+      expect(all.body.data.entries.find(e => e.id === entry.id).expired).toBe(true);
+    });
+
+    test('POST /v1/access-lists should validate entries and require access:manage', async () => {
+      const cidr = await addEntry({ list_type: 'block', entry_type: 'ip', value: '10.0.0.0/33' }).expect(400);
+      expect(cidr.body.code).toBe('INVALID_ACCESS_ENTRY');
+
+      const type = await addEntry({ list_type: 'deny', entry_type: 'uid', value: 'BLOCK0000002' }).expect(400);
+      expect(type.body.code).toBe('INVALID_ACCESS_ENTRY');
+
+      const expiry = await addEntry({
+        list_type: 'block', entry_type: 'uid', value: 'BLOCK0000002', expires_at: '2000-01-01'
+      }).expect(400);
+      expect(expiry.body.code).toBe('INVALID_EXPIRY');
+
+      await request(app)
+        .get('/v1/access-lists')
+        .set('x-api-key', 'neocard_sponsor_demo_key_2024')
+        .expect(403);
+    });
+  });
+
+  describe('Scan Ledger Audit', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const config = require('../config');
+
+    const insertScan = (scanId, campaignId = 'DEMO01') => db.insertScan({
+      scan_id: scanId,
+      uid: 'LEDGER000001',
+      campaign_id: campaignId,
+      timestamp: '2024-04-01T10:00:00.000Z',
+      checksum: '0'.repeat(64)
+    });
+
+    const verify = (query = '', key = ADMIN_KEY) => request(app)
+      .get(`/v1/audit/verify?${query}`)
+      .set('x-api-key', key);
+
+    beforeEach(async () => {
+      await db.run('DELETE FROM ledger_roots');
+      for (const scanId of ['scan_ledger_1', 'scan_ledger_2', 'scan_ledger_3']) {
+        await insertScan(scanId);
+      }
+      await insertScan('scan_ledger_4', 'DEMO02');
+    });
+
+    test('scans should be chained per campaign', async () => {
+      const [first, second] = await Promise.all([
+        db.getScanById('scan_ledger_1'),
+        db.getScanById('scan_ledger_2')
+      ]);
+      const other = await db.getScanById('scan_ledger_4');
+
+      expect(first).toEqual(expect.objectContaining({ chain_id: 'DEMO01', chain_seq: 1, prev_hash: '0'.repeat(64) }));
+      expect(second).toEqual(expect.objectContaining({ chain_id: 'DEMO01', chain_seq: 2, prev_hash: first.chain_hash }));
+      expect(other).toEqual(expect.objectContaining({ chain_id: 'DEMO02', chain_seq: 1 }));
+    });
+
+    test('concurrent inserts should not fork a chain', async () => {
+      await Promise.all(['scan_ledger_5', 'scan_ledger_6', 'scan_ledger_7'].map(scanId => insertScan(scanId)));
+
+      const response = await verify('chain_id=DEMO01').expect(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ valid: true, scans_checked: 6 }));
+    });
+
+    test('GET /v1/audit/verify should accept an intact ledger', async () => {
+      const response = await verify().expect(200);
+
+      expect(response.body.data).toEqual(expect.objectContaining({
+        valid: true,
+        chains_checked: 2,
+        scans_checked: 4,
+        first_break: null
+      }));
+    });
+
+    test('GET /v1/audit/verify should detect edited and deleted scans', async () => {
+      await db.run("UPDATE scans SET uid = 'LEDGER999999' WHERE scan_id = 'scan_ledger_2'");
+
+      const edited = await verify().expect(200);
+      expect(edited.body.data.valid).toBe(false);
+      expect(edited.body.data.first_break).toEqual(expect.objectContaining({
+        type: 'HASH_MISMATCH',
+        scan_id: 'scan_ledger_2',
+        chain_id: 'DEMO01'
+      }));
+
+      await db.run("DELETE FROM scans WHERE scan_id = 'scan_ledger_2'");
+
+      const deleted = await verify().expect(200);
+      expect(deleted.body.data.first_break).toEqual(expect.objectContaining({
+        type: 'SEQUENCE_GAP',
+        scan_id: 'scan_ledger_3',
+        expected_seq: 2
+      }));
+    });
+
+    test('GET /v1/audit/verify should detect truncation of a sealed day', async () => {
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      expect(await db.sealLedgerDays(tomorrow)).toBe(2);
+
+      await db.run("DELETE FROM scans WHERE scan_id = 'scan_ledger_3'");
+
+      const response = await verify().expect(200);
+      expect(response.body.data.first_break).toEqual(expect.objectContaining({
+        type: 'ROOT_MISMATCH',
+        chain_id: 'DEMO01',
+        changed: expect.arrayContaining(['scan_count', 'last_seq', 'merkle_root'])
+      }));
+      expect(response.body.data.days_checked).toBe(2);
+    });
+
+    test('a global chain should link scans across campaigns', async () => {
+      const scope = config.ledger.chainScope;
+      config.ledger.chainScope = 'global';
+
+      try {
+        await insertScan('scan_ledger_g1', 'DEMO01');
+        await insertScan('scan_ledger_g2', 'DEMO02');
+      } finally {
+        config.ledger.chainScope = scope;
+      }
+
+      const second = await db.getScanById('scan_ledger_g2');
+      expect(second).toEqual(expect.objectContaining({ chain_id: 'global', chain_seq: 2 }));
+
+      const response = await verify('chain_id=global').expect(200);
+      expect(response.body.data.valid).toBe(true);
+    });
+
+    test('GET /v1/audit/verify should require audit:read and a valid range', async () => {
+      const sponsor = await verify('', 'neocard_sponsor_demo_key_2024').expect(403);
+      expect(sponsor.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const range = await verify('start_date=2024-02-01&end_date=2024-01-01').expect(400);
+      expect(range.body.code).toBe('INVALID_DATE_RANGE');
+    });
+  });
+
+  describe('Webhooks', () => {
+    const http = require('http');
+    const crypto = require('crypto');
+    const config = require('../config');
+    const { processWebhookQueue, enqueueDailySummaries, retryDelaySeconds } = require('../webhooks');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const SPONSOR_KEY = 'neocard_sponsor_demo_key_2024';
+
+    let receiver;
+    let received;
+    let responseStatus;
+    let unregisteredPolicy;
+    let allowPrivateTargets;
+
+    const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    const createWebhook = (body, key = ADMIN_KEY) => request(app)
+      .post('/v1/webhooks')
+      .set('x-api-key', key)
+      .send({ campaign_id: 'DEMO01', url: receiverUrl(), events: ['scan.accepted'], ...body });
+
+    beforeAll(async () => {
+      // Unregistered test UIDs would otherwise be flagged
+      unregisteredPolicy = config.cards.unregisteredPolicy;
+      config.cards.unregisteredPolicy = 'allow';
+      // The test receiver listens on loopback
+      allowPrivateTargets = config.webhooks.allowPrivateTargets;
+      config.webhooks.allowPrivateTargets = true;
+
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = responseStatus;
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      config.cards.unregisteredPolicy = unregisteredPolicy;
+      config.webhooks.allowPrivateTargets = allowPrivateTargets;
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+      responseStatus = 200;
+    });
+
+    afterEach(async () => {
+      await db.run('DELETE FROM webhook_deliveries');
+      await db.run('DELETE FROM webhooks');
+    });
+
+    test('POST /v1/webhooks should return the secret once', async () => {
+      const created = await createWebhook({ description: 'CRM sync' }).expect(201);
+
+      expect(created.body.data).toEqual(expect.objectContaining({
+        campaign_id: 'DEMO01',
+        events: ['scan.accepted'],
+        active: true,
+        secret: expect.stringMatching(/^whsec_[0-9a-f]{48}$/)
+      }));
+
+      const listed = await request(app)
+        .get('/v1/webhooks')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(listed.body.data.webhooks).toHaveLength(1);
+      expect(listed.body.data.webhooks[0].secret).toBeUndefined();
+    });
+
+    test('sponsor keys should only subscribe to their campaigns and reviewed events', async () => {
+      await createWebhook({}, SPONSOR_KEY).expect(201);
+
+      const otherCampaign = await createWebhook({ campaign_id: 'DEMO02' }, SPONSOR_KEY).expect(403);
+      expect(otherCampaign.body.code).toBe('CAMPAIGN_ACCESS_DENIED');
+
+      const flagged = await createWebhook({ events: ['scan.flagged'] }, SPONSOR_KEY).expect(403);
+      expect(flagged.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const adminHook = await createWebhook({ campaign_id: 'DEMO02' }).expect(201);
+      await request(app)
+        .get(`/v1/webhooks/${adminHook.body.data.webhook_id}`)
+        .set('x-api-key', SPONSOR_KEY)
+        .expect(404);
+    });
+
+    test('POST /v1/webhooks should validate the URL and events', async () => {
+      const url = await createWebhook({ url: 'ftp://example.com/hook' }).expect(400);
+      expect(url.body.code).toBe('INVALID_WEBHOOK_URL');
+
+      const events = await createWebhook({ events: ['scan.deleted'] }).expect(400);
+      expect(events.body.code).toBe('INVALID_WEBHOOK_EVENTS');
+    });
+
+    test('webhooks should not reach loopback, private or link-local addresses', async () => {
+      const webhook = (await createWebhook({}).expect(201)).body.data;
+      config.webhooks.allowPrivateTargets = false;
+
+      try {
+        for (const url of [receiverUrl(), 'http://localhost/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://[fd00::1]/hook']) {
+          const created = await createWebhook({ url }).expect(400);
+          expect(created.body.code).toBe('WEBHOOK_URL_NOT_ALLOWED');
+        }
+
+        const patched = await request(app)
+          .patch(`/v1/webhooks/${webhook.webhook_id}`)
+          .set('x-api-key', ADMIN_KEY)
+          .send({ url: 'http://192.168.1.10/hook' })
+          .expect(400);
+        expect(patched.body.code).toBe('WEBHOOK_URL_NOT_ALLOWED');
+
+        // A webhook saved before its host turned private is checked again on delivery
+        await request(app)
+          .post('/v1/scan')
+          .send({ uid: 'WEBHOOK010', campaign_id: 'DEMO01' })
+          .expect(201);
+
+        expect(await processWebhookQueue()).toBe(1);
+        expect(received).toHaveLength(0);
+
+        const [delivery] = await db.all('SELECT * FROM webhook_deliveries WHERE webhook_id = ?', [webhook.webhook_id]);
+        expect(delivery).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, last_status_code: null }));
+        expect(delivery.last_error).toMatch(/non-public address/);
+      } finally {
+        config.webhooks.allowPrivateTargets = true;
+      }
+    });
+
+    test('scans should be queued and delivered with a valid signature', async () => {
+      const webhook = (await createWebhook({}).expect(201)).body.data;
+
+      const scan = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'WEBHOOK001', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      // Nothing is sent before the worker runs
+      expect(received).toHaveLength(0);
+      expect(await processWebhookQueue()).toBe(1);
+      expect(received).toHaveLength(1);
+
+      const [{ headers, body }] = received;
+      const [, timestamp, signature] = headers['x-neocard-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+      expect(signature).toBe(expected);
+      expect(headers['x-neocard-event']).toBe('scan.accepted');
+      expect(JSON.parse(body)).toEqual(expect.objectContaining({
+        event: 'scan.accepted',
+        data: expect.objectContaining({ scan_id: scan.body.data.scan_id, uid: 'WEBHOOK001', verified: false })
+      }));
+
+      const log = await request(app)
+        .get(`/v1/webhooks/${webhook.webhook_id}/deliveries`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(log.body.data.deliveries).toEqual([expect.objectContaining({
+        delivery_id: headers['x-neocard-delivery'],
+        status: 'delivered',
+        attempts: 1,
+        last_status_code: 200
+      })]);
+    });
+
+    test('approving a flagged scan should send scan.accepted', async () => {
+      await createWebhook({ events: ['scan.accepted', 'scan.flagged'] }).expect(201);
+      config.cards.unregisteredPolicy = 'flag';
+
+      let scanId;
+      try {
+        const scan = await request(app)
+          .post('/v1/scan')
+          .send({ uid: 'WEBHOOK011', campaign_id: 'DEMO01' })
+          .expect(201);
+        scanId = scan.body.data.scan_id;
+      } finally {
+        config.cards.unregisteredPolicy = 'allow';
+      }
+
+      await processWebhookQueue();
+      expect(received.map(({ body }) => JSON.parse(body).event)).toEqual(['scan.flagged']);
+
+      await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: scanId, decision: 'approve' })
+        .expect(200);
+
+      expect(await processWebhookQueue()).toBe(1);
+      expect(received).toHaveLength(2);
+      expect(JSON.parse(received[1].body)).toEqual(expect.objectContaining({
+        event: 'scan.accepted',
+        data: expect.objectContaining({ scan_id: scanId, uid: 'WEBHOOK011', review_status: 'approved' })
+      }));
+
+      // Approving again sends nothing new
+      await request(app)
+        .post('/v1/reviews')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ scan_id: scanId, decision: 'approve' })
+        .expect(200);
+      expect(await processWebhookQueue()).toBe(0);
+    });
+
+    test('failed deliveries should back off, give up and support redelivery', async () => {
+      const webhook = (await createWebhook({}).expect(201)).body.data;
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'WEBHOOK002', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      responseStatus = 500;
+      const before = Date.now();
+      await processWebhookQueue();
+
+      let [delivery] = (await db.getWebhookDeliveries({ webhook_id: webhook.webhook_id })).deliveries;
+      expect(delivery).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, last_status_code: 500 }));
+      expect(new Date(delivery.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + retryDelaySeconds(1) * 1000);
+
+      // Not due yet
+      expect(await processWebhookQueue()).toBe(0);
+
+      // Last attempt
+      await db.run('UPDATE webhook_deliveries SET attempts = ?', [config.webhooks.maxAttempts - 1]);
+      await processWebhookQueue(new Date(Date.now() + config.webhooks.retryMaxSeconds * 1000));
+      [delivery] = (await db.getWebhookDeliveries({ webhook_id: webhook.webhook_id })).deliveries;
+      expect(delivery).toEqual(expect.objectContaining({ status: 'failed', next_attempt_at: null }));
+
+      responseStatus = 204;
+      const redelivery = await request(app)
+        .post(`/v1/webhooks/${webhook.webhook_id}/deliveries/${delivery.delivery_id}/redeliver`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(202);
+
+      expect(redelivery.body.data).toEqual(expect.objectContaining({
+        status: 'pending',
+        event_id: delivery.event_id,
+        redelivery_of: delivery.delivery_id
+      }));
+
+      await processWebhookQueue();
+      expect(JSON.parse(received[received.length - 1].body).id).toBe(delivery.event_id);
+      expect((await db.getWebhookDelivery(redelivery.body.data.delivery_id)).status).toBe('delivered');
+    });
+
+    test('daily summaries should be queued once per day', async () => {
+      const webhook = (await createWebhook({ events: ['summary.daily'] }).expect(201)).body.data;
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'WEBHOOK003', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      expect(await enqueueDailySummaries()).toBe(0);
+      expect(await enqueueDailySummaries(tomorrow)).toBe(1);
+      expect(await enqueueDailySummaries(tomorrow)).toBe(0);
+
+      const { deliveries } = await db.getWebhookDeliveries({ webhook_id: webhook.webhook_id });
+      expect(deliveries).toHaveLength(1);
+      expect(JSON.parse(deliveries[0].payload).data).toEqual({
+        campaign_id: 'DEMO01',
+        date: new Date().toISOString().split('T')[0],
+        total_scans: 1,
+        unique_uids: 1,
+        verified_scans: 0
+      });
+    });
+
+    test('retry delays should grow exponentially up to the cap', () => {
+      expect(retryDelaySeconds(1)).toBe(config.webhooks.retryBaseSeconds);
+      expect(retryDelaySeconds(3)).toBe(config.webhooks.retryBaseSeconds * 4);
+      expect(retryDelaySeconds(50)).toBe(config.webhooks.retryMaxSeconds);
+    });
+  });
+
+  describe('Live Scan Feed', () => {
+    const http = require('http');
+    const WebSocket = require('ws');
+    const config = require('../config');
+    const { attachScanSocket } = require('../routes/stream');
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+    const SPONSOR_KEY = 'neocard_sponsor_demo_key_2024';
+
+    let server;
+    let wss;
+    let unregisteredPolicy;
+    const clients = [];
+
+    const waitFor = async (check, timeoutMs = 2000) => {
+      const started = Date.now();
+      while (!check()) {
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for feed events');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    // Minimal EventSource: collects { id, event, data } blocks
+    const openSse = (query = '', headers = {}) => new Promise((resolve, reject) => {
+      const req = http.get({ port: server.address().port, path: `/v1/stream/scans${query}`, headers }, (res) => {
+        const stream = { res, events: [], body: '', ended: false };
+        let pending = '';
+        res.setEncoding('utf8');
+        res.on('end', () => { stream.ended = true; });
+        res.on('data', (chunk) => {
+          stream.body += chunk;
+          pending += chunk;
+          let end;
+          while ((end = pending.indexOf('\n\n')) >= 0) {
+            const event = {};
+            pending.slice(0, end).split('\n').forEach((line) => {
+              const match = line.match(/^(id|event|data): (.*)$/);
+              if (match) event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+            });
+            pending = pending.slice(end + 2);
+            if (event.event) stream.events.push(event);
+          }
+        });
+        clients.push(() => req.destroy());
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+
+    const openSocket = (query) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/v1/stream/scans${query}`);
+      const socket = { ws, messages: [] };
+      ws.on('message', message => socket.messages.push(JSON.parse(message)));
+      ws.on('open', () => resolve(socket));
+      ws.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+      ws.on('error', reject);
+      clients.push(() => ws.terminate());
+    });
+
+    const scan = (uid, campaignId = 'DEMO01') => request(app)
+      .post('/v1/scan')
+      .send({ uid, campaign_id: campaignId })
+      .expect(201);
+
+    beforeAll(async () => {
+      // Unregistered test UIDs would otherwise be flagged
+      unregisteredPolicy = config.cards.unregisteredPolicy;
+      config.cards.unregisteredPolicy = 'allow';
+
+      server = http.createServer(app);
+      wss = attachScanSocket(server);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(() => {
+      clients.splice(0).forEach(close => close());
+    });
+
+    afterAll(async () => {
+      config.cards.unregisteredPolicy = unregisteredPolicy;
+      wss.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('GET /v1/stream/scans should push new scans over SSE', async () => {
+      const stream = await openSse('', { 'x-api-key': ADMIN_KEY });
+      expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      const first = await scan('STREAM0001');
+      await waitFor(() => stream.events.length === 1);
+
+      expect(stream.events[0]).toEqual({
+        id: expect.stringMatching(/^[0-9a-f]{8}-\d+$/),
+        event: 'scan',
+        data: expect.objectContaining({
+          scan_id: first.body.data.scan_id,
+          uid: 'STREAM0001',
+          campaign_id: 'DEMO01',
+          flagged: false,
+          risk_score: 0
+        })
+      });
+    });
+
+    test('SSE clients should resume after Last-Event-ID', async () => {
+      const first = await openSse('', { 'x-api-key': ADMIN_KEY });
+      await scan('STREAM0002');
+      await waitFor(() => first.events.length === 1);
+      const lastEventId = first.events[0].id;
+
+      await scan('STREAM0003');
+      await scan('STREAM0004', 'DEMO02');
+
+      const resumed = await openSse('?campaign_id=DEMO01', { 'x-api-key': ADMIN_KEY, 'last-event-id': lastEventId });
+      await waitFor(() => resumed.events.length === 1);
+      expect(resumed.events[0].data.uid).toBe('STREAM0003');
+
+      const stale = await openSse(`?api_key=${ADMIN_KEY}&last_event_id=00000000-1`);
+      await waitFor(() => stale.events.length > 0);
+      expect(stale.events[0]).toEqual(expect.objectContaining({ event: 'resync' }));
+    });
+
+    test('sponsor feeds should be scoped to linked campaigns and reviewed scans', async () => {
+      const denied = await openSse('?campaign_id=DEMO02', { 'x-api-key': SPONSOR_KEY });
+      await waitFor(() => denied.ended);
+      expect(denied.res.statusCode).toBe(403);
+      expect(JSON.parse(denied.body).code).toBe('CAMPAIGN_ACCESS_DENIED');
+
+      const sponsor = await openSse('', { 'x-api-key': SPONSOR_KEY });
+      const admin = await openSse('', { 'x-api-key': ADMIN_KEY });
+
+      await scan('STREAM0005', 'DEMO02');
+      config.cards.unregisteredPolicy = 'flag';
+      try {
+        await scan('STREAM0006');
+      } finally {
+        config.cards.unregisteredPolicy = 'allow';
+      }
+      await scan('STREAM0007');
+
+      await waitFor(() => admin.events.filter(event => event.event === 'scan').length === 3);
+      await waitFor(() => sponsor.events.length === 1);
+
+      expect(sponsor.events[0].data.uid).toBe('STREAM0007');
+      expect(sponsor.events[0].data.risk_score).toBeUndefined();
+      expect(admin.events.map(event => event.event)).toContain('fraud');
+    });
+
+    test('WebSocket clients should receive scans and fraud blocks', async () => {
+      const rejected = await openSocket('');
+      expect(rejected.status).toBe(401);
+
+      const socket = await openSocket(`?api_key=${ADMIN_KEY}&campaign_id=DEMO01`);
+
+      const entry = await request(app)
+        .post('/v1/access-lists')
+        .set('x-api-key', ADMIN_KEY)
+        .send({ list_type: 'block', entry_type: 'uid', value: 'STREAM0009' })
+        .expect(201);
+
+      try {
+        await scan('STREAM0008');
+        await request(app)
+          .post('/v1/scan')
+          .send({ uid: 'STREAM0009', campaign_id: 'DEMO01' })
+          .expect(403);
+      } finally {
+        await db.deleteAccessListEntry(entry.body.data.id);
+      }
+
+      await waitFor(() => socket.messages.length === 2);
+      expect(socket.messages[0]).toEqual(expect.objectContaining({ event: 'scan', data: expect.objectContaining({ uid: 'STREAM0008' }) }));
+      expect(socket.messages[1]).toEqual(expect.objectContaining({
+        id: expect.any(String),
+        event: 'fraud',
+        data: expect.objectContaining({ code: 'SCAN_BLOCKED', uid: 'STREAM0009' })
+      }));
+
+      const sponsor = await openSocket(`?api_key=${SPONSOR_KEY}&campaign_id=DEMO02`);
+      expect(sponsor.status).toBe(403);
+    });
+  });
+
+  describe('AEI Security', () => {
+    test('AEI checksum should be consistent for same input', async () => {
+      const { generateAEIChecksum } = require('../utils');
+      const config = require('../config');
+
+      const uid = 'TEST123456';
+      const timestamp = '2025-10-19T10:00:00.000Z';
+      const campaignId = 'DEMO01';
+
+      const checksum1 = generateAEIChecksum(uid, timestamp, campaignId, config.security.aeiSecretKey);
+      const checksum2 = generateAEIChecksum(uid, timestamp, campaignId, config.security.aeiSecretKey);
+
+      expect(checksum1).toBe(checksum2);
+    });
+
+    test('AEI checksum should be different for different inputs', async () => {
+      const { generateAEIChecksum } = require('../utils');
+      const config = require('../config');
+
+      const uid1 = 'TEST123456';
+      const uid2 = 'TEST123457';
+      const timestamp = '2025-10-19T10:00:00.000Z';
+      const campaignId = 'DEMO01';
+
+      const checksum1 = generateAEIChecksum(uid1, timestamp, campaignId, config.security.aeiSecretKey);
+      const checksum2 = generateAEIChecksum(uid2, timestamp, campaignId, config.security.aeiSecretKey);
+
+      expect(checksum1).not.toBe(checksum2);
+    });
+
+    test('verifyAEIChecksum should return false for malformed checksums', () => {
+      const { verifyAEIChecksum } = require('../utils');
+
+      expect(verifyAEIChecksum('TEST123456', '2025-10-19T10:00:00.000Z', 'DEMO01', 'abc', 'v1')).toBe(false);
+      expect(verifyAEIChecksum('TEST123456', '2025-10-19T10:00:00.000Z', 'DEMO01', 'z'.repeat(64), 'v1')).toBe(false);
+    });
+  });
+
+  describe('AEI Key Rotation', () => {
+    const ADMIN_KEY = 'neocard_admin_demo_key_2024';
+
+    const rotate = (body = {}, key = ADMIN_KEY) => request(app)
+      .post('/v1/aei-keys/rotate')
+      .set('x-api-key', key)
+      .send(body);
+
+    const registerScan = (uid) => request(app)
+      .post('/v1/scan')
+      .send({ uid, campaign_id: 'DEMO01' })
+      .expect(201);
+
+    afterEach(async () => {
+      // Put the keyring back to the seeded v1 key
+      await db.run("DELETE FROM aei_keys WHERE key_id != 'v1'");
+      await db.run("UPDATE aei_keys SET status = 'active', retired_at = NULL WHERE key_id = 'v1'");
+      await db.run('DELETE FROM aei_resign_history');
+      await db.run('DELETE FROM ledger_roots');
+      await db.loadAeiKeyring();
+    });
+
+    const audit = async () => {
+      const response = await request(app)
+        .get('/v1/audit/verify?chain_id=DEMO01')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      return response.body.data;
+    };
+
+    test('new scans should record the active key', async () => {
+      const scan = await registerScan('AEIKEY0001');
+      expect(scan.body.data.aei_key_id).toBe('v1');
+
+      const response = await request(app)
+        .get('/v1/aei-keys')
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+
+      expect(response.body.data.keys).toEqual([
+        expect.objectContaining({ key_id: 'v1', status: 'active', scan_count: 1 })
+      ]);
+      expect(response.body.data.keys[0].secret).toBeUndefined();
+    });
+
+    test('scans signed by a retired key should still verify', async () => {
+      const old = await registerScan('AEIKEY0002');
+
+      const rotated = await rotate().expect(201);
+      expect(rotated.body.data.key).toEqual(expect.objectContaining({ key_id: 'v2', status: 'active' }));
+      expect(rotated.body.data.resigned).toBe(0);
+
+      const fresh = await registerScan('AEIKEY0003');
+      expect(fresh.body.data.aei_key_id).toBe('v2');
+
+      // The ledger is keyed from the keyring too, and older links keep their key
+      expect((await db.getScanById(old.body.data.scan_id)).chain_key_id).toBe('v1');
+      expect((await db.getScanById(fresh.body.data.scan_id)).chain_key_id).toBe('v2');
+      expect((await audit()).valid).toBe(true);
+
+      const byId = await request(app)
+        .post('/v1/verify')
+        .send({ scan_id: old.body.data.scan_id })
+        .expect(200);
+      expect(byId.body.data).toEqual(expect.objectContaining({ authentic: true, aei_key_id: 'v1' }));
+
+      const { uid, timestamp, campaign_id, checksum } = old.body.data;
+      const byTuple = await request(app)
+        .post('/v1/verify')
+        .send({ uid, timestamp, campaign_id, checksum })
+        .expect(200);
+      expect(byTuple.body.data).toEqual(expect.objectContaining({ authentic: true, matches_stored_scan: true, aei_key_id: 'v1' }));
+    });
+
+    test('rotating with resign should re-sign valid scans and record the history', async () => {
+      const valid = await registerScan('AEIKEY0004');
+      const tampered = await registerScan('AEIKEY0005');
+      await db.run("UPDATE scans SET checksum = ? WHERE scan_id = ?", ['f'.repeat(64), tampered.body.data.scan_id]);
+
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      await db.sealLedgerDays(tomorrow);
+
+      const rotated = await rotate({ secret: 'a'.repeat(32), resign: true }).expect(201);
+      expect(rotated.body.data.resigned).toBe(1);
+      expect(rotated.body.data.skipped).toEqual([tampered.body.data.scan_id]);
+
+      const stored = await db.getScanById(valid.body.data.scan_id);
+      expect(stored.aei_key_id).toBe('v2');
+      expect(stored.checksum).not.toBe(valid.body.data.checksum);
+
+      const verified = await request(app)
+        .post('/v1/verify')
+        .send({ scan_id: valid.body.data.scan_id })
+        .expect(200);
+      expect(verified.body.data).toEqual(expect.objectContaining({ authentic: true, aei_key_id: 'v2' }));
+
+      const history = await request(app)
+        .get(`/v1/aei-keys/history?scan_id=${valid.body.data.scan_id}`)
+        .set('x-api-key', ADMIN_KEY)
+        .expect(200);
+      expect(history.body.data.entries).toEqual([expect.objectContaining({
+        old_key_id: 'v1',
+        new_key_id: 'v2',
+        old_checksum: valid.body.data.checksum,
+        new_checksum: stored.checksum,
+        resigned_by: 'Admin Demo Key'
+      })]);
+
+      // The valid scan is re-chained and its sealed day re-sealed; the
+      // tampered scan stays the first break
+      expect(stored.chain_key_id).toBe('v2');
+      const result = await audit();
+      expect(result.first_break).toEqual(expect.objectContaining({ scan_id: tampered.body.data.scan_id }));
+      expect(result.days_checked).toBe(1);
+    });
+
+    test('re-signing should keep an intact ledger intact', async () => {
+      await registerScan('AEIKEY0006');
+      await registerScan('AEIKEY0007');
+
+      await rotate({ resign: true }).expect(201);
+      await registerScan('AEIKEY0008');
+
+      expect(await audit()).toEqual(expect.objectContaining({ valid: true, scans_checked: 3 }));
+    });
+
+    test('re-signing should accept new scans between batches', async () => {
+      const { generateAEIChecksum } = require('../utils');
+      const { getAeiSecret } = require('../utils/keyring');
+
+      for (let i = 0; i < 20; i++) {
+        const uid = `AEIBATCH${String(i).padStart(2, '0')}`;
+        const timestamp = new Date(Date.now() - (20 - i) * 60 * 1000).toISOString();
+        await db.insertScan({
+          scan_id: `scan_aei_batch_${i}`,
+          uid,
+          campaign_id: 'DEMO01',
+          timestamp,
+          checksum: generateAEIChecksum(uid, timestamp, 'DEMO01', getAeiSecret('v1')),
+          aei_key_id: 'v1'
+        });
+      }
+      await rotate().expect(201);
+
+      const finished = [];
+      const resign = db.resignScans('Admin Demo Key', 1).then((result) => {
+        finished.push('resign');
+        return result;
+      });
+      const scan = registerScan('AEIBATCH20').then(() => finished.push('scan'));
+      const [result] = await Promise.all([resign, scan]);
+
+      // The scan did not wait for the whole ledger, which stayed intact
+      expect(finished).toEqual(['scan', 'resign']);
+      expect(result.resigned).toBe(20);
+      expect(await audit()).toEqual(expect.objectContaining({ valid: true, scans_checked: 21 }));
+    });
+
+    test('a failed rotation should leave the active key in place', async () => {
+      await expect(db.rotateAeiKey(null, 'test')).rejects.toThrow();
+
+      const keys = await db.all('SELECT key_id, status FROM aei_keys');
+      expect(keys).toEqual([{ key_id: 'v1', status: 'active' }]);
+    });
+
+    test('POST /v1/aei-keys/rotate should validate input and require aei:manage', async () => {
+      const sponsor = await rotate({}, 'neocard_sponsor_demo_key_2024').expect(403);
+      expect(sponsor.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const short = await rotate({ secret: 'too-short' }).expect(400);
+      expect(short.body.code).toBe('INVALID_AEI_SECRET');
+
+      const resign = await rotate({ resign: 'yes' }).expect(400);
+      expect(resign.body.code).toBe('INVALID_RESIGN_OPTION');
+    });
+  });
+
+  describe('Checksum Verification Endpoint', () => {
+    test('POST /v1/verify should confirm a stored scan by scan_id', async () => {
+      const scan = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'VERIFY1234', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/v1/verify')
+        .send({ scan_id: scan.body.data.scan_id })
+        .expect(200);
+
+      expect(response.body.data.authentic).toBe(true);
+      expect(response.body.data.matches_stored_scan).toBe(true);
+    });
+
+    test('POST /v1/verify should confirm a tuple from a CSV export', async () => {
+      const scan = await request(app)
+        .post('/v1/scan')
+        .send({ uid: 'VERIFY5678', campaign_id: 'DEMO01' })
+        .expect(201);
+
+      const { uid, timestamp, campaign_id, checksum, scan_id } = scan.body.data;
+
+      const response = await request(app)
+        .post('/v1/verify')
+        .send({ uid, timestamp, campaign_id, checksum })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ scan_id, authentic: true, matches_stored_scan: true, aei_key_id: 'v1' });
+
+      const tampered = await request(app)
+        .post('/v1/verify')
+        .send({ uid, timestamp, campaign_id: 'DEMO02', checksum })
+        .expect(200);
+
+      expect(tampered.body.data.authentic).toBe(false);
+      expect(tampered.body.data.matches_stored_scan).toBe(false);
+    });
+
+    test('POST /v1/verify should reject malformed input with 400', async () => {
+      const response = await request(app)
+        .post('/v1/verify')
+        .send({ uid: 'VERIFY5678', timestamp: '2025-10-19T10:00:00.000Z', campaign_id: 'DEMO01', checksum: 'not-hex' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CHECKSUM_FORMAT');
+
+      const missing = await request(app)
+        .post('/v1/verify')
+        .send({ uid: 'VERIFY5678' })
+        .expect(400);
+
+      expect(missing.body.code).toBe('MISSING_VERIFY_FIELDS');
+    });
+
+    test('POST /v1/verify should return 404 for unknown scan IDs', async () => {
+      const response = await request(app)
+        .post('/v1/verify')
+        .send({ scan_id: 'scan_0_missing' })
+        .expect(404);
+
+      expect(response.body.code).toBe('SCAN_NOT_FOUND');
     });
   });
 
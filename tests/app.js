@@ -31,7 +31,13 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// rawBody is kept for verifying device request signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -48,6 +54,9 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/v1', require('../routes/api'));
 
+// Tap redirects for NFC URL tags
+app.use('/t', require('../routes/tap'));
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
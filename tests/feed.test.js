@@ -0,0 +1,72 @@
+// Live scan feed tests for Neo Card™ Demo Backend
+
+const config = require('../config');
+const { publishFeedEvent, canViewFeedEvent, getFeedEventsSince, openFeed } = require('../utils/feed');
+
+const ADMIN = { campaigns: null, fraudAccess: true };
+const SPONSOR = { campaigns: ['DEMO01'], fraudAccess: false };
+
+/**
+ * Publish a scan event
+ * @param {string} uid
+ * @param {object} fields - Extra scans columns
+ */
+const publishScan = (uid, fields = {}) => publishFeedEvent('scan', {
+  scan_id: `scan_${uid}`,
+  uid,
+  campaign_id: 'DEMO01',
+  timestamp: '2024-04-01T10:00:00.000Z',
+  verified: 1,
+  flagged: 0,
+  risk_score: 0,
+  ...fields
+});
+
+describe('Live scan feed', () => {
+  test('canViewFeedEvent should apply campaign scope and review visibility', () => {
+    const scan = publishScan('FEED000001');
+    const flagged = publishScan('FEED000002', { flagged: 1, flag_reasons: '["unregistered_card"]' });
+    const other = publishScan('FEED000003', { campaign_id: 'DEMO02' });
+    const fraud = publishFeedEvent('fraud', { id: 1, event_type: 'blocklist', code: 'SCAN_BLOCKED', campaign_id: 'DEMO01' });
+
+    expect([scan, flagged, other, fraud].map(event => canViewFeedEvent(event, ADMIN))).toEqual([true, true, true, true]);
+    expect([scan, flagged, other, fraud].map(event => canViewFeedEvent(event, SPONSOR))).toEqual([true, false, false, false]);
+    expect(flagged.data.flag_reasons).toEqual(['unregistered_card']);
+  });
+
+  test('openFeed should replay buffered events and hide fraud fields', () => {
+    const first = publishScan('FEED000004');
+    publishScan('FEED000005');
+
+    const sent = [];
+    const unsubscribe = openFeed(SPONSOR, first.id, {
+      send: (event, data) => sent.push(data),
+      resync: () => sent.push('resync')
+    });
+    publishScan('FEED000006');
+    unsubscribe();
+    publishScan('FEED000007');
+
+    expect(sent.map(data => data.uid)).toEqual(['FEED000005', 'FEED000006']);
+    expect(sent[0].risk_score).toBeUndefined();
+  });
+
+  test('getFeedEventsSince should ask for a resync once events left the buffer', () => {
+    const bufferSize = config.stream.bufferSize;
+    config.stream.bufferSize = 2;
+
+    try {
+      const first = publishScan('FEED000008');
+      const second = publishScan('FEED000009');
+      publishScan('FEED000010');
+      publishScan('FEED000011');
+
+      expect(getFeedEventsSince(second.id)).toEqual({ events: expect.any(Array), resync: false });
+      expect(getFeedEventsSince(second.id).events.map(event => event.data.uid)).toEqual(['FEED000010', 'FEED000011']);
+      expect(getFeedEventsSince(first.id).resync).toBe(true);
+      expect(getFeedEventsSince('deadbeef-1').resync).toBe(true);
+    } finally {
+      config.stream.bufferSize = bufferSize;
+    }
+  });
+});
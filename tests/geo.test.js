@@ -0,0 +1,42 @@
+// Venue geofencing tests for Neo Card™ Demo Backend
+
+const { isValidCoordinates, distanceMeters, matchVenue } = require('../utils/geo');
+
+describe('Venue geofencing', () => {
+  const arena = { venue_id: 'arena', latitude: 52.3676, longitude: 4.9041, radius_m: 150 };
+  const expo = { venue_id: 'expo', latitude: 52.3400, longitude: 4.8880, radius_m: 300 };
+
+  test('isValidCoordinates should only accept numbers in range', () => {
+    expect(isValidCoordinates(52.3676, 4.9041)).toBe(true);
+    expect(isValidCoordinates(-90, 180)).toBe(true);
+    expect(isValidCoordinates(90.1, 0)).toBe(false);
+    expect(isValidCoordinates(0, -180.5)).toBe(false);
+    expect(isValidCoordinates('52.3676', 4.9041)).toBe(false);
+    expect(isValidCoordinates(52.3676)).toBe(false);
+  });
+
+  test('distanceMeters should return great-circle distances', () => {
+    expect(distanceMeters(arena, arena)).toBe(0);
+    // Amsterdam to Paris
+    expect(Math.round(distanceMeters(arena, { latitude: 48.8566, longitude: 2.3522 }) / 1000)).toBe(430);
+  });
+
+  test('matchVenue should prefer venues the location is inside, then the nearest', () => {
+    expect(matchVenue([], arena, 500)).toBeNull();
+
+    const inside = matchVenue([expo, arena], { latitude: 52.3680, longitude: 4.9045 }, 500);
+    expect(inside).toMatchObject({ venue: arena, inside: true });
+
+    const outside = matchVenue([expo, arena], { latitude: 52.3800, longitude: 4.9041 }, 500);
+    expect(outside.venue).toBe(arena);
+    expect(outside.inside).toBe(false);
+    expect(outside.distance_m).toBeGreaterThan(1300);
+  });
+
+  test('matchVenue should credit accuracy up to the maximum', () => {
+    const location = { latitude: 52.3800, longitude: 4.9041, accuracy: 1500 };
+
+    expect(matchVenue([arena], location, 2000).inside).toBe(true);
+    expect(matchVenue([arena], location, 500).inside).toBe(false);
+  });
+});
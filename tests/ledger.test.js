@@ -0,0 +1,73 @@
+// Scan ledger tests for Neo Card™ Demo Backend
+
+const { GENESIS_HASH, computeChainHash, merkleRoot, findChainBreak } = require('../utils/ledger');
+
+const SECRET = 'ledger-test-secret';
+
+// Keyring lookup: only v1 exists
+const getSecret = keyId => (keyId === 'v1' ? SECRET : null);
+
+/**
+ * Build a valid chain of scans
+ * @param {number} length
+ */
+const buildChain = (length) => {
+  const scans = [];
+  for (let seq = 1; seq <= length; seq++) {
+    const scan = {
+      scan_id: `scan_${seq}`,
+      uid: 'LEDGER000001',
+      campaign_id: 'DEMO01',
+      timestamp: `2024-04-0${seq}T10:00:00.000Z`,
+      checksum: '0'.repeat(64),
+      chain_id: 'DEMO01',
+      chain_seq: seq,
+      prev_hash: seq === 1 ? GENESIS_HASH : scans[seq - 2].chain_hash,
+      chain_key_id: 'v1'
+    };
+    scan.chain_hash = computeChainHash(scan, SECRET);
+    scans.push(scan);
+  }
+  return scans;
+};
+
+describe('Scan ledger', () => {
+  test('an intact chain should have no break', () => {
+    expect(findChainBreak(buildChain(4), null, getSecret)).toBeNull();
+  });
+
+  test('a chain segment should link to the scan before it', () => {
+    const scans = buildChain(4);
+    expect(findChainBreak(scans.slice(2), scans[1], getSecret)).toBeNull();
+    expect(findChainBreak(scans.slice(2), null, getSecret)).toEqual(expect.objectContaining({ type: 'SEQUENCE_GAP', scan_id: 'scan_3' }));
+  });
+
+  test('swapping two scans should break the chain', () => {
+    const scans = buildChain(3);
+    const swapped = [scans[0], { ...scans[2], chain_seq: 2 }, { ...scans[1], chain_seq: 3 }];
+
+    expect(findChainBreak(swapped, null, getSecret)).toEqual(expect.objectContaining({ type: 'PREV_HASH_MISMATCH', scan_id: 'scan_3' }));
+  });
+
+  test('hashes should depend on the secret', () => {
+    const [scan] = buildChain(1);
+    expect(findChainBreak([scan], null, () => 'another-secret')).toEqual(expect.objectContaining({ type: 'HASH_MISMATCH' }));
+    expect(findChainBreak([{ ...scan, chain_key_id: 'v9' }], null, getSecret)).toEqual(expect.objectContaining({ type: 'HASH_MISMATCH' }));
+  });
+
+  test('hashes should cover the AEI checksum', () => {
+    const [scan] = buildChain(1);
+    expect(findChainBreak([{ ...scan, checksum: 'f'.repeat(64) }], null, getSecret)).toEqual(expect.objectContaining({ type: 'HASH_MISMATCH' }));
+  });
+
+  test('Merkle roots should cover every leaf and its order', () => {
+    const hashes = buildChain(5).map(scan => scan.chain_hash);
+
+    expect(merkleRoot([])).toBeNull();
+    expect(merkleRoot(hashes)).toMatch(/^[0-9a-f]{64}$/);
+    expect(merkleRoot(hashes)).not.toBe(merkleRoot(hashes.slice(0, 4)));
+    expect(merkleRoot(hashes)).not.toBe(merkleRoot([hashes[1], hashes[0], ...hashes.slice(2)]));
+    // An odd leaf is carried up, not paired with itself
+    expect(merkleRoot(hashes.slice(0, 3))).not.toBe(merkleRoot([...hashes.slice(0, 3), hashes[2]]));
+  });
+});
@@ -0,0 +1,57 @@
+// SUN message verification tests for Neo Card™ Demo Backend
+
+const { aesCmac, decryptPiccData, computeSdmMac, verifySdmMac } = require('../utils/sun');
+
+// NXP AN12196 example: factory default (all zero) SDMMetaReadKey and SDMFileReadKey
+const ZERO_KEY = '00000000000000000000000000000000';
+const NXP_PICC_DATA = 'EF963FF7828658A599F3041510671E88';
+const NXP_SDM_MAC = '94EED9EE65337086';
+
+describe('SUN Message Verification', () => {
+  describe('AES-CMAC (RFC 4493 test vectors)', () => {
+    const key = Buffer.from('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+
+    test('should MAC an empty message', () => {
+      expect(aesCmac(key, Buffer.alloc(0)).toString('hex')).toBe('bb1d6929e95937287fa37d129b756746');
+    });
+
+    test('should MAC a single complete block', () => {
+      const message = Buffer.from('6bc1bee22e409f96e93d7e117393172a', 'hex');
+      expect(aesCmac(key, message).toString('hex')).toBe('070a16b46b4d4144f79bdd9dd04a287c');
+    });
+
+    test('should MAC a partial final block', () => {
+      const message = Buffer.from('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411', 'hex');
+      expect(aesCmac(key, message).toString('hex')).toBe('dfa66747de9ae63030ca32611497c827');
+    });
+  });
+
+  describe('NTAG 424 DNA SUN (NXP AN12196 test vectors)', () => {
+    test('should decrypt PICCData into UID and read counter', () => {
+      const picc = decryptPiccData(NXP_PICC_DATA, ZERO_KEY);
+
+      expect(picc.uid).toBe('04DE5F1EACC040');
+      expect(picc.readCounter).toBe(61);
+    });
+
+    test('should compute the published SDMMAC', () => {
+      const picc = decryptPiccData(NXP_PICC_DATA, ZERO_KEY);
+
+      expect(computeSdmMac(picc.uid, picc.readCounterBytes, ZERO_KEY)).toBe(NXP_SDM_MAC);
+      expect(verifySdmMac(picc, NXP_SDM_MAC.toLowerCase(), ZERO_KEY)).toBe(true);
+    });
+
+    test('should reject a forged or malformed SDMMAC', () => {
+      const picc = decryptPiccData(NXP_PICC_DATA, ZERO_KEY);
+
+      expect(verifySdmMac(picc, '94EED9EE65337087', ZERO_KEY)).toBe(false);
+      expect(verifySdmMac(picc, 'not-a-mac', ZERO_KEY)).toBe(false);
+      expect(verifySdmMac(picc, NXP_SDM_MAC, 'FF'.repeat(16))).toBe(false);
+    });
+
+    test('should reject PICCData encrypted with another key', () => {
+      expect(decryptPiccData(NXP_PICC_DATA, 'FF'.repeat(16))).toBeNull();
+      expect(decryptPiccData('zz', ZERO_KEY)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+// Time bucket tests for Neo Card™ Demo Backend
+
+const { buildTimeBuckets } = require('../utils/timeseries');
+
+describe('Time buckets', () => {
+  test('daily buckets should follow local midnight across DST changes', () => {
+    const { buckets } = buildTimeBuckets({
+      granularity: 'day',
+      start_date: '2025-03-29',
+      end_date: '2025-03-31',
+      timezone: 'Europe/Berlin'
+    });
+
+    expect(buckets.map(b => [b.bucket, b.start])).toEqual([
+      ['2025-03-29T00:00:00+01:00', '2025-03-28T23:00:00.000Z'],
+      ['2025-03-30T00:00:00+01:00', '2025-03-29T23:00:00.000Z'],
+      ['2025-03-31T00:00:00+02:00', '2025-03-30T22:00:00.000Z']
+    ]);
+    // The DST day is 23 hours long
+    expect(buckets[1].end).toBe('2025-03-30T22:00:00.000Z');
+  });
+
+  test('weekly buckets should start on Mondays', () => {
+    const { buckets } = buildTimeBuckets({ granularity: 'week', start_date: '2025-10-01', end_date: '2025-10-19' });
+
+    expect(buckets.map(b => b.bucket)).toEqual([
+      '2025-09-29T00:00:00Z',
+      '2025-10-06T00:00:00Z',
+      '2025-10-13T00:00:00Z'
+    ]);
+  });
+
+  test('extend should append buckets after the range', () => {
+    const range = buildTimeBuckets({ granularity: 'week', start_date: '2025-10-06', end_date: '2025-10-12', extend: 2 });
+
+    expect(range.buckets.map(b => b.bucket)).toEqual([
+      '2025-10-06T00:00:00Z',
+      '2025-10-13T00:00:00Z',
+      '2025-10-20T00:00:00Z'
+    ]);
+    expect(range.end).toBe('2025-10-27T00:00:00.000Z');
+  });
+
+  test('missing dates should default to a span ending now', () => {
+    const { buckets } = buildTimeBuckets({ granularity: 'hour' });
+
+    expect(buckets).toHaveLength(48);
+    expect(new Date(buckets[47].end).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('invalid input should return an error code', () => {
+    expect(buildTimeBuckets({ granularity: 'day', start_date: '2025-13-01' }).error.code).toBe('INVALID_DATE_RANGE');
+    expect(buildTimeBuckets({ granularity: 'day', timezone: 'Nowhere/City' }).error.code).toBe('INVALID_TIMEZONE');
+  });
+});
@@ -0,0 +1,124 @@
+// Block and allow list matching for Neo Card™ Demo Backend
+//
+// Entries target a UID, a UID prefix, an IP address or CIDR range, or a
+// device ID. Blocks win over allows so an allowlisted card scanned from a
+// blocked network is still refused.
+
+const net = require('net');
+
+const LIST_TYPES = ['block', 'allow'];
+const ENTRY_TYPES = ['uid', 'uid_prefix', 'ip', 'device'];
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients
+ * @param {string} ip - Address from req.ip
+ * @returns {string} - Plain IPv4 or IPv6 address
+ */
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') return ip;
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+};
+
+/**
+ * Parse an IP address or CIDR range
+ * @param {string} value - e.g. `203.0.113.7` or `203.0.113.0/24`
+ * @returns {{address: string, prefix: number, family: string}|null} - null when malformed
+ */
+const parseIpRange = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const [address, prefixText, extra] = value.split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) return null;
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+/**
+ * Validate and normalise the value of a list entry
+ * @param {string} entryType - One of ENTRY_TYPES
+ * @param {*} value - Entry value from the request
+ * @returns {string|null} - Stored value, or null when invalid
+ */
+const normalizeEntryValue = (entryType, value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+
+  switch (entryType) {
+    case 'uid':
+      return /^[A-Za-z0-9]{8,16}$/.test(trimmed) ? trimmed.toUpperCase() : null;
+    case 'uid_prefix':
+      return /^[A-Za-z0-9]{1,16}$/.test(trimmed) ? trimmed.toUpperCase() : null;
+    case 'ip': {
+      const range = parseIpRange(trimmed);
+      return range ? `${range.address}/${range.prefix}` : null;
+    }
+    case 'device':
+      return /^[A-Za-z0-9._:-]{1,128}$/.test(trimmed) ? trimmed : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether an entry matches the scan's UID, IP or device
+ * @param {object} entry - access_lists row
+ * @param {{uid: string, ip: string, deviceId: string}} subject - Scan identifiers
+ * @returns {boolean}
+ */
+const entryMatches = (entry, { uid, ip, deviceId }) => {
+  const upperUid = typeof uid === 'string' ? uid.toUpperCase() : null;
+
+  switch (entry.entry_type) {
+    case 'uid':
+      return upperUid !== null && upperUid === entry.value;
+    case 'uid_prefix':
+      return upperUid !== null && upperUid.startsWith(entry.value);
+    case 'ip': {
+      const range = parseIpRange(entry.value);
+      const address = normalizeIp(ip);
+      if (!range || !address || !net.isIP(address)) return false;
+
+      const blockList = new net.BlockList();
+      blockList.addSubnet(range.address, range.prefix, range.family);
+      return blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+    }
+    case 'device':
+      return !!deviceId && deviceId === entry.value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the entries that apply to a scan
+ * @param {Array<object>} entries - Active access_lists rows
+ * @param {{uid: string, ip: string, deviceId: string}} subject - Scan identifiers
+ * @returns {{block: object|null, allow: object|null}} - First matching entry of each list
+ */
+const findAccessMatches = (entries, subject) => {
+  const matches = { block: null, allow: null };
+
+  for (const entry of entries) {
+    if (!matches[entry.list_type] && entryMatches(entry, subject)) {
+      matches[entry.list_type] = entry;
+    }
+  }
+
+  return matches;
+};
+
+module.exports = {
+  LIST_TYPES,
+  ENTRY_TYPES,
+  normalizeIp,
+  parseIpRange,
+  normalizeEntryValue,
+  findAccessMatches
+};
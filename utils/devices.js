@@ -0,0 +1,46 @@
+// Reader device request signing for Neo Card™ Demo Backend
+//
+// Enrolled devices sign scan requests with their secret:
+//   X-Device-Id:        the device ID
+//   X-Device-Timestamp: unix time in seconds
+//   X-Device-Signature: hex HMAC-SHA256(secret, `${METHOD}\n${path}\n${timestamp}\n${raw body}`)
+// where path is the request path including any query string.
+
+const crypto = require('crypto');
+
+const DEVICE_STATUSES = ['active', 'revoked'];
+
+/**
+ * Sign a device request
+ * @param {string} secret - Device secret
+ * @param {object} request - { method, path, timestamp, body }; body is the
+ *   raw request body ('' when empty)
+ * @returns {string} - Signature (hex)
+ */
+const signDeviceRequest = (secret, { method, path, timestamp, body = '' }) => {
+  return crypto.createHmac('sha256', secret)
+    .update(`${String(method).toUpperCase()}\n${path}\n${timestamp}\n${body}`)
+    .digest('hex');
+};
+
+/**
+ * Check a device request signature
+ * @param {string} secret - Device secret
+ * @param {object} request - As for signDeviceRequest
+ * @param {*} signature - Value of X-Device-Signature
+ * @returns {boolean}
+ */
+const verifyDeviceSignature = (secret, request, signature) => {
+  if (typeof signature !== 'string' || !/^[0-9a-fA-F]{64}$/.test(signature)) return false;
+
+  return crypto.timingSafeEqual(
+    Buffer.from(signDeviceRequest(secret, request), 'hex'),
+    Buffer.from(signature.toLowerCase(), 'hex')
+  );
+};
+
+module.exports = {
+  DEVICE_STATUSES,
+  signDeviceRequest,
+  verifyDeviceSignature
+};
@@ -0,0 +1,278 @@
+// Scan export writers for Neo Card™ Demo Backend
+//
+// Each writer streams batches of scans rows to a writable stream (the HTTP
+// response) in one output format, waiting for the stream to drain so a large
+// export never sits in memory.
+
+const crypto = require('crypto');
+const { PassThrough, Transform } = require('stream');
+const archiver = require('archiver');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { getSigningPublicKey, signPayload } = require('./signing');
+
+// Exportable scans columns and their CSV/XLSX headers. `fraud` columns are
+// only available to keys with fraud:read.
+const EXPORT_COLUMNS = {
+  scan_id: { title: 'Scan ID' },
+  uid: { title: 'UID' },
+  campaign_id: { title: 'Campaign ID' },
+  timestamp: { title: 'Timestamp' },
+  checksum: { title: 'Checksum' },
+  aei_key_id: { title: 'AEI Key ID' },
+  verified: { title: 'Verified' },
+  auth_method: { title: 'Auth Method' },
+  read_counter: { title: 'Read Counter' },
+  venue_id: { title: 'Venue ID' },
+  created_at: { title: 'Created At' },
+  flagged: { title: 'Flagged', fraud: true },
+  flag_reasons: { title: 'Flag Reasons', fraud: true },
+  review_status: { title: 'Review Status', fraud: true },
+  risk_score: { title: 'Risk Score', fraud: true },
+  risk_reasons: { title: 'Risk Reasons', fraud: true },
+  ip_address: { title: 'IP Address', fraud: true },
+  user_agent: { title: 'User Agent', fraud: true },
+  referrer: { title: 'Referrer', fraud: true },
+  device_id: { title: 'Device ID', fraud: true },
+  latitude: { title: 'Latitude', fraud: true },
+  longitude: { title: 'Longitude', fraud: true },
+  location_accuracy: { title: 'Location Accuracy', fraud: true },
+  geofence_status: { title: 'Geofence Status', fraud: true }
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['scan_id', 'uid', 'campaign_id', 'timestamp', 'checksum', 'verified'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * Parse the `columns` query parameter
+ * @param {string} [value] - Comma-separated column names
+ * @returns {{columns: Array<string>}|{error: {message: string, code: string}}}
+ */
+const parseExportColumns = (value) => {
+  if (value === undefined || value === '') return { columns: DEFAULT_EXPORT_COLUMNS };
+
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column));
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return {
+      error: {
+        message: `Unknown export columns: ${unknown.join(', ') || value}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`,
+        code: 'INVALID_COLUMNS'
+      }
+    };
+  }
+
+  return { columns: [...new Set(columns)] };
+};
+
+/**
+ * Wait for a stream whose buffer is full to drain (or close)
+ * @param {stream.Writable} stream
+ * @returns {Promise<void>}
+ */
+const drained = (stream) => new Promise((resolve) => {
+  if (!stream.writableNeedDrain || stream.destroyed) return resolve();
+
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * @param {stream.Writable} stream
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) await drained(stream);
+};
+
+/**
+ * Keep only the selected columns of a row, in order
+ * @param {object} row - scans row
+ * @param {Array<string>} columns
+ * @returns {object}
+ */
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+/**
+ * Create a writer for one export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {stream.Writable} stream - Destination, usually the response
+ * @param {Array<string>} columns - Columns to include
+ * @returns {{write: function(Array<object>): Promise<void>, end: function(): Promise<void>}}
+ */
+const createExportWriter = (format, stream, columns) => {
+  switch (format) {
+    case 'csv': {
+      // RFC 4180: CRLF line breaks, fields quoted when they contain , " or newlines
+      const csv = createObjectCsvStringifier({
+        header: columns.map(id => ({ id, title: EXPORT_COLUMNS[id].title })),
+        recordDelimiter: '\r\n'
+      });
+      let started = false;
+
+      return {
+        write: async (rows) => {
+          const header = started ? '' : csv.getHeaderString();
+          started = true;
+          await writeChunk(stream, header + csv.stringifyRecords(rows.map(row => pick(row, columns))));
+        },
+        end: async () => {
+          if (!started) await writeChunk(stream, csv.getHeaderString());
+          stream.end();
+        }
+      };
+    }
+
+    case 'ndjson':
+      return {
+        write: (rows) => writeChunk(stream, rows.map(row => JSON.stringify(pick(row, columns)) + '\n').join('')),
+        end: async () => stream.end()
+      };
+
+    case 'json': {
+      let count = 0;
+
+      return {
+        write: async (rows) => {
+          const items = rows.map(row => JSON.stringify(pick(row, columns))).join(',');
+          await writeChunk(stream, (count === 0 ? '[' : ',') + items);
+          count += rows.length;
+        },
+        end: async () => {
+          await writeChunk(stream, count === 0 ? '[]' : ']');
+          stream.end();
+        }
+      };
+    }
+
+    case 'xlsx': {
+      // Loaded on demand; only spreadsheet exports need it
+      const ExcelJS = require('exceljs');
+      // The workbook writes into `output` rather than straight to the
+      // destination, so rows wait for it to drain like writeChunk does. If
+      // the destination closes early, the rest is discarded.
+      const output = new PassThrough();
+      output.pipe(stream);
+      stream.on('close', () => output.resume());
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('Scans');
+      sheet.columns = columns.map(key => ({ header: EXPORT_COLUMNS[key].title, key }));
+
+      return {
+        write: async (rows) => {
+          for (const row of rows) {
+            await drained(output);
+            sheet.addRow(pick(row, columns)).commit();
+          }
+        },
+        end: async () => {
+          sheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+/**
+ * Create a writer for a signed export bundle: a ZIP holding the data file,
+ * manifest.json and manifest.sig (base64 Ed25519 signature of the exact
+ * manifest.json bytes). The manifest records the row count, time range and
+ * SHA-256 of the data file, plus a digest of the scans' AEI checksums.
+ * @param {string} format - Format of the data file, one of EXPORT_FORMATS
+ * @param {stream.Writable} stream - Destination, usually the response
+ * @param {Array<string>} columns - Columns to include in the data file
+ * @param {object} context - { range, filters } recorded in the manifest
+ * @returns {{write: function(Array<object>): Promise<void>, end: function(): Promise<void>}}
+ */
+const createBundleWriter = (format, stream, columns, context) => {
+  const archive = archiver('zip');
+  archive.on('error', error => stream.destroy(error));
+  archive.pipe(stream);
+
+  const dataHash = crypto.createHash('sha256');
+  // scan_id:checksum per line, in file order, so the AEI checksums of every
+  // exported scan are covered even when the checksum column is left out
+  const aeiHash = crypto.createHash('sha256');
+  const summary = { rows: 0, bytes: 0, first: null, last: null };
+
+  const data = new Transform({
+    transform(chunk, encoding, callback) {
+      dataHash.update(chunk);
+      summary.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  const dataFinished = new Promise(resolve => data.on('finish', resolve));
+  const file = `scans.${EXPORT_FORMATS[format].extension}`;
+
+  archive.append(data, { name: file });
+  const writer = createExportWriter(format, data, columns);
+
+  return {
+    write: async (rows) => {
+      for (const row of rows) {
+        aeiHash.update(`${row.scan_id}:${row.checksum}\n`);
+        summary.first = summary.first || row.timestamp;
+        summary.last = row.timestamp;
+      }
+      summary.rows += rows.length;
+      await writer.write(rows);
+    },
+    end: async () => {
+      await writer.end();
+      await dataFinished;
+
+      const manifest = Buffer.from(JSON.stringify({
+        version: 1,
+        generated_at: new Date().toISOString(),
+        algorithm: 'Ed25519',
+        key_id: getSigningPublicKey().key_id,
+        data: {
+          file,
+          format,
+          columns,
+          rows: summary.rows,
+          bytes: summary.bytes,
+          sha256: dataHash.digest('hex')
+        },
+        range: context.range,
+        scans: {
+          first_timestamp: summary.first,
+          last_timestamp: summary.last,
+          aei_digest: aeiHash.digest('hex')
+        },
+        filters: context.filters
+      }, null, 2) + '\n');
+
+      archive.append(manifest, { name: 'manifest.json' });
+      archive.append(signPayload(manifest).signature + '\n', { name: 'manifest.sig' });
+      await archive.finalize();
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportColumns,
+  createExportWriter,
+  createBundleWriter
+};
@@ -0,0 +1,144 @@
+// Live scan feed for Neo Card™ Demo Backend
+//
+// Stored scans and fraud events (blocked or rejected scan attempts) are
+// published here as they happen and pushed to SSE and WebSocket clients.
+// The latest events are kept in a ring buffer so a client that reconnects
+// can resume after the last event ID it saw. IDs are `<feed>-<sequence>`;
+// the feed part changes when the server restarts, so a client resuming
+// from an ID of an older feed (or one that fell out of the buffer) is told
+// to resync instead of silently missing events.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { EXPORT_COLUMNS } = require('./export');
+
+const FEED_EVENTS = ['scan', 'fraud'];
+
+// Scan fields sent with scan events; fraud-only export columns are removed
+// for keys without fraud:read
+const SCAN_FEED_FIELDS = ['scan_id', 'uid', 'campaign_id', 'timestamp', 'verified', 'auth_method', 'flagged', 'flag_reasons', 'risk_score'];
+
+const FRAUD_FEED_FIELDS = ['id', 'event_type', 'code', 'uid', 'campaign_id', 'details', 'created_at'];
+
+const feedId = crypto.randomBytes(4).toString('hex');
+const buffer = [];
+const listeners = new Set();
+let sequence = 0;
+
+/**
+ * Publish an event to every subscriber and the resume buffer
+ * @param {string} type - One of FEED_EVENTS
+ * @param {object} record - scans row, or fraud_events row
+ * @returns {object} - { id, type, campaign_id, flagged, data }
+ */
+const publishFeedEvent = (type, record) => {
+  const fields = type === 'scan' ? SCAN_FEED_FIELDS : FRAUD_FEED_FIELDS;
+  const data = Object.fromEntries(fields.map(field => [field, record[field] === undefined ? null : record[field]]));
+
+  if (type === 'scan') {
+    data.verified = !!record.verified;
+    data.flagged = !!record.flagged;
+    data.flag_reasons = record.flag_reasons ? JSON.parse(record.flag_reasons) : [];
+  }
+
+  sequence += 1;
+  const event = {
+    id: `${feedId}-${sequence}`,
+    type,
+    campaign_id: record.campaign_id || null,
+    flagged: type === 'scan' && data.flagged,
+    data
+  };
+
+  buffer.push(event);
+  if (buffer.length > config.stream.bufferSize) buffer.splice(0, buffer.length - config.stream.bufferSize);
+
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Feed listener error:', error);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Whether a client may see an event. Fraud events and unreviewed flagged
+ * scans need fraud:read; campaign-scoped keys only see their campaigns.
+ * @param {object} event - Published event
+ * @param {object} viewer - { campaigns: Array<string>|null, fraudAccess: boolean }
+ * @returns {boolean}
+ */
+const canViewFeedEvent = (event, viewer) => {
+  if (viewer.campaigns && !viewer.campaigns.includes(event.campaign_id)) return false;
+  if (!viewer.fraudAccess && (event.type === 'fraud' || event.flagged)) return false;
+  return true;
+};
+
+/**
+ * Event data as a client may see it
+ * @param {object} event - Published event
+ * @param {object} viewer - See canViewFeedEvent
+ * @returns {object}
+ */
+const feedEventData = (event, viewer) => {
+  if (viewer.fraudAccess || event.type !== 'scan') return event.data;
+
+  return Object.fromEntries(Object.entries(event.data).filter(([field]) =>
+    !(EXPORT_COLUMNS[field] && EXPORT_COLUMNS[field].fraud)
+  ));
+};
+
+/**
+ * Buffered events after an event ID
+ * @param {string} lastEventId
+ * @returns {{events: Array<object>, resync: boolean}} - resync: events after
+ *   lastEventId may have been missed
+ */
+const getFeedEventsSince = (lastEventId) => {
+  const [feed, seq] = String(lastEventId).split('-');
+  const after = Number(seq);
+
+  if (feed !== feedId || !Number.isInteger(after) || after > sequence) {
+    return { events: buffer.slice(), resync: true };
+  }
+
+  const oldest = buffer.length ? Number(buffer[0].id.split('-')[1]) : sequence + 1;
+  return {
+    events: buffer.filter(event => Number(event.id.split('-')[1]) > after),
+    resync: after < oldest - 1
+  };
+};
+
+/**
+ * Stream the feed to one client: first the buffered events after
+ * lastEventId (if given), then live events
+ * @param {object} viewer - See canViewFeedEvent
+ * @param {string|null} lastEventId - Last event the client received
+ * @param {object} handlers - send(event, data) and resync({ last_event_id, feed })
+ * @returns {function(): void} - Unsubscribe
+ */
+const openFeed = (viewer, lastEventId, { send, resync }) => {
+  const deliver = (event) => {
+    if (canViewFeedEvent(event, viewer)) send(event, feedEventData(event, viewer));
+  };
+
+  if (lastEventId) {
+    const backlog = getFeedEventsSince(lastEventId);
+    if (backlog.resync) resync({ last_event_id: lastEventId, feed: feedId });
+    backlog.events.forEach(deliver);
+  }
+
+  listeners.add(deliver);
+  return () => listeners.delete(deliver);
+};
+
+module.exports = {
+  FEED_EVENTS,
+  publishFeedEvent,
+  canViewFeedEvent,
+  getFeedEventsSince,
+  openFeed
+};
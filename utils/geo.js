@@ -0,0 +1,69 @@
+// Venue geofencing for Neo Card™ Demo Backend
+//
+// Venues are circles (centre + radius in meters). A scan location is inside
+// a venue when its distance to the centre is within the radius plus the
+// location's reported accuracy; accuracy is credited up to
+// config.geo.maxAccuracyMeters so a vague fix cannot cover a whole city.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const GEOFENCE_MODES = ['off', 'flag', 'reject'];
+
+/**
+ * Validate a latitude/longitude pair
+ * @param {*} latitude
+ * @param {*} longitude
+ * @returns {boolean}
+ */
+const isValidCoordinates = (latitude, longitude) => {
+  return typeof latitude === 'number' && typeof longitude === 'number' &&
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+};
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} - Meters
+ */
+const distanceMeters = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Find the venue a location falls in, or the nearest one
+ * @param {Array<object>} venues - venues rows (latitude, longitude, radius_m)
+ * @param {object} location - { latitude, longitude, accuracy }
+ * @param {number} maxAccuracy - Most accuracy (meters) credited to the location
+ * @returns {{venue: object, distance_m: number, inside: boolean}|null} - null without venues
+ */
+const matchVenue = (venues, location, maxAccuracy) => {
+  const slack = Math.min(location.accuracy || 0, maxAccuracy);
+  let best = null;
+
+  for (const venue of venues) {
+    const distance = distanceMeters(location, venue);
+    const inside = distance <= venue.radius_m + slack;
+
+    // Prefer venues the location is inside, then the closest
+    if (!best || (inside && !best.inside) || (inside === best.inside && distance < best.distance_m)) {
+      best = { venue, distance_m: Math.round(distance), inside };
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  GEOFENCE_MODES,
+  isValidCoordinates,
+  distanceMeters,
+  matchVenue
+};
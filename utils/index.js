@@ -2,6 +2,7 @@
 
 const crypto = require('crypto');
 const moment = require('moment');
+const { getAeiKeyIds, getAeiSecret } = require('./keyring');
 
 /**
  * Generate AEI checksum using HMAC-SHA256
@@ -17,22 +18,66 @@ const generateAEIChecksum = (uid, timestamp, campaignId, secretKey) => {
 };
 
 /**
- * Verify AEI checksum
+ * Validate AEI checksum format (64 hex characters)
+ * @param {string} checksum - Checksum to validate
+ * @returns {boolean} - Whether checksum is well formed
+ */
+const isValidChecksum = (checksum) => {
+  return typeof checksum === 'string' && /^[0-9a-fA-F]{64}$/.test(checksum);
+};
+
+/**
+ * Compare a well-formed checksum with the one a secret produces
  * @param {string} uid - Card UID
  * @param {string} timestamp - Scan timestamp
  * @param {string} campaignId - Campaign ID
- * @param {string} providedChecksum - Checksum to verify
+ * @param {string} providedChecksum - 64 hex characters
  * @param {string} secretKey - Secret key for HMAC
- * @returns {boolean} - Whether checksum is valid
+ * @returns {boolean}
  */
-const verifyAEIChecksum = (uid, timestamp, campaignId, providedChecksum, secretKey) => {
+const checksumMatches = (uid, timestamp, campaignId, providedChecksum, secretKey) => {
   const expectedChecksum = generateAEIChecksum(uid, timestamp, campaignId, secretKey);
   return crypto.timingSafeEqual(
     Buffer.from(expectedChecksum, 'hex'),
-    Buffer.from(providedChecksum, 'hex')
+    Buffer.from(providedChecksum.toLowerCase(), 'hex')
   );
 };
 
+/**
+ * Find the keyring key an AEI checksum was signed with
+ * @param {string} uid - Card UID
+ * @param {string} timestamp - Scan timestamp
+ * @param {string} campaignId - Campaign ID
+ * @param {string} providedChecksum - Checksum to verify
+ * @returns {string|null} - Key ID, or null when no key matches
+ */
+const findAEIKeyId = (uid, timestamp, campaignId, providedChecksum) => {
+  if (!isValidChecksum(providedChecksum)) return null;
+
+  return getAeiKeyIds().find(keyId =>
+    checksumMatches(uid, timestamp, campaignId, providedChecksum, getAeiSecret(keyId))
+  ) || null;
+};
+
+/**
+ * Verify AEI checksum
+ * Malformed checksums are reported as invalid rather than throwing.
+ * @param {string} uid - Card UID
+ * @param {string} timestamp - Scan timestamp
+ * @param {string} campaignId - Campaign ID
+ * @param {string} providedChecksum - Checksum to verify
+ * @param {string} [keyId] - Keyring key the scan was signed with (its
+ *   aei_key_id); when missing every key in the ring is tried
+ * @returns {boolean} - Whether checksum is valid
+ */
+const verifyAEIChecksum = (uid, timestamp, campaignId, providedChecksum, keyId) => {
+  if (!isValidChecksum(providedChecksum)) return false;
+  if (!keyId) return findAEIKeyId(uid, timestamp, campaignId, providedChecksum) !== null;
+
+  const secretKey = getAeiSecret(keyId);
+  return !!secretKey && checksumMatches(uid, timestamp, campaignId, providedChecksum, secretKey);
+};
+
 /**
  * Generate API key
  * @param {string} prefix - Key prefix
@@ -43,6 +88,66 @@ const generateApiKey = (prefix = 'neocard') => {
   return `${prefix}_${randomBytes}`;
 };
 
+/**
+ * Get the non-secret lookup prefix of an API key
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} - Prefix stored alongside the hash
+ */
+const getApiKeyPrefix = (apiKey) => {
+  return String(apiKey).slice(0, 16);
+};
+
+/**
+ * Hash an API key for storage using a per-key salt and the server secret
+ * @param {string} apiKey - Plaintext API key
+ * @param {string} salt - Per-key random salt (hex)
+ * @param {string} secretKey - Server-side API key secret
+ * @returns {string} - Hex encoded hash
+ */
+const hashApiKey = (apiKey, salt, secretKey) => {
+  return crypto.createHmac('sha256', secretKey).update(`${salt}:${apiKey}`).digest('hex');
+};
+
+/**
+ * Check a plaintext API key against a stored hash
+ * @param {string} apiKey - Plaintext API key
+ * @param {string} salt - Stored salt
+ * @param {string} storedHash - Stored hash
+ * @param {string} secretKey - Server-side API key secret
+ * @returns {boolean} - Whether the key matches
+ */
+const verifyApiKeyHash = (apiKey, salt, storedHash, secretKey) => {
+  const expected = Buffer.from(hashApiKey(apiKey, salt, secretKey), 'hex');
+  const actual = Buffer.from(String(storedHash), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Expand an api_keys.permissions value into a list of permissions
+ * @param {string} value - Comma-separated role names and/or permissions
+ * @param {object} roles - Role name to permission list map
+ * @returns {string[]} - Unique permissions granted
+ */
+const resolvePermissions = (value, roles = {}) => {
+  const permissions = new Set();
+
+  String(value || '').split(',').map(token => token.trim()).filter(Boolean).forEach(token => {
+    (roles[token] || [token]).forEach(permission => permissions.add(permission));
+  });
+
+  return [...permissions];
+};
+
+/**
+ * Check whether a permission list grants a permission
+ * @param {string[]} permissions - Granted permissions
+ * @param {string} permission - Required permission, e.g. `logs:read`
+ * @returns {boolean} - Whether the permission is granted
+ */
+const hasPermission = (permissions, permission) => {
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
 /**
  * Validate UID format
  * @param {string} uid - UID to validate
@@ -54,22 +159,116 @@ const isValidUID = (uid) => {
   return uidRegex.test(uid);
 };
 
+/**
+ * Validate reader device ID format
+ * @param {*} deviceId - Device ID to validate
+ * @returns {boolean} - Whether device ID is valid
+ */
+const isValidDeviceId = (deviceId) => {
+  return typeof deviceId === 'string' && /^[A-Za-z0-9._:-]{1,128}$/.test(deviceId);
+};
+
+/**
+ * Validate a reward item ID
+ * @param {*} itemId - Item ID to validate
+ * @returns {boolean} - Whether item ID is valid
+ */
+const isValidItemId = (itemId) => {
+  // Letters, digits, underscores and dashes, 1-64 characters
+  return typeof itemId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(itemId);
+};
+
+/**
+ * Validate an absolute http(s) URL
+ * @param {*} url - URL to validate
+ * @returns {boolean} - Whether url is an absolute http or https URL
+ */
+const isValidHttpUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate campaign ID format
+ * @param {string} campaignId - Campaign ID to validate
+ * @returns {boolean} - Whether campaign ID is valid
+ */
+const isValidCampaignId = (campaignId) => {
+  // Letters, digits, underscores and dashes, 2-64 characters
+  const campaignIdRegex = /^[A-Za-z0-9_-]{2,64}$/;
+  return typeof campaignId === 'string' && campaignIdRegex.test(campaignId);
+};
+
+/**
+ * Card lifecycle: allowed transitions from each status
+ */
+const CARD_STATUS_TRANSITIONS = {
+  issued: ['active', 'lost', 'retired'],
+  active: ['suspended', 'lost', 'retired'],
+  suspended: ['active', 'lost', 'retired'],
+  lost: ['active', 'retired'],
+  retired: []
+};
+
+/**
+ * Check whether a card may move from one lifecycle status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} - Whether the transition is allowed
+ */
+const canTransitionCard = (fromStatus, toStatus) => {
+  return (CARD_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
 /**
  * Check if scan is within cooldown period
  * @param {string} lastScanTime - Last scan timestamp
  * @param {number} cooldownMinutes - Cooldown period in minutes
+ * @param {Date} [scanTime] - Time of the new scan (default: now)
  * @returns {boolean} - Whether scan is within cooldown
  */
-const isWithinCooldown = (lastScanTime, cooldownMinutes) => {
+const isWithinCooldown = (lastScanTime, cooldownMinutes, scanTime = new Date()) => {
   if (!lastScanTime) return false;
   
   const lastScan = moment(lastScanTime);
-  const now = moment();
+  const now = moment(scanTime);
   const diffMinutes = now.diff(lastScan, 'minutes');
   
   return diffMinutes < cooldownMinutes;
 };
 
+// Anti-fraud policy fields a campaign may override. NULL on the campaign
+// means "use the server default" from config.antifraud.
+const CAMPAIGN_POLICY_FIELDS = {
+  cooldown_minutes: 'cooldownMinutes',
+  daily_limit: 'dailyScanLimit',
+  lifetime_limit: 'lifetimeScanLimit',
+  total_cap: 'campaignScanCap',
+  cooldown_scope: 'cooldownScope',
+  geofence_mode: 'geofenceMode'
+};
+
+const COOLDOWN_SCOPES = ['campaign', 'global'];
+
+/**
+ * Resolve the anti-fraud policy that applies to a campaign
+ * @param {object} campaign - campaigns row
+ * @param {object} defaults - config.antifraud
+ * @returns {object} - Effective policy keyed by campaign column name
+ */
+const resolveCampaignPolicy = (campaign, defaults) => {
+  const policy = {};
+  for (const [column, setting] of Object.entries(CAMPAIGN_POLICY_FIELDS)) {
+    const value = campaign ? campaign[column] : null;
+    policy[column] = value !== null && value !== undefined ? value : (defaults[setting] ?? null);
+  }
+  return policy;
+};
+
 /**
  * Format response data
  * @param {boolean} success - Success status
@@ -99,12 +298,63 @@ const generateScanId = () => {
   return `scan_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 };
 
+/**
+ * Generate a single-use scan nonce
+ * @returns {string} - Random nonce (hex)
+ */
+const generateNonce = () => {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Copy of a JSON value with object keys in sorted order
+ * @param {*} value
+ * @returns {*}
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+};
+
+/**
+ * Fingerprint of a request, used to tell a retry from a different request
+ * sent with the same Idempotency-Key. Key order in the body does not matter.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {object} body - Parsed JSON body
+ * @returns {string} - SHA-256 hash (hex)
+ */
+const hashRequest = (method, path, body) => {
+  return crypto.createHash('sha256')
+    .update(`${method} ${path}\n${JSON.stringify(sortKeys(body || {}))}`)
+    .digest('hex');
+};
+
 module.exports = {
   generateAEIChecksum,
+  isValidChecksum,
   verifyAEIChecksum,
+  findAEIKeyId,
   generateApiKey,
+  getApiKeyPrefix,
+  hashApiKey,
+  verifyApiKeyHash,
+  resolvePermissions,
+  hasPermission,
   isValidUID,
+  isValidDeviceId,
+  isValidItemId,
+  isValidHttpUrl,
+  isValidCampaignId,
+  CARD_STATUS_TRANSITIONS,
+  canTransitionCard,
   isWithinCooldown,
+  CAMPAIGN_POLICY_FIELDS,
+  COOLDOWN_SCOPES,
+  resolveCampaignPolicy,
   formatResponse,
-  generateScanId
+  generateScanId,
+  generateNonce,
+  hashRequest
 };
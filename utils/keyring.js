@@ -0,0 +1,59 @@
+// AEI secret keyring for Neo Card™ Demo Backend
+//
+// AEI checksums are HMACs under a versioned secret. Scans store the ID of
+// the key that signed them, new scans use the active key, and retired keys
+// stay in the ring so historical checksums keep verifying. The ring lives
+// in the aei_keys table and is cached here by the database module; until
+// it is loaded, AEI_SECRET_KEY acts as key `v1`. The same keys HMAC the scan
+// ledger (see utils/ledger.js).
+//
+// Secrets are kept in plaintext in aei_keys so they can verify any scan; the
+// database file must be protected like AEI_SECRET_KEY itself.
+
+const config = require('../config');
+
+const INITIAL_KEY_ID = 'v1';
+
+let keys = new Map([[INITIAL_KEY_ID, config.security.aeiSecretKey]]);
+let activeKeyId = INITIAL_KEY_ID;
+
+/**
+ * Replace the cached keyring
+ * @param {Array<{key_id: string, secret: string, status: string}>} rows - aei_keys rows
+ */
+const loadAeiKeys = (rows) => {
+  const active = rows.find(row => row.status === 'active');
+  if (!active) {
+    throw new Error('AEI keyring has no active key');
+  }
+
+  keys = new Map(rows.map(row => [row.key_id, row.secret]));
+  activeKeyId = active.key_id;
+};
+
+/**
+ * Key new checksums are signed with
+ * @returns {{keyId: string, secret: string}}
+ */
+const getActiveAeiKey = () => ({ keyId: activeKeyId, secret: keys.get(activeKeyId) });
+
+/**
+ * Secret of a key, active or retired
+ * @param {string} keyId
+ * @returns {string|null}
+ */
+const getAeiSecret = (keyId) => keys.get(keyId) || null;
+
+/**
+ * IDs of every key in the ring, newest first
+ * @returns {Array<string>}
+ */
+const getAeiKeyIds = () => [...keys.keys()].reverse();
+
+module.exports = {
+  INITIAL_KEY_ID,
+  loadAeiKeys,
+  getActiveAeiKey,
+  getAeiSecret,
+  getAeiKeyIds
+};
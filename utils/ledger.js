@@ -0,0 +1,128 @@
+// Hash-chained scan ledger for Neo Card™ Demo Backend
+//
+// Every scan is linked to the previous scan of its chain (its campaign, or
+// one global chain) by an HMAC over the previous hash and the scan's own
+// fields. Deleting, reordering or editing a row breaks the chain from that
+// row on. Completed days are additionally sealed with a Merkle root in
+// ledger_roots so truncating the end of a day is detected as well.
+//
+// Each link records the AEI keyring key its HMAC used (chain_key_id), so
+// rotating the key never invalidates links written earlier.
+
+const crypto = require('crypto');
+
+// prev_hash of the first scan in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const CHAIN_SCOPES = ['campaign', 'global'];
+
+// Scan fields a chain hash covers, in order
+const CHAIN_FIELDS = ['chain_id', 'chain_seq', 'prev_hash', 'scan_id', 'uid', 'campaign_id', 'timestamp', 'checksum'];
+
+// Fields of a sealed day that must match the scans stored now
+const SEAL_FIELDS = ['scan_count', 'first_seq', 'last_seq', 'last_hash', 'merkle_root'];
+
+/**
+ * Chain a scan belongs to
+ * @param {string} scope - One of CHAIN_SCOPES
+ * @param {string} campaignId - The scan's campaign
+ * @returns {string}
+ */
+const chainIdFor = (scope, campaignId) => (scope === 'global' ? 'global' : campaignId);
+
+/**
+ * Hash linking a scan to its predecessor. It covers the AEI checksum, so
+ * re-signing a scan re-chains it (see db.resignScans).
+ * @param {object} scan - chain_id, chain_seq, prev_hash, scan_id, uid, campaign_id, timestamp, checksum
+ * @param {string} secretKey - HMAC key (the AEI keyring key named by chain_key_id)
+ * @returns {string} - 64 hex characters
+ */
+const computeChainHash = (scan, secretKey) => {
+  const data = CHAIN_FIELDS.map(field => scan[field]).join('|');
+  return crypto.createHmac('sha256', secretKey).update(data).digest('hex');
+};
+
+/**
+ * Check a scan's own chain hash
+ * @param {object} scan - scans row
+ * @param {function(string): string|null} getSecret - Secret of a keyring key ID
+ * @returns {boolean}
+ */
+const isLinkValid = (scan, getSecret) => {
+  const secret = getSecret(scan.chain_key_id);
+  return Boolean(secret) && computeChainHash(scan, secret) === scan.chain_hash;
+};
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+/**
+ * Merkle root over chain hashes, in chain order. Leaves and inner nodes are
+ * domain-separated (0x00 / 0x01 prefixes) and an odd node is carried up
+ * unchanged rather than paired with itself.
+ * @param {Array<string>} hashes - Hex chain hashes
+ * @returns {string|null} - Hex root, or null when there are no hashes
+ */
+const merkleRoot = (hashes) => {
+  if (hashes.length === 0) return null;
+
+  let level = hashes.map(hash => sha256(Buffer.from([0]), Buffer.from(hash, 'hex')));
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? sha256(Buffer.from([1]), level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+
+  return level[0].toString('hex');
+};
+
+/**
+ * Find the first break in a run of consecutive scans of one chain
+ * @param {Array<object>} scans - Scans ordered by chain_seq
+ * @param {object|null} previous - Scan preceding the run (null: the run starts the chain)
+ * @param {function(string): string|null} getSecret - Secret of a keyring key ID
+ * @returns {object|null} - { type, scan_id, chain_id, chain_seq, chained_at, ... } or null when intact
+ */
+const findChainBreak = (scans, previous, getSecret) => {
+  let expectedSeq = previous ? previous.chain_seq + 1 : 1;
+  let expectedPrev = previous ? previous.chain_hash : GENESIS_HASH;
+
+  for (const scan of scans) {
+    const at = {
+      scan_id: scan.scan_id,
+      chain_id: scan.chain_id,
+      chain_seq: scan.chain_seq,
+      chained_at: scan.chained_at
+    };
+
+    if (scan.chain_seq !== expectedSeq) {
+      return { type: 'SEQUENCE_GAP', ...at, expected_seq: expectedSeq };
+    }
+
+    if (scan.prev_hash !== expectedPrev) {
+      return { type: 'PREV_HASH_MISMATCH', ...at, expected: expectedPrev, actual: scan.prev_hash };
+    }
+
+    if (!isLinkValid(scan, getSecret)) {
+      return { type: 'HASH_MISMATCH', ...at };
+    }
+
+    expectedSeq = scan.chain_seq + 1;
+    expectedPrev = scan.chain_hash;
+  }
+
+  return null;
+};
+
+module.exports = {
+  GENESIS_HASH,
+  CHAIN_SCOPES,
+  SEAL_FIELDS,
+  chainIdFor,
+  computeChainHash,
+  isLinkValid,
+  merkleRoot,
+  findChainBreak
+};
@@ -0,0 +1,167 @@
+// Cohort retention report helpers for Neo Card™ Demo Backend analytics
+//
+// Turns the raw rows from db.getRetention into per-cohort retention curves.
+// Periods that have not started yet are reported as null rather than 0 so a
+// young cohort does not look like it churned.
+
+const COHORT_GRANULARITIES = ['day', 'week'];
+
+// Default and maximum number of follow-up periods per cohort granularity
+const RETENTION_PERIODS = {
+  day: { defaultPeriods: 14, maxPeriods: 90 },
+  week: { defaultPeriods: 8, maxPeriods: 52 }
+};
+
+// Labels of the repeat-scan distribution (scans per UID, 5 and more merged)
+const REPEAT_BUCKETS = ['1', '2', '3', '4', '5+'];
+
+const OVERALL = -1;
+
+/**
+ * Round a share or duration for the report
+ * @param {number|null} value
+ * @param {number} digits
+ * @returns {number|null}
+ */
+const round = (value, digits) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+/**
+ * Group rows by their cohort index
+ * @param {Array<object>} rows - Rows with a cohort_idx column
+ * @returns {Map<number, Array<object>>}
+ */
+const byCohort = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.cohort_idx)) groups.set(row.cohort_idx, []);
+    groups.get(row.cohort_idx).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Repeat-scan distribution for one cohort
+ * @param {Array<object>} rows - { scans, uids } rows (scans capped at 5)
+ * @returns {object} - UIDs per label in REPEAT_BUCKETS
+ */
+const repeatDistribution = (rows = []) => {
+  const distribution = Object.fromEntries(REPEAT_BUCKETS.map(label => [label, 0]));
+  for (const row of rows) {
+    distribution[REPEAT_BUCKETS[row.scans - 1]] = row.uids;
+  }
+  return distribution;
+};
+
+/**
+ * Time-to-second-scan percentiles in hours
+ * @param {object} [row] - { uids, p50, p75, p90 } with percentiles in seconds
+ * @returns {object}
+ */
+const secondScanTiming = (row) => ({
+  uids: row ? row.uids : 0,
+  p50_hours: row ? round(row.p50 / 3600, 2) : null,
+  p75_hours: row ? round(row.p75 / 3600, 2) : null,
+  p90_hours: row ? round(row.p90 / 3600, 2) : null
+});
+
+/**
+ * Build the retention report
+ * @param {object} options
+ * @param {Array<{bucket: string, start: string}>} options.buckets - Cohort buckets followed by follow-up buckets
+ * @param {number} options.cohortCount - Number of leading buckets that are cohorts
+ * @param {number} options.periods - Follow-up periods reported per cohort
+ * @param {{activity: Array, repeats: Array, timing: Array}} options.rows - Result of db.getRetention
+ * @param {Date} [options.now] - Periods starting after this are not observed yet
+ * @returns {{cohorts: Array<object>, overall: object}}
+ */
+const buildRetentionReport = ({ buckets, cohortCount, periods, rows, now = new Date() }) => {
+  const activity = byCohort(rows.activity);
+  const repeats = byCohort(rows.repeats);
+  const timing = new Map(rows.timing.map(row => [row.cohort_idx, row]));
+
+  const overallRetention = Array.from({ length: periods + 1 }, (_, period) => ({ period, uids: 0, eligible: 0 }));
+  const cohorts = [];
+
+  for (let idx = 0; idx < cohortCount; idx++) {
+    const counts = new Map((activity.get(idx) || []).map(row => [row.period, row.uids]));
+    const size = counts.get(0) || 0;
+
+    const retention = overallRetention.map(({ period }) => {
+      const bucket = buckets[idx + period];
+      const observed = !!bucket && new Date(bucket.start) <= now;
+      const uids = counts.get(period) || 0;
+
+      if (observed && size > 0) {
+        overallRetention[period].uids += uids;
+        overallRetention[period].eligible += size;
+      }
+
+      return {
+        period,
+        uids: observed ? uids : null,
+        share: observed && size > 0 ? round(uids / size, 4) : null
+      };
+    });
+
+    cohorts.push({
+      cohort: buckets[idx].bucket,
+      start: buckets[idx].start,
+      size,
+      retention,
+      repeat_scans: repeatDistribution(repeats.get(idx)),
+      time_to_second_scan: secondScanTiming(timing.get(idx))
+    });
+  }
+
+  return {
+    cohorts,
+    overall: {
+      size: cohorts.reduce((total, cohort) => total + cohort.size, 0),
+      retention: overallRetention.map(({ period, uids, eligible }) => ({
+        period,
+        uids,
+        share: eligible > 0 ? round(uids / eligible, 4) : null
+      })),
+      repeat_scans: repeatDistribution(repeats.get(OVERALL)),
+      time_to_second_scan: secondScanTiming(timing.get(OVERALL))
+    }
+  };
+};
+
+/**
+ * Render a retention report as CSV, one row per cohort plus an `overall` row
+ * @param {{cohorts: Array<object>, overall: object}} report - Result of buildRetentionReport
+ * @param {number} periods - Follow-up periods in the report
+ * @returns {string}
+ */
+const retentionToCsv = (report, periods) => {
+  const periodColumns = Array.from({ length: periods + 1 }, (_, period) => `Period ${period}`);
+  const header = [
+    'Cohort', 'Size', ...periodColumns,
+    ...REPEAT_BUCKETS.map(label => `Scans ${label}`),
+    'Second Scan UIDs', 'P50 Hours', 'P75 Hours', 'P90 Hours'
+  ];
+
+  const row = (label, entry) => [
+    label,
+    entry.size,
+    ...entry.retention.map(period => (period.share === null ? '' : period.share)),
+    ...REPEAT_BUCKETS.map(bucket => entry.repeat_scans[bucket]),
+    entry.time_to_second_scan.uids,
+    ...['p50_hours', 'p75_hours', 'p90_hours'].map(key => entry.time_to_second_scan[key] ?? '')
+  ].join(',');
+
+  return [
+    header.join(','),
+    ...report.cohorts.map(cohort => row(cohort.cohort, cohort)),
+    row('overall', report.overall)
+  ].join('\n');
+};
+
+module.exports = {
+  COHORT_GRANULARITIES,
+  RETENTION_PERIODS,
+  REPEAT_BUCKETS,
+  buildRetentionReport,
+  retentionToCsv
+};
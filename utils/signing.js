@@ -0,0 +1,83 @@
+// Ed25519 signing for Neo Card™ Demo Backend export bundles
+//
+// Sponsors fetch the public key from GET /v1/export/public-key and check
+// bundles offline with scripts/verify-bundle.js.
+
+const crypto = require('crypto');
+const config = require('../config');
+
+let signingKey = null;
+
+/**
+ * Whether EXPORT_SIGNING_KEY is set
+ * @returns {boolean}
+ */
+const isSigningConfigured = () => Boolean(config.security.exportSigningKey);
+
+/**
+ * Load the configured signing key (PKCS#8 PEM or base64 DER), parsed once
+ * per configured value
+ * @returns {{privateKey: crypto.KeyObject, publicKey: crypto.KeyObject, keyId: string}}
+ */
+const loadSigningKey = () => {
+  const value = config.security.exportSigningKey;
+  if (!value) throw new Error('EXPORT_SIGNING_KEY is not configured');
+  if (signingKey && signingKey.value === value) return signingKey;
+
+  const privateKey = value.includes('BEGIN')
+    ? crypto.createPrivateKey(value)
+    : crypto.createPrivateKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'pkcs8' });
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('EXPORT_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  signingKey = { value, privateKey, publicKey, keyId: getKeyId(publicKey) };
+  return signingKey;
+};
+
+/**
+ * Short fingerprint of a public key: the first 16 hex characters of the
+ * SHA-256 of its SPKI DER encoding
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string}
+ */
+const getKeyId = (publicKey) => crypto
+  .createHash('sha256')
+  .update(publicKey.export({ format: 'der', type: 'spki' }))
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Public half of the signing key, for sponsors
+ * @returns {{algorithm: string, key_id: string, public_key: string}} - PEM encoded key
+ */
+const getSigningPublicKey = () => {
+  const { publicKey, keyId } = loadSigningKey();
+  return {
+    algorithm: 'Ed25519',
+    key_id: keyId,
+    public_key: publicKey.export({ format: 'pem', type: 'spki' })
+  };
+};
+
+/**
+ * Sign a payload with the export signing key
+ * @param {Buffer} payload - Exact bytes to sign
+ * @returns {{signature: string, keyId: string}} - Base64 signature
+ */
+const signPayload = (payload) => {
+  const { privateKey, keyId } = loadSigningKey();
+  return {
+    signature: crypto.sign(null, payload, privateKey).toString('base64'),
+    keyId
+  };
+};
+
+module.exports = {
+  getKeyId,
+  getSigningPublicKey,
+  isSigningConfigured,
+  signPayload
+};
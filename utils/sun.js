@@ -0,0 +1,176 @@
+// Secure Unique NFC (SUN) message verification for NTAG 424 DNA tags
+//
+// Implements the SDM read path described in NXP AN12196: the tag mirrors an
+// encrypted PICCData block (UID + read counter) and a truncated AES-CMAC
+// into its NDEF URL on every tap.
+
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 16;
+const CONST_RB = 0x87;
+
+// PICCDataTag bits (AN12196 §3.4.2)
+const PICC_TAG_UID_MIRROR = 0x80;
+const PICC_TAG_CTR_MIRROR = 0x40;
+const PICC_TAG_UID_LENGTH_MASK = 0x0f;
+
+/**
+ * Encrypt a single block with AES-128-ECB
+ * @param {Buffer} key - 16 byte key
+ * @param {Buffer} block - 16 byte block
+ * @returns {Buffer} - Encrypted block
+ */
+const aesEncryptBlock = (key, block) => {
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+};
+
+/**
+ * Shift a block left by one bit, XORing Rb into the last byte on carry
+ * @param {Buffer} block - 16 byte block
+ * @returns {Buffer} - Derived subkey
+ */
+const deriveSubkey = (block) => {
+  const out = Buffer.alloc(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    out[i] = (block[i] << 1) | (i + 1 < BLOCK_SIZE ? block[i + 1] >> 7 : 0);
+  }
+  if (block[0] & 0x80) {
+    out[BLOCK_SIZE - 1] ^= CONST_RB;
+  }
+  return out;
+};
+
+/**
+ * AES-128 CMAC (RFC 4493)
+ * @param {Buffer} key - 16 byte key
+ * @param {Buffer} message - Message to authenticate
+ * @returns {Buffer} - 16 byte MAC
+ */
+const aesCmac = (key, message) => {
+  const k1 = deriveSubkey(aesEncryptBlock(key, Buffer.alloc(BLOCK_SIZE)));
+  const k2 = deriveSubkey(k1);
+
+  const blockCount = Math.max(1, Math.ceil(message.length / BLOCK_SIZE));
+  const complete = message.length > 0 && message.length % BLOCK_SIZE === 0;
+
+  const last = Buffer.alloc(BLOCK_SIZE);
+  message.copy(last, 0, (blockCount - 1) * BLOCK_SIZE);
+  if (!complete) {
+    last[message.length - (blockCount - 1) * BLOCK_SIZE] = 0x80;
+  }
+  const subkey = complete ? k1 : k2;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    last[i] ^= subkey[i];
+  }
+
+  let state = Buffer.alloc(BLOCK_SIZE);
+  for (let b = 0; b < blockCount; b++) {
+    const block = b === blockCount - 1 ? last : message.subarray(b * BLOCK_SIZE, (b + 1) * BLOCK_SIZE);
+    const input = Buffer.alloc(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      input[i] = state[i] ^ block[i];
+    }
+    state = aesEncryptBlock(key, input);
+  }
+
+  return state;
+};
+
+/**
+ * Parse a hex encoded AES-128 key
+ * @param {string} hex - 32 hex characters
+ * @returns {Buffer|null} - Key, or null when malformed
+ */
+const parseKey = (hex) => {
+  return typeof hex === 'string' && /^[0-9a-fA-F]{32}$/.test(hex) ? Buffer.from(hex, 'hex') : null;
+};
+
+/**
+ * Decrypt the PICCData mirrored by the tag
+ * @param {string} piccDataHex - Encrypted PICCData (32 hex characters)
+ * @param {string} metaReadKeyHex - SDMMetaReadKey (32 hex characters)
+ * @returns {{uid: string, readCounter: number, readCounterBytes: Buffer}|null}
+ *   Decrypted UID (uppercase hex) and read counter, or null if malformed
+ */
+const decryptPiccData = (piccDataHex, metaReadKeyHex) => {
+  const key = parseKey(metaReadKeyHex);
+  if (!key || typeof piccDataHex !== 'string' || !/^[0-9a-fA-F]{32}$/.test(piccDataHex)) {
+    return null;
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, Buffer.alloc(BLOCK_SIZE));
+  decipher.setAutoPadding(false);
+  const plain = Buffer.concat([decipher.update(Buffer.from(piccDataHex, 'hex')), decipher.final()]);
+
+  const tag = plain[0];
+  const uidLength = tag & PICC_TAG_UID_LENGTH_MASK;
+  if (!(tag & PICC_TAG_UID_MIRROR) || !(tag & PICC_TAG_CTR_MIRROR) || uidLength !== 7) {
+    return null;
+  }
+
+  const uid = plain.subarray(1, 1 + uidLength);
+  const readCounterBytes = plain.subarray(1 + uidLength, 1 + uidLength + 3);
+
+  return {
+    uid: uid.toString('hex').toUpperCase(),
+    readCounter: readCounterBytes.readUIntLE(0, 3),
+    readCounterBytes
+  };
+};
+
+/**
+ * Compute the truncated SDMMAC for a tap
+ * @param {string} uidHex - 7 byte UID (hex)
+ * @param {Buffer} readCounterBytes - 3 byte little-endian SDMReadCtr
+ * @param {string} fileReadKeyHex - SDMFileReadKey (32 hex characters)
+ * @param {Buffer} macInput - Mirrored data covered by the MAC (empty by default)
+ * @returns {string|null} - 16 hex character SDMMAC, or null if the key is malformed
+ */
+const computeSdmMac = (uidHex, readCounterBytes, fileReadKeyHex, macInput = Buffer.alloc(0)) => {
+  const key = parseKey(fileReadKeyHex);
+  if (!key) return null;
+
+  // SV2 = 3CC3 0001 0080 || UID || SDMReadCtr
+  const sv2 = Buffer.concat([
+    Buffer.from('3cc300010080', 'hex'),
+    Buffer.from(uidHex, 'hex'),
+    readCounterBytes
+  ]);
+  const sessionKey = aesCmac(key, sv2);
+  const mac = aesCmac(sessionKey, macInput);
+
+  // The tag transmits the odd-indexed bytes of the full CMAC
+  const truncated = Buffer.alloc(8);
+  for (let i = 0; i < 8; i++) {
+    truncated[i] = mac[i * 2 + 1];
+  }
+
+  return truncated.toString('hex').toUpperCase();
+};
+
+/**
+ * Verify the SDMMAC sent with a tap
+ * @param {{uid: string, readCounterBytes: Buffer}} picc - Decrypted PICCData
+ * @param {string} sdmMacHex - SDMMAC from the tag (16 hex characters)
+ * @param {string} fileReadKeyHex - Card's SDMFileReadKey
+ * @returns {boolean} - Whether the MAC is authentic
+ */
+const verifySdmMac = (picc, sdmMacHex, fileReadKeyHex) => {
+  if (typeof sdmMacHex !== 'string' || !/^[0-9a-fA-F]{16}$/.test(sdmMacHex)) {
+    return false;
+  }
+
+  const expected = computeSdmMac(picc.uid, picc.readCounterBytes, fileReadKeyHex);
+  if (!expected) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(sdmMacHex, 'hex'));
+};
+
+module.exports = {
+  aesCmac,
+  decryptPiccData,
+  computeSdmMac,
+  verifySdmMac
+};
@@ -0,0 +1,140 @@
+// Time bucket helpers for Neo Card™ Demo Backend analytics
+//
+// Buckets are aligned in the caller's timezone (so a "day" is a local
+// calendar day, including across DST changes) and handed to SQL as UTC
+// boundaries that compare directly with the ISO timestamps in scans.
+
+const moment = require('moment-timezone');
+
+const GRANULARITIES = {
+  hour: { unit: 'hour', defaultSpan: 48 },
+  day: { unit: 'day', defaultSpan: 30 },
+  week: { unit: 'isoWeek', step: 'week', defaultSpan: 12 },
+  month: { unit: 'month', defaultSpan: 12 }
+};
+
+// Upper bound on buckets per request, to keep the SQL statement small
+const MAX_BUCKETS = 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a string names a known IANA timezone
+ * @param {string} timezone - e.g. `Europe/Berlin`
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => typeof timezone === 'string' && !!moment.tz.zone(timezone);
+
+/**
+ * Parse a range boundary in a timezone. Date-only end dates cover the whole
+ * day; full ISO timestamps are used as given.
+ * @param {string} value - YYYY-MM-DD or ISO timestamp
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} isEnd - Whether this is the (exclusive) end of the range
+ * @returns {moment.Moment|null} - null when malformed
+ */
+const parseBoundary = (value, timezone, isEnd) => {
+  if (typeof value !== 'string') return null;
+
+  if (DATE_ONLY.test(value)) {
+    const date = moment.tz(value, 'YYYY-MM-DD', true, timezone);
+    if (!date.isValid()) return null;
+    return isEnd ? date.add(1, 'day') : date;
+  }
+
+  const date = moment.tz(value, moment.ISO_8601, true, timezone);
+  return date.isValid() ? date : null;
+};
+
+/**
+ * Parse a date range for queries that are not bucketed (e.g. exports).
+ * Without start_date the range starts at local midnight of the day holding
+ * its end; without end_date it runs until now.
+ * @param {object} options - { start_date, end_date, timezone }
+ * @returns {{start: string, end: string}|{error: {message: string, code: string}}}
+ *   - UTC ISO boundaries, end exclusive
+ */
+const parseDateRange = ({ start_date, end_date, timezone = 'UTC' }) => {
+  if (!isValidTimezone(timezone)) {
+    return { error: { message: 'timezone must be an IANA timezone such as Europe/Berlin', code: 'INVALID_TIMEZONE' } };
+  }
+
+  const end = end_date !== undefined ? parseBoundary(end_date, timezone, true) : moment.tz(timezone);
+  const start = start_date !== undefined
+    ? parseBoundary(start_date, timezone, false)
+    : end && end.clone().subtract(1, 'ms').startOf('day');
+
+  if (!start || !end) {
+    return { error: { message: 'start_date and end_date must be YYYY-MM-DD or ISO 8601 dates', code: 'INVALID_DATE_RANGE' } };
+  }
+
+  if (!start.isBefore(end)) {
+    return { error: { message: 'start_date must be before end_date', code: 'INVALID_DATE_RANGE' } };
+  }
+
+  return { start: start.toISOString(), end: end.toISOString() };
+};
+
+/**
+ * Build the buckets covering a date range
+ * @param {object} options - { granularity, start_date, end_date, timezone, extend }
+ *   `extend` appends that many buckets after the range (e.g. follow-up periods)
+ * @returns {{buckets: Array<{bucket: string, start: string, end: string}>, start: string, end: string}
+ *   |{error: {message: string, code: string}}}
+ */
+const buildTimeBuckets = ({ granularity = 'day', start_date, end_date, timezone = 'UTC', extend = 0 }) => {
+  const spec = GRANULARITIES[granularity];
+  if (!spec) {
+    return { error: { message: `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`, code: 'INVALID_GRANULARITY' } };
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return { error: { message: 'timezone must be an IANA timezone such as Europe/Berlin', code: 'INVALID_TIMEZONE' } };
+  }
+
+  const step = spec.step || spec.unit;
+  const end = end_date !== undefined ? parseBoundary(end_date, timezone, true) : moment.tz(timezone);
+  const start = start_date !== undefined
+    ? parseBoundary(start_date, timezone, false)
+    : end && end.clone().subtract(spec.defaultSpan - 1, step).startOf(spec.unit);
+
+  if (!start || !end) {
+    return { error: { message: 'start_date and end_date must be YYYY-MM-DD or ISO 8601 dates', code: 'INVALID_DATE_RANGE' } };
+  }
+
+  if (!start.isBefore(end)) {
+    return { error: { message: 'start_date must be before end_date', code: 'INVALID_DATE_RANGE' } };
+  }
+
+  const buckets = [];
+  let cursor = start.clone().startOf(spec.unit);
+  let remaining = extend;
+
+  while (cursor.isBefore(end) || remaining-- > 0) {
+    if (buckets.length >= MAX_BUCKETS) {
+      return { error: { message: `Date range covers more than ${MAX_BUCKETS} buckets`, code: 'TOO_MANY_BUCKETS' } };
+    }
+
+    const next = cursor.clone().add(1, step);
+    buckets.push({
+      bucket: cursor.format(),
+      start: cursor.toISOString(),
+      end: next.toISOString()
+    });
+    cursor = next;
+  }
+
+  return {
+    buckets,
+    start: buckets[0].start,
+    end: buckets[buckets.length - 1].end
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  isValidTimezone,
+  parseDateRange,
+  buildTimeBuckets
+};
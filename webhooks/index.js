@@ -0,0 +1,294 @@
+// Outbound webhooks for Neo Card™ Demo Backend
+//
+// Sponsors subscribe a URL to events of one campaign. Events are not sent
+// inline: they are written to the webhook_deliveries table and a worker
+// (started by server.js) posts them, so a slow endpoint never delays
+// POST /v1/scan and queued deliveries survive a restart. Failed deliveries
+// are retried with exponential backoff until config.webhooks.maxAttempts.
+//
+// Every request is signed: X-NeoCard-Signature is `t=<unix time>,v1=<hex>`
+// where v1 = HMAC-SHA256(webhook secret, `${t}.${raw body}`).
+//
+// Webhook hosts must resolve to public addresses only. The check runs when a
+// URL is saved and again on every delivery, where the checked addresses are
+// the ones connected to, so a DNS change cannot point a webhook at loopback,
+// the cloud metadata service or the private network.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config');
+const db = require('../database');
+
+const WEBHOOK_EVENTS = ['scan.accepted', 'scan.flagged', 'summary.daily'];
+
+// Scan fields sent with scan events; flagged scans also carry their reasons
+const SCAN_EVENT_FIELDS = ['scan_id', 'uid', 'campaign_id', 'timestamp', 'checksum', 'aei_key_id', 'verified', 'auth_method', 'read_counter'];
+
+// Loopback, private, link-local, unique-local, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+let processing = false;
+
+/**
+ * Random identifier with a type prefix (wh_, whsec_, evt_, whd_)
+ * @param {string} prefix
+ * @param {number} bytes - Random bytes (hex encoded)
+ * @returns {string}
+ */
+const generateWebhookId = (prefix, bytes = 12) => `${prefix}_${crypto.randomBytes(bytes).toString('hex')}`;
+
+/**
+ * Signature header for a payload
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix time in seconds (default: now)
+ * @returns {string} - `t=<timestamp>,v1=<hex>`
+ */
+const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Whether an address is public, i.e. safe to deliver webhooks to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve a webhook host, refusing hosts with any non-public address unless
+ * config.webhooks.allowPrivateTargets is set
+ * @param {string} hostname - URL hostname (IPv6 literals may keep their brackets)
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ * @throws {Error} - code WEBHOOK_HOST_UNRESOLVED or WEBHOOK_URL_NOT_ALLOWED
+ */
+const resolveWebhookHost = async (hostname) => {
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { all: true });
+  } catch (error) {
+    throw Object.assign(new Error(`Webhook host ${hostname} could not be resolved`), { code: 'WEBHOOK_HOST_UNRESOLVED' });
+  }
+
+  if (!config.webhooks.allowPrivateTargets && !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw Object.assign(new Error(`Webhook host ${hostname} resolves to a non-public address`), { code: 'WEBHOOK_URL_NOT_ALLOWED' });
+  }
+
+  return addresses;
+};
+
+/**
+ * Connection lookup for deliveries: resolves through resolveWebhookHost so
+ * the addresses connected to are the ones checked
+ * @param {string} hostname
+ * @returns {Promise<Array<string|number>>} - [address, family]
+ */
+const lookupWebhookHost = async (hostname) => {
+  const [{ address, family }] = await resolveWebhookHost(hostname);
+  return [address, family];
+};
+
+/**
+ * Seconds to wait before retrying after a failed attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number}
+ */
+const retryDelaySeconds = (attempts) => {
+  const { retryBaseSeconds, retryMaxSeconds } = config.webhooks;
+  return Math.min(retryBaseSeconds * 2 ** (attempts - 1), retryMaxSeconds);
+};
+
+/**
+ * Queue an event for every active webhook of a campaign subscribed to it
+ * @param {string} campaignId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event data
+ * @param {Array<object>} [webhooks] - Subscribers (default: looked up)
+ * @returns {Promise<number>} - Deliveries queued
+ */
+const enqueueWebhookEvent = async (campaignId, event, data, webhooks) => {
+  const subscribers = webhooks || await db.getWebhookSubscribers(campaignId, event);
+  if (subscribers.length === 0) return 0;
+
+  const eventId = generateWebhookId('evt');
+  const payload = JSON.stringify({
+    id: eventId,
+    event,
+    created_at: new Date().toISOString(),
+    data
+  });
+
+  await db.createWebhookDeliveries(subscribers.map(webhook => ({
+    delivery_id: generateWebhookId('whd'),
+    webhook_id: webhook.webhook_id,
+    event_id: eventId,
+    event,
+    payload
+  })));
+
+  return subscribers.length;
+};
+
+/**
+ * Queue scan.accepted or scan.flagged for a stored scan. A flagged scan that
+ * a review approved is sent as scan.accepted with its review_status.
+ * @param {object} scan - scans row as inserted or reviewed
+ * @returns {Promise<number>} - Deliveries queued
+ */
+const enqueueScanEvent = (scan) => {
+  const approved = scan.review_status === 'approved';
+  const flagged = !!scan.flagged && !approved;
+  const data = Object.fromEntries(SCAN_EVENT_FIELDS.map(field => [field, scan[field] === undefined ? null : scan[field]]));
+  data.verified = !!scan.verified;
+
+  if (flagged) {
+    data.flag_reasons = scan.flag_reasons ? JSON.parse(scan.flag_reasons) : [];
+    data.risk_score = scan.risk_score;
+  } else if (approved) {
+    data.review_status = scan.review_status;
+  }
+
+  return enqueueWebhookEvent(scan.campaign_id, flagged ? 'scan.flagged' : 'scan.accepted', data);
+};
+
+/**
+ * Queue summary.daily for the last finished UTC day to every subscriber
+ * that has not received it yet
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Deliveries queued
+ */
+const enqueueDailySummaries = async (now = new Date()) => {
+  const day = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const webhooks = await db.getWebhooksDueSummary(day);
+  let queued = 0;
+
+  for (const webhook of webhooks) {
+    const summary = await db.getDailyScanSummary(webhook.campaign_id, day);
+    queued += await enqueueWebhookEvent(webhook.campaign_id, 'summary.daily', {
+      campaign_id: webhook.campaign_id,
+      date: day,
+      ...summary
+    }, [webhook]);
+    await db.setWebhookSummaryDay(webhook.webhook_id, day);
+  }
+
+  return queued;
+};
+
+/**
+ * POST one delivery to its webhook URL
+ * @param {object} delivery - webhook_deliveries row joined with url and secret
+ * @returns {Promise<{ok: boolean, status_code: number|null, error: string|null}>}
+ */
+const sendDelivery = async (delivery) => {
+  try {
+    // IP literals never reach the lookup, so check the host up front too
+    await resolveWebhookHost(new URL(delivery.url).hostname);
+
+    const response = await axios.post(delivery.url, delivery.payload, {
+      timeout: config.webhooks.timeoutMs,
+      maxRedirects: 0,
+      lookup: lookupWebhookHost,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NeoCard-Webhooks/1.0',
+        'X-NeoCard-Event': delivery.event,
+        'X-NeoCard-Delivery': delivery.delivery_id,
+        'X-NeoCard-Signature': signWebhookPayload(delivery.secret, delivery.payload)
+      }
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return { ok, status_code: response.status, error: ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, status_code: null, error: error.message };
+  }
+};
+
+/**
+ * Send every delivery that is due, recording each attempt. Runs are not
+ * allowed to overlap.
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Deliveries attempted
+ */
+const processWebhookQueue = async (now = new Date()) => {
+  if (processing) return 0;
+  processing = true;
+
+  try {
+    const due = await db.getDueWebhookDeliveries(now.toISOString(), config.webhooks.batchSize);
+
+    for (const delivery of due) {
+      const result = await sendDelivery(delivery);
+      const attempts = delivery.attempts + 1;
+      const attemptedAt = new Date();
+      let status = 'delivered';
+      let nextAttemptAt = null;
+
+      if (!result.ok) {
+        status = attempts >= config.webhooks.maxAttempts ? 'failed' : 'pending';
+        nextAttemptAt = status === 'pending'
+          ? new Date(attemptedAt.getTime() + retryDelaySeconds(attempts) * 1000).toISOString()
+          : null;
+      }
+
+      await db.recordWebhookAttempt(delivery.id, {
+        status,
+        attempts,
+        next_attempt_at: nextAttemptAt,
+        last_status_code: result.status_code,
+        last_error: result.error,
+        last_attempt_at: attemptedAt.toISOString(),
+        delivered_at: result.ok ? attemptedAt.toISOString() : null
+      });
+    }
+
+    return due.length;
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Poll the delivery queue and queue daily summaries in the background
+ * @returns {NodeJS.Timeout}
+ */
+const startWebhookWorker = () => {
+  const tick = () => enqueueDailySummaries()
+    .then(() => processWebhookQueue())
+    .catch(error => console.error('Webhook worker error:', error));
+
+  tick();
+  return setInterval(tick, config.webhooks.pollIntervalMs).unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookId,
+  signWebhookPayload,
+  retryDelaySeconds,
+  isPublicAddress,
+  resolveWebhookHost,
+  enqueueWebhookEvent,
+  enqueueScanEvent,
+  enqueueDailySummaries,
+  processWebhookQueue,
+  startWebhookWorker
+};